@@ -13,6 +13,14 @@ const recommendationsStore = {};
 // Store icon states by tab ID
 const iconStates = {};
 
+// Coverage runs in progress by tab ID
+const coverageRuns = {};
+
+// Configuration for coverage runs through the debugger protocol
+const DEBUGGER_PROTOCOL_VERSION = "1.3";
+const COVERAGE_LOAD_TIMEOUT_MS = 30000; // Give up waiting for the reload's load event
+const COVERAGE_SETTLE_MS = 2000; // Let scripts that run after load finish before collecting
+
 // Configuration for automatic cleanup
 const RECOMMENDATIONS_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
 const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
@@ -48,7 +56,17 @@ const ICON_CONFIGS = {
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (!sender.tab) {
-    return; // Skip if not from a tab
+    // Messages from the popup
+    if (message.type === "runCoverage") {
+      runCoverage(message.tabId)
+        .then((coverage) => sendResponse({ success: true, data: coverage }))
+        .catch((error) => {
+          console.error(`Coverage run failed for tab ${message.tabId}:`, error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true;
+    }
+    return; // Skip other messages not from a tab
   }
 
   const tabId = sender.tab.id;
@@ -315,6 +333,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ success: true });
         }
       });
+    } else if (message.type === "getCoverage") {
+      // Return the coverage collected for this tab, if it belongs to the current page
+      chrome.storage.local.get([`coverage_${tabId}`], (result) => {
+        if (chrome.runtime.lastError) {
+          console.error("Error retrieving coverage:", chrome.runtime.lastError);
+          sendResponse({ success: false, error: chrome.runtime.lastError.message });
+          return;
+        }
+
+        const coverage = result[`coverage_${tabId}`];
+        const matchesPage = coverage && coverage.url === sender.tab.url;
+        sendResponse({ success: true, data: matchesPage ? coverage : null });
+      });
     } else if (message.type === "getIconState") {
       // Return current icon state for the tab
       const currentState = getIconState(tabId);
@@ -526,6 +557,7 @@ function clearAllTabData(tabId, reason = "unknown") {
     `recommendationsTimestamp_${tabId}`,
     `recommendationsLoading_${tabId}`,
     `recommendationsError_${tabId}`,
+    `coverage_${tabId}`,
   ];
 
   chrome.storage.local.remove(keysToRemove, () => {
@@ -561,6 +593,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
     `recommendationsTimestamp_${tabId}`,
     `recommendationsLoading_${tabId}`,
     `recommendationsError_${tabId}`,
+    `coverage_${tabId}`,
   ]);
 });
 
@@ -745,6 +778,228 @@ function validateAllTabData() {
   });
 }
 
+// Send a DevTools protocol command to an attached tab
+function sendDebuggerCommand(target, method, params = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.debugger.sendCommand(target, method, params, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`${method} failed: ${chrome.runtime.lastError.message}`));
+      } else {
+        resolve(result || {});
+      }
+    });
+  });
+}
+
+// Attach the debugger to a tab
+function attachDebugger(target) {
+  return new Promise((resolve, reject) => {
+    chrome.debugger.attach(target, DEBUGGER_PROTOCOL_VERSION, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Could not attach debugger: ${chrome.runtime.lastError.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Reload the tab with JS precise coverage and CSS rule usage tracking, then store unused bytes
+// per file as coverage_<tabId>. Requires the optional "debugger" permission.
+async function runCoverage(tabId) {
+  if (!chrome.debugger) {
+    throw new Error("The debugger permission has not been granted");
+  }
+  if (coverageRuns[tabId]) {
+    throw new Error("Coverage is already being collected for this tab");
+  }
+
+  const target = { tabId: tabId };
+  const run = {
+    reloadStarted: false,
+    detached: false,
+    scriptIds: new Set(), // Scripts parsed after the reload
+    styleSheets: {}, // styleSheetId -> header, for stylesheets added after the reload
+  };
+  coverageRuns[tabId] = run;
+
+  let resolveLoad;
+  const loaded = new Promise((resolve) => {
+    resolveLoad = resolve;
+  });
+
+  const onEvent = (source, method, params) => {
+    if (source.tabId !== tabId || !run.reloadStarted) return;
+
+    if (method === "Debugger.scriptParsed") {
+      run.scriptIds.add(params.scriptId);
+    } else if (method === "CSS.styleSheetAdded") {
+      run.styleSheets[params.header.styleSheetId] = params.header;
+    } else if (method === "Page.loadEventFired") {
+      resolveLoad();
+    }
+  };
+
+  // The user can cancel by closing the "started debugging this browser" bar
+  const onDetach = (source) => {
+    if (source.tabId !== tabId) return;
+    run.detached = true;
+    resolveLoad();
+  };
+
+  chrome.debugger.onEvent.addListener(onEvent);
+  chrome.debugger.onDetach.addListener(onDetach);
+
+  try {
+    await attachDebugger(target);
+
+    await sendDebuggerCommand(target, "Page.enable");
+    await sendDebuggerCommand(target, "Debugger.enable");
+    await sendDebuggerCommand(target, "Debugger.setSkipAllPauses", { skip: true });
+    await sendDebuggerCommand(target, "DOM.enable");
+    await sendDebuggerCommand(target, "CSS.enable");
+    await sendDebuggerCommand(target, "Profiler.enable");
+    await sendDebuggerCommand(target, "Profiler.startPreciseCoverage", {
+      callCount: false,
+      detailed: true,
+    });
+    await sendDebuggerCommand(target, "CSS.startRuleUsageTracking");
+
+    run.reloadStarted = true;
+    await sendDebuggerCommand(target, "Page.reload");
+
+    let loadTimeout;
+    await Promise.race([
+      loaded,
+      new Promise((resolve) => {
+        loadTimeout = setTimeout(resolve, COVERAGE_LOAD_TIMEOUT_MS);
+      }),
+    ]);
+    clearTimeout(loadTimeout);
+    await new Promise((resolve) => setTimeout(resolve, COVERAGE_SETTLE_MS));
+
+    if (run.detached) {
+      throw new Error("The debugger was detached before coverage was collected");
+    }
+
+    const jsCoverage = await sendDebuggerCommand(target, "Profiler.takePreciseCoverage");
+    const cssCoverage = await sendDebuggerCommand(target, "CSS.stopRuleUsageTracking");
+    await sendDebuggerCommand(target, "Profiler.stopPreciseCoverage");
+
+    const tab = await chrome.tabs.get(tabId);
+    const coverage = {
+      url: tab.url,
+      timestamp: Date.now(),
+      scripts: summarizeScriptCoverage(jsCoverage.result || [], run.scriptIds),
+      stylesheets: summarizeStyleSheetCoverage(cssCoverage.ruleUsage || [], run.styleSheets),
+    };
+
+    await chrome.storage.local.set({ [`coverage_${tabId}`]: coverage });
+    console.log(`Coverage stored for tab ${tabId}:`, coverage);
+    return coverage;
+  } finally {
+    chrome.debugger.onEvent.removeListener(onEvent);
+    chrome.debugger.onDetach.removeListener(onDetach);
+    delete coverageRuns[tabId];
+
+    if (!run.detached) {
+      chrome.debugger.detach(target, () => {
+        if (chrome.runtime.lastError) {
+          console.warn(`Error detaching debugger from tab ${tabId}:`, chrome.runtime.lastError);
+        }
+      });
+    }
+  }
+}
+
+// Total length of a set of ranges, counting overlapping parts once
+function measureRanges(ranges) {
+  let total = 0;
+  let coveredUntil = 0;
+
+  ranges
+    .slice()
+    .sort((a, b) => a.startOffset - b.startOffset)
+    .forEach((range) => {
+      const start = Math.max(range.startOffset, coveredUntil);
+      if (range.endOffset > start) {
+        total += range.endOffset - start;
+        coveredUntil = range.endOffset;
+      }
+    });
+
+  return total;
+}
+
+// Sort per-file coverage by unused bytes and add the unused percentage
+function finalizeCoverageFiles(files) {
+  return Object.values(files)
+    .map((file) => ({
+      ...file,
+      unusedPercent: file.totalBytes ? Math.round((file.unusedBytes / file.totalBytes) * 100) : 0,
+    }))
+    .sort((a, b) => b.unusedBytes - a.unusedBytes);
+}
+
+// Sum unused JavaScript bytes per URL from Profiler.takePreciseCoverage block ranges
+function summarizeScriptCoverage(scriptCoverage, scriptIds) {
+  const files = {};
+
+  scriptCoverage.forEach((script) => {
+    // Only scripts from the reloaded page; extension and eval'd scripts have no http(s) URL
+    if (!scriptIds.has(script.scriptId) || !/^https?:/.test(script.url)) return;
+
+    let totalBytes = 0;
+    const unusedRanges = [];
+    script.functions.forEach((fn) => {
+      fn.ranges.forEach((range) => {
+        // The top-level function's range spans the whole script
+        totalBytes = Math.max(totalBytes, range.endOffset);
+        if (range.count === 0) unusedRanges.push(range);
+      });
+    });
+
+    // Inline scripts share the document URL and are summed together
+    const file = files[script.url] || { url: script.url, totalBytes: 0, unusedBytes: 0 };
+    file.totalBytes += totalBytes;
+    file.unusedBytes += measureRanges(unusedRanges);
+    files[script.url] = file;
+  });
+
+  return finalizeCoverageFiles(files);
+}
+
+// Sum unused CSS bytes per stylesheet from CSS.stopRuleUsageTracking
+function summarizeStyleSheetCoverage(ruleUsage, styleSheets) {
+  const files = {};
+
+  Object.values(styleSheets).forEach((header) => {
+    if (header.origin !== "regular" || !/^https?:/.test(header.sourceURL)) return;
+
+    const url = header.isInline ? `${header.sourceURL} (inline <style>)` : header.sourceURL;
+    const file = files[url] || { url: url, totalBytes: 0, unusedBytes: 0 };
+    file.totalBytes += Math.round(header.length || 0);
+    files[url] = file;
+  });
+
+  const unusedBySheet = {};
+  ruleUsage.forEach((rule) => {
+    if (!rule.used) {
+      (unusedBySheet[rule.styleSheetId] = unusedBySheet[rule.styleSheetId] || []).push(rule);
+    }
+  });
+
+  Object.entries(unusedBySheet).forEach(([styleSheetId, rules]) => {
+    const header = styleSheets[styleSheetId];
+    if (!header) return;
+
+    const url = header.isInline ? `${header.sourceURL} (inline <style>)` : header.sourceURL;
+    if (files[url]) files[url].unusedBytes += measureRanges(rules);
+  });
+
+  return finalizeCoverageFiles(files);
+}
+
 // Start periodic cleanup and validation
 setInterval(cleanupOldRecommendations, CLEANUP_INTERVAL_MS);
 setInterval(validateAllTabData, CLEANUP_INTERVAL_MS * 2); // Run validation less frequently
@@ -1,11 +1,12 @@
 let LCPTime = 0;
+let FCPTime = 0; // From the first-contentful-paint entry, 0 until reported
 let CLSScore = 0;
 let currentUrl = window.location.href;
 let metricsCollected = false;
 let lcpObserver = null;
 let clsObserver = null;
 let navigationStart = performance.now();
-let transitionType = "navigation"; // "navigation" or "spa"
+let transitionType = "navigation"; // "navigation", "spa" or "bfcache"
 let mutationObserver = null;
 
 // Smart metric update system variables
@@ -28,12 +29,82 @@ const VISUAL_COMPLETION_MAX_WAIT = 8000; // Maximum time to wait for visual comp
 const CONTENT_CHANGE_THRESHOLD = 50; // How much content can change between frames
 const ELEMENT_COUNT_THRESHOLD = 3; // How many elements can change between frames
 
+// Where a reported FCP value came from
+const FCP_SOURCES = {
+  PAINT_ENTRY: "paint-entry", // Measured first-contentful-paint entry
+  DOM_INTERACTIVE_ESTIMATE: "dom-interactive-estimate", // Fallback: navigation domInteractive
+  LOAD_TIME_ESTIMATE: "load-time-estimate", // Fallback metrics without Navigation Timing
+};
+
+// Where SPA route metrics came from
+const SPA_METRIC_SOURCES = {
+  SOFT_NAVIGATION_ENTRY: "soft-navigation-entry", // Measured via soft navigation performance entries
+  NEW_CONTENT_PAINT: "new-content-paint", // Heuristic: frame after newly added content rendered
+  VISUAL_COMPLETION_ESTIMATE: "visual-completion-estimate", // Heuristic: share of visual completion
+  NOT_APPLICABLE: "no-document-request", // SPA routes don't fetch a document
+};
+
+// Advice for common back/forward cache blockers, keyed by notRestoredReasons reason
+const BFCACHE_BLOCKER_ADVICE = {
+  "unload-listener": {
+    priority: "high",
+    recommendation:
+      "Remove unload handlers; use pagehide (or visibilitychange) to save state or send beacons",
+  },
+  "response-cache-control-no-store": {
+    priority: "medium",
+    recommendation:
+      "Only send Cache-Control: no-store for pages with sensitive data; use no-cache otherwise",
+  },
+  "main-resource-has-cache-control-no-store": {
+    priority: "medium",
+    recommendation:
+      "Only send Cache-Control: no-store for pages with sensitive data; use no-cache otherwise",
+  },
+  websocket: {
+    priority: "medium",
+    recommendation: "Close WebSocket connections in pagehide and reopen them in pageshow",
+  },
+  webtransport: {
+    priority: "medium",
+    recommendation: "Close WebTransport sessions in pagehide and reopen them in pageshow",
+  },
+  webrtc: {
+    priority: "medium",
+    recommendation: "Close RTCPeerConnections in pagehide and reconnect in pageshow",
+  },
+  "broadcastchannel-message": {
+    priority: "low",
+    recommendation: "Close BroadcastChannels in pagehide so messages can't arrive while cached",
+  },
+  lock: {
+    priority: "low",
+    recommendation: "Release Web Locks and close IndexedDB connections in pagehide",
+  },
+  "indexeddb-event": {
+    priority: "low",
+    recommendation: "Close IndexedDB connections in pagehide and reopen them in pageshow",
+  },
+  "outstanding-network-request": {
+    priority: "low",
+    recommendation: "Abort in-flight fetch/XHR requests in pagehide and retry them in pageshow",
+  },
+  masked: {
+    priority: "low",
+    recommendation:
+      "Reasons are hidden, usually by a cross-origin iframe; check third-party embeds",
+  },
+};
+
 // Core Web Vitals thresholds based on Google's official guidelines
 const CWV_THRESHOLDS = {
   TTFB: { good: 0.8, needsImprovement: 1.8 }, // seconds
   FCP: { good: 1.8, needsImprovement: 3.0 }, // seconds
   LCP: { good: 2.5, needsImprovement: 4.0 }, // seconds
   CLS: { good: 0.1, needsImprovement: 0.25 }, // score
+  INP: { good: 0.2, needsImprovement: 0.5 }, // seconds
+  // Additional thresholds for lab-style metrics (Lighthouse scoring)
+  TBT: { good: 0.2, needsImprovement: 0.6 }, // seconds
   // Additional thresholds for other metrics (not official CWV but useful)
   DOMLoadTime: { good: 1.5, needsImprovement: 3.0 }, // seconds
   NavigationTime: { good: 2.0, needsImprovement: 4.0 }, // seconds
@@ -94,7 +165,7 @@ class ThresholdEvaluator {
 
     for (const [metricName, metricData] of Object.entries(metrics)) {
       // Skip non-metric properties
-      if (typeof metricData !== "object" || !metricData.hasOwnProperty("value")) {
+      if (!metricData || typeof metricData !== "object" || !metricData.hasOwnProperty("value")) {
         continue;
       }
 
@@ -119,20 +190,27 @@ class ThresholdEvaluator {
    * @returns {boolean} True if it's a Core Web Vital
    */
   static isCoreWebVital(metricName) {
-    return ["FCP", "LCP", "CLS"].includes(metricName);
+    return ["FCP", "LCP", "CLS", "INP"].includes(metricName);
   }
 }
 
 // CLSObserver class for comprehensive CLS measurement
 class CLSObserver {
   constructor() {
-    this.clsValue = 0;
+    this.clsValue = 0; // Largest session window (the reported CLS)
+    this.totalValue = 0; // Raw sum of all non-input layout shifts
     this.observer = null;
-    this.sessionValue = 0;
-    this.sessionEntries = [];
+    this.sessionValue = 0; // Current session window value
+    this.sessionEntries = []; // Current session window entries
+    this.sessionWindows = [];
+    this.worstWindow = null;
     this.debugger = null; // Will be set later
     this.isSupported = this.checkSupport();
     this.errorState = null;
+
+    // Session window configuration (per the CLS definition)
+    this.SESSION_GAP = 1000; // A gap of 1s between shifts closes the window (ms)
+    this.SESSION_MAX_DURATION = 5000; // A window never spans more than 5s (ms)
   }
 
   // Check if CLS observation is supported
@@ -174,6 +252,9 @@ class CLSObserver {
     }
 
     try {
+      // Avoid stacking observers when observation is restarted
+      this.disconnect();
+
       this.observer = new PerformanceObserver((list) => {
         try {
           this.handleLayoutShiftEntries(list);
@@ -201,16 +282,20 @@ class CLSObserver {
 
       for (const entry of entries) {
         try {
+          // Buffered entries from before an SPA transition or bfcache restore are stale
+          if (transitionType !== "navigation" && entry.startTime < navigationStart) {
+            continue;
+          }
+
           // Only count layout shifts that weren't caused by user input
           if (!entry.hadRecentInput) {
-            this.sessionValue += entry.value;
-            this.sessionEntries.push(entry);
+            const entrySources = [];
 
             // Collect shifting sources for visual debugging
             if (entry.sources && entry.sources.length > 0) {
               entry.sources.forEach((source) => {
                 try {
-                  shiftingSources.push({
+                  entrySources.push({
                     node: source.node,
                     value: entry.value,
                     hadRecentInput: entry.hadRecentInput,
@@ -222,14 +307,17 @@ class CLSObserver {
                 }
               });
             }
+
+            this.addToSessionWindow(entry, entrySources);
+            shiftingSources.push(...entrySources);
           }
         } catch (entryError) {
           console.warn("Error processing layout shift entry:", entryError);
         }
       }
 
-      // Update the current CLS value
-      this.clsValue = this.sessionValue;
+      // CLS is the largest session window
+      this.clsValue = this.worstWindow ? this.worstWindow.value : 0;
       CLSScore = this.clsValue;
 
       // Sync CLS debugger with updated score
@@ -242,6 +330,7 @@ class CLSObserver {
       // Update visual debugger if enabled
       if (this.debugger) {
         try {
+          this.debugger.updateWorstWindow(this.worstWindow, this.totalValue);
           this.debugger.updateCLSScore(this.clsValue);
 
           // Highlight shifting sources if debugging is enabled
@@ -258,6 +347,87 @@ class CLSObserver {
     }
   }
 
+  // Add a layout shift to the current session window, opening a new one when needed
+  addToSessionWindow(entry, sources) {
+    const currentWindow = this.sessionWindows[this.sessionWindows.length - 1];
+    const continuesWindow =
+      currentWindow &&
+      entry.startTime - currentWindow.endTime < this.SESSION_GAP &&
+      entry.startTime - currentWindow.startTime < this.SESSION_MAX_DURATION;
+
+    let sessionWindow = currentWindow;
+    if (!continuesWindow) {
+      sessionWindow = {
+        index: this.sessionWindows.length,
+        value: 0,
+        startTime: entry.startTime,
+        endTime: entry.startTime,
+        entries: [],
+        sources: [],
+      };
+      this.sessionWindows.push(sessionWindow);
+    }
+
+    sessionWindow.value += entry.value;
+    sessionWindow.endTime = entry.startTime;
+    sessionWindow.entries.push(entry);
+    sessionWindow.sources.push(...sources);
+
+    this.totalValue += entry.value;
+    this.sessionValue = sessionWindow.value;
+    this.sessionEntries = sessionWindow.entries;
+
+    if (!this.worstWindow || sessionWindow.value > this.worstWindow.value) {
+      this.worstWindow = sessionWindow;
+    }
+  }
+
+  // Summarize a session window without DOM references so it can be sent to the popup
+  summarizeSessionWindow(sessionWindow) {
+    if (!sessionWindow) return null;
+
+    const selectors = new Set();
+    sessionWindow.sources.forEach((source) => {
+      const selector = source.node ? generateElementSelector(source.node) : null;
+      if (selector) selectors.add(selector);
+    });
+
+    return {
+      index: sessionWindow.index,
+      value: sessionWindow.value,
+      startTime: sessionWindow.startTime / 1000,
+      endTime: sessionWindow.endTime / 1000,
+      duration: (sessionWindow.endTime - sessionWindow.startTime) / 1000,
+      shiftCount: sessionWindow.entries.length,
+      sources: Array.from(selectors).slice(0, 10),
+    };
+  }
+
+  // Get every recorded shift source with the value of its layout shift (for attribution)
+  getLayoutShiftSources() {
+    const sources = [];
+    this.sessionWindows.forEach((sessionWindow) => {
+      sources.push(...sessionWindow.sources.filter((source) => source.node));
+    });
+    return sources;
+  }
+
+  // Get the worst session window with its sources (used by CLSDebugger)
+  getWorstWindow() {
+    return this.worstWindow;
+  }
+
+  // Build the metric object reported with the other metrics
+  getMetric() {
+    return {
+      value: this.clsValue,
+      unit: "score",
+      rawTotal: this.totalValue,
+      sessionWindowCount: this.sessionWindows.length,
+      worstWindow: this.summarizeSessionWindow(this.worstWindow),
+    };
+  }
+
   // Handle observer errors
   handleObserverError(error) {
     this.errorState = `CLS observer error: ${error.message}`;
@@ -297,10 +467,17 @@ class CLSObserver {
   // Reset CLS tracking (for SPA navigation)
   reset() {
     this.clsValue = 0;
+    this.totalValue = 0;
     this.sessionValue = 0;
     this.sessionEntries = [];
+    this.sessionWindows = [];
+    this.worstWindow = null;
     CLSScore = 0;
 
+    if (this.debugger) {
+      this.debugger.updateWorstWindow(null, 0);
+    }
+
     // Sync CLS debugger with reset score
     syncCLSDebugger();
   }
@@ -324,5723 +501,10406 @@ class CLSObserver {
   }
 }
 
-// Error handling utilities
-function sendErrorToBackground(errorType, errorMessage) {
-  try {
-    chrome.runtime.sendMessage({
-      type: "metricsError",
-      errorType: errorType,
-      errorMessage: errorMessage,
-      timestamp: Date.now(),
-      url: window.location.href,
-      userAgent: navigator.userAgent,
-    });
-  } catch (error) {
-    console.warn("Failed to send error to background:", error);
-  }
-}
-
-// Check if Performance API is available
-function checkPerformanceAPISupport() {
-  const support = {
-    performanceObserver: "PerformanceObserver" in window,
-    supportedEntryTypes: PerformanceObserver?.supportedEntryTypes || [],
-    navigationTiming: "performance" in window && "timing" in performance,
-    performanceNow: "performance" in window && "now" in performance,
-  };
-
-  if (!support.performanceObserver) {
-    sendErrorToBackground("api_not_supported", "PerformanceObserver API not available");
-  }
+// INPObserver class for Interaction to Next Paint measurement via Event Timing
+class INPObserver {
+  constructor() {
+    this.observer = null;
+    this.interactions = new Map(); // interactionId -> longest interaction record
+    this.longestInteractions = []; // Sorted by duration, longest first
+    this.interactionIds = new Set(); // Every interaction seen, never pruned
+    this.interactionCountOffset = this.readBrowserInteractionCount() || 0; // Count before this view
+    this.isSupported = this.checkSupport();
+    this.errorState = null;
 
-  if (!support.navigationTiming) {
-    sendErrorToBackground("api_not_supported", "Navigation Timing API not available");
+    // Configuration
+    this.MAX_TRACKED_INTERACTIONS = 10; // Enough to derive p98 for up to 500 interactions
+    this.DURATION_THRESHOLD = 40; // ms, lowest value allowed by Event Timing
   }
 
-  return support;
-}
+  // Check if Event Timing observation is supported
+  checkSupport() {
+    try {
+      if (!("PerformanceObserver" in window)) {
+        this.errorState = "PerformanceObserver API not available";
+        return false;
+      }
 
-// Page support detection
-function detectPageSupport() {
-  const url = window.location.href;
-  const protocol = window.location.protocol;
-  const hostname = window.location.hostname;
+      if (!PerformanceObserver.supportedEntryTypes) {
+        this.errorState = "PerformanceObserver.supportedEntryTypes not available";
+        return false;
+      }
 
-  const support = {
-    isSupported: true,
-    reason: null,
-    pageType: "web",
-    limitations: [],
-  };
+      if (!PerformanceObserver.supportedEntryTypes.includes("event")) {
+        this.errorState = "Event Timing measurement not supported by browser";
+        return false;
+      }
 
-  // Check for unsupported page types
-  if (protocol === "chrome:" || protocol === "chrome-extension:") {
-    support.isSupported = false;
-    support.reason = "Chrome internal pages and extensions are not supported";
-    support.pageType = "chrome-internal";
-  } else if (protocol === "moz-extension:" || protocol === "safari-extension:") {
-    support.isSupported = false;
-    support.reason = "Browser extension pages are not supported";
-    support.pageType = "browser-extension";
-  } else if (protocol === "file:") {
-    support.isSupported = false;
-    support.reason = "Local file pages have limited performance measurement capabilities";
-    support.pageType = "local-file";
-  } else if (protocol === "about:" || protocol === "edge:") {
-    support.isSupported = false;
-    support.reason = "Browser internal pages are not supported";
-    support.pageType = "browser-internal";
-  } else if (url.includes("chrome-search://") || url.includes("chrome-devtools://")) {
-    support.isSupported = false;
-    support.reason = "Chrome special pages are not supported";
-    support.pageType = "chrome-special";
-  } else if (protocol !== "http:" && protocol !== "https:") {
-    support.isSupported = false;
-    support.reason = `Protocol ${protocol} is not supported for performance measurement`;
-    support.pageType = "unsupported-protocol";
+      return true;
+    } catch (error) {
+      this.errorState = `Error checking INP support: ${error.message}`;
+      return false;
+    }
   }
 
-  // Check for limited support scenarios
-  if (support.isSupported) {
-    if (protocol === "http:") {
-      support.limitations.push("HTTP pages may have limited performance API access");
+  // Start observing event timing entries
+  observe() {
+    if (!this.isSupported) {
+      console.warn(`INP observation not supported: ${this.errorState}`);
+      sendErrorToBackground("inp_not_supported", this.errorState);
+      return false;
     }
 
-    if (hostname === "localhost" || hostname === "127.0.0.1" || hostname.endsWith(".local")) {
-      support.limitations.push(
-        "Local development servers may have different performance characteristics"
-      );
-    }
+    try {
+      this.disconnect();
 
-    // Check for iframe context
-    if (window !== window.top) {
-      support.limitations.push("Performance measurement in iframes may be limited");
+      this.observer = new PerformanceObserver((list) => {
+        try {
+          this.handleEventEntries(list.getEntries());
+        } catch (error) {
+          console.error("Error processing event timing entries:", error);
+        }
+      });
+
+      this.observer.observe({
+        type: "event",
+        buffered: true,
+        durationThreshold: this.DURATION_THRESHOLD,
+      });
+
+      // first-input catches the first interaction even when it is shorter than the threshold
+      if (PerformanceObserver.supportedEntryTypes.includes("first-input")) {
+        this.observer.observe({ type: "first-input", buffered: true });
+      }
+
+      console.log("INP observer started successfully");
+      return true;
+    } catch (error) {
+      console.error("Failed to start INP observer:", error);
+      this.errorState = `INP observer error: ${error.message}`;
+      sendErrorToBackground("inp_observer_error", this.errorState);
+      return false;
     }
   }
 
-  return support;
-}
+  // Group event entries by interaction and keep the longest ones
+  handleEventEntries(entries) {
+    for (const entry of entries) {
+      try {
+        // Entries without an interactionId are not user interactions (e.g. mouseover)
+        if (!entry.interactionId) continue;
 
-// Check extension permissions
-function checkExtensionPermissions() {
-  const permissions = {
-    hasActiveTab: true, // Assume we have it if script is running
-    hasStorage: true, // Assume we have it if script is running
-    canAccessPage: true,
-    limitations: [],
-  };
+        // Ignore interactions from before the current SPA view or bfcache restore started
+        if (transitionType !== "navigation" && entry.startTime < navigationStart) continue;
 
-  try {
-    // Test storage access
-    if (typeof chrome === "undefined" || !chrome.runtime) {
-      permissions.hasActiveTab = false;
-      permissions.canAccessPage = false;
-      permissions.limitations.push("Chrome extension APIs not available");
-    }
+        this.interactionIds.add(entry.interactionId);
 
-    // Test if we can send messages
-    if (chrome.runtime && !chrome.runtime.sendMessage) {
-      permissions.hasActiveTab = false;
-      permissions.limitations.push("Cannot communicate with extension background");
-    }
+        const existing = this.interactions.get(entry.interactionId);
+        if (existing && entry.duration <= existing.duration) continue;
 
-    // Check for content script injection context
-    if (document.documentElement.getAttribute("data-extension-injected")) {
-      permissions.limitations.push("Multiple extension injections detected");
-    } else {
-      document.documentElement.setAttribute("data-extension-injected", "true");
+        const record = this.createInteractionRecord(entry);
+        this.interactions.set(entry.interactionId, record);
+        this.updateLongestInteractions(record);
+      } catch (entryError) {
+        console.warn("Error processing event timing entry:", entryError);
+      }
     }
-  } catch (error) {
-    permissions.hasActiveTab = false;
-    permissions.canAccessPage = false;
-    permissions.limitations.push(`Permission check error: ${error.message}`);
   }
 
-  return permissions;
-}
-
-// Initialize page and permission checks
-const pageSupport = detectPageSupport();
-const extensionPermissions = checkExtensionPermissions();
+  // Break an event entry down into its INP phases
+  createInteractionRecord(entry) {
+    const processingStart = entry.processingStart || entry.startTime;
+    const processingEnd = entry.processingEnd || processingStart;
+    const presentationTime = entry.startTime + entry.duration;
 
-// Initialize performance API support check
-const performanceSupport = checkPerformanceAPISupport();
+    return {
+      interactionId: entry.interactionId,
+      eventType: entry.name,
+      startTime: entry.startTime,
+      duration: entry.duration,
+      inputDelay: Math.max(0, processingStart - entry.startTime),
+      processingTime: Math.max(0, processingEnd - processingStart),
+      presentationDelay: Math.max(0, presentationTime - processingEnd),
+      target: entry.target ? generateElementSelector(entry.target) : null,
+    };
+  }
 
-// Validate navigation entry data with more lenient validation
-function validateNavigationEntry(entry) {
-  try {
-    if (!entry) {
-      console.warn("Navigation entry is null or undefined");
-      return false;
-    }
+  // Maintain a short list of the longest interactions for percentile calculation
+  updateLongestInteractions(record) {
+    this.longestInteractions = this.longestInteractions.filter(
+      (item) => item.interactionId !== record.interactionId
+    );
+    this.longestInteractions.push(record);
+    this.longestInteractions.sort((a, b) => b.duration - a.duration);
+    this.longestInteractions.splice(this.MAX_TRACKED_INTERACTIONS);
 
-    // Check for basic timing properties (more lenient approach)
-    const basicProps = ["startTime", "responseStart"];
-    for (const prop of basicProps) {
-      if (typeof entry[prop] !== "number") {
-        console.warn(`Navigation entry missing basic property: ${prop}`);
-        return false;
+    // Only the tracked interactions are needed once the list is full
+    if (this.interactions.size > this.MAX_TRACKED_INTERACTIONS * 5) {
+      const keep = new Set(this.longestInteractions.map((item) => item.interactionId));
+      for (const id of this.interactions.keys()) {
+        if (!keep.has(id)) this.interactions.delete(id);
       }
     }
+  }
 
-    // Only validate timing order if both values are valid numbers
-    if (typeof entry.responseStart === "number" && typeof entry.startTime === "number") {
-      if (entry.responseStart < entry.startTime && entry.responseStart > 0) {
-        console.warn("Invalid timing order: responseStart < startTime");
-        return false;
-      }
+  // Read the browser's interaction count, or null where performance.interactionCount is missing
+  readBrowserInteractionCount() {
+    return typeof performance.interactionCount === "number" ? performance.interactionCount : null;
+  }
+
+  // Count interactions in the current view. The browser's count includes interactions shorter
+  // than the durationThreshold, which never reach the observer
+  getInteractionCount() {
+    const browserCount = this.readBrowserInteractionCount();
+    if (browserCount !== null) {
+      return Math.max(browserCount - this.interactionCountOffset, this.interactionIds.size);
     }
+    return this.interactionIds.size;
+  }
 
-    // More lenient validation - don't fail if some properties are missing
-    console.log("Navigation entry validation passed");
-    return true;
-  } catch (error) {
-    console.error("Error validating navigation entry:", error);
-    // Don't fail completely on validation errors
-    return true; // Allow processing to continue
+  // Get the p98 interaction (ignores one outlier per 50 interactions)
+  getP98Interaction() {
+    if (this.longestInteractions.length === 0) return null;
+
+    const index = Math.min(
+      this.longestInteractions.length - 1,
+      Math.floor(this.getInteractionCount() / 50)
+    );
+    return this.longestInteractions[index];
   }
-}
 
-// Collect fallback metrics when Performance API is limited
-function collectFallbackMetrics() {
-  try {
-    console.log("Collecting fallback metrics due to API limitations");
+  // Get current INP value in seconds
+  getValue() {
+    const interaction = this.getP98Interaction();
+    return interaction ? interaction.duration / 1000 : 0;
+  }
 
-    const currentTime = Date.now();
-    const estimatedLoadTime = (performance.now() - navigationStart) / 1000;
+  // Get attribution for the current INP interaction in seconds
+  getAttribution() {
+    const interaction = this.getP98Interaction();
+    if (!interaction) return null;
 
-    const fallbackMetrics = {
-      TTFB: {
-        value: 0.1, // Conservative estimate
-        unit: "s",
-        estimated: true,
-      },
-      FCP: {
-        value: Math.min(estimatedLoadTime * 0.3, 2.0),
-        unit: "s",
-        estimated: true,
-      },
-      LCP: {
-        value: LCPTime || Math.min(estimatedLoadTime * 0.7, 4.0),
-        unit: "s",
-        estimated: !LCPTime,
-      },
-      CLS: {
-        value: clsObserverInstance.getValue(),
-        unit: "score",
-        estimated: false,
-      },
-      DOMLoadTime: {
-        value: Math.min(estimatedLoadTime * 0.8, 3.0),
-        unit: "s",
-        estimated: true,
-      },
-      NavigationTime: {
-        value: estimatedLoadTime,
-        unit: "s",
-        estimated: true,
-      },
-      timestamp: currentTime,
-      lastUpdated: currentTime,
-      url: window.location.href,
-      title: document.title,
-      transitionType: transitionType,
-      fallbackMode: true,
+    return {
+      eventType: interaction.eventType,
+      target: interaction.target,
+      startTime: interaction.startTime / 1000,
+      inputDelay: interaction.inputDelay / 1000,
+      processingTime: interaction.processingTime / 1000,
+      presentationDelay: interaction.presentationDelay / 1000,
     };
-
-    sendMetrics(fallbackMetrics);
-    sendErrorToBackground(
-      "fallback_metrics_used",
-      "Using estimated metrics due to API limitations"
-    );
-  } catch (error) {
-    console.error("Error collecting fallback metrics:", error);
-    sendErrorToBackground("fallback_metrics_error", error.message);
   }
-}
 
-// Validate page support before initializing observers
-function validatePageAndInitialize() {
-  // Check page support first
-  if (!pageSupport.isSupported) {
-    console.log(`Page not supported: ${pageSupport.reason}`);
-    sendUnsupportedPageMessage(pageSupport);
-    return false;
+  // Build the metric object reported with the other metrics
+  getMetric() {
+    return {
+      value: this.getValue(),
+      unit: "s",
+      interactionCount: this.getInteractionCount(),
+      attribution: this.getAttribution(),
+    };
   }
 
-  // Check extension permissions
-  if (!extensionPermissions.canAccessPage) {
-    console.log("Extension permissions insufficient");
-    sendPermissionErrorMessage(extensionPermissions);
-    return false;
+  // Evaluate INP threshold status using ThresholdEvaluator
+  getThresholdStatus() {
+    return ThresholdEvaluator.evaluateMetric("INP", this.getValue());
   }
 
-  // Check performance API support
-  if (!performanceSupport.performanceObserver && !performanceSupport.navigationTiming) {
-    console.log("Performance APIs not supported");
-    sendAPINotSupportedMessage(performanceSupport);
-    return false;
+  // Reset INP tracking (for SPA navigation)
+  reset() {
+    this.interactions.clear();
+    this.longestInteractions = [];
+    this.interactionIds.clear();
+    this.interactionCountOffset = this.readBrowserInteractionCount() || 0;
   }
 
-  // Log any limitations
-  const allLimitations = [...pageSupport.limitations, ...extensionPermissions.limitations];
-
-  if (allLimitations.length > 0) {
-    console.warn("Performance measurement limitations detected:", allLimitations);
-    sendLimitationsMessage(allLimitations);
+  // Disconnect the observer
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
   }
-
-  return true;
 }
 
-// Send unsupported page message
-function sendUnsupportedPageMessage(support) {
-  try {
-    chrome.runtime.sendMessage({
-      type: "pageNotSupported",
-      pageType: support.pageType,
-      reason: support.reason,
-      url: window.location.href,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    console.warn("Could not send unsupported page message:", error);
-  }
+// Public suffixes with more than one label, a hand-picked subset of the Public Suffix List
+// covering common country second-level domains and shared hosting platforms. Suffixes not
+// listed here fall back to the last two labels, so rarer ones can still merge unrelated sites
+const MULTI_LABEL_PUBLIC_SUFFIXES = new Set([
+  // Country second-level domains
+  "co.uk",
+  "org.uk",
+  "ac.uk",
+  "gov.uk",
+  "me.uk",
+  "ltd.uk",
+  "plc.uk",
+  "net.uk",
+  "sch.uk",
+  "com.au",
+  "net.au",
+  "org.au",
+  "edu.au",
+  "gov.au",
+  "asn.au",
+  "id.au",
+  "co.nz",
+  "net.nz",
+  "org.nz",
+  "govt.nz",
+  "ac.nz",
+  "co.jp",
+  "ne.jp",
+  "or.jp",
+  "ac.jp",
+  "go.jp",
+  "gr.jp",
+  "co.kr",
+  "or.kr",
+  "ne.kr",
+  "go.kr",
+  "com.br",
+  "net.br",
+  "org.br",
+  "gov.br",
+  "edu.br",
+  "com.cn",
+  "net.cn",
+  "org.cn",
+  "gov.cn",
+  "edu.cn",
+  "com.hk",
+  "com.tw",
+  "com.sg",
+  "com.my",
+  "com.ph",
+  "com.vn",
+  "co.th",
+  "co.id",
+  "co.in",
+  "net.in",
+  "org.in",
+  "gov.in",
+  "ac.in",
+  "co.za",
+  "org.za",
+  "co.il",
+  "org.il",
+  "co.ke",
+  "com.ng",
+  "com.eg",
+  "com.sa",
+  "com.mx",
+  "com.ar",
+  "com.co",
+  "com.pe",
+  "com.tr",
+  "com.ua",
+  "com.pl",
+  "com.es",
+  // Shared hosting platforms where each subdomain is a separate site
+  "github.io",
+  "gitlab.io",
+  "netlify.app",
+  "vercel.app",
+  "pages.dev",
+  "workers.dev",
+  "web.app",
+  "firebaseapp.com",
+  "appspot.com",
+  "herokuapp.com",
+  "azurewebsites.net",
+  "cloudfront.net",
+  "onrender.com",
+  "fly.dev",
+  "blogspot.com",
+  "wordpress.com",
+]);
+
+// Registrable domain ("site") of a hostname, e.g. shop.example.co.uk -> example.co.uk
+function getRegistrableDomain(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, "");
+
+  // IP addresses and single-label hosts (localhost) have no registrable domain
+  if (/^[\d.]+$/.test(host) || host.includes(":") || !host.includes(".")) return host;
+
+  // Longest listed suffix wins; the site is that suffix plus one more label
+  const labels = host.split(".");
+  for (let i = 1; i < labels.length - 1; i++) {
+    if (MULTI_LABEL_PUBLIC_SUFFIXES.has(labels.slice(i).join("."))) {
+      return labels.slice(i - 1).join(".");
+    }
+  }
+  return labels.slice(-2).join(".");
 }
 
-// Send permission error message
-function sendPermissionErrorMessage(permissions) {
+// Resolve a URL's origin and whether it belongs to a different site than the page
+function getOriginInfo(url) {
   try {
-    chrome.runtime.sendMessage({
-      type: "permissionError",
-      limitations: permissions.limitations,
-      url: window.location.href,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    console.warn("Could not send permission error message:", error);
-  }
-}
+    if (!url) return null;
 
-// Send API not supported message
-function sendAPINotSupportedMessage(support) {
-  try {
-    chrome.runtime.sendMessage({
-      type: "apiNotSupported",
-      missingAPIs: {
-        performanceObserver: !support.performanceObserver,
-        navigationTiming: !support.navigationTiming,
-        performanceNow: !support.performanceNow,
-      },
-      userAgent: navigator.userAgent,
-      url: window.location.href,
-      timestamp: Date.now(),
-    });
+    const parsed = new URL(url, window.location.href);
+    if (!parsed.protocol.startsWith("http")) return null;
+
+    // Compare registrable domains so subdomains of the page's site stay first-party
+    const isThirdParty =
+      getRegistrableDomain(parsed.hostname) !== getRegistrableDomain(window.location.hostname);
+
+    return { origin: parsed.origin, hostname: parsed.hostname, isThirdParty };
   } catch (error) {
-    console.warn("Could not send API not supported message:", error);
+    return null;
   }
 }
 
-// Send limitations message
-function sendLimitationsMessage(limitations) {
+// Look up the company behind a hostname in the bundled THIRD_PARTY_ENTITIES map
+const thirdPartyEntityCache = new Map();
+function getThirdPartyEntity(hostname) {
+  if (!hostname) return null;
+  if (thirdPartyEntityCache.has(hostname)) return thirdPartyEntityCache.get(hostname);
+
+  let match = null;
   try {
-    chrome.runtime.sendMessage({
-      type: "performanceLimitations",
-      limitations: limitations,
-      url: window.location.href,
-      timestamp: Date.now(),
-    });
+    const entities = typeof THIRD_PARTY_ENTITIES !== "undefined" ? THIRD_PARTY_ENTITIES : [];
+    match =
+      entities.find((entity) =>
+        entity.domains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`))
+      ) || null;
   } catch (error) {
-    console.warn("Could not send limitations message:", error);
+    console.warn("Error looking up third-party entity:", error);
   }
+
+  thirdPartyEntityCache.set(hostname, match);
+  return match;
 }
 
-// Initialize based on page support validation
-let clsObserverInstance = null;
-let isInitialized = false;
+// LongAnimationFrameObserver class for main-thread blocking with script attribution
+class LongAnimationFrameObserver {
+  constructor() {
+    this.observer = null;
+    this.entryType = null; // "long-animation-frame" or "longtask"
+    this.frames = [];
+    this.frameTimings = []; // Timings up to TTI, so TBT never loses early frames
+    this.lastLongFrameEnd = 0; // ms, end of the latest frame kept in frameTimings
+    this.ttiReached = false;
+    this.scriptStats = new Map(); // script URL -> aggregated attribution
+    this.originStats = new Map(); // third-party origin -> aggregated attribution
+    this.frameCount = 0;
+    this.totalDuration = 0;
+    this.totalBlockingDuration = 0;
+    this.longestFrame = null;
+    this.isSupported = this.checkSupport();
+    this.errorState = null;
 
-// Detect page reloads and clear extension state
-let pageLoadStartTime = Date.now();
-let isPageReload = false;
+    // Configuration
+    this.BLOCKING_THRESHOLD = 50; // ms, work beyond this blocks input
+    this.MAX_STORED_FRAMES = 300; // Bound memory on long-lived pages
+    this.MAX_TIMING_FRAMES = 2000; // Pages that never go quiet stop adding TBT frames here
+    this.TTI_QUIET_WINDOW = 5000; // ms without long work, as in TTI
+    this.UNATTRIBUTED_SCRIPT = "(inline or unattributed)";
+  }
 
-// Check if this is a page reload (not SPA navigation)
-function detectPageReload() {
-  // Check if the page was loaded recently (within last 2 seconds)
-  const timeSinceLoad = Date.now() - pageLoadStartTime;
+  // Check for Long Animation Frames, falling back to Long Tasks
+  checkSupport() {
+    try {
+      if (!("PerformanceObserver" in window) || !PerformanceObserver.supportedEntryTypes) {
+        this.errorState = "PerformanceObserver API not available";
+        return false;
+      }
 
-  // Check performance navigation type
-  const navigationEntries = performance.getEntriesByType("navigation");
-  if (navigationEntries.length > 0) {
-    const navEntry = navigationEntries[0];
-    isPageReload = navEntry.type === "reload" || navEntry.type === "navigate";
+      if (PerformanceObserver.supportedEntryTypes.includes("long-animation-frame")) {
+        this.entryType = "long-animation-frame";
+        return true;
+      }
 
-    if (isPageReload) {
-      console.log("Page reload detected, resetting all extension state");
-      resetAndCollectMetrics(false, "page_reload");
+      if (PerformanceObserver.supportedEntryTypes.includes("longtask")) {
+        this.entryType = "longtask";
+        return true;
+      }
+
+      this.errorState = "Long animation frame and long task measurement not supported by browser";
+      return false;
+    } catch (error) {
+      this.errorState = `Error checking long animation frame support: ${error.message}`;
+      return false;
     }
   }
 
-  return isPageReload;
-}
+  // Start observing long frames (or long tasks)
+  observe() {
+    if (!this.isSupported) {
+      console.warn(`Long animation frame observation not supported: ${this.errorState}`);
+      sendErrorToBackground("loaf_not_supported", this.errorState);
+      return false;
+    }
 
-// Send loading state immediately when script starts
-chrome.runtime.sendMessage({ type: "metricsLoading" });
+    try {
+      this.disconnect();
 
-// Listen for page load events
-document.addEventListener("DOMContentLoaded", () => {
-  console.log("DOMContentLoaded event - checking for page reload");
-  detectPageReload();
-});
+      this.observer = new PerformanceObserver((list) => {
+        try {
+          list.getEntries().forEach((entry) => this.handleEntry(entry));
+        } catch (error) {
+          console.error("Error processing long animation frame entries:", error);
+        }
+      });
 
-// Also check on window load
-window.addEventListener("load", () => {
-  console.log("Window load event - checking for page reload");
-  detectPageReload();
-});
+      this.observer.observe({ type: this.entryType, buffered: true });
+      console.log(`Long animation frame observer started (${this.entryType})`);
+      return true;
+    } catch (error) {
+      console.error("Failed to start long animation frame observer:", error);
+      this.errorState = `Long animation frame observer error: ${error.message}`;
+      sendErrorToBackground("loaf_observer_error", this.errorState);
+      return false;
+    }
+  }
 
-// Add a simple test function to trigger performance analysis
-window.testPerformanceAnalysis = function () {
-  console.log("=== Testing Performance Analysis ===");
+  // Record a single long animation frame or long task
+  handleEntry(entry) {
+    // Frames from before an SPA transition or bfcache restore belong to the previous view
+    if (transitionType !== "navigation" && entry.startTime < navigationStart) return;
 
-  try {
-    // Test direct DOM analysis
-    const headScripts = document.head ? document.head.querySelectorAll("script") : [];
-    const headLinks = document.head ? document.head.querySelectorAll("link") : [];
+    const scripts =
+      this.entryType === "long-animation-frame"
+        ? this.extractFrameScripts(entry)
+        : this.extractTaskAttribution(entry);
 
-    console.log("DOM Elements Found:", {
-      headScripts: headScripts.length,
-      headLinks: headLinks.length,
-      deferScripts: Array.from(headScripts).filter((s) => s.hasAttribute("defer")).length,
-      asyncScripts: Array.from(headScripts).filter((s) => s.hasAttribute("async")).length,
-      stylesheets: Array.from(headLinks).filter((l) => l.rel && l.rel.includes("stylesheet"))
-        .length,
-      preloads: Array.from(headLinks).filter((l) => l.rel === "preload").length,
-    });
+    const blockingDuration =
+      typeof entry.blockingDuration === "number"
+        ? entry.blockingDuration
+        : Math.max(0, entry.duration - this.BLOCKING_THRESHOLD);
 
-    // Test performance recommendations if available
-    if (typeof PerformanceRecommendationAnalyzer !== "undefined") {
-      const analyzer = new PerformanceRecommendationAnalyzer();
-      console.log("Starting performance analysis...");
+    const frame = {
+      startTime: entry.startTime,
+      duration: entry.duration,
+      blockingDuration: blockingDuration,
+      renderStart: entry.renderStart || null,
+      styleAndLayoutStart: entry.styleAndLayoutStart || null,
+      scripts: scripts,
+    };
 
-      analyzer
-        .analyzePerformance()
-        .then((results) => {
-          console.log("✅ Performance Analysis Results:", results);
-        })
-        .catch((error) => {
-          console.error("❌ Performance Analysis Failed:", error);
+    this.frameCount++;
+    this.totalDuration += entry.duration;
+    this.totalBlockingDuration += blockingDuration;
+    if (!this.longestFrame || entry.duration > this.longestFrame.duration) {
+      this.longestFrame = frame;
+    }
+
+    this.frames.push(frame);
+    if (this.frames.length > this.MAX_STORED_FRAMES) {
+      this.frames.shift();
+    }
+
+    // Frames after the TTI quiet window can't change TBT, so only those before it are kept.
+    // Only a gap between frames closes the window: buffered entries can arrive long after
+    if (!this.ttiReached && this.frameTimings.length < this.MAX_TIMING_FRAMES) {
+      const quietSince = Math.max(this.lastLongFrameEnd, FCPTime * 1000);
+      if (FCPTime && entry.startTime - quietSince >= this.TTI_QUIET_WINDOW) {
+        this.ttiReached = true;
+      } else {
+        this.frameTimings.push({
+          startTime: entry.startTime,
+          duration: entry.duration,
+          blockingDuration: blockingDuration,
         });
-    } else {
-      console.log("PerformanceRecommendationAnalyzer not available");
+        this.lastLongFrameEnd = Math.max(this.lastLongFrameEnd, entry.startTime + entry.duration);
+      }
     }
-  } catch (error) {
-    console.error("Test failed:", error);
+
+    scripts.forEach((script) => this.aggregateScript(script));
   }
-};
 
-// Add a test function specifically for cache analysis
-window.testCacheAnalysis = function () {
-  console.log("=== Testing Cache Analysis ===");
+  // Per-script attribution from a long-animation-frame entry
+  extractFrameScripts(entry) {
+    if (!entry.scripts || entry.scripts.length === 0) return [];
 
-  try {
-    if (typeof PerformanceRecommendationAnalyzer !== "undefined") {
-      const analyzer = new PerformanceRecommendationAnalyzer();
+    return Array.from(entry.scripts).map((script) => ({
+      sourceURL: script.sourceURL || "",
+      sourceFunctionName: script.sourceFunctionName || "",
+      invoker: script.invoker || "",
+      invokerType: script.invokerType || "",
+      duration: script.duration || 0,
+      forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration || 0,
+    }));
+  }
 
-      console.log("Testing header fetching...");
-      analyzer
-        .tryFetchActualHeaders()
-        .then((headers) => {
-          console.log("Headers fetched:", headers);
+  // Long tasks only expose the container, so attribute the whole task to it
+  extractTaskAttribution(entry) {
+    const attribution = entry.attribution && entry.attribution[0];
 
-          if (headers) {
-            return analyzer.analyzeCacheHeaders(headers);
-          } else {
-            console.log("No headers available, testing fallback...");
-            return analyzer.analyzeCacheHeaders(null);
+    return [
+      {
+        sourceURL: attribution && attribution.containerSrc ? attribution.containerSrc : "",
+        sourceFunctionName: "",
+        invoker: entry.name || "",
+        invokerType: attribution ? attribution.containerType || "" : "",
+        duration: entry.duration,
+        forcedStyleAndLayoutDuration: 0,
+      },
+    ];
+  }
+
+  // Add a script's time to the per-URL and per-third-party-origin totals
+  aggregateScript(script) {
+    const url = script.sourceURL || this.UNATTRIBUTED_SCRIPT;
+    const originInfo = getOriginInfo(script.sourceURL);
+
+    let stats = this.scriptStats.get(url);
+    if (!stats) {
+      stats = {
+        url: url,
+        origin: originInfo ? originInfo.origin : null,
+        isThirdParty: originInfo ? originInfo.isThirdParty : false,
+        totalDuration: 0,
+        invocations: 0,
+        functionNames: new Set(),
+        invokers: new Set(),
+      };
+      this.scriptStats.set(url, stats);
+    }
+
+    stats.totalDuration += script.duration;
+    stats.invocations++;
+    if (script.sourceFunctionName) stats.functionNames.add(script.sourceFunctionName);
+    if (script.invoker) stats.invokers.add(script.invoker);
+
+    if (originInfo && originInfo.isThirdParty) {
+      let originStats = this.originStats.get(originInfo.origin);
+      if (!originStats) {
+        originStats = {
+          origin: originInfo.origin,
+          totalDuration: 0,
+          invocations: 0,
+          scripts: new Set(),
+        };
+        this.originStats.set(originInfo.origin, originStats);
+      }
+
+      originStats.totalDuration += script.duration;
+      originStats.invocations++;
+      originStats.scripts.add(url);
+    }
+  }
+
+  // Get scripts sorted by main-thread time
+  getScriptSummary(limit = 10) {
+    return Array.from(this.scriptStats.values())
+      .sort((a, b) => b.totalDuration - a.totalDuration)
+      .slice(0, limit)
+      .map((stats) => ({
+        url: stats.url,
+        origin: stats.origin,
+        isThirdParty: stats.isThirdParty,
+        totalDuration: Math.round(stats.totalDuration),
+        invocations: stats.invocations,
+        functionNames: Array.from(stats.functionNames).slice(0, 5),
+        invokers: Array.from(stats.invokers).slice(0, 5),
+      }));
+  }
+
+  // Get third-party origins sorted by main-thread time
+  getThirdPartySummary(limit = 10) {
+    return Array.from(this.originStats.values())
+      .sort((a, b) => b.totalDuration - a.totalDuration)
+      .slice(0, limit)
+      .map((stats) => ({
+        origin: stats.origin,
+        totalDuration: Math.round(stats.totalDuration),
+        invocations: stats.invocations,
+        scriptCount: stats.scripts.size,
+      }));
+  }
+
+  // Get the full summary used by analyzeScripts (durations in ms)
+  getSummary() {
+    return {
+      entryType: this.entryType,
+      supported: this.isSupported,
+      scriptAttribution: this.entryType === "long-animation-frame",
+      frameCount: this.frameCount,
+      totalDuration: Math.round(this.totalDuration),
+      totalBlockingDuration: Math.round(this.totalBlockingDuration),
+      longestFrame: this.longestFrame
+        ? {
+            startTime: Math.round(this.longestFrame.startTime),
+            duration: Math.round(this.longestFrame.duration),
+            blockingDuration: Math.round(this.longestFrame.blockingDuration),
+            renderStart: this.longestFrame.renderStart
+              ? Math.round(this.longestFrame.renderStart)
+              : null,
+            scripts: this.longestFrame.scripts.slice(0, 5),
           }
-        })
-        .then((cacheResults) => {
-          console.log("✅ Cache Analysis Results:", cacheResults);
-        })
-        .catch((error) => {
-          console.error("❌ Cache Analysis Failed:", error);
-        });
+        : null,
+      scripts: this.getScriptSummary(),
+      thirdPartyOrigins: this.getThirdPartySummary(),
+    };
+  }
 
-      // Also test the integrated cache analysis method
-      console.log("Testing integrated cache analysis...");
-      analyzer
-        .analyzeCache()
-        .then((integratedResults) => {
-          console.log("✅ Integrated Cache Analysis Results:", integratedResults);
-        })
-        .catch((error) => {
-          console.error("❌ Integrated Cache Analysis Failed:", error);
-        });
-    } else {
-      console.log("PerformanceRecommendationAnalyzer not available");
-    }
-  } catch (error) {
-    console.error("Cache test failed:", error);
+  // Get recorded frames (startTime, duration, blockingDuration in ms)
+  getFrames() {
+    return this.frames;
   }
-};
 
-// Test function for debugging DOM analysis
-window.testDOMAnalysis = function () {
-  console.log("=== DOM Analysis Test ===");
+  // TTI-like point: end of the last long frame before the first 5s quiet window after FCP
+  findTTI(fcpTime) {
+    const tasks = this.frameTimings
+      .filter((frame) => frame.startTime + frame.duration > fcpTime)
+      .sort((a, b) => a.startTime - b.startTime);
 
-  // Test direct DOM queries
-  const headScripts = document.head ? document.head.querySelectorAll("script") : [];
-  const headLinks = document.head ? document.head.querySelectorAll("link") : [];
-  const bodyScripts = document.body ? document.body.querySelectorAll("script") : [];
+    let tti = fcpTime;
+    let quietWindowObserved = false; // A later frame started 5s after the last one ended
+    for (const task of tasks) {
+      if (task.startTime - tti >= this.TTI_QUIET_WINDOW) {
+        quietWindowObserved = true;
+        break;
+      }
+      tti = Math.max(tti, task.startTime + task.duration);
+    }
+    const quietWindowFound =
+      quietWindowObserved || performance.now() - tti >= this.TTI_QUIET_WINDOW;
 
-  console.log("Direct DOM queries:", {
-    headScripts: headScripts.length,
-    headLinks: headLinks.length,
-    bodyScripts: bodyScripts.length,
-  });
+    return { tti, quietWindowFound, quietWindowObserved, tasks };
+  }
 
-  // Test script attributes
-  console.log("Head scripts details:");
-  Array.from(headScripts).forEach((script, i) => {
-    console.log(`Script ${i}:`, {
-      src: script.src || "(inline)",
-      defer: script.defer,
-      async: script.async,
-      type: script.type,
-      hasDefer: script.hasAttribute("defer"),
-      hasAsync: script.hasAttribute("async"),
-    });
-  });
+  // Total Blocking Time between FCP and a TTI-like quiet window (all times in ms)
+  calculateTotalBlockingTime(fcpTime) {
+    const { tti, quietWindowFound, tasks } = this.findTTI(fcpTime);
 
-  // Test link attributes
-  console.log("Head links details:");
-  Array.from(headLinks)
-    .slice(0, 5)
-    .forEach((link, i) => {
-      console.log(`Link ${i}:`, {
-        href: link.href,
-        rel: link.rel,
-        as: link.getAttribute("as"),
-        type: link.type,
-      });
+    let totalBlockingTime = 0;
+    const blockingTasks = [];
+    tasks.forEach((task) => {
+      // Only the part of each task inside [FCP, TTI] counts, capped by the frame's own
+      // blockingDuration (LoAF sums the blocking of its long tasks, not duration - 50)
+      const start = Math.max(task.startTime, fcpTime);
+      const end = Math.min(task.startTime + task.duration, tti);
+      const clipped = end - start < task.duration;
+      const blocking = clipped
+        ? Math.min(task.blockingDuration, Math.max(0, end - start - this.BLOCKING_THRESHOLD))
+        : task.blockingDuration;
+      if (end > start) {
+        totalBlockingTime += blocking;
+        blockingTasks.push({ start, duration: end - start, blocking });
+      }
     });
-};
-
-if (validatePageAndInitialize()) {
-  console.log("Initializing performance measurement...");
-
-  // Send loading state to background
-  chrome.runtime.sendMessage({ type: "metricsLoading" });
-
-  // Initialize CLS observer
-  clsObserverInstance = new CLSObserver();
 
-  // Initialize LCP observer
-  lcpObserver = observeLCP();
+    return { totalBlockingTime, tti, quietWindowFound, tasks: blockingTasks };
+  }
 
-  // Start CLS observation
-  if (clsObserverInstance) {
-    clsObserverInstance.observe();
+  // Reset tracking (for SPA navigation)
+  reset() {
+    this.frames = [];
+    this.frameTimings = [];
+    this.lastLongFrameEnd = 0;
+    this.ttiReached = false;
+    this.scriptStats.clear();
+    this.originStats.clear();
+    this.frameCount = 0;
+    this.totalDuration = 0;
+    this.totalBlockingDuration = 0;
+    this.longestFrame = null;
   }
 
-  isInitialized = true;
-} else {
-  console.log("Skipping performance measurement initialization due to page/permission issues");
-  // Send error state for unsupported pages
-  chrome.runtime.sendMessage({
-    type: "metricsError",
-    errorType: "page_not_supported",
-    errorMessage: "Page type not supported for performance measurement",
-  });
+  // Disconnect the observer
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
 }
 
-// CLS Visual Debugging System
-class CLSDebugger {
+// Resource timing collector for the waterfall view and resource-level audits
+class ResourceTimingCollector {
   constructor() {
-    this.isEnabled = false;
-    this.overlayElement = null;
-    this.highlightedElements = [];
-    this.currentCLS = 0;
-    this.shiftingSources = [];
-
-    // Styling constants
-    this.OVERLAY_STYLES = {
-      position: "fixed",
-      top: "10px",
-      right: "10px",
-      zIndex: "999999",
-      backgroundColor: "rgba(0, 0, 0, 0.8)",
-      color: "white",
-      padding: "8px 12px",
-      borderRadius: "4px",
-      fontFamily: "monospace",
-      fontSize: "12px",
-      fontWeight: "bold",
-      pointerEvents: "none",
-      transition: "background-color 0.3s ease",
-    };
+    this.observer = null;
+    this.entries = new Map(); // url@startTime -> summarized entry
+    this.isSupported = this.checkSupport();
+    this.errorState = null;
 
-    this.HIGHLIGHT_STYLES = {
-      outline: "2px solid red",
-      outlineOffset: "2px",
-      backgroundColor: "rgba(255, 0, 0, 0.1)",
-      transition: "all 0.3s ease",
-    };
+    // Configuration
+    this.MAX_STORED_ENTRIES = 1000; // Bound memory on pages that keep fetching
   }
 
-  // Enable visual debugging
-  enableVisualDebugging() {
-    if (this.isEnabled) return;
+  // Check if resource timing entries can be observed
+  checkSupport() {
+    try {
+      if (!("PerformanceObserver" in window) || !PerformanceObserver.supportedEntryTypes) {
+        this.errorState = "PerformanceObserver API not available";
+        return false;
+      }
 
-    this.isEnabled = true;
-    this.createCLSOverlay();
-    this.updateCLSScore(this.currentCLS);
+      if (!PerformanceObserver.supportedEntryTypes.includes("resource")) {
+        this.errorState = "Resource timing not supported by browser";
+        return false;
+      }
 
-    console.log("CLS Visual Debugging enabled");
+      return true;
+    } catch (error) {
+      this.errorState = `Error checking resource timing support: ${error.message}`;
+      return false;
+    }
   }
 
-  // Disable visual debugging
-  disableVisualDebugging() {
-    if (!this.isEnabled) return;
+  // Start observing resource entries, including those buffered before document_start ran
+  observe() {
+    if (!this.isSupported) {
+      console.warn(`Resource timing observation not supported: ${this.errorState}`);
+      sendErrorToBackground("resource_timing_not_supported", this.errorState);
+      return false;
+    }
 
-    this.isEnabled = false;
-    this.removeCLSOverlay();
-    this.clearHighlights();
+    try {
+      this.disconnect();
 
-    console.log("CLS Visual Debugging disabled");
-  }
+      this.observer = new PerformanceObserver((list) => {
+        try {
+          list.getEntries().forEach((entry) => this.handleEntry(entry));
+        } catch (error) {
+          console.error("Error processing resource timing entries:", error);
+        }
+      });
 
-  // Create the floating CLS overlay
-  createCLSOverlay() {
-    if (this.overlayElement) {
-      this.removeCLSOverlay();
+      this.observer.observe({ type: "resource", buffered: true });
+      console.log("Resource timing collector started");
+      return true;
+    } catch (error) {
+      console.error("Failed to start resource timing collector:", error);
+      this.errorState = `Resource timing observer error: ${error.message}`;
+      sendErrorToBackground("resource_timing_observer_error", this.errorState);
+      return false;
     }
+  }
 
-    this.overlayElement = document.createElement("div");
-    this.overlayElement.id = "cls-debug-overlay";
+  // Store a single resource entry
+  handleEntry(entry) {
+    if (this.entries.size >= this.MAX_STORED_ENTRIES) return;
 
-    // Apply styles
-    Object.assign(this.overlayElement.style, this.OVERLAY_STYLES);
+    const key = `${entry.name}@${entry.startTime}`;
+    if (!this.entries.has(key)) {
+      this.entries.set(key, this.summarizeEntry(entry));
+    }
+  }
 
-    // Add to document
-    document.body.appendChild(this.overlayElement);
+  // Reduce a PerformanceResourceTiming entry to timing phases and sizes (ms and bytes)
+  summarizeEntry(entry) {
+    // Cross-origin resources without Timing-Allow-Origin report 0 for detailed timestamps
+    const span = (start, end) => (start > 0 && end >= start ? end - start : 0);
+    const tlsUsed = entry.secureConnectionStart > 0;
 
-    // Update initial content
-    this.updateOverlayContent();
+    return {
+      url: entry.name,
+      initiatorType: entry.initiatorType,
+      startTime: entry.startTime,
+      responseEnd: entry.responseEnd,
+      duration: entry.duration,
+      phases: {
+        redirect: span(entry.redirectStart, entry.redirectEnd),
+        queueing: span(entry.startTime, entry.domainLookupStart || entry.fetchStart),
+        dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+        connect: span(entry.connectStart, tlsUsed ? entry.secureConnectionStart : entry.connectEnd),
+        tls: tlsUsed ? span(entry.secureConnectionStart, entry.connectEnd) : 0,
+        requestWait: span(entry.requestStart, entry.responseStart),
+        download: span(entry.responseStart, entry.responseEnd),
+      },
+      transferSize: entry.transferSize || 0,
+      encodedBodySize: entry.encodedBodySize || 0,
+      decodedBodySize: entry.decodedBodySize || 0,
+      renderBlockingStatus: entry.renderBlockingStatus || null,
+      nextHopProtocol: entry.nextHopProtocol || null,
+      responseStatus: entry.responseStatus || null,
+      contentType: entry.contentType || null,
+      timingAllowed: entry.responseStart > 0,
+      serverTiming: getServerTimingEntries(entry),
+    };
   }
 
-  // Remove the CLS overlay
-  removeCLSOverlay() {
-    if (this.overlayElement && this.overlayElement.parentNode) {
-      this.overlayElement.parentNode.removeChild(this.overlayElement);
-      this.overlayElement = null;
-    }
+  // Get collected entries in load order
+  getEntries() {
+    return Array.from(this.entries.values()).sort((a, b) => a.startTime - b.startTime);
   }
 
-  // Update CLS score and overlay
-  updateCLSScore(score) {
-    const previousScore = this.currentCLS;
-    this.currentCLS = score;
-
-    if (this.isEnabled && this.overlayElement) {
-      this.updateOverlayContent();
-      this.updateOverlayColor();
+  // Reset collected entries
+  reset() {
+    this.entries.clear();
+  }
 
-      // Log score changes if debugging is enabled
-      if (previousScore !== score) {
-        console.log(`📊 CLS Score Updated: ${previousScore.toFixed(4)} → ${score.toFixed(4)}`);
-      }
+  // Disconnect the observer
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
     }
   }
+}
 
-  // Update overlay content
-  updateOverlayContent() {
-    if (!this.overlayElement) return;
+// Error handling utilities
+function sendErrorToBackground(errorType, errorMessage) {
+  try {
+    chrome.runtime.sendMessage({
+      type: "metricsError",
+      errorType: errorType,
+      errorMessage: errorMessage,
+      timestamp: Date.now(),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+    });
+  } catch (error) {
+    console.warn("Failed to send error to background:", error);
+  }
+}
 
-    const thresholdStatus = ThresholdEvaluator.evaluateMetric("CLS", this.currentCLS);
-    const statusText = thresholdStatus.accessibleText;
+// Check if Performance API is available
+function checkPerformanceAPISupport() {
+  const support = {
+    performanceObserver: "PerformanceObserver" in window,
+    supportedEntryTypes: PerformanceObserver?.supportedEntryTypes || [],
+    navigationTiming: "performance" in window && "timing" in performance,
+    performanceNow: "performance" in window && "now" in performance,
+  };
 
-    this.overlayElement.textContent = `CLS: ${this.currentCLS.toFixed(3)} (${statusText})`;
+  if (!support.performanceObserver) {
+    sendErrorToBackground("api_not_supported", "PerformanceObserver API not available");
   }
 
-  // Update overlay color based on CLS thresholds
-  updateOverlayColor() {
-    if (!this.overlayElement) return;
+  if (!support.navigationTiming) {
+    sendErrorToBackground("api_not_supported", "Navigation Timing API not available");
+  }
 
-    const thresholds = CWV_THRESHOLDS.CLS;
-    let backgroundColor;
+  return support;
+}
 
-    if (this.currentCLS <= thresholds.good) {
-      backgroundColor = "rgba(0, 128, 0, 0.8)"; // Green
-    } else if (this.currentCLS <= thresholds.needsImprovement) {
-      backgroundColor = "rgba(255, 165, 0, 0.8)"; // Orange
-    } else {
-      backgroundColor = "rgba(255, 0, 0, 0.8)"; // Red
-    }
-
-    this.overlayElement.style.backgroundColor = backgroundColor;
-  }
-
-  // Highlight elements causing layout shifts
-  highlightShiftingSources(sources) {
-    if (!this.isEnabled) return;
+// Page support detection
+function detectPageSupport() {
+  const url = window.location.href;
+  const protocol = window.location.protocol;
+  const hostname = window.location.hostname;
 
-    // Clear previous highlights
-    this.clearHighlights();
+  const support = {
+    isSupported: true,
+    reason: null,
+    pageType: "web",
+    limitations: [],
+  };
 
-    // Store new sources
-    this.shiftingSources = sources || [];
+  // Check for unsupported page types
+  if (protocol === "chrome:" || protocol === "chrome-extension:") {
+    support.isSupported = false;
+    support.reason = "Chrome internal pages and extensions are not supported";
+    support.pageType = "chrome-internal";
+  } else if (protocol === "moz-extension:" || protocol === "safari-extension:") {
+    support.isSupported = false;
+    support.reason = "Browser extension pages are not supported";
+    support.pageType = "browser-extension";
+  } else if (protocol === "file:") {
+    support.isSupported = false;
+    support.reason = "Local file pages have limited performance measurement capabilities";
+    support.pageType = "local-file";
+  } else if (protocol === "about:" || protocol === "edge:") {
+    support.isSupported = false;
+    support.reason = "Browser internal pages are not supported";
+    support.pageType = "browser-internal";
+  } else if (url.includes("chrome-search://") || url.includes("chrome-devtools://")) {
+    support.isSupported = false;
+    support.reason = "Chrome special pages are not supported";
+    support.pageType = "chrome-special";
+  } else if (protocol !== "http:" && protocol !== "https:") {
+    support.isSupported = false;
+    support.reason = `Protocol ${protocol} is not supported for performance measurement`;
+    support.pageType = "unsupported-protocol";
+  }
 
-    // Highlight each source element
-    this.shiftingSources.forEach((source) => {
-      if (source.node && source.node.nodeType === Node.ELEMENT_NODE) {
-        this.highlightElement(source.node, source);
-      }
-    });
+  // Check for limited support scenarios
+  if (support.isSupported) {
+    if (protocol === "http:") {
+      support.limitations.push("HTTP pages may have limited performance API access");
+    }
 
-    // Enhanced console logging with detailed shift information
-    if (this.shiftingSources.length > 0) {
-      console.group("🔴 CLS Layout Shift Detected");
-      console.log(`Total CLS Score: ${this.currentCLS.toFixed(4)}`);
-      console.log(`Shift Sources: ${this.shiftingSources.length}`);
+    if (hostname === "localhost" || hostname === "127.0.0.1" || hostname.endsWith(".local")) {
+      support.limitations.push(
+        "Local development servers may have different performance characteristics"
+      );
+    }
 
-      this.shiftingSources.forEach((source, index) => {
-        console.group(`Source ${index + 1} (Value: ${source.value.toFixed(4)})`);
-        console.log("Element:", source.node);
-        console.log("Shift Value:", source.value);
-        console.log("Had Recent Input:", source.hadRecentInput);
-        console.log("Start Time:", `${source.startTime.toFixed(2)}ms`);
+    // Check for iframe context
+    if (window !== window.top) {
+      support.limitations.push("Performance measurement in iframes may be limited");
+    }
+  }
 
-        // Log element details
-        if (source.node) {
-          console.log("Tag Name:", source.node.tagName);
-          console.log("Class List:", source.node.className);
-          console.log("ID:", source.node.id || "none");
+  return support;
+}
 
-          // Log element dimensions if available
-          try {
-            const rect = source.node.getBoundingClientRect();
-            console.log("Dimensions:", {
-              width: rect.width,
-              height: rect.height,
-              top: rect.top,
-              left: rect.left,
-            });
-          } catch (e) {
-            console.log("Dimensions: Unable to calculate");
-          }
-        }
+// Check extension permissions
+function checkExtensionPermissions() {
+  const permissions = {
+    hasActiveTab: true, // Assume we have it if script is running
+    hasStorage: true, // Assume we have it if script is running
+    canAccessPage: true,
+    limitations: [],
+  };
 
-        console.groupEnd();
-      });
+  try {
+    // Test storage access
+    if (typeof chrome === "undefined" || !chrome.runtime) {
+      permissions.hasActiveTab = false;
+      permissions.canAccessPage = false;
+      permissions.limitations.push("Chrome extension APIs not available");
+    }
 
-      // Log threshold status
-      const thresholdStatus = ThresholdEvaluator.evaluateMetric("CLS", this.currentCLS);
-      console.log(`Threshold Status: ${thresholdStatus.accessibleText} (${thresholdStatus.color})`);
+    // Test if we can send messages
+    if (chrome.runtime && !chrome.runtime.sendMessage) {
+      permissions.hasActiveTab = false;
+      permissions.limitations.push("Cannot communicate with extension background");
+    }
 
-      console.groupEnd();
+    // Check for content script injection context
+    if (document.documentElement.getAttribute("data-extension-injected")) {
+      permissions.limitations.push("Multiple extension injections detected");
+    } else {
+      document.documentElement.setAttribute("data-extension-injected", "true");
     }
+  } catch (error) {
+    permissions.hasActiveTab = false;
+    permissions.canAccessPage = false;
+    permissions.limitations.push(`Permission check error: ${error.message}`);
   }
 
-  // Highlight a specific element
-  highlightElement(element, source) {
-    if (!element || !element.style) return;
+  return permissions;
+}
 
-    // Store original styles
-    const originalStyles = {
-      outline: element.style.outline,
-      outlineOffset: element.style.outlineOffset,
-      backgroundColor: element.style.backgroundColor,
-      transition: element.style.transition,
-    };
+// Initialize page and permission checks
+const pageSupport = detectPageSupport();
+const extensionPermissions = checkExtensionPermissions();
 
-    // Apply highlight styles
-    Object.assign(element.style, this.HIGHLIGHT_STYLES);
+// Initialize performance API support check
+const performanceSupport = checkPerformanceAPISupport();
 
-    // Store element and original styles for cleanup
-    this.highlightedElements.push({
-      element: element,
-      originalStyles: originalStyles,
-      source: source,
-    });
+// Validate navigation entry data with more lenient validation
+function validateNavigationEntry(entry) {
+  try {
+    if (!entry) {
+      console.warn("Navigation entry is null or undefined");
+      return false;
+    }
 
-    // Add data attribute for identification
-    element.setAttribute("data-cls-highlighted", "true");
-  }
+    // Check for basic timing properties (more lenient approach)
+    const basicProps = ["startTime", "responseStart"];
+    for (const prop of basicProps) {
+      if (typeof entry[prop] !== "number") {
+        console.warn(`Navigation entry missing basic property: ${prop}`);
+        return false;
+      }
+    }
 
-  // Clear all highlights
-  clearHighlights() {
-    this.highlightedElements.forEach(({ element, originalStyles }) => {
-      if (element && element.style) {
-        // Restore original styles
-        Object.assign(element.style, originalStyles);
+    // Only validate timing order if both values are valid numbers
+    if (typeof entry.responseStart === "number" && typeof entry.startTime === "number") {
+      if (entry.responseStart < entry.startTime && entry.responseStart > 0) {
+        console.warn("Invalid timing order: responseStart < startTime");
+        return false;
+      }
+    }
 
-        // Remove data attribute
-        element.removeAttribute("data-cls-highlighted");
+    // Phase timestamps are optional, but out-of-order values make the TTFB breakdown unreliable
+    const phaseOrder = [
+      "fetchStart",
+      "domainLookupStart",
+      "domainLookupEnd",
+      "connectStart",
+      "connectEnd",
+      "requestStart",
+      "responseStart",
+      "responseEnd",
+    ];
+    for (let i = 1; i < phaseOrder.length; i++) {
+      const previous = entry[phaseOrder[i - 1]];
+      const current = entry[phaseOrder[i]];
+      if (typeof previous === "number" && typeof current === "number" && current > 0) {
+        if (current < previous) {
+          console.warn(`Navigation phase out of order: ${phaseOrder[i]} < ${phaseOrder[i - 1]}`);
+        }
       }
-    });
+    }
 
-    this.highlightedElements = [];
-    this.shiftingSources = [];
+    // More lenient validation - don't fail if some properties are missing
+    console.log("Navigation entry validation passed");
+    return true;
+  } catch (error) {
+    console.error("Error validating navigation entry:", error);
+    // Don't fail completely on validation errors
+    return true; // Allow processing to continue
   }
+}
 
-  // Get current debugging state
-  getState() {
-    return {
-      isEnabled: this.isEnabled,
-      currentCLS: this.currentCLS,
-      highlightedElementsCount: this.highlightedElements.length,
-      shiftingSourcesCount: this.shiftingSources.length,
+// Split the document request into network and server phases (seconds)
+function getNavigationPhases(entry) {
+  try {
+    if (!entry || typeof entry.responseStart !== "number") return null;
+
+    // Timestamps of 0 mean the phase didn't happen or is hidden (e.g. cross-origin redirects)
+    const span = (start, end) =>
+      typeof start === "number" && typeof end === "number" && start > 0 && end >= start
+        ? (end - start) / 1000
+        : 0;
+
+    const tlsUsed = entry.secureConnectionStart > 0;
+    const phases = {
+      redirectCount: entry.redirectCount || 0,
+      redirect: span(entry.redirectStart, entry.redirectEnd),
+      workerStart: entry.workerStart > 0 ? span(entry.workerStart, entry.fetchStart) : 0,
+      dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+      connect: span(entry.connectStart, tlsUsed ? entry.secureConnectionStart : entry.connectEnd),
+      tls: tlsUsed ? span(entry.secureConnectionStart, entry.connectEnd) : 0,
+      requestWait: span(entry.requestStart, entry.responseStart),
+      responseDownload: span(entry.responseStart, entry.responseEnd),
+      ttfb: Math.max(0, (entry.responseStart - entry.startTime) / 1000),
+      nextHopProtocol: entry.nextHopProtocol || null,
+      unit: "s",
     };
-  }
 
-  // Toggle debugging state
-  toggle() {
-    if (this.isEnabled) {
-      this.disableVisualDebugging();
-    } else {
-      this.enableVisualDebugging();
-    }
-    return this.isEnabled;
+    // Time before the response no phase accounts for (queueing, cache lookup, hidden redirects)
+    const attributed =
+      phases.redirect +
+      phases.workerStart +
+      phases.dns +
+      phases.connect +
+      phases.tls +
+      phases.requestWait;
+    phases.other = Math.max(0, phases.ttfb - attributed);
+
+    return phases;
+  } catch (error) {
+    console.error("Error calculating navigation phases:", error);
+    return null;
   }
+}
 
-  // Cleanup method
-  destroy() {
-    this.disableVisualDebugging();
+// Read Server-Timing entries (db, cache, render, ...) from a navigation or resource entry
+function getServerTimingEntries(entry) {
+  try {
+    if (!entry || !Array.isArray(entry.serverTiming)) return [];
+
+    return entry.serverTiming.map((timing) => ({
+      name: timing.name,
+      duration: timing.duration / 1000, // seconds, 0 when the server sent no dur
+      description: timing.description || "",
+    }));
+  } catch (error) {
+    console.warn("Error reading Server-Timing entries:", error);
+    return [];
   }
 }
 
-// Initialize CLS debugger
-const clsDebugger = new CLSDebugger();
+// Collect fallback metrics when Performance API is limited
+function collectFallbackMetrics() {
+  try {
+    console.log("Collecting fallback metrics due to API limitations");
 
-// Connect CLS observer with debugger
-clsObserverInstance.setDebugger(clsDebugger);
+    const currentTime = Date.now();
+    const estimatedLoadTime = (performance.now() - navigationStart) / 1000;
 
-// Performance Recommendation Analyzer
-class PerformanceRecommendationAnalyzer {
-  constructor() {
-    this.analysisResults = {};
-    this.isAnalyzing = false;
-    this.htmlContent = null;
+    const fallbackMetrics = {
+      TTFB: {
+        value: 0.1, // Conservative estimate
+        unit: "s",
+        estimated: true,
+      },
+      FCP: {
+        value: FCPTime || Math.min(estimatedLoadTime * 0.3, 2.0),
+        unit: "s",
+        estimated: !FCPTime,
+        source: FCPTime ? FCP_SOURCES.PAINT_ENTRY : FCP_SOURCES.LOAD_TIME_ESTIMATE,
+      },
+      LCP: {
+        value: LCPTime || Math.min(estimatedLoadTime * 0.7, 4.0),
+        unit: "s",
+        estimated: !LCPTime,
+      },
+      CLS: {
+        ...clsObserverInstance.getMetric(),
+        estimated: false,
+      },
+      INP: inpObserverInstance.getMetric(),
+      DOMLoadTime: {
+        value: Math.min(estimatedLoadTime * 0.8, 3.0),
+        unit: "s",
+        estimated: true,
+      },
+      NavigationTime: {
+        value: estimatedLoadTime,
+        unit: "s",
+        estimated: true,
+      },
+      timestamp: currentTime,
+      lastUpdated: currentTime,
+      url: window.location.href,
+      title: document.title,
+      transitionType: transitionType,
+      fallbackMode: true,
+    };
+
+    sendMetrics(fallbackMetrics);
+    sendErrorToBackground(
+      "fallback_metrics_used",
+      "Using estimated metrics due to API limitations"
+    );
+  } catch (error) {
+    console.error("Error collecting fallback metrics:", error);
+    sendErrorToBackground("fallback_metrics_error", error.message);
+  }
+}
+
+// Validate page support before initializing observers
+function validatePageAndInitialize() {
+  // Check page support first
+  if (!pageSupport.isSupported) {
+    console.log(`Page not supported: ${pageSupport.reason}`);
+    sendUnsupportedPageMessage(pageSupport);
+    return false;
+  }
+
+  // Check extension permissions
+  if (!extensionPermissions.canAccessPage) {
+    console.log("Extension permissions insufficient");
+    sendPermissionErrorMessage(extensionPermissions);
+    return false;
+  }
+
+  // Check performance API support
+  if (!performanceSupport.performanceObserver && !performanceSupport.navigationTiming) {
+    console.log("Performance APIs not supported");
+    sendAPINotSupportedMessage(performanceSupport);
+    return false;
+  }
+
+  // Log any limitations
+  const allLimitations = [...pageSupport.limitations, ...extensionPermissions.limitations];
+
+  if (allLimitations.length > 0) {
+    console.warn("Performance measurement limitations detected:", allLimitations);
+    sendLimitationsMessage(allLimitations);
+  }
+
+  return true;
+}
+
+// Send unsupported page message
+function sendUnsupportedPageMessage(support) {
+  try {
+    chrome.runtime.sendMessage({
+      type: "pageNotSupported",
+      pageType: support.pageType,
+      reason: support.reason,
+      url: window.location.href,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.warn("Could not send unsupported page message:", error);
+  }
+}
+
+// Send permission error message
+function sendPermissionErrorMessage(permissions) {
+  try {
+    chrome.runtime.sendMessage({
+      type: "permissionError",
+      limitations: permissions.limitations,
+      url: window.location.href,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.warn("Could not send permission error message:", error);
+  }
+}
+
+// Send API not supported message
+function sendAPINotSupportedMessage(support) {
+  try {
+    chrome.runtime.sendMessage({
+      type: "apiNotSupported",
+      missingAPIs: {
+        performanceObserver: !support.performanceObserver,
+        navigationTiming: !support.navigationTiming,
+        performanceNow: !support.performanceNow,
+      },
+      userAgent: navigator.userAgent,
+      url: window.location.href,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.warn("Could not send API not supported message:", error);
+  }
+}
+
+// Send limitations message
+function sendLimitationsMessage(limitations) {
+  try {
+    chrome.runtime.sendMessage({
+      type: "performanceLimitations",
+      limitations: limitations,
+      url: window.location.href,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    console.warn("Could not send limitations message:", error);
+  }
+}
+
+// Initialize based on page support validation
+let clsObserverInstance = null;
+let inpObserverInstance = null;
+let loafObserverInstance = null;
+let resourceTimingCollector = null;
+let isInitialized = false;
+
+// Detect page reloads and clear extension state
+let pageLoadStartTime = Date.now();
+let isPageReload = false;
+
+// Back/forward cache restore state
+let bfcacheRestoreCount = 0;
+let bfcacheRestoreInfo = null; // { restoreTime, paintTime } in ms, for the latest restore
+
+// Check if this is a page reload (not SPA navigation)
+function detectPageReload() {
+  // Check if the page was loaded recently (within last 2 seconds)
+  const timeSinceLoad = Date.now() - pageLoadStartTime;
+
+  // A bfcache restore keeps the original navigation entry, so it must not count as a reload
+  if (bfcacheRestoreCount > 0) {
+    isPageReload = false;
+    return isPageReload;
+  }
+
+  // Check performance navigation type
+  const navigationEntries = performance.getEntriesByType("navigation");
+  if (navigationEntries.length > 0) {
+    const navEntry = navigationEntries[0];
+    isPageReload = navEntry.type === "reload" || navEntry.type === "navigate";
+
+    if (isPageReload) {
+      console.log("Page reload detected, resetting all extension state");
+      resetAndCollectMetrics(false, "page_reload");
+    }
+  }
+
+  return isPageReload;
+}
+
+// Send loading state immediately when script starts
+chrome.runtime.sendMessage({ type: "metricsLoading" });
+
+// Listen for page load events
+document.addEventListener("DOMContentLoaded", () => {
+  console.log("DOMContentLoaded event - checking for page reload");
+  detectPageReload();
+});
+
+// Also check on window load
+window.addEventListener("load", () => {
+  console.log("Window load event - checking for page reload");
+  detectPageReload();
+});
+
+// Pages restored from the back/forward cache are a separate navigation type
+window.addEventListener("pageshow", (event) => {
+  if (event.persisted) {
+    handleBFCacheRestore(event);
+  }
+});
+
+// Re-baseline metrics after a back/forward cache restore
+function handleBFCacheRestore(event) {
+  try {
+    console.log("Page restored from back/forward cache, re-baselining metrics");
+
+    bfcacheRestoreCount++;
+    bfcacheRestoreInfo = {
+      restoreTime: event.timeStamp,
+      paintTime: null,
+    };
+
+    resetAndCollectMetrics(false, "bfcache_restore");
+
+    // The restored page is painted on the next frame, which stands in for FCP and LCP
+    const restoreInfo = bfcacheRestoreInfo;
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        restoreInfo.paintTime = performance.now();
+      });
+    });
+  } catch (error) {
+    console.error("Error handling bfcache restore:", error);
+    sendErrorToBackground("bfcache_restore_error", error.message);
+  }
+}
+
+// Build metrics for a back/forward cache restore
+function collectBFCacheRestoreMetrics(currentTime) {
+  const restoreInfo = bfcacheRestoreInfo || { restoreTime: navigationStart, paintTime: null };
+  // Until the restored frame paints there is nothing to report, which is not the same as 0s
+  const painted = Boolean(restoreInfo.paintTime);
+  const paintDelay = painted
+    ? Math.max(0, (restoreInfo.paintTime - restoreInfo.restoreTime) / 1000)
+    : null;
+
+  return {
+    TTFB: {
+      value: 0, // Restored from memory, no request is made
+      unit: "s",
+      source: "bfcache-restore",
+    },
+    FCP: {
+      value: paintDelay,
+      unit: "s",
+      source: "bfcache-restore",
+      pending: !painted,
+    },
+    LCP: {
+      value: paintDelay,
+      unit: "s",
+      source: "bfcache-restore",
+      pending: !painted,
+      element: lcpElementInfo,
+      selector: lcpElementSelector,
+    },
+    CLS: clsObserverInstance.getMetric(),
+    INP: inpObserverInstance.getMetric(),
+    DOMLoadTime: {
+      value: 0,
+      unit: "s",
+      source: "bfcache-restore",
+    },
+    NavigationTime: {
+      value: paintDelay,
+      unit: "s",
+      source: "bfcache-restore",
+      pending: !painted,
+    },
+    bfcacheRestore: {
+      restoreCount: bfcacheRestoreCount,
+      painted: painted,
+    },
+    timestamp: currentTime,
+    lastUpdated: currentTime,
+    url: window.location.href,
+    title: document.title,
+    transitionType: "bfcache",
+  };
+}
+
+// Add a simple test function to trigger performance analysis
+window.testPerformanceAnalysis = function () {
+  console.log("=== Testing Performance Analysis ===");
+
+  try {
+    // Test direct DOM analysis
+    const headScripts = document.head ? document.head.querySelectorAll("script") : [];
+    const headLinks = document.head ? document.head.querySelectorAll("link") : [];
+
+    console.log("DOM Elements Found:", {
+      headScripts: headScripts.length,
+      headLinks: headLinks.length,
+      deferScripts: Array.from(headScripts).filter((s) => s.hasAttribute("defer")).length,
+      asyncScripts: Array.from(headScripts).filter((s) => s.hasAttribute("async")).length,
+      stylesheets: Array.from(headLinks).filter((l) => l.rel && l.rel.includes("stylesheet"))
+        .length,
+      preloads: Array.from(headLinks).filter((l) => l.rel === "preload").length,
+    });
+
+    // Test performance recommendations if available
+    if (typeof PerformanceRecommendationAnalyzer !== "undefined") {
+      const analyzer = new PerformanceRecommendationAnalyzer();
+      console.log("Starting performance analysis...");
+
+      analyzer
+        .analyzePerformance()
+        .then((results) => {
+          console.log("✅ Performance Analysis Results:", results);
+        })
+        .catch((error) => {
+          console.error("❌ Performance Analysis Failed:", error);
+        });
+    } else {
+      console.log("PerformanceRecommendationAnalyzer not available");
+    }
+  } catch (error) {
+    console.error("Test failed:", error);
+  }
+};
+
+// Add a test function specifically for cache analysis
+window.testCacheAnalysis = function () {
+  console.log("=== Testing Cache Analysis ===");
+
+  try {
+    if (typeof PerformanceRecommendationAnalyzer !== "undefined") {
+      const analyzer = new PerformanceRecommendationAnalyzer();
+
+      console.log("Testing header fetching...");
+      analyzer
+        .tryFetchActualHeaders()
+        .then((headers) => {
+          console.log("Headers fetched:", headers);
+
+          if (headers) {
+            return analyzer.analyzeCacheHeaders(headers);
+          } else {
+            console.log("No headers available, testing fallback...");
+            return analyzer.analyzeCacheHeaders(null);
+          }
+        })
+        .then((cacheResults) => {
+          console.log("✅ Cache Analysis Results:", cacheResults);
+        })
+        .catch((error) => {
+          console.error("❌ Cache Analysis Failed:", error);
+        });
+
+      // Also test the integrated cache analysis method
+      console.log("Testing integrated cache analysis...");
+      analyzer
+        .analyzeCache()
+        .then((integratedResults) => {
+          console.log("✅ Integrated Cache Analysis Results:", integratedResults);
+        })
+        .catch((error) => {
+          console.error("❌ Integrated Cache Analysis Failed:", error);
+        });
+    } else {
+      console.log("PerformanceRecommendationAnalyzer not available");
+    }
+  } catch (error) {
+    console.error("Cache test failed:", error);
+  }
+};
+
+// Test function for debugging DOM analysis
+window.testDOMAnalysis = function () {
+  console.log("=== DOM Analysis Test ===");
+
+  // Test direct DOM queries
+  const headScripts = document.head ? document.head.querySelectorAll("script") : [];
+  const headLinks = document.head ? document.head.querySelectorAll("link") : [];
+  const bodyScripts = document.body ? document.body.querySelectorAll("script") : [];
+
+  console.log("Direct DOM queries:", {
+    headScripts: headScripts.length,
+    headLinks: headLinks.length,
+    bodyScripts: bodyScripts.length,
+  });
+
+  // Test script attributes
+  console.log("Head scripts details:");
+  Array.from(headScripts).forEach((script, i) => {
+    console.log(`Script ${i}:`, {
+      src: script.src || "(inline)",
+      defer: script.defer,
+      async: script.async,
+      type: script.type,
+      hasDefer: script.hasAttribute("defer"),
+      hasAsync: script.hasAttribute("async"),
+    });
+  });
+
+  // Test link attributes
+  console.log("Head links details:");
+  Array.from(headLinks)
+    .slice(0, 5)
+    .forEach((link, i) => {
+      console.log(`Link ${i}:`, {
+        href: link.href,
+        rel: link.rel,
+        as: link.getAttribute("as"),
+        type: link.type,
+      });
+    });
+};
+
+if (validatePageAndInitialize()) {
+  console.log("Initializing performance measurement...");
+
+  // Send loading state to background
+  chrome.runtime.sendMessage({ type: "metricsLoading" });
+
+  // Initialize CLS observer
+  clsObserverInstance = new CLSObserver();
+
+  // Initialize LCP observer
+  lcpObserver = observeLCP();
+
+  // Start CLS observation
+  if (clsObserverInstance) {
+    clsObserverInstance.observe();
+  }
+
+  // Start INP observation
+  inpObserverInstance = new INPObserver();
+  inpObserverInstance.observe();
+
+  // Start long animation frame observation (falls back to long tasks)
+  loafObserverInstance = new LongAnimationFrameObserver();
+  loafObserverInstance.observe();
+
+  // Collect resource timing entries from document_start for the waterfall
+  resourceTimingCollector = new ResourceTimingCollector();
+  resourceTimingCollector.observe();
+
+  isInitialized = true;
+} else {
+  console.log("Skipping performance measurement initialization due to page/permission issues");
+  // Send error state for unsupported pages
+  chrome.runtime.sendMessage({
+    type: "metricsError",
+    errorType: "page_not_supported",
+    errorMessage: "Page type not supported for performance measurement",
+  });
+}
+
+// CLS Visual Debugging System
+class CLSDebugger {
+  constructor() {
+    this.isEnabled = false;
+    this.overlayElement = null;
+    this.highlightedElements = [];
+    this.currentCLS = 0;
+    this.shiftingSources = [];
+    this.worstWindow = null; // Largest CLS session window, with its entries and sources
+    this.totalCLS = 0; // Raw sum of all shifts, for comparison with the windowed score
+
+    // Styling constants
+    this.OVERLAY_STYLES = {
+      position: "fixed",
+      top: "10px",
+      right: "10px",
+      zIndex: "999999",
+      backgroundColor: "rgba(0, 0, 0, 0.8)",
+      color: "white",
+      padding: "8px 12px",
+      borderRadius: "4px",
+      fontFamily: "monospace",
+      fontSize: "12px",
+      fontWeight: "bold",
+      pointerEvents: "none",
+      transition: "background-color 0.3s ease",
+    };
+
+    this.HIGHLIGHT_STYLES = {
+      outline: "2px solid red",
+      outlineOffset: "2px",
+      backgroundColor: "rgba(255, 0, 0, 0.1)",
+      transition: "all 0.3s ease",
+    };
+  }
+
+  // Enable visual debugging
+  enableVisualDebugging() {
+    if (this.isEnabled) return;
+
+    this.isEnabled = true;
+    this.createCLSOverlay();
+    this.updateCLSScore(this.currentCLS);
+    this.highlightWorstWindow();
+
+    console.log("CLS Visual Debugging enabled");
+  }
+
+  // Disable visual debugging
+  disableVisualDebugging() {
+    if (!this.isEnabled) return;
+
+    this.isEnabled = false;
+    this.removeCLSOverlay();
+    this.clearHighlights();
+
+    console.log("CLS Visual Debugging disabled");
+  }
+
+  // Create the floating CLS overlay
+  createCLSOverlay() {
+    if (this.overlayElement) {
+      this.removeCLSOverlay();
+    }
+
+    this.overlayElement = document.createElement("div");
+    this.overlayElement.id = "cls-debug-overlay";
+
+    // Apply styles
+    Object.assign(this.overlayElement.style, this.OVERLAY_STYLES);
+
+    // Add to document
+    document.body.appendChild(this.overlayElement);
+
+    // Update initial content
+    this.updateOverlayContent();
+  }
+
+  // Remove the CLS overlay
+  removeCLSOverlay() {
+    if (this.overlayElement && this.overlayElement.parentNode) {
+      this.overlayElement.parentNode.removeChild(this.overlayElement);
+      this.overlayElement = null;
+    }
+  }
+
+  // Update CLS score and overlay
+  updateCLSScore(score) {
+    const previousScore = this.currentCLS;
+    this.currentCLS = score;
+
+    if (this.isEnabled && this.overlayElement) {
+      this.updateOverlayContent();
+      this.updateOverlayColor();
+
+      // Log score changes if debugging is enabled
+      if (previousScore !== score) {
+        console.log(`📊 CLS Score Updated: ${previousScore.toFixed(4)} → ${score.toFixed(4)}`);
+      }
+    }
+  }
+
+  // Update overlay content
+  updateOverlayContent() {
+    if (!this.overlayElement) return;
+
+    const thresholdStatus = ThresholdEvaluator.evaluateMetric("CLS", this.currentCLS);
+    const statusText = thresholdStatus.accessibleText;
+
+    let content = `CLS: ${this.currentCLS.toFixed(3)} (${statusText})`;
+    if (this.worstWindow) {
+      const start = (this.worstWindow.startTime / 1000).toFixed(1);
+      const end = (this.worstWindow.endTime / 1000).toFixed(1);
+      content += ` | worst window ${start}s-${end}s, ${this.worstWindow.entries.length} shifts`;
+      content += ` | total ${this.totalCLS.toFixed(3)}`;
+    }
+
+    this.overlayElement.textContent = content;
+  }
+
+  // Track the worst session window reported by CLSObserver
+  updateWorstWindow(sessionWindow, totalCLS) {
+    const worstWindowChanged = sessionWindow !== this.worstWindow;
+    this.worstWindow = sessionWindow || null;
+    this.totalCLS = totalCLS || 0;
+
+    if (this.isEnabled && this.overlayElement) {
+      this.updateOverlayContent();
+    }
+
+    if (worstWindowChanged && this.worstWindow) {
+      console.log(
+        `📊 Worst CLS session window: ${this.worstWindow.value.toFixed(4)} (${
+          this.worstWindow.entries.length
+        } shifts)`
+      );
+    }
+  }
+
+  // Highlight the sources of the worst session window (the shifts that make up CLS)
+  highlightWorstWindow() {
+    if (!this.isEnabled || !this.worstWindow) return;
+
+    this.highlightShiftingSources(this.worstWindow.sources);
+  }
+
+  // Update overlay color based on CLS thresholds
+  updateOverlayColor() {
+    if (!this.overlayElement) return;
+
+    const thresholds = CWV_THRESHOLDS.CLS;
+    let backgroundColor;
+
+    if (this.currentCLS <= thresholds.good) {
+      backgroundColor = "rgba(0, 128, 0, 0.8)"; // Green
+    } else if (this.currentCLS <= thresholds.needsImprovement) {
+      backgroundColor = "rgba(255, 165, 0, 0.8)"; // Orange
+    } else {
+      backgroundColor = "rgba(255, 0, 0, 0.8)"; // Red
+    }
+
+    this.overlayElement.style.backgroundColor = backgroundColor;
+  }
+
+  // Highlight elements causing layout shifts
+  highlightShiftingSources(sources) {
+    if (!this.isEnabled) return;
+
+    // Clear previous highlights
+    this.clearHighlights();
+
+    // Store new sources
+    this.shiftingSources = sources || [];
+
+    // Highlight each source element
+    this.shiftingSources.forEach((source) => {
+      if (source.node && source.node.nodeType === Node.ELEMENT_NODE) {
+        this.highlightElement(source.node, source);
+      }
+    });
+
+    // Enhanced console logging with detailed shift information
+    if (this.shiftingSources.length > 0) {
+      console.group("🔴 CLS Layout Shift Detected");
+      console.log(`Total CLS Score: ${this.currentCLS.toFixed(4)}`);
+      console.log(`Shift Sources: ${this.shiftingSources.length}`);
+
+      this.shiftingSources.forEach((source, index) => {
+        console.group(`Source ${index + 1} (Value: ${source.value.toFixed(4)})`);
+        console.log("Element:", source.node);
+        console.log("Shift Value:", source.value);
+        console.log("Had Recent Input:", source.hadRecentInput);
+        console.log("Start Time:", `${source.startTime.toFixed(2)}ms`);
+
+        // Log element details
+        if (source.node) {
+          console.log("Tag Name:", source.node.tagName);
+          console.log("Class List:", source.node.className);
+          console.log("ID:", source.node.id || "none");
+
+          // Log element dimensions if available
+          try {
+            const rect = source.node.getBoundingClientRect();
+            console.log("Dimensions:", {
+              width: rect.width,
+              height: rect.height,
+              top: rect.top,
+              left: rect.left,
+            });
+          } catch (e) {
+            console.log("Dimensions: Unable to calculate");
+          }
+        }
+
+        console.groupEnd();
+      });
+
+      // Log threshold status
+      const thresholdStatus = ThresholdEvaluator.evaluateMetric("CLS", this.currentCLS);
+      console.log(`Threshold Status: ${thresholdStatus.accessibleText} (${thresholdStatus.color})`);
+
+      console.groupEnd();
+    }
+  }
+
+  // Highlight a specific element
+  highlightElement(element, source) {
+    if (!element || !element.style) return;
+
+    // Store original styles
+    const originalStyles = {
+      outline: element.style.outline,
+      outlineOffset: element.style.outlineOffset,
+      backgroundColor: element.style.backgroundColor,
+      transition: element.style.transition,
+    };
+
+    // Apply highlight styles
+    Object.assign(element.style, this.HIGHLIGHT_STYLES);
+
+    // Store element and original styles for cleanup
+    this.highlightedElements.push({
+      element: element,
+      originalStyles: originalStyles,
+      source: source,
+    });
+
+    // Add data attribute for identification
+    element.setAttribute("data-cls-highlighted", "true");
+  }
+
+  // Clear all highlights
+  clearHighlights() {
+    this.highlightedElements.forEach(({ element, originalStyles }) => {
+      if (element && element.style) {
+        // Restore original styles
+        Object.assign(element.style, originalStyles);
+
+        // Remove data attribute
+        element.removeAttribute("data-cls-highlighted");
+      }
+    });
+
+    this.highlightedElements = [];
+    this.shiftingSources = [];
+  }
+
+  // Get current debugging state
+  getState() {
+    return {
+      isEnabled: this.isEnabled,
+      currentCLS: this.currentCLS,
+      highlightedElementsCount: this.highlightedElements.length,
+      shiftingSourcesCount: this.shiftingSources.length,
+      totalCLS: this.totalCLS,
+      worstWindow: this.worstWindow
+        ? {
+            value: this.worstWindow.value,
+            startTime: this.worstWindow.startTime,
+            endTime: this.worstWindow.endTime,
+            shiftCount: this.worstWindow.entries.length,
+          }
+        : null,
+    };
+  }
+
+  // Toggle debugging state
+  toggle() {
+    if (this.isEnabled) {
+      this.disableVisualDebugging();
+    } else {
+      this.enableVisualDebugging();
+    }
+    return this.isEnabled;
+  }
+
+  // Cleanup method
+  destroy() {
+    this.disableVisualDebugging();
+  }
+}
+
+// Initialize CLS debugger
+const clsDebugger = new CLSDebugger();
+
+// Connect CLS observer with debugger
+clsObserverInstance.setDebugger(clsDebugger);
+
+// Performance Recommendation Analyzer
+class PerformanceRecommendationAnalyzer {
+  constructor() {
+    this.analysisResults = {};
+    this.isAnalyzing = false;
+    this.htmlContent = null;
     this.responseHeaders = null;
+    this.imageOffenders = []; // Elements flagged by the last image audit, for highlighting
+    this.coverageData = null; // JS/CSS coverage from an opt-in debugger run, if any
     this.analysisTimeout = 30000; // 30 second timeout for entire analysis
     this.analysisStartTime = null;
     this.currentPhase = null;
     this.abortController = null;
 
-    // Analysis caching and optimization
-    this.analysisCache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache timeout
-    this.lastAnalysisUrl = null;
-    this.lastAnalysisTimestamp = null;
-    this.pageChangeDetector = {
-      lastDOMHash: null,
-      lastContentLength: null,
-      lastTitle: null,
-      lastMetaDescription: null,
-    };
+    // Analysis caching and optimization
+    this.analysisCache = new Map();
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache timeout
+    this.lastAnalysisUrl = null;
+    this.lastAnalysisTimestamp = null;
+    this.pageChangeDetector = {
+      lastDOMHash: null,
+      lastContentLength: null,
+      lastTitle: null,
+      lastMetaDescription: null,
+    };
+
+    // Performance optimizations
+    this.maxCacheSize = 10; // Maximum number of cached analyses
+    this.analysisState = {
+      isRunning: false,
+      currentProgress: 0,
+      totalPhases: 8,
+      completedPhases: [],
+      errors: [],
+      warnings: [],
+    };
+  }
+
+  // Main analysis orchestrator with comprehensive error handling and timeout management
+  async analyzePerformance() {
+    if (this.isAnalyzing) {
+      throw new Error("Analysis already in progress");
+    }
+
+    // Check for cached results first
+    const cachedResults = this.getCachedAnalysis();
+    if (cachedResults) {
+      console.log("Returning cached analysis results");
+      this.analysisResults = cachedResults;
+
+      // Send cached results to background
+      chrome.runtime.sendMessage({
+        type: "recommendationsGenerated",
+        data: cachedResults,
+        cached: true,
+        success: true,
+      });
+
+      return cachedResults;
+    }
+
+    this.isAnalyzing = true;
+    this.analysisStartTime = Date.now();
+    this.abortController = new AbortController();
+    this.resetAnalysisState();
+    this.analysisState.isRunning = true;
+
+    // Set up analysis timeout
+    const timeoutId = setTimeout(() => {
+      this.abortController.abort();
+    }, this.analysisTimeout);
+
+    try {
+      console.log("Starting comprehensive performance analysis...");
+
+      // Send loading state to background
+      chrome.runtime.sendMessage({
+        type: "recommendationsLoading",
+        phase: "starting",
+      });
+
+      const results = {
+        metadata: {
+          url: window.location.href,
+          timestamp: Date.now(),
+          analysisVersion: "2.0",
+          pageLoadType: "navigation",
+          userAgent: navigator.userAgent,
+        },
+        cache: null,
+        lcp: null,
+        scripts: null,
+        links: null,
+        css: null,
+        summary: null,
+        analysisErrors: [],
+        analysisWarnings: [],
+      };
+
+      // Phase 1: Fetch and parse HTML document
+      this.currentPhase = "html_fetch";
+      console.log("Phase 1: Fetching HTML document...");
+      this.updateAnalysisProgress("html_fetch", 12.5);
+
+      let htmlData;
+      try {
+        htmlData = await this.fetchDocumentHTML();
+        if (htmlData.fallbackUsed) {
+          results.analysisWarnings.push({
+            phase: "html_fetch",
+            message: `Used fallback HTML: ${htmlData.fallbackReason}`,
+            impact: "Cache analysis may be limited",
+          });
+        }
+      } catch (error) {
+        throw new Error(`HTML fetch failed: ${error.message}`);
+      }
+
+      // Phase 2: Parse HTML structure
+      this.currentPhase = "html_parse";
+      console.log("Phase 2: Parsing HTML structure...");
+      this.updateAnalysisProgress("html_parse", 25);
+
+      let parseData;
+      try {
+        parseData = this.parseHTMLStructure(); // No parameter needed - analyzes live DOM
+        if (parseData.parseError) {
+          results.analysisWarnings.push({
+            phase: "html_parse",
+            message: `HTML parsing issues: ${parseData.parseError}`,
+            impact: "Some elements may not be detected",
+          });
+        }
+      } catch (error) {
+        throw new Error(`HTML parsing failed: ${error.message}`);
+      }
+
+      // Phase 3: Cache analysis
+      this.currentPhase = "cache_analysis";
+      console.log("Phase 3: Analyzing cache headers...");
+      this.updateAnalysisProgress("cache_analysis", 37.5);
+
+      try {
+        results.cache = await this.analyzeCacheHeaders(htmlData.headers);
+      } catch (error) {
+        console.warn("Cache analysis failed:", error);
+        results.analysisErrors.push({
+          phase: "cache_analysis",
+          error: error.message,
+          impact: "Cache recommendations unavailable",
+        });
+        results.cache = this.getEmptyCacheAnalysis();
+      }
+
+      // Phase 4: LCP analysis
+      this.currentPhase = "lcp_analysis";
+      console.log("Phase 4: Analyzing LCP elements...");
+      this.updateAnalysisProgress("lcp_analysis", 50);
+
+      try {
+        results.lcp = await this.analyzeLCPElement(parseData.structure);
+      } catch (error) {
+        console.warn("LCP analysis failed:", error);
+        results.analysisErrors.push({
+          phase: "lcp_analysis",
+          error: error.message,
+          impact: "LCP recommendations unavailable",
+        });
+        results.lcp = this.getEmptyLCPAnalysis();
+      }
+
+      // Phase 5: Script analysis
+      this.currentPhase = "script_analysis";
+      console.log("Phase 5: Analyzing scripts...");
+      this.updateAnalysisProgress("script_analysis", 62.5);
+
+      try {
+        console.log("Debug: Structure passed to analyzeScripts:", {
+          hasStructure: !!parseData.structure,
+          hasHead: !!(parseData.structure && parseData.structure.head),
+          hasBody: !!(parseData.structure && parseData.structure.body),
+          headScripts:
+            parseData.structure && parseData.structure.head && parseData.structure.head.scripts
+              ? parseData.structure.head.scripts.length
+              : 0,
+          bodyScripts:
+            parseData.structure && parseData.structure.body && parseData.structure.body.scripts
+              ? parseData.structure.body.scripts.length
+              : 0,
+        });
+        results.scripts = await this.analyzeScripts(parseData.structure);
+      } catch (error) {
+        console.warn("Script analysis failed:", error);
+        results.analysisErrors.push({
+          phase: "script_analysis",
+          error: error.message,
+          impact: "Script recommendations unavailable",
+        });
+        results.scripts = this.getEmptyScriptAnalysis();
+      }
+
+      // Phase 6: Link analysis
+      this.currentPhase = "link_analysis";
+      console.log("Phase 6: Analyzing link tags...");
+      this.updateAnalysisProgress("link_analysis", 75);
+
+      try {
+        console.log("Debug: Structure passed to analyzeLinks:", {
+          hasStructure: !!parseData.structure,
+          hasHead: !!(parseData.structure && parseData.structure.head),
+          hasBody: !!(parseData.structure && parseData.structure.body),
+          headLinks:
+            parseData.structure && parseData.structure.head && parseData.structure.head.links
+              ? parseData.structure.head.links.length
+              : 0,
+          bodyLinks:
+            parseData.structure && parseData.structure.body && parseData.structure.body.links
+              ? parseData.structure.body.links.length
+              : 0,
+        });
+        results.links = await this.analyzeLinks(parseData.structure);
+      } catch (error) {
+        console.warn("Link analysis failed:", error);
+        results.analysisErrors.push({
+          phase: "link_analysis",
+          error: error.message,
+          impact: "Link recommendations unavailable",
+        });
+        results.links = this.getEmptyLinkAnalysis();
+      }
+
+      // Phase 7: CSS analysis
+      this.currentPhase = "css_analysis";
+      console.log("Phase 7: Analyzing CSS...");
+      this.updateAnalysisProgress("css_analysis", 87.5);
+
+      try {
+        console.log("Debug: Structure passed to analyzeCSS:", {
+          hasStructure: !!parseData.structure,
+          hasHead: !!(parseData.structure && parseData.structure.head),
+          hasBody: !!(parseData.structure && parseData.structure.body),
+          headLinks:
+            parseData.structure && parseData.structure.head && parseData.structure.head.links
+              ? parseData.structure.head.links.length
+              : 0,
+          bodyLinks:
+            parseData.structure && parseData.structure.body && parseData.structure.body.links
+              ? parseData.structure.body.links.length
+              : 0,
+        });
+        results.css = await this.analyzeCSS(parseData.structure);
+      } catch (error) {
+        console.warn("CSS analysis failed:", error);
+        results.analysisErrors.push({
+          phase: "css_analysis",
+          error: error.message,
+          impact: "CSS recommendations unavailable",
+        });
+        results.css = this.getEmptyCSSAnalysis();
+      }
+
+      // Phase 8: Generate summary
+      this.currentPhase = "summary_generation";
+      console.log("Phase 8: Generating summary...");
+      this.updateAnalysisProgress("summary_generation", 100);
+
+      try {
+        results.summary = this.generateSummary(results);
+      } catch (error) {
+        console.warn("Summary generation failed:", error);
+        results.analysisErrors.push({
+          phase: "summary_generation",
+          error: error.message,
+          impact: "Summary may be incomplete",
+        });
+        results.summary = this.getEmptySummary();
+      }
+
+      // Clear timeout
+      clearTimeout(timeoutId);
+
+      const totalDuration = Date.now() - this.analysisStartTime;
+      console.log(`Performance analysis completed successfully in ${totalDuration}ms`);
+
+      // Add analysis metadata
+      results.metadata.analysisDuration = totalDuration;
+      results.metadata.completedPhases = this.currentPhase;
+      results.metadata.hasErrors = results.analysisErrors.length > 0;
+      results.metadata.hasWarnings = results.analysisWarnings.length > 0;
+
+      // Cache the successful analysis results
+      this.setCachedAnalysis(results);
+
+      this.analysisResults = results;
+      return results;
+    } catch (error) {
+      clearTimeout(timeoutId);
+
+      const totalDuration = Date.now() - this.analysisStartTime;
+      const isTimeout = error.name === "AbortError" || error.message.includes("timeout");
+
+      console.error(
+        `Performance analysis failed after ${totalDuration}ms in phase ${this.currentPhase}:`,
+        error
+      );
+
+      // Create error result
+      const errorResult = {
+        metadata: {
+          url: window.location.href,
+          timestamp: Date.now(),
+          analysisVersion: "2.0",
+          pageLoadType: "navigation",
+          userAgent: navigator.userAgent,
+          analysisDuration: totalDuration,
+          failedPhase: this.currentPhase,
+          analysisAborted: isTimeout,
+        },
+        error: {
+          code: isTimeout ? "ANALYSIS_TIMEOUT" : "ANALYSIS_FAILED",
+          message: isTimeout
+            ? `Analysis timed out after ${this.analysisTimeout / 1000} seconds in ${
+                this.currentPhase
+              } phase`
+            : error.message,
+          phase: this.currentPhase,
+          duration: totalDuration,
+        },
+      };
+
+      // Send error to background
+      this.sendAnalysisError("analysis_failed", errorResult.error);
+
+      throw error;
+    } finally {
+      this.isAnalyzing = false;
+      this.currentPhase = null;
+      this.abortController = null;
+      this.analysisState.isRunning = false;
+    }
+  }
+
+  // Analysis caching and optimization methods
+
+  // Check if cached analysis is available and valid
+  getCachedAnalysis(url = window.location.href) {
+    try {
+      const cacheKey = this.generateCacheKey(url);
+      const cached = this.analysisCache.get(cacheKey);
+
+      if (!cached) {
+        console.log("No cached analysis found for URL:", url);
+        return null;
+      }
+
+      const now = Date.now();
+      const isExpired = now - cached.timestamp > this.cacheTimeout;
+
+      if (isExpired) {
+        console.log("Cached analysis expired, removing from cache");
+        this.analysisCache.delete(cacheKey);
+        return null;
+      }
+
+      // Check if page has changed since analysis
+      if (this.hasPageChanged(cached.pageSignature)) {
+        console.log("Page content changed, invalidating cache");
+        this.analysisCache.delete(cacheKey);
+        return null;
+      }
+
+      console.log("Using cached analysis from", new Date(cached.timestamp).toISOString());
+      return cached.results;
+    } catch (error) {
+      console.warn("Error retrieving cached analysis:", error);
+      return null;
+    }
+  }
+
+  // Store analysis results in cache
+  setCachedAnalysis(results, url = window.location.href) {
+    try {
+      const cacheKey = this.generateCacheKey(url);
+      const pageSignature = this.generatePageSignature();
+
+      const cacheEntry = {
+        results: results,
+        timestamp: Date.now(),
+        url: url,
+        pageSignature: pageSignature,
+        analysisVersion: results.metadata?.analysisVersion || "2.0",
+      };
+
+      // Implement cache size limit
+      if (this.analysisCache.size >= this.maxCacheSize) {
+        this.evictOldestCacheEntry();
+      }
+
+      this.analysisCache.set(cacheKey, cacheEntry);
+      console.log("Analysis results cached for URL:", url);
+
+      // Update tracking variables
+      this.lastAnalysisUrl = url;
+      this.lastAnalysisTimestamp = Date.now();
+    } catch (error) {
+      console.warn("Error caching analysis results:", error);
+    }
+  }
+
+  // Generate cache key for URL
+  generateCacheKey(url) {
+    try {
+      // Use URL without hash and query params for caching
+      const urlObj = new URL(url);
+      const baseUrl = `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+
+      // Create a simple hash of the base URL
+      let hash = 0;
+      for (let i = 0; i < baseUrl.length; i++) {
+        const char = baseUrl.charCodeAt(i);
+        hash = (hash << 5) - hash + char;
+        hash = hash & hash; // Convert to 32-bit integer
+      }
+
+      return `analysis_${Math.abs(hash)}`;
+    } catch (error) {
+      console.warn("Error generating cache key:", error);
+      return `analysis_${Date.now()}`;
+    }
+  }
+
+  // Generate page signature for change detection
+  generatePageSignature() {
+    try {
+      const signature = {
+        domHash: this.calculateDOMHash(),
+        contentLength: document.documentElement.outerHTML.length,
+        title: document.title || "",
+        metaDescription: this.getMetaDescription(),
+        timestamp: Date.now(),
+      };
+
+      // Update page change detector
+      this.pageChangeDetector = {
+        lastDOMHash: signature.domHash,
+        lastContentLength: signature.contentLength,
+        lastTitle: signature.title,
+        lastMetaDescription: signature.metaDescription,
+      };
+
+      return signature;
+    } catch (error) {
+      console.warn("Error generating page signature:", error);
+      return {
+        domHash: Date.now(),
+        contentLength: 0,
+        title: "",
+        metaDescription: "",
+        timestamp: Date.now(),
+      };
+    }
+  }
+
+  // Check if page has changed since last analysis
+  hasPageChanged(cachedSignature) {
+    try {
+      if (!cachedSignature) return true;
+
+      const currentSignature = this.generatePageSignature();
+
+      // Compare key indicators of page change
+      const hasChanged =
+        currentSignature.domHash !== cachedSignature.domHash ||
+        Math.abs(currentSignature.contentLength - cachedSignature.contentLength) > 1000 ||
+        currentSignature.title !== cachedSignature.title ||
+        currentSignature.metaDescription !== cachedSignature.metaDescription;
+
+      if (hasChanged) {
+        console.log("Page change detected:", {
+          domHashChanged: currentSignature.domHash !== cachedSignature.domHash,
+          contentLengthDiff: Math.abs(
+            currentSignature.contentLength - cachedSignature.contentLength
+          ),
+          titleChanged: currentSignature.title !== cachedSignature.title,
+          metaChanged: currentSignature.metaDescription !== cachedSignature.metaDescription,
+        });
+      }
+
+      return hasChanged;
+    } catch (error) {
+      console.warn("Error checking page changes:", error);
+      return true; // Assume changed if we can't determine
+    }
+  }
+
+  // Calculate a simple hash of DOM structure
+  calculateDOMHash() {
+    try {
+      // Get key structural elements for hashing
+      const elements = document.querySelectorAll(
+        'script[src], link[rel="stylesheet"], img[src], meta[name="description"]'
+      );
+      let hashString = "";
+
+      elements.forEach((el) => {
+        if (el.tagName === "SCRIPT" && el.src) {
+          hashString += `script:${el.src}`;
+        } else if (el.tagName === "LINK" && el.href) {
+          hashString += `link:${el.href}`;
+        } else if (el.tagName === "IMG" && el.src) {
+          hashString += `img:${el.src}`;
+        } else if (el.tagName === "META" && el.content) {
+          hashString += `meta:${el.content}`;
+        }
+      });
+
+      // Add document title and basic structure
+      hashString += `title:${document.title}`;
+      hashString += `scripts:${document.scripts.length}`;
+      hashString += `links:${document.links.length}`;
+
+      // Generate simple hash
+      let hash = 0;
+      for (let i = 0; i < hashString.length; i++) {
+        const char = hashString.charCodeAt(i);
+        hash = (hash << 5) - hash + char;
+        hash = hash & hash;
+      }
+
+      return Math.abs(hash);
+    } catch (error) {
+      console.warn("Error calculating DOM hash:", error);
+      return Date.now(); // Fallback to timestamp
+    }
+  }
+
+  // Get meta description for change detection
+  getMetaDescription() {
+    try {
+      const metaDesc = document.querySelector('meta[name="description"]');
+      return metaDesc ? metaDesc.getAttribute("content") || "" : "";
+    } catch (error) {
+      return "";
+    }
+  }
+
+  // Evict oldest cache entry when cache is full
+  evictOldestCacheEntry() {
+    try {
+      let oldestKey = null;
+      let oldestTimestamp = Date.now();
+
+      for (const [key, entry] of this.analysisCache.entries()) {
+        if (entry.timestamp < oldestTimestamp) {
+          oldestTimestamp = entry.timestamp;
+          oldestKey = key;
+        }
+      }
+
+      if (oldestKey) {
+        this.analysisCache.delete(oldestKey);
+        console.log("Evicted oldest cache entry:", oldestKey);
+      }
+    } catch (error) {
+      console.warn("Error evicting cache entry:", error);
+    }
+  }
+
+  // Clear analysis cache
+  clearCache() {
+    try {
+      this.analysisCache.clear();
+      console.log("Analysis cache cleared");
+    } catch (error) {
+      console.warn("Error clearing cache:", error);
+    }
+  }
+
+  // Get cache statistics
+  getCacheStats() {
+    return {
+      size: this.analysisCache.size,
+      maxSize: this.maxCacheSize,
+      cacheTimeout: this.cacheTimeout,
+      lastAnalysisUrl: this.lastAnalysisUrl,
+      lastAnalysisTimestamp: this.lastAnalysisTimestamp,
+    };
+  }
+
+  // Update analysis state and progress tracking
+  updateAnalysisProgress(phase, progress = null) {
+    try {
+      this.analysisState.currentProgress =
+        progress ||
+        (this.analysisState.completedPhases.length / this.analysisState.totalPhases) * 100;
+
+      if (phase && !this.analysisState.completedPhases.includes(phase)) {
+        this.analysisState.completedPhases.push(phase);
+      }
+
+      // Send progress update to background
+      chrome.runtime.sendMessage({
+        type: "recommendationsProgress",
+        phase: phase,
+        progress: this.analysisState.currentProgress,
+        completedPhases: this.analysisState.completedPhases.length,
+        totalPhases: this.analysisState.totalPhases,
+      });
+    } catch (error) {
+      console.warn("Error updating analysis progress:", error);
+    }
+  }
+
+  // Reset analysis state
+  resetAnalysisState() {
+    this.analysisState = {
+      isRunning: false,
+      currentProgress: 0,
+      totalPhases: 8,
+      completedPhases: [],
+      errors: [],
+      warnings: [],
+    };
+  }
+
+  // Send analysis error to background script
+  sendAnalysisError(errorType, errorDetails) {
+    try {
+      chrome.runtime.sendMessage({
+        type: "recommendationsError",
+        error: {
+          code: errorType.toUpperCase(),
+          message: errorDetails.originalError || errorDetails.error || "Unknown error",
+          details: errorDetails,
+          timestamp: Date.now(),
+          url: window.location.href,
+          phase: this.currentPhase,
+        },
+      });
+    } catch (error) {
+      console.warn("Failed to send analysis error to background:", error);
+    }
+  }
+
+  // Empty analysis result generators for error recovery
+  getEmptyCacheAnalysis() {
+    return {
+      browserCache: {
+        status: "unknown",
+        ttl: null,
+        cacheControl: null,
+        expires: null,
+      },
+      cdnCache: {
+        status: "unknown",
+        provider: "unknown",
+        ttl: null,
+        age: null,
+        cacheHeaders: {},
+      },
+    };
+  }
+
+  getEmptyLCPAnalysis() {
+    return {
+      elementFound: false,
+      serverSideRendered: false,
+      elementType: null,
+      elementSelector: null,
+      preloadExists: false,
+    };
+  }
+
+  getEmptyScriptAnalysis() {
+    return {
+      duplicates: [],
+      deferScripts: [],
+      asyncScripts: [],
+      totalExternalScripts: 0,
+      recommendations: [],
+    };
+  }
+
+  getEmptyLinkAnalysis() {
+    return {
+      bodyLinks: [],
+      duplicatePreloads: [],
+      invalidPreloads: [],
+      redundantPreloads: [],
+      totalPreloads: 0,
+    };
+  }
+
+  getEmptyCSSAnalysis() {
+    return {
+      stylesheets: [],
+      totalStylesheets: 0,
+      misplacedCount: 0,
+    };
+  }
+
+  getEmptySummary() {
+    return {
+      totalIssues: 0,
+      criticalIssues: 0,
+      optimizationOpportunities: 0,
+      overallScore: "unknown",
+    };
+  }
+
+  // Enhanced cache analysis with error handling
+  async analyzeCacheHeaders(headers = null) {
+    try {
+      const responseHeaders = headers || this.responseHeaders || {};
+
+      console.log("Analyzing cache headers...", responseHeaders);
+
+      const result = {
+        browserCache: {
+          status: "not-analyzed",
+          ttl: null,
+          cacheControl: null,
+          expires: null,
+        },
+        cdnCache: {
+          status: "not-analyzed",
+          provider: "unknown",
+          ttl: null,
+          age: null,
+          cacheHeaders: {},
+        },
+      };
+
+      // Check if we have any headers to analyze
+      if (!responseHeaders || Object.keys(responseHeaders).length === 0) {
+        console.warn("No response headers available for cache analysis");
+        result.browserCache.status = "not-analyzed";
+        result.cdnCache.status = "not-analyzed";
+        return result;
+      }
+
+      // Check if this is fallback data
+      if (responseHeaders.fallback) {
+        console.log("Using fallback header data for cache analysis");
+
+        // Try to infer cache status from available data
+        if (responseHeaders.cache && responseHeaders.cache.general) {
+          const generalCache = responseHeaders.cache.general;
+
+          // Check for inferred cache status
+          if (generalCache["x-inferred-cache"] === "likely-cached") {
+            result.browserCache.status = "cached";
+            result.browserCache.cacheControl = "inferred from timing";
+          }
+        }
+
+        // If we still don't have cache info, mark as not-cached rather than not-analyzed
+        if (result.browserCache.status === "not-analyzed") {
+          result.browserCache.status = "not-cached";
+        }
+        if (result.cdnCache.status === "not-analyzed") {
+          result.cdnCache.status = "unknown";
+        }
+
+        return result;
+      }
+
+      // Handle different header formats
+      let headerSource = responseHeaders;
+      if (responseHeaders.raw) {
+        headerSource = responseHeaders.raw;
+      } else if (responseHeaders.cache) {
+        // Use categorized headers if available
+        const browserHeaders = responseHeaders.cache.browserCache || {};
+        const cdnHeaders = responseHeaders.cache.cdnCache || {};
+
+        // Analyze browser cache from categorized headers
+        if (Object.keys(browserHeaders).length > 0) {
+          result.browserCache = this.analyzeBrowserCacheFromHeaders(browserHeaders);
+        }
+
+        // Analyze CDN cache from categorized headers
+        if (Object.keys(cdnHeaders).length > 0) {
+          result.cdnCache = this.analyzeCDNCacheFromHeaders(
+            cdnHeaders,
+            responseHeaders.cache.fragmentation
+          );
+        }
+
+        result.effectiveTTL = this.computeEffectiveCacheTTLs({
+          ...(responseHeaders.other || {}),
+          ...browserHeaders,
+          ...cdnHeaders,
+        });
+        if (result.browserCache.status === "cached") {
+          result.browserCache.ttl = result.effectiveTTL.browser.ttl;
+        }
+        if (result.cdnCache.ttl === null) result.cdnCache.ttl = result.effectiveTTL.cdn.ttl;
+
+        return result;
+      }
+
+      // Safely extract headers from raw headers
+      const cacheControl = this.safeGetHeader(headerSource, "cache-control");
+      const expires = this.safeGetHeader(headerSource, "expires");
+      const age = this.safeGetHeader(headerSource, "age");
+
+      console.log("Extracted cache headers:", { cacheControl, expires, age });
+
+      // Effective lifetime at each cache layer, including CDN-targeted headers
+      result.effectiveTTL = this.computeEffectiveCacheTTLs(headerSource);
+
+      // Browser cache analysis
+      if (cacheControl || expires) {
+        result.browserCache.status = "cached";
+        result.browserCache.cacheControl = cacheControl;
+        result.browserCache.expires = expires;
+        result.browserCache.ttl = result.effectiveTTL.browser.ttl;
+      } else {
+        result.browserCache.status = "not-cached";
+      }
+
+      // CDN cache analysis with error handling
+      try {
+        const cdnAnalysis = this.analyzeCDNHeaders(
+          headerSource,
+          responseHeaders.cache?.fragmentation
+        );
+        result.cdnCache = { ...result.cdnCache, ...cdnAnalysis };
+      } catch (cdnError) {
+        console.warn("CDN analysis failed:", cdnError);
+      }
+      if (result.cdnCache.ttl === null) result.cdnCache.ttl = result.effectiveTTL.cdn.ttl;
+
+      console.log("Cache analysis result:", result);
+      return result;
+    } catch (error) {
+      console.error("Cache header analysis failed:", error);
+      throw new Error(`Cache analysis error: ${error.message}`);
+    }
+  }
+
+  // Analyze browser cache from categorized headers
+  analyzeBrowserCacheFromHeaders(browserHeaders) {
+    const result = {
+      status: "not-cached",
+      ttl: null,
+      cacheControl: null,
+      expires: null,
+    };
+
+    const cacheControl = browserHeaders["cache-control"];
+    const expires = browserHeaders["expires"];
+
+    if (cacheControl || expires) {
+      result.status = "cached";
+      result.cacheControl = cacheControl;
+      result.expires = expires;
+
+      // Extract TTL from cache-control
+      if (cacheControl) {
+        const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
+        if (maxAgeMatch) {
+          result.ttl = parseInt(maxAgeMatch[1]);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Analyze CDN cache from categorized headers
+  analyzeCDNCacheFromHeaders(cdnHeaders, fragmentation = null) {
+    const result = {
+      status: "unknown",
+      provider: "unknown",
+      ttl: null,
+      age: null,
+      cacheHeaders: cdnHeaders,
+    };
+
+    // Detect CDN provider and status with the same per-provider analyzers as analyzeCDNCache
+    const providerInfo = this.detectCDNProvider(cdnHeaders);
+    const cacheStatus = this.analyzeCDNCacheStatus(cdnHeaders, providerInfo, fragmentation);
+    result.provider = providerInfo.provider;
+    result.status = cacheStatus.status;
+    result.ttl = cacheStatus.ttl;
+    result.reason = cacheStatus.reason;
+    result.fragmentation = cacheStatus.fragmentation;
+
+    // Extract age/TTL
+    if (cdnHeaders["age"]) {
+      const ageValue = parseInt(cdnHeaders["age"]);
+      if (!isNaN(ageValue)) {
+        result.age = ageValue;
+      }
+    }
+
+    return result;
+  }
+
+  // Safe header extraction
+  safeGetHeader(headers, name) {
+    try {
+      if (!headers || typeof headers !== "object") {
+        return null;
+      }
+
+      // Handle both Headers object and plain object
+      if (headers.get && typeof headers.get === "function") {
+        return headers.get(name);
+      } else {
+        return headers[name] || headers[name.toLowerCase()] || null;
+      }
+    } catch (error) {
+      console.warn(`Error getting header "${name}":`, error);
+      return null;
+    }
+  }
+
+  // CDN header analysis with comprehensive provider detection
+  analyzeCDNHeaders(headers, fragmentation = null) {
+    const result = {
+      status: "unknown",
+      provider: "unknown",
+      ttl: null,
+      age: null,
+      cacheHeaders: {},
+    };
+
+    try {
+      // Collect CDN-related headers
+      const cdnHeaders = {
+        age: this.safeGetHeader(headers, "age"),
+        xCache: this.safeGetHeader(headers, "x-cache"),
+        xCacheHits: this.safeGetHeader(headers, "x-cache-hits"),
+        cfCacheStatus: this.safeGetHeader(headers, "cf-cache-status"),
+        xServedBy: this.safeGetHeader(headers, "x-served-by"),
+        xAmzCfId: this.safeGetHeader(headers, "x-amz-cf-id"),
+        server: this.safeGetHeader(headers, "server"),
+      };
+
+      result.cacheHeaders = cdnHeaders;
+
+      // Detect CDN provider and interpret its cache status
+      const headerMap =
+        typeof headers?.get === "function" ? Object.fromEntries(headers.entries()) : headers || {};
+      const providerInfo = this.detectCDNProvider(headerMap);
+      const cacheStatus = this.analyzeCDNCacheStatus(headerMap, providerInfo, fragmentation);
+      result.provider = providerInfo.provider;
+      result.status = cacheStatus.status;
+      result.ttl = cacheStatus.ttl;
+      result.reason = cacheStatus.reason;
+      result.fragmentation = cacheStatus.fragmentation;
+
+      // Extract age/TTL; a positive Age only implies a hit when the provider status is unknown
+      if (cdnHeaders.age) {
+        const ageValue = parseInt(cdnHeaders.age);
+        if (!isNaN(ageValue)) {
+          result.age = ageValue;
+          if (ageValue > 0 && result.status === "unknown") {
+            result.status = "hit";
+          }
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.warn("CDN header analysis error:", error);
+      return result;
+    }
+  }
+
+  // Get current DOM HTML content for analysis (optimized for SPAs)
+  async fetchDocumentHTML() {
+    const startTime = Date.now();
+
+    try {
+      console.log("Getting current DOM HTML content for analysis...");
+
+      // For SPAs and modern websites, use the current DOM state
+      // This ensures we analyze the fully rendered content, not just the initial server response
+      this.htmlContent = document.documentElement.outerHTML;
+
+      // Validate HTML content
+      if (!this.htmlContent || this.htmlContent.length === 0) {
+        throw new Error("Current DOM HTML content is empty");
+      }
+
+      if (this.htmlContent.length > 10 * 1024 * 1024) {
+        // 10MB limit
+        console.warn("HTML content is very large, analysis may be slow");
+      }
+
+      // Try to get actual response headers first, then fallback
+      console.log("Attempting to fetch actual response headers...");
+      try {
+        const actualHeaders = await this.tryFetchActualHeaders();
+        if (actualHeaders && Object.keys(actualHeaders).length > 0) {
+          console.log("Successfully fetched actual response headers");
+          this.responseHeaders = actualHeaders;
+        } else {
+          console.log("No actual headers available, using fallback");
+          this.responseHeaders = this.extractFallbackHeaders();
+        }
+      } catch (headerError) {
+        console.warn("Error fetching actual headers, using fallback:", headerError);
+        this.responseHeaders = this.extractFallbackHeaders();
+      }
+
+      const fetchDuration = Date.now() - startTime;
+      console.log(
+        `DOM HTML content retrieved successfully in ${fetchDuration}ms (${this.htmlContent.length} characters)`
+      );
+
+      return {
+        html: this.htmlContent,
+        headers: this.responseHeaders,
+        fetchDuration: fetchDuration,
+        source: "current-dom", // Indicate this came from current DOM, not fetch
+      };
+    } catch (error) {
+      const fetchDuration = Date.now() - startTime;
+      console.error(`Error getting DOM HTML content after ${fetchDuration}ms:`, error);
+
+      // Send detailed error to background
+      this.sendAnalysisError("dom_html_failed", {
+        originalError: error.message,
+        fetchDuration: fetchDuration,
+        url: window.location.href,
+      });
+
+      // Try to get at least the document body as fallback
+      try {
+        const bodyHTML = document.body ? document.body.outerHTML : "";
+        const headHTML = document.head ? document.head.outerHTML : "";
+        this.htmlContent = `<!DOCTYPE html><html>${headHTML}${bodyHTML}</html>`;
+
+        // Try to get headers for fallback too
+        try {
+          const actualHeaders = await this.tryFetchActualHeaders();
+          if (actualHeaders && Object.keys(actualHeaders).length > 0) {
+            this.responseHeaders = actualHeaders;
+          } else {
+            this.responseHeaders = this.extractFallbackHeaders();
+          }
+        } catch (headerError) {
+          this.responseHeaders = this.extractFallbackHeaders();
+        }
+
+        console.log("Using minimal DOM fallback for analysis");
+
+        return {
+          html: this.htmlContent,
+          headers: this.responseHeaders,
+          fetchDuration: fetchDuration,
+          source: "minimal-dom-fallback",
+          fallbackUsed: true,
+          fallbackReason: "Could not get full DOM HTML",
+        };
+      } catch (fallbackError) {
+        throw new Error(
+          `Both DOM HTML extraction and fallback failed. Primary: ${error.message}, Fallback: ${fallbackError.message}`
+        );
+      }
+    }
+  }
+
+  // Analyze live DOM structure directly (no HTML parsing needed)
+  parseHTMLStructure(htmlContent = null) {
+    const startTime = Date.now();
+
+    try {
+      console.log("Analyzing live DOM structure directly...");
+
+      // Use the live document instead of parsing HTML string
+      const doc = document;
+
+      if (!doc) {
+        throw new Error("Document not available");
+      }
+
+      if (!doc.documentElement) {
+        throw new Error("Document has no document element");
+      }
+
+      // Safely extract key structural elements with error handling
+      const structure = {
+        head: null,
+        body: null,
+        scripts: [],
+        links: [],
+        images: [],
+        videos: [],
+      };
+
+      try {
+        structure.head = {
+          element: doc.head,
+          scripts: doc.head ? this.safeQuerySelectorAll(doc.head, "script") : [],
+          links: doc.head ? this.safeQuerySelectorAll(doc.head, "link") : [],
+          meta: doc.head ? this.safeQuerySelectorAll(doc.head, "meta") : [],
+          preloads: doc.head ? this.safeQuerySelectorAll(doc.head, "link[rel='preload']") : [],
+        };
+      } catch (headError) {
+        console.warn("Error analyzing head section:", headError);
+        structure.head = { element: null, scripts: [], links: [], meta: [], preloads: [] };
+      }
+
+      try {
+        structure.body = {
+          element: doc.body,
+          scripts: doc.body ? this.safeQuerySelectorAll(doc.body, "script") : [],
+          links: doc.body ? this.safeQuerySelectorAll(doc.body, "link") : [],
+          images: doc.body ? this.safeQuerySelectorAll(doc.body, "img[src]") : [],
+          videos: doc.body ? this.safeQuerySelectorAll(doc.body, "video") : [],
+        };
+      } catch (bodyError) {
+        console.warn("Error analyzing body section:", bodyError);
+        structure.body = { element: null, scripts: [], links: [], images: [], videos: [] };
+      }
+
+      // Extract all elements for comprehensive analysis
+      try {
+        structure.allScripts = this.safeQuerySelectorAll(doc, "script");
+        structure.allLinks = this.safeQuerySelectorAll(doc, "link");
+        structure.allImages = this.safeQuerySelectorAll(doc, "img[src]");
+        structure.allVideos = this.safeQuerySelectorAll(doc, "video");
+      } catch (allElementsError) {
+        console.warn("Error extracting all elements:", allElementsError);
+        structure.allScripts = [];
+        structure.allLinks = [];
+        structure.allImages = [];
+        structure.allVideos = [];
+      }
+
+      const parseDuration = Date.now() - startTime;
+      console.log(`Live DOM structure analyzed successfully in ${parseDuration}ms`);
+
+      // Debug logging
+      console.log("DOM Analysis Results:", {
+        headScripts: structure.head.scripts.length,
+        headLinks: structure.head.links.length,
+        headPreloads: structure.head.preloads.length,
+        bodyScripts: structure.body.scripts.length,
+        bodyLinks: structure.body.links.length,
+        totalScripts: structure.allScripts.length,
+        totalLinks: structure.allLinks.length,
+      });
+
+      return {
+        structure: structure,
+        document: doc,
+        parseDuration: parseDuration,
+        htmlLength: this.htmlContent ? this.htmlContent.length : 0,
+        source: "live-dom",
+      };
+    } catch (error) {
+      const parseDuration = Date.now() - startTime;
+      console.error(`Error analyzing live DOM structure after ${parseDuration}ms:`, error);
+
+      // Send detailed error information
+      this.sendAnalysisError("dom_analysis_failed", {
+        originalError: error.message,
+        parseDuration: parseDuration,
+        url: window.location.href,
+      });
+
+      // Return minimal structure to allow analysis to continue
+      return {
+        structure: {
+          head: { element: null, scripts: [], links: [], meta: [], preloads: [] },
+          body: { element: null, scripts: [], links: [], images: [], videos: [] },
+          allScripts: [],
+          allLinks: [],
+          allImages: [],
+          allVideos: [],
+        },
+        document: null,
+        parseDuration: parseDuration,
+        htmlLength: 0,
+        parseError: error.message,
+        source: "fallback",
+      };
+    }
+  }
+
+  // Safe querySelector wrapper with error handling
+  safeQuerySelectorAll(element, selector) {
+    try {
+      if (!element || !element.querySelectorAll) {
+        return [];
+      }
+      return Array.from(element.querySelectorAll(selector));
+    } catch (error) {
+      console.warn(`Error querying selector "${selector}":`, error);
+      return [];
+    }
+  }
+
+  // Extract response headers for cache analysis
+  extractResponseHeaders(response) {
+    try {
+      console.log("Extracting response headers...");
+
+      if (!response || !response.headers) {
+        throw new Error("Invalid response object or missing headers");
+      }
+
+      const headers = {};
+      let headerCount = 0;
+      const maxHeaders = 100; // Prevent excessive header processing
+
+      // Iterate through all response headers with validation
+      for (const [name, value] of response.headers.entries()) {
+        // Security check: limit number of headers processed
+        if (headerCount >= maxHeaders) {
+          console.warn(`Header limit reached (${maxHeaders}), skipping remaining headers`);
+          break;
+        }
+
+        // Validate header name and value
+        const validatedHeader = this.validateHeader(name, value);
+        if (validatedHeader) {
+          headers[validatedHeader.name] = validatedHeader.value;
+          headerCount++;
+        }
+      }
+
+      // Validate and categorize important headers
+      const categorizedHeaders = this.categorizeHeaders(headers);
+
+      // Add extraction metadata
+      categorizedHeaders.extractionMetadata = {
+        totalHeadersProcessed: headerCount,
+        extractionTimestamp: Date.now(),
+        responseUrl: response.url || window.location.href,
+        responseStatus: response.status,
+        responseStatusText: response.statusText,
+      };
+
+      console.log(`Response headers extracted successfully (${headerCount} headers)`);
+      return categorizedHeaders;
+    } catch (error) {
+      console.error("Error extracting response headers:", error);
+      return this.extractFallbackHeaders();
+    }
+  }
+
+  // Categorize headers for cache analysis with enhanced validation
+  categorizeHeaders(rawHeaders) {
+    const categorized = {
+      raw: rawHeaders,
+      cache: {
+        browserCache: {},
+        cdnCache: {},
+        general: {},
+      },
+      security: {},
+      performance: {},
+      other: {},
+      validation: {
+        totalHeaders: 0,
+        validHeaders: 0,
+        invalidHeaders: 0,
+        malformedHeaders: [],
+      },
+    };
+
+    // Browser cache headers
+    const browserCacheHeaders = [
+      "cache-control",
+      "expires",
+      "etag",
+      "last-modified",
+      "pragma",
+      "vary",
+      "if-modified-since",
+      "if-none-match",
+    ];
+
+    // CDN cache headers (various providers)
+    const cdnCacheHeaders = [
+      "age",
+      "via",
+      "server",
+      "cache-status",
+      "x-vercel-cache",
+      "x-vercel-id",
+      "x-nf-request-id",
+      "x-azure-ref",
+      "x-msedge-ref",
+      "cdn-cache",
+      "cdn-pullzone",
+      "cdn-requestid",
+      "cdn-cachedat",
+      "x-edge-location",
+      "cdn-cache-control",
+      "cloudflare-cdn-cache-control",
+      "surrogate-control",
+      "x-cache",
+      "x-cache-hits",
+      "x-cache-status",
+      "cf-cache-status",
+      "cf-ray",
+      "cf-edge-cache",
+      "cf-request-id",
+      "x-served-by",
+      "x-cache-lookup",
+      "x-varnish",
+      "x-varnish-cache",
+      "server-timing",
+      "x-fastly-request-id",
+      "x-fastly-cache",
+      "x-amz-cf-pop",
+      "x-amz-cf-id",
+      "x-akamai-request-id",
+    ];
+
+    // Performance-related headers
+    const performanceHeaders = [
+      "content-encoding",
+      "content-length",
+      "transfer-encoding",
+      "server-timing",
+      "timing-allow-origin",
+      "accept-ranges",
+      "content-type",
+      "x-response-time",
+    ];
+
+    // Security headers
+    const securityHeaders = [
+      "strict-transport-security",
+      "content-security-policy",
+      "x-frame-options",
+      "x-content-type-options",
+      "x-xss-protection",
+      "referrer-policy",
+      "permissions-policy",
+    ];
+
+    // Process and categorize each header
+    Object.entries(rawHeaders).forEach(([name, value]) => {
+      categorized.validation.totalHeaders++;
+
+      try {
+        const normalizedName = name.toLowerCase();
+
+        // Validate header value format for specific headers
+        const isValidHeader = this.validateSpecificHeader(normalizedName, value);
+
+        if (isValidHeader) {
+          categorized.validation.validHeaders++;
+
+          // Categorize the header
+          if (browserCacheHeaders.includes(normalizedName)) {
+            categorized.cache.browserCache[normalizedName] = value;
+          } else if (cdnCacheHeaders.includes(normalizedName)) {
+            categorized.cache.cdnCache[normalizedName] = value;
+          } else if (performanceHeaders.includes(normalizedName)) {
+            categorized.performance[normalizedName] = value;
+          } else if (securityHeaders.includes(normalizedName)) {
+            categorized.security[normalizedName] = value;
+          } else {
+            categorized.other[normalizedName] = value;
+          }
+        } else {
+          categorized.validation.invalidHeaders++;
+          categorized.validation.malformedHeaders.push({
+            name: normalizedName,
+            value: value,
+            reason: "Failed specific header validation",
+          });
+        }
+      } catch (error) {
+        categorized.validation.invalidHeaders++;
+        categorized.validation.malformedHeaders.push({
+          name: name,
+          value: value,
+          reason: error.message,
+        });
+        console.warn("Error processing header:", name, error);
+      }
+    });
+
+    // Vary and Set-Cookie on cacheable responses fragment or bypass the CDN cache
+    categorized.cache.fragmentation = this.detectCacheFragmentation(rawHeaders);
+
+    // Add validation summary
+    console.log(
+      `Header validation complete: ${categorized.validation.validHeaders}/${categorized.validation.totalHeaders} valid`
+    );
+
+    if (categorized.validation.malformedHeaders.length > 0) {
+      console.warn("Malformed headers detected:", categorized.validation.malformedHeaders);
+    }
+
+    return categorized;
+  }
+
+  // Detect response headers that split or bypass shared caches (Vary and Set-Cookie)
+  detectCacheFragmentation(headers, options = {}) {
+    const result = { vary: [], setCookie: false, sharedCacheable: false, patterns: [] };
+
+    try {
+      const raw = headers || {};
+      result.vary = (raw["vary"] || "")
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+      result.setCookie = Boolean(raw["set-cookie"] || options.setCookie);
+      result.setCookieInferred = !raw["set-cookie"] && Boolean(options.setCookie);
+
+      // These headers only hurt when a shared cache would otherwise store the response
+      const cdn = this.computeEffectiveCacheTTLs(raw).cdn;
+      result.sharedCacheable = cdn.storable && cdn.ttl !== 0;
+      if (!result.sharedCacheable) return result;
+
+      if (result.vary.includes("*")) {
+        result.patterns.push({
+          type: "vary-star",
+          header: "Vary: *",
+          effect: "No two requests ever match, so shared caches can never reuse the response",
+        });
+      }
+      if (result.vary.includes("user-agent")) {
+        result.patterns.push({
+          type: "vary-user-agent",
+          header: "Vary: User-Agent",
+          effect:
+            "Every distinct User-Agent string (thousands in practice) gets its own cache entry, so most requests miss",
+        });
+      }
+      if (result.vary.includes("cookie")) {
+        result.patterns.push({
+          type: "vary-cookie",
+          header: "Vary: Cookie",
+          effect:
+            "Each visitor's cookies form a separate cache key, so visitors with analytics or consent cookies almost never share a copy",
+        });
+      }
+      if (result.setCookie && !result.setCookieInferred) {
+        result.patterns.push({
+          type: "set-cookie",
+          header: "Set-Cookie",
+          effect:
+            "Most CDNs won't cache responses that set cookies, and those that do can hand one visitor's cookie to the next",
+        });
+      } else if (result.setCookieInferred) {
+        // Only a hint: page scripts rewrite cookies too, and HttpOnly cookies are invisible
+        result.patterns.push({
+          type: "set-cookie-inferred",
+          header: "possible Set-Cookie",
+          inferred: true,
+          effect:
+            "If the response sets cookies, most CDNs won't cache it; this was inferred from document.cookie changing during the header request, which page scripts can also cause",
+        });
+      }
+    } catch (error) {
+      console.error("Error detecting cache fragmentation:", error);
+    }
+
+    return result;
+  }
+
+  // Validate individual header name and value
+  validateHeader(name, value) {
+    try {
+      // Validate header name
+      if (!name || typeof name !== "string") {
+        console.warn("Invalid header name:", name);
+        return null;
+      }
+
+      // Normalize header name
+      const normalizedName = name.toLowerCase().trim();
+
+      // Check for valid header name format (basic validation)
+      if (!/^[a-z0-9\-_]+$/.test(normalizedName)) {
+        console.warn("Header name contains invalid characters:", normalizedName);
+        return null;
+      }
+
+      // Validate header value
+      if (value === null || value === undefined) {
+        console.warn("Header has null/undefined value:", normalizedName);
+        return null;
+      }
+
+      // Convert value to string and sanitize
+      let sanitizedValue = String(value).trim();
+
+      // Security check: limit header value length
+      const maxValueLength = 8192; // 8KB limit per header value
+      if (sanitizedValue.length > maxValueLength) {
+        console.warn(
+          `Header value too long (${sanitizedValue.length} chars), truncating:`,
+          normalizedName
+        );
+        sanitizedValue = sanitizedValue.substring(0, maxValueLength) + "...[truncated]";
+      }
+
+      // Remove potentially dangerous characters (basic sanitization)
+      sanitizedValue = sanitizedValue.replace(/[\x00-\x1f\x7f-\x9f]/g, "");
+
+      return {
+        name: normalizedName,
+        value: sanitizedValue,
+      };
+    } catch (error) {
+      console.warn("Error validating header:", error);
+      return null;
+    }
+  }
+
+  // Validate specific header formats
+  validateSpecificHeader(headerName, headerValue) {
+    try {
+      switch (headerName) {
+        case "cache-control":
+        case "cdn-cache-control":
+        case "cloudflare-cdn-cache-control":
+        case "surrogate-control":
+          return this.validateCacheControlHeader(headerValue);
+
+        case "expires":
+          return this.validateExpiresHeader(headerValue);
+
+        case "age":
+          return this.validateAgeHeader(headerValue);
+
+        case "content-length":
+          return this.validateContentLengthHeader(headerValue);
+
+        case "etag":
+          return this.validateETagHeader(headerValue);
+
+        default:
+          // For unknown headers, just check basic format
+          return typeof headerValue === "string" && headerValue.length > 0;
+      }
+    } catch (error) {
+      console.warn(`Error validating ${headerName} header:`, error);
+      return false;
+    }
+  }
+
+  // Validate Cache-Control header format (also used for the CDN-targeted variants)
+  validateCacheControlHeader(value) {
+    if (!value || typeof value !== "string") return false;
+
+    // Response and request directives from RFC 9111, plus the widely supported extensions
+    const validDirectives = [
+      "public",
+      "private",
+      "no-cache",
+      "no-store",
+      "no-transform",
+      "must-revalidate",
+      "proxy-revalidate",
+      "must-understand",
+      "immutable",
+      "only-if-cached",
+      "max-stale",
+    ];
+    const deltaDirectives = [
+      "max-age",
+      "s-maxage",
+      "stale-while-revalidate",
+      "stale-if-error",
+      "min-fresh",
+    ];
+
+    const { directives, errors } = this.tokenizeCacheControl(value);
+    errors.forEach((error) => console.warn("Malformed Cache-Control header:", error));
+
+    for (const directive of directives) {
+      if (deltaDirectives.includes(directive.name)) {
+        if (!/^\d+$/.test(directive.value ?? "")) {
+          console.warn(`Invalid ${directive.name} value:`, directive.value);
+        }
+        continue;
+      }
+
+      // Unknown directives are allowed by the grammar and ignored by caches
+      if (!validDirectives.includes(directive.name)) {
+        console.warn("Unknown Cache-Control directive:", directive.name);
+      }
+    }
+
+    return directives.length > 0;
+  }
+
+  // Validate Expires header format
+  validateExpiresHeader(value) {
+    if (!value || typeof value !== "string") return false;
+
+    try {
+      const date = new Date(value);
+      return !isNaN(date.getTime());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Validate Age header format
+  validateAgeHeader(value) {
+    if (!value) return false;
+
+    const ageValue = parseInt(value, 10);
+    return !isNaN(ageValue) && ageValue >= 0;
+  }
+
+  // Validate Content-Length header format
+  validateContentLengthHeader(value) {
+    if (!value) return false;
+
+    const lengthValue = parseInt(value, 10);
+    return !isNaN(lengthValue) && lengthValue >= 0;
+  }
+
+  // Validate ETag header format
+  validateETagHeader(value) {
+    if (!value || typeof value !== "string") return false;
+
+    // Basic ETag format validation (quoted string or W/ prefix)
+    return /^(W\/)?"[^"]*"$/.test(value.trim());
+  }
+
+  // Extract fallback headers when fetch fails
+  extractFallbackHeaders() {
+    console.log("Extracting fallback headers from current page...");
+
+    const fallbackHeaders = {
+      raw: {},
+      cache: {
+        browserCache: {},
+        cdnCache: {},
+        general: {},
+      },
+      security: {},
+      performance: {},
+      other: {},
+      fallback: true,
+      fallbackReason: "Could not fetch original response headers",
+    };
+
+    try {
+      // Try to get some headers from performance entries
+      const navigationEntries = performance.getEntriesByType("navigation");
+      if (navigationEntries.length > 0) {
+        const entry = navigationEntries[0];
+
+        // Add timing information as pseudo-headers
+        fallbackHeaders.performance["x-timing-ttfb"] = `${(
+          entry.responseStart - entry.requestStart
+        ).toFixed(2)}ms`;
+        fallbackHeaders.performance["x-timing-dom-load"] = `${(
+          entry.domContentLoadedEventEnd - entry.domContentLoadedEventStart
+        ).toFixed(2)}ms`;
+      }
+
+      // Check for any meta tags that might indicate caching
+      const metaTags = document.querySelectorAll("meta[http-equiv]");
+      metaTags.forEach((meta) => {
+        const httpEquiv = meta.getAttribute("http-equiv").toLowerCase();
+        const content = meta.getAttribute("content");
+        if (httpEquiv && content) {
+          fallbackHeaders.cache.general[httpEquiv] = content;
+        }
+      });
+    } catch (error) {
+      console.warn("Error extracting fallback headers:", error);
+    }
+
+    return fallbackHeaders;
+  }
+
+  // Try to fetch actual response headers using a HEAD request (the page itself by default)
+  async tryFetchActualHeaders(url = window.location.href) {
+    try {
+      console.log("Attempting to fetch actual response headers...", url);
+      const cookiesBefore = document.cookie;
+
+      // Try HEAD request first
+      try {
+        const headResponse = await fetch(url, {
+          method: "HEAD",
+          cache: "no-cache", // Ensure we get fresh headers
+        });
+
+        if (headResponse.ok) {
+          console.log("HEAD request successful, extracting headers");
+          const extractedHeaders = this.extractResponseHeaders(headResponse);
+          if (extractedHeaders && Object.keys(extractedHeaders.raw || {}).length > 0) {
+            if (url === window.location.href) {
+              this.noteCookieChanges(extractedHeaders, cookiesBefore);
+            }
+            return extractedHeaders;
+          }
+        } else {
+          console.warn("HEAD request failed with status:", headResponse.status);
+        }
+      } catch (headError) {
+        console.warn("HEAD request failed:", headError.message);
+      }
+
+      // Fallback: Try GET request with range header to minimize data transfer
+      try {
+        console.log("Trying GET request with range header as fallback...");
+        const getResponse = await fetch(url, {
+          method: "GET",
+          headers: {
+            Range: "bytes=0-0", // Request only first byte
+          },
+          cache: "no-cache",
+        });
+
+        if (getResponse.ok || getResponse.status === 206) {
+          // 206 = Partial Content
+          console.log("GET request successful, extracting headers");
+          const extractedHeaders = this.extractResponseHeaders(getResponse);
+          if (extractedHeaders && Object.keys(extractedHeaders.raw || {}).length > 0) {
+            if (url === window.location.href) {
+              this.noteCookieChanges(extractedHeaders, cookiesBefore);
+            }
+            return extractedHeaders;
+          }
+        } else {
+          console.warn("GET request failed with status:", getResponse.status);
+        }
+      } catch (getError) {
+        console.warn("GET request failed:", getError.message);
+      }
+
+      // Final fallback: Try to extract headers from performance entries (document only)
+      if (url !== window.location.href) return null;
+      console.log("Trying to extract headers from performance entries...");
+      return this.extractHeadersFromPerformanceEntries();
+    } catch (error) {
+      console.warn("All header extraction methods failed:", error);
+      return null;
+    }
+  }
+
+  // Set-Cookie is hidden from fetch, but a changed document.cookie shows the response set one
+  noteCookieChanges(extractedHeaders, cookiesBefore) {
+    if (document.cookie === cookiesBefore || !extractedHeaders.cache) return;
+
+    extractedHeaders.cookiesChanged = true;
+    extractedHeaders.cache.fragmentation = this.detectCacheFragmentation(extractedHeaders.raw, {
+      setCookie: true,
+    });
+  }
+
+  // Extract headers from performance entries as a last resort
+  extractHeadersFromPerformanceEntries() {
+    try {
+      const navigationEntries = performance.getEntriesByType("navigation");
+      if (navigationEntries.length === 0) {
+        return null;
+      }
+
+      const entry = navigationEntries[0];
+      const headers = {
+        raw: {},
+        cache: {
+          browserCache: {},
+          cdnCache: {},
+          general: {},
+        },
+        security: {},
+        performance: {},
+        other: {},
+        fallback: true,
+        fallbackReason: "Extracted from performance entries",
+      };
+
+      // Add timing-based pseudo-headers
+      if (entry.responseStart && entry.requestStart) {
+        headers.performance["x-timing-ttfb"] = `${(
+          entry.responseStart - entry.requestStart
+        ).toFixed(2)}ms`;
+      }
+
+      if (entry.domContentLoadedEventEnd && entry.domContentLoadedEventStart) {
+        headers.performance["x-timing-dom-load"] = `${(
+          entry.domContentLoadedEventEnd - entry.domContentLoadedEventStart
+        ).toFixed(2)}ms`;
+      }
+
+      // Try to infer some cache information from timing
+      if (entry.responseStart && entry.fetchStart) {
+        const responseTime = entry.responseStart - entry.fetchStart;
+        if (responseTime < 50) {
+          // Very fast response might indicate cache hit
+          headers.cache.general["x-inferred-cache"] = "likely-cached";
+        }
+      }
 
-    // Performance optimizations
-    this.maxCacheSize = 10; // Maximum number of cached analyses
-    this.analysisState = {
-      isRunning: false,
-      currentProgress: 0,
-      totalPhases: 8,
-      completedPhases: [],
-      errors: [],
-      warnings: [],
+      console.log("Extracted headers from performance entries");
+      return headers;
+    } catch (error) {
+      console.warn("Failed to extract headers from performance entries:", error);
+      return null;
+    }
+  }
+
+  // Find elements with background images
+  findBackgroundImageElements(container) {
+    const elementsWithBgImages = [];
+
+    try {
+      // Get all elements in the container
+      const allElements = container.querySelectorAll("*");
+
+      allElements.forEach((element) => {
+        try {
+          const computedStyle = window.getComputedStyle(element);
+          const backgroundImage = computedStyle.backgroundImage;
+
+          // Check if element has a background image (not 'none')
+          if (backgroundImage && backgroundImage !== "none" && backgroundImage.includes("url(")) {
+            // Extract URL from background-image CSS property
+            const urlMatch = backgroundImage.match(/url\(['"]?([^'"]+)['"]?\)/);
+            if (urlMatch && urlMatch[1]) {
+              elementsWithBgImages.push({
+                element: element,
+                backgroundImageUrl: urlMatch[1],
+                selector: this.generateElementSelector(element),
+              });
+            }
+          }
+        } catch (error) {
+          // Skip elements that can't be processed
+          console.warn("Could not process element for background image:", error);
+        }
+      });
+    } catch (error) {
+      console.error("Error finding background image elements:", error);
+    }
+
+    return elementsWithBgImages;
+  }
+
+  // Generate a CSS selector for an element
+  generateElementSelector(element) {
+    try {
+      // Try to create a unique selector
+      if (element.id) {
+        return `#${element.id}`;
+      }
+
+      if (element.className && typeof element.className === "string") {
+        const classes = element.className.trim().split(/\s+/).slice(0, 3); // Limit to first 3 classes
+        if (classes.length > 0) {
+          return `${element.tagName.toLowerCase()}.${classes.join(".")}`;
+        }
+      }
+
+      // Fallback to tag name with position
+      const siblings = Array.from(element.parentNode?.children || []);
+      const sameTagSiblings = siblings.filter((sibling) => sibling.tagName === element.tagName);
+
+      if (sameTagSiblings.length > 1) {
+        const index = sameTagSiblings.indexOf(element) + 1;
+        return `${element.tagName.toLowerCase()}:nth-of-type(${index})`;
+      }
+
+      return element.tagName.toLowerCase();
+    } catch (error) {
+      console.warn("Error generating element selector:", error);
+      return "unknown";
+    }
+  }
+
+  // Main analysis orchestrator
+  async analyzePerformance() {
+    if (this.isAnalyzing) {
+      console.warn("Analysis already in progress");
+      return null;
+    }
+
+    this.isAnalyzing = true;
+
+    try {
+      console.log("Starting performance recommendations analysis...");
+
+      // Initialize analysis results structure
+      this.analysisResults = {
+        metadata: {
+          url: window.location.href,
+          timestamp: Date.now(),
+          analysisVersion: "2.0",
+          pageLoadType: "navigation",
+          userAgent: navigator.userAgent,
+        },
+        cache: {},
+        lcp: {},
+        scripts: {},
+        links: {},
+        css: {},
+        renderBlocking: {},
+        images: {},
+        lazyLoading: {},
+        fonts: {},
+        compression: {},
+        thirdParties: {},
+        bfcache: {},
+        serverTiming: {},
+        summary: {},
+      };
+
+      // Step 1: Fetch and parse HTML document
+      console.log("Debug: Starting HTML fetch...");
+      const fetchResult = await this.fetchDocumentHTML();
+      console.log(
+        `Debug: HTML fetch completed. Length: ${
+          this.htmlContent ? this.htmlContent.length : 0
+        }, Fallback used: ${fetchResult.fallbackUsed || false}`
+      );
+
+      const htmlStructure = this.parseHTMLStructure();
+      console.log("Debug: HTML structure parsed:", {
+        hasHead: !!htmlStructure.head,
+        hasBody: !!htmlStructure.body,
+        headLinksCount:
+          htmlStructure.head && htmlStructure.head.links ? htmlStructure.head.links.length : 0,
+        bodyLinksCount:
+          htmlStructure.body && htmlStructure.body.links ? htmlStructure.body.links.length : 0,
+      });
+
+      // Store HTML structure for use by other analysis methods
+      this.htmlStructure = htmlStructure;
+
+      // Coverage from an opt-in debugger run feeds the script and CSS analysis
+      await this.loadCoverageData();
+
+      // Step 2: Analyze scripts for optimization opportunities
+      console.log("Step 2: Analyzing scripts...");
+      this.analysisResults.scripts = this.analyzeScripts(htmlStructure);
+
+      // Step 3: Analyze links and preload opportunities
+      console.log("Step 3: Analyzing links...");
+      this.analysisResults.links = this.analyzeLinks(htmlStructure);
+
+      // Step 4: Analyze cache optimization opportunities
+      console.log("Step 4: Analyzing cache...");
+      this.analysisResults.serverTiming = this.collectServerTiming();
+      this.analysisResults.cache = await this.analyzeCache();
+
+      // Step 5: Analyze LCP optimization opportunities
+      console.log("Step 5: Analyzing LCP...");
+      this.analysisResults.lcp = this.analyzeLCP(htmlStructure);
+
+      // Step 6: Analyze CSS loading patterns and optimization opportunities
+      console.log("Step 6: Analyzing CSS...");
+      this.analysisResults.css = this.analyzeCSS(htmlStructure);
+
+      // Step 7: Analyze resources that actually blocked rendering
+      console.log("Step 7: Analyzing render-blocking resources...");
+      this.analysisResults.renderBlocking = this.analyzeRenderBlocking();
+
+      // Step 8: Audit images for size, format and dimensions
+      console.log("Step 8: Analyzing images...");
+      this.analysisResults.images = this.analyzeImages();
+
+      // Step 9: Audit lazy-loading against the fold
+      console.log("Step 9: Analyzing lazy-loading...");
+      this.analysisResults.lazyLoading = this.analyzeLazyLoading();
+
+      // Step 10: Analyze web font loading
+      console.log("Step 10: Analyzing fonts...");
+      this.analysisResults.fonts = this.analyzeFonts();
+
+      // Step 11: Analyze text compression and protocols per origin
+      console.log("Step 11: Analyzing compression...");
+      this.analysisResults.compression = this.analyzeCompression();
+
+      // Step 12: Analyze third-party cost per entity
+      console.log("Step 12: Analyzing third parties...");
+      this.analysisResults.thirdParties = this.analyzeThirdParties();
+
+      // Step 13: Analyze back/forward cache blockers
+      console.log("Step 13: Analyzing bfcache...");
+      this.analysisResults.bfcache = this.analyzeBFCache();
+
+      // Step 14: Generate summary
+      console.log("Step 14: Generating summary...");
+      this.analysisResults.summary = this.calculateSummary();
+
+      // Prepare CSS analysis infrastructure for future enhancements
+      this.prepareCSSAnalysisInfrastructure();
+
+      console.log("Performance recommendations analysis completed");
+      return this.analysisResults;
+    } catch (error) {
+      console.error("Error during performance analysis:", error);
+      throw error;
+    } finally {
+      this.isAnalyzing = false;
+    }
+  }
+
+  // Get current analysis state
+  getAnalysisState() {
+    return {
+      isAnalyzing: this.isAnalyzing,
+      hasResults: Object.keys(this.analysisResults).length > 0,
     };
   }
 
-  // Main analysis orchestrator with comprehensive error handling and timeout management
-  async analyzePerformance() {
-    if (this.isAnalyzing) {
-      throw new Error("Analysis already in progress");
+  // Analyze browser cache headers and determine cache status
+  analyzeBrowserCache() {
+    try {
+      console.log("Analyzing browser cache headers...");
+
+      if (!this.responseHeaders || !this.responseHeaders.cache) {
+        console.warn("No response headers available for browser cache analysis");
+        return {
+          status: "not-cached",
+          ttl: null,
+          cacheControl: null,
+          expires: null,
+          reason: "No cache headers available",
+        };
+      }
+
+      const browserCacheHeaders = this.responseHeaders.cache.browserCache;
+      const result = {
+        status: "not-cached",
+        ttl: null,
+        cacheControl: null,
+        expires: null,
+        reason: null,
+        headers: browserCacheHeaders,
+      };
+
+      // Check Cache-Control header first (takes precedence over Expires)
+      if (browserCacheHeaders["cache-control"]) {
+        result.cacheControl = browserCacheHeaders["cache-control"];
+        const cacheControlAnalysis = this.parseCacheControlHeader(result.cacheControl);
+
+        if (cacheControlAnalysis.isCacheable) {
+          result.status = "cached";
+          result.ttl = cacheControlAnalysis.maxAge;
+          result.reason = "Cache-Control header indicates caching";
+        } else {
+          result.status = "not-cached";
+          result.reason = cacheControlAnalysis.reason || "Cache-Control prevents caching";
+        }
+      }
+      // Fallback to Expires header if no Cache-Control
+      else if (browserCacheHeaders["expires"]) {
+        result.expires = browserCacheHeaders["expires"];
+        const expiresAnalysis = this.parseExpiresHeader(result.expires);
+
+        if (expiresAnalysis.isValid && expiresAnalysis.ttl > 0) {
+          result.status = "cached";
+          result.ttl = expiresAnalysis.ttl;
+          result.reason = "Expires header indicates caching";
+        } else {
+          result.status = "not-cached";
+          result.reason = expiresAnalysis.reason || "Expires header prevents caching";
+        }
+      }
+      // No caching headers found
+      else {
+        result.reason = "No browser-side caching detected";
+      }
+
+      // Check for explicit no-cache directives
+      if (browserCacheHeaders["pragma"] === "no-cache") {
+        result.status = "not-cached";
+        result.reason = "Pragma: no-cache directive";
+      }
+
+      console.log("Browser cache analysis complete:", result);
+      return result;
+    } catch (error) {
+      console.error("Error analyzing browser cache:", error);
+      return {
+        status: "error",
+        ttl: null,
+        cacheControl: null,
+        expires: null,
+        reason: `Analysis error: ${error.message}`,
+        error: error.message,
+      };
     }
+  }
 
-    // Check for cached results first
-    const cachedResults = this.getCachedAnalysis();
-    if (cachedResults) {
-      console.log("Returning cached analysis results");
-      this.analysisResults = cachedResults;
+  // Split a Cache-Control style field into directives, honouring quoted-string values
+  tokenizeCacheControl(value) {
+    const directives = [];
+    const errors = [];
+    const length = value.length;
+    let i = 0;
+
+    while (i < length) {
+      // Skip separators and optional whitespace
+      while (i < length && /[\s,]/.test(value[i])) i++;
+      if (i >= length) break;
+
+      let name = "";
+      while (i < length && !/[\s,=]/.test(value[i])) name += value[i++];
+      while (i < length && /[ \t]/.test(value[i])) i++;
+
+      let directiveValue = null;
+      let quoted = false;
+      if (value[i] === "=") {
+        i++;
+        while (i < length && /[ \t]/.test(value[i])) i++;
+        directiveValue = "";
+
+        if (value[i] === '"') {
+          // quoted-string: a backslash escapes the next character
+          quoted = true;
+          let closed = false;
+          i++;
+          while (i < length) {
+            const char = value[i++];
+            if (char === "\\" && i < length) {
+              directiveValue += value[i++];
+            } else if (char === '"') {
+              closed = true;
+              break;
+            } else {
+              directiveValue += char;
+            }
+          }
+          if (!closed) errors.push(`Unterminated quoted value for "${name}"`);
+        } else {
+          while (i < length && !/[\s,]/.test(value[i])) directiveValue += value[i++];
+        }
+      }
 
-      // Send cached results to background
-      chrome.runtime.sendMessage({
-        type: "recommendationsGenerated",
-        data: cachedResults,
-        cached: true,
-        success: true,
-      });
+      // Anything left before the next comma is not part of the grammar
+      let trailing = "";
+      while (i < length && value[i] !== ",") trailing += value[i++];
+      if (trailing.trim()) errors.push(`Unexpected text after "${name}": ${trailing.trim()}`);
 
-      return cachedResults;
+      if (!/^[!#$%&'*+.^_`|~0-9a-z-]+$/i.test(name)) {
+        errors.push(`Invalid directive name "${name}"`);
+        continue;
+      }
+      directives.push({ name: name.toLowerCase(), value: directiveValue, quoted });
     }
 
-    this.isAnalyzing = true;
-    this.analysisStartTime = Date.now();
-    this.abortController = new AbortController();
-    this.resetAnalysisState();
-    this.analysisState.isRunning = true;
+    return { directives, errors };
+  }
 
-    // Set up analysis timeout
-    const timeoutId = setTimeout(() => {
-      this.abortController.abort();
-    }, this.analysisTimeout);
+  // Parse Cache-Control (or a CDN-targeted variant) per RFC 9111 and extract TTLs
+  parseCacheControlHeader(cacheControlValue) {
+    const MAX_DELTA_SECONDS = 2147483648; // RFC 9111 caps delta-seconds at 2^31
 
     try {
-      console.log("Starting comprehensive performance analysis...");
-
-      // Send loading state to background
-      chrome.runtime.sendMessage({
-        type: "recommendationsLoading",
-        phase: "starting",
-      });
+      if (!cacheControlValue || typeof cacheControlValue !== "string") {
+        return {
+          isCacheable: false,
+          maxAge: null,
+          reason: "Invalid Cache-Control header",
+        };
+      }
 
-      const results = {
-        metadata: {
-          url: window.location.href,
-          timestamp: Date.now(),
-          analysisVersion: "2.0",
-          pageLoadType: "navigation",
-          userAgent: navigator.userAgent,
-        },
-        cache: null,
-        lcp: null,
-        scripts: null,
-        links: null,
-        css: null,
-        summary: null,
-        analysisErrors: [],
-        analysisWarnings: [],
+      const { directives, errors } = this.tokenizeCacheControl(cacheControlValue);
+      const result = {
+        isCacheable: true,
+        sharedCacheable: true,
+        maxAge: null,
+        sMaxAge: null,
+        staleWhileRevalidate: null,
+        staleIfError: null,
+        noStore: false,
+        noCache: false,
+        noCacheFields: [],
+        private: false,
+        privateFields: [],
+        public: false,
+        immutable: false,
+        mustRevalidate: false,
+        reason: null,
+        directives: directives.map((directive) => directive.name),
+        errors,
       };
 
-      // Phase 1: Fetch and parse HTML document
-      this.currentPhase = "html_fetch";
-      console.log("Phase 1: Fetching HTML document...");
-      this.updateAnalysisProgress("html_fetch", 12.5);
+      const deltaFields = {
+        "max-age": "maxAge",
+        "s-maxage": "sMaxAge",
+        "stale-while-revalidate": "staleWhileRevalidate",
+        "stale-if-error": "staleIfError",
+      };
+      const fieldNames = (value) =>
+        (value || "")
+          .split(",")
+          .map((field) => field.trim().toLowerCase())
+          .filter(Boolean);
+
+      directives.forEach(({ name, value }) => {
+        if (deltaFields[name]) {
+          // An invalid lifetime means stale; with duplicates the shortest one wins
+          let seconds = 0;
+          if (value !== null && /^\d+$/.test(value)) {
+            seconds = Math.min(parseInt(value, 10), MAX_DELTA_SECONDS);
+          } else {
+            errors.push(`Invalid ${name} value "${value ?? ""}"`);
+          }
+          const key = deltaFields[name];
+          result[key] = result[key] === null ? seconds : Math.min(result[key], seconds);
+          return;
+        }
 
-      let htmlData;
-      try {
-        htmlData = await this.fetchDocumentHTML();
-        if (htmlData.fallbackUsed) {
-          results.analysisWarnings.push({
-            phase: "html_fetch",
-            message: `Used fallback HTML: ${htmlData.fallbackReason}`,
-            impact: "Cache analysis may be limited",
-          });
+        switch (name) {
+          case "no-store":
+            result.noStore = true;
+            break;
+          case "no-cache":
+            // The qualified form only forbids reusing the listed fields without revalidation
+            if (value) {
+              result.noCacheFields.push(...fieldNames(value));
+            } else {
+              result.noCache = true;
+            }
+            break;
+          case "private":
+            if (value) {
+              result.privateFields.push(...fieldNames(value));
+            } else {
+              result.private = true;
+            }
+            break;
+          case "public":
+            result.public = true;
+            break;
+          case "immutable":
+            result.immutable = true;
+            break;
+          case "must-revalidate":
+          case "proxy-revalidate":
+            result.mustRevalidate = true;
+            break;
         }
-      } catch (error) {
-        throw new Error(`HTML fetch failed: ${error.message}`);
-      }
+      });
 
-      // Phase 2: Parse HTML structure
-      this.currentPhase = "html_parse";
-      console.log("Phase 2: Parsing HTML structure...");
-      this.updateAnalysisProgress("html_parse", 25);
+      if (result.noStore) {
+        result.isCacheable = false;
+        result.sharedCacheable = false;
+        result.reason = "Cache-Control contains no-store directive";
+      } else if (result.noCache) {
+        result.isCacheable = false;
+        result.sharedCacheable = false;
+        result.reason = "Cache-Control contains no-cache directive";
+      } else {
+        if (result.private) result.sharedCacheable = false;
 
-      let parseData;
-      try {
-        parseData = this.parseHTMLStructure(); // No parameter needed - analyzes live DOM
-        if (parseData.parseError) {
-          results.analysisWarnings.push({
-            phase: "html_parse",
-            message: `HTML parsing issues: ${parseData.parseError}`,
-            impact: "Some elements may not be detected",
-          });
+        if (result.maxAge !== null) {
+          result.reason = `Cacheable for ${result.maxAge} seconds`;
+        } else if (result.sMaxAge !== null) {
+          result.reason = `Cacheable in shared caches for ${result.sMaxAge} seconds`;
+        } else {
+          result.reason = "Cacheable but no explicit TTL";
         }
-      } catch (error) {
-        throw new Error(`HTML parsing failed: ${error.message}`);
       }
 
-      // Phase 3: Cache analysis
-      this.currentPhase = "cache_analysis";
-      console.log("Phase 3: Analyzing cache headers...");
-      this.updateAnalysisProgress("cache_analysis", 37.5);
+      return result;
+    } catch (error) {
+      console.error("Error parsing Cache-Control header:", error);
+      return {
+        isCacheable: false,
+        maxAge: null,
+        reason: `Parse error: ${error.message}`,
+      };
+    }
+  }
 
-      try {
-        results.cache = await this.analyzeCacheHeaders(htmlData.headers);
-      } catch (error) {
-        console.warn("Cache analysis failed:", error);
-        results.analysisErrors.push({
-          phase: "cache_analysis",
-          error: error.message,
-          impact: "Cache recommendations unavailable",
-        });
-        results.cache = this.getEmptyCacheAnalysis();
-      }
+  // Work out how long the browser, shared caches and the CDN may reuse a response
+  computeEffectiveCacheTTLs(headers) {
+    const raw = headers || {};
+    const cacheControl = raw["cache-control"]
+      ? this.parseCacheControlHeader(raw["cache-control"])
+      : null;
+    const dateMs = raw["date"] ? Date.parse(raw["date"]) : NaN;
+    const now = isNaN(dateMs) ? Date.now() : dateMs;
 
-      // Phase 4: LCP analysis
-      this.currentPhase = "lcp_analysis";
-      console.log("Phase 4: Analyzing LCP elements...");
-      this.updateAnalysisProgress("lcp_analysis", 50);
+    // Expires counts from the response's Date; an invalid date means already stale
+    let expiresTTL = null;
+    if (raw["expires"]) {
+      const expiresMs = Date.parse(raw["expires"]);
+      expiresTTL = isNaN(expiresMs) ? 0 : Math.max(0, Math.floor((expiresMs - now) / 1000));
+    }
 
-      try {
-        results.lcp = await this.analyzeLCPElement(parseData.structure);
-      } catch (error) {
-        console.warn("LCP analysis failed:", error);
-        results.analysisErrors.push({
-          phase: "lcp_analysis",
-          error: error.message,
-          impact: "LCP recommendations unavailable",
-        });
-        results.lcp = this.getEmptyLCPAnalysis();
-      }
+    // Without an explicit lifetime, caches typically use 10% of the time since Last-Modified
+    let heuristicTTL = null;
+    const lastModifiedMs = raw["last-modified"] ? Date.parse(raw["last-modified"]) : NaN;
+    if (!isNaN(lastModifiedMs) && lastModifiedMs < now) {
+      heuristicTTL = Math.floor((now - lastModifiedMs) / 10000);
+    }
 
-      // Phase 5: Script analysis
-      this.currentPhase = "script_analysis";
-      console.log("Phase 5: Analyzing scripts...");
-      this.updateAnalysisProgress("script_analysis", 62.5);
+    const fallbacks = { expiresTTL, heuristicTTL, pragma: raw["pragma"] };
+    const result = {
+      browser: this.resolveCacheLayerTTL(cacheControl, { ...fallbacks, shared: false }),
+      shared: this.resolveCacheLayerTTL(cacheControl, { ...fallbacks, shared: true }),
+      cdn: null,
+      age: null,
+      errors: [...(cacheControl?.errors || [])],
+    };
+    result.browser.header = raw["cache-control"] ? "cache-control" : null;
+    result.shared.header = raw["cache-control"] ? "cache-control" : null;
+
+    // A CDN obeys the most specific targeted field it knows and then ignores Cache-Control
+    const targetedHeader = [
+      "cloudflare-cdn-cache-control",
+      "cdn-cache-control",
+      "surrogate-control",
+    ].find((name) => raw[name]);
+    if (targetedHeader) {
+      const targeted = this.parseCacheControlHeader(raw[targetedHeader]);
+      result.cdn = this.resolveCacheLayerTTL(targeted, {
+        expiresTTL: null,
+        heuristicTTL: null,
+        shared: true,
+      });
+      result.cdn.header = targetedHeader;
+      result.errors.push(...(targeted.errors || []).map((error) => `${targetedHeader}: ${error}`));
+    } else {
+      result.cdn = { ...result.shared };
+    }
 
-      try {
-        console.log("Debug: Structure passed to analyzeScripts:", {
-          hasStructure: !!parseData.structure,
-          hasHead: !!(parseData.structure && parseData.structure.head),
-          hasBody: !!(parseData.structure && parseData.structure.body),
-          headScripts:
-            parseData.structure && parseData.structure.head && parseData.structure.head.scripts
-              ? parseData.structure.head.scripts.length
-              : 0,
-          bodyScripts:
-            parseData.structure && parseData.structure.body && parseData.structure.body.scripts
-              ? parseData.structure.body.scripts.length
-              : 0,
-        });
-        results.scripts = await this.analyzeScripts(parseData.structure);
-      } catch (error) {
-        console.warn("Script analysis failed:", error);
-        results.analysisErrors.push({
-          phase: "script_analysis",
-          error: error.message,
-          impact: "Script recommendations unavailable",
-        });
-        results.scripts = this.getEmptyScriptAnalysis();
+    const age = parseInt(raw["age"], 10);
+    if (!isNaN(age) && age >= 0) result.age = age;
+
+    return result;
+  }
+
+  // Resolve the freshness lifetime one cache layer applies to a parsed Cache-Control value
+  resolveCacheLayerTTL(parsed, options) {
+    const layer = {
+      storable: true,
+      ttl: null,
+      source: "none",
+      staleWhileRevalidate: parsed?.staleWhileRevalidate ?? null,
+      staleIfError: parsed?.staleIfError ?? null,
+    };
+
+    if (parsed) {
+      if (parsed.noStore) return { ...layer, storable: false, ttl: 0, source: "no-store" };
+      if (options.shared && parsed.private) {
+        return { ...layer, storable: false, ttl: 0, source: "private" };
       }
+      if (parsed.noCache) return { ...layer, ttl: 0, source: "no-cache" };
+      if (options.shared && parsed.sMaxAge !== null) {
+        return { ...layer, ttl: parsed.sMaxAge, source: "s-maxage" };
+      }
+      if (parsed.maxAge !== null) return { ...layer, ttl: parsed.maxAge, source: "max-age" };
+    } else if (options.pragma && /no-cache/i.test(options.pragma)) {
+      // Pragma only counts when there is no Cache-Control at all
+      return { ...layer, ttl: 0, source: "pragma" };
+    }
 
-      // Phase 6: Link analysis
-      this.currentPhase = "link_analysis";
-      console.log("Phase 6: Analyzing link tags...");
-      this.updateAnalysisProgress("link_analysis", 75);
+    if (options.expiresTTL !== null) {
+      return { ...layer, ttl: options.expiresTTL, source: "expires" };
+    }
+    if (options.heuristicTTL !== null) {
+      return { ...layer, ttl: options.heuristicTTL, source: "heuristic" };
+    }
+    return layer;
+  }
 
-      try {
-        console.log("Debug: Structure passed to analyzeLinks:", {
-          hasStructure: !!parseData.structure,
-          hasHead: !!(parseData.structure && parseData.structure.head),
-          hasBody: !!(parseData.structure && parseData.structure.body),
-          headLinks:
-            parseData.structure && parseData.structure.head && parseData.structure.head.links
-              ? parseData.structure.head.links.length
-              : 0,
-          bodyLinks:
-            parseData.structure && parseData.structure.body && parseData.structure.body.links
-              ? parseData.structure.body.links.length
-              : 0,
-        });
-        results.links = await this.analyzeLinks(parseData.structure);
-      } catch (error) {
-        console.warn("Link analysis failed:", error);
-        results.analysisErrors.push({
-          phase: "link_analysis",
-          error: error.message,
-          impact: "Link recommendations unavailable",
-        });
-        results.links = this.getEmptyLinkAnalysis();
+  // Format a TTL in seconds as a short human-readable duration
+  formatCacheTTL(seconds) {
+    if (seconds === null || seconds === undefined) return "unset";
+    if (seconds >= 86400) return `${Math.round(seconds / 86400)}d`;
+    if (seconds >= 3600) return `${Math.round(seconds / 3600)}h`;
+    if (seconds >= 60) return `${Math.round(seconds / 60)}m`;
+    return `${seconds}s`;
+  }
+
+  // Parse Expires header and calculate TTL
+  parseExpiresHeader(expiresValue) {
+    try {
+      if (!expiresValue || typeof expiresValue !== "string") {
+        return {
+          isValid: false,
+          ttl: null,
+          reason: "Invalid Expires header",
+        };
       }
 
-      // Phase 7: CSS analysis
-      this.currentPhase = "css_analysis";
-      console.log("Phase 7: Analyzing CSS...");
-      this.updateAnalysisProgress("css_analysis", 87.5);
+      // Parse the expires date
+      const expiresDate = new Date(expiresValue);
+      const currentDate = new Date();
 
-      try {
-        console.log("Debug: Structure passed to analyzeCSS:", {
-          hasStructure: !!parseData.structure,
-          hasHead: !!(parseData.structure && parseData.structure.head),
-          hasBody: !!(parseData.structure && parseData.structure.body),
-          headLinks:
-            parseData.structure && parseData.structure.head && parseData.structure.head.links
-              ? parseData.structure.head.links.length
-              : 0,
-          bodyLinks:
-            parseData.structure && parseData.structure.body && parseData.structure.body.links
-              ? parseData.structure.body.links.length
-              : 0,
-        });
-        results.css = await this.analyzeCSS(parseData.structure);
-      } catch (error) {
-        console.warn("CSS analysis failed:", error);
-        results.analysisErrors.push({
-          phase: "css_analysis",
-          error: error.message,
-          impact: "CSS recommendations unavailable",
-        });
-        results.css = this.getEmptyCSSAnalysis();
+      if (isNaN(expiresDate.getTime())) {
+        return {
+          isValid: false,
+          ttl: null,
+          reason: "Invalid date format in Expires header",
+        };
       }
 
-      // Phase 8: Generate summary
-      this.currentPhase = "summary_generation";
-      console.log("Phase 8: Generating summary...");
-      this.updateAnalysisProgress("summary_generation", 100);
+      // Calculate TTL in seconds
+      const ttlMs = expiresDate.getTime() - currentDate.getTime();
+      const ttlSeconds = Math.floor(ttlMs / 1000);
 
-      try {
-        results.summary = this.generateSummary(results);
-      } catch (error) {
-        console.warn("Summary generation failed:", error);
-        results.analysisErrors.push({
-          phase: "summary_generation",
-          error: error.message,
-          impact: "Summary may be incomplete",
-        });
-        results.summary = this.getEmptySummary();
+      if (ttlSeconds <= 0) {
+        return {
+          isValid: true,
+          ttl: 0,
+          reason: "Resource has already expired",
+        };
       }
 
-      // Clear timeout
-      clearTimeout(timeoutId);
+      return {
+        isValid: true,
+        ttl: ttlSeconds,
+        reason: `Expires in ${ttlSeconds} seconds`,
+        expiresDate: expiresDate,
+      };
+    } catch (error) {
+      console.error("Error parsing Expires header:", error);
+      return {
+        isValid: false,
+        ttl: null,
+        reason: `Parse error: ${error.message}`,
+      };
+    }
+  }
 
-      const totalDuration = Date.now() - this.analysisStartTime;
-      console.log(`Performance analysis completed successfully in ${totalDuration}ms`);
+  // Analyze CDN cache headers and detect cache hits
+  analyzeCDNCache() {
+    try {
+      console.log("Analyzing CDN cache headers...");
 
-      // Add analysis metadata
-      results.metadata.analysisDuration = totalDuration;
-      results.metadata.completedPhases = this.currentPhase;
-      results.metadata.hasErrors = results.analysisErrors.length > 0;
-      results.metadata.hasWarnings = results.analysisWarnings.length > 0;
+      if (!this.responseHeaders || !this.responseHeaders.cache) {
+        console.warn("No response headers available for CDN cache analysis");
+        return {
+          status: "unknown",
+          provider: "unknown",
+          ttl: null,
+          age: null,
+          cacheHeaders: {},
+          reason: "No cache headers available",
+        };
+      }
 
-      // Cache the successful analysis results
-      this.setCachedAnalysis(results);
+      const cdnCacheHeaders = this.responseHeaders.cache.cdnCache;
+      const result = {
+        status: "unknown",
+        provider: "unknown",
+        ttl: null,
+        age: null,
+        cacheHeaders: cdnCacheHeaders,
+        reason: null,
+      };
 
-      this.analysisResults = results;
-      return results;
-    } catch (error) {
-      clearTimeout(timeoutId);
+      // Detect CDN provider and analyze cache status
+      const providerDetection = this.detectCDNProvider(cdnCacheHeaders);
+      result.provider = providerDetection.provider;
 
-      const totalDuration = Date.now() - this.analysisStartTime;
-      const isTimeout = error.name === "AbortError" || error.message.includes("timeout");
+      // Parse Age header if present
+      if (cdnCacheHeaders["age"]) {
+        const ageValue = parseInt(cdnCacheHeaders["age"], 10);
+        if (!isNaN(ageValue) && ageValue >= 0) {
+          result.age = ageValue;
+        }
+      }
 
-      console.error(
-        `Performance analysis failed after ${totalDuration}ms in phase ${this.currentPhase}:`,
-        error
+      // Analyze cache status based on provider-specific headers
+      const cacheStatusAnalysis = this.analyzeCDNCacheStatus(
+        cdnCacheHeaders,
+        providerDetection,
+        this.responseHeaders.cache.fragmentation
       );
+      result.status = cacheStatusAnalysis.status;
+      result.ttl = cacheStatusAnalysis.ttl;
+      result.reason = cacheStatusAnalysis.reason;
+      result.fragmentation = cacheStatusAnalysis.fragmentation;
 
-      // Create error result
-      const errorResult = {
-        metadata: {
-          url: window.location.href,
-          timestamp: Date.now(),
-          analysisVersion: "2.0",
-          pageLoadType: "navigation",
-          userAgent: navigator.userAgent,
-          analysisDuration: totalDuration,
-          failedPhase: this.currentPhase,
-          analysisAborted: isTimeout,
-        },
-        error: {
-          code: isTimeout ? "ANALYSIS_TIMEOUT" : "ANALYSIS_FAILED",
-          message: isTimeout
-            ? `Analysis timed out after ${this.analysisTimeout / 1000} seconds in ${
-                this.currentPhase
-              } phase`
-            : error.message,
-          phase: this.currentPhase,
-          duration: totalDuration,
-        },
-      };
-
-      // Send error to background
-      this.sendAnalysisError("analysis_failed", errorResult.error);
+      // If Age > 0, it's likely a cache hit
+      if (result.age && result.age > 0 && result.status === "unknown") {
+        result.status = "hit";
+        result.reason = `Cache hit detected (Age: ${result.age}s)`;
+      }
 
-      throw error;
-    } finally {
-      this.isAnalyzing = false;
-      this.currentPhase = null;
-      this.abortController = null;
-      this.analysisState.isRunning = false;
+      console.log("CDN cache analysis complete:", result);
+      return result;
+    } catch (error) {
+      console.error("Error analyzing CDN cache:", error);
+      return {
+        status: "error",
+        provider: "unknown",
+        ttl: null,
+        age: null,
+        cacheHeaders: {},
+        reason: `Analysis error: ${error.message}`,
+        error: error.message,
+      };
     }
   }
 
-  // Analysis caching and optimization methods
-
-  // Check if cached analysis is available and valid
-  getCachedAnalysis(url = window.location.href) {
+  // Detect CDN provider based on response headers
+  detectCDNProvider(cdnHeaders) {
     try {
-      const cacheKey = this.generateCacheKey(url);
-      const cached = this.analysisCache.get(cacheKey);
+      const result = {
+        provider: "unknown",
+        confidence: 0,
+        indicators: [],
+      };
 
-      if (!cached) {
-        console.log("No cached analysis found for URL:", url);
-        return null;
+      // Cloudflare detection
+      if (cdnHeaders["cf-cache-status"] || cdnHeaders["cf-ray"] || cdnHeaders["cf-request-id"]) {
+        result.provider = "cloudflare";
+        result.confidence = 0.9;
+        result.indicators.push("cf-cache-status", "cf-ray", "cf-request-id");
+      }
+      // Fastly detection
+      else if (
+        cdnHeaders["x-fastly-request-id"] ||
+        cdnHeaders["x-fastly-cache"] ||
+        cdnHeaders["x-served-by"]?.includes("fastly")
+      ) {
+        result.provider = "fastly";
+        result.confidence = 0.9;
+        result.indicators.push("x-fastly-request-id", "x-fastly-cache");
+      }
+      // AWS CloudFront detection
+      else if (cdnHeaders["x-amz-cf-pop"] || cdnHeaders["x-amz-cf-id"]) {
+        result.provider = "aws";
+        result.confidence = 0.9;
+        result.indicators.push("x-amz-cf-pop", "x-amz-cf-id");
+      }
+      // Akamai detection
+      else if (cdnHeaders["x-akamai-request-id"] || cdnHeaders["x-cache"]?.includes("akamai")) {
+        result.provider = "akamai";
+        result.confidence = 0.8;
+        result.indicators.push("x-akamai-request-id", "x-cache");
+      }
+      // Vercel detection
+      else if (cdnHeaders["x-vercel-cache"] || cdnHeaders["x-vercel-id"]) {
+        result.provider = "vercel";
+        result.confidence = 0.9;
+        result.indicators.push("x-vercel-cache", "x-vercel-id");
+      }
+      // Netlify detection
+      else if (cdnHeaders["x-nf-request-id"] || /netlify/i.test(cdnHeaders["server"] || "")) {
+        result.provider = "netlify";
+        result.confidence = 0.9;
+        result.indicators.push("x-nf-request-id", "server");
+      }
+      // Azure Front Door detection
+      else if (cdnHeaders["x-azure-ref"] || cdnHeaders["x-msedge-ref"]) {
+        result.provider = "azure";
+        result.confidence = 0.9;
+        result.indicators.push("x-azure-ref", "x-msedge-ref");
+      }
+      // Bunny CDN detection
+      else if (
+        cdnHeaders["cdn-pullzone"] ||
+        cdnHeaders["cdn-requestid"] ||
+        /bunnycdn/i.test(cdnHeaders["server"] || "")
+      ) {
+        result.provider = "bunny";
+        result.confidence = 0.9;
+        result.indicators.push("cdn-pullzone", "cdn-requestid", "server");
+      }
+      // KeyCDN detection
+      else if (/keycdn/i.test(cdnHeaders["server"] || "")) {
+        result.provider = "keycdn";
+        result.confidence = 0.9;
+        result.indicators.push("server", "x-edge-location");
+      }
+      // Google Cloud CDN detection (the Google load balancer adds "Via: 1.1 google")
+      else if (/\bgoogle\b/i.test(cdnHeaders["via"] || "")) {
+        result.provider = "gcp";
+        result.confidence = 0.6;
+        result.indicators.push("via");
+      }
+      // Varnish detection
+      else if (cdnHeaders["x-varnish"] || /varnish/i.test(cdnHeaders["via"] || "")) {
+        result.provider = "varnish";
+        result.confidence = 0.8;
+        result.indicators.push("x-varnish", "via");
+      }
+      // Generic CDN detection based on common headers
+      else if (cdnHeaders["x-cache"] || cdnHeaders["x-cache-hits"] || cdnHeaders["cache-status"]) {
+        result.provider = "generic";
+        result.confidence = 0.6;
+        result.indicators.push("x-cache", "x-cache-hits", "cache-status");
       }
 
-      const now = Date.now();
-      const isExpired = now - cached.timestamp > this.cacheTimeout;
+      return result;
+    } catch (error) {
+      console.error("Error detecting CDN provider:", error);
+      return {
+        provider: "unknown",
+        confidence: 0,
+        indicators: [],
+        error: error.message,
+      };
+    }
+  }
 
-      if (isExpired) {
-        console.log("Cached analysis expired, removing from cache");
-        this.analysisCache.delete(cacheKey);
-        return null;
-      }
+  // Analyze CDN cache status based on provider-specific headers and cache-busting patterns
+  analyzeCDNCacheStatus(cdnHeaders, providerInfo, fragmentation = null) {
+    const analysis = this.analyzeProviderCacheStatus(cdnHeaders, providerInfo);
 
-      // Check if page has changed since analysis
-      if (this.hasPageChanged(cached.pageSignature)) {
-        console.log("Page content changed, invalidating cache");
-        this.analysisCache.delete(cacheKey);
-        return null;
+    try {
+      // Vary and Set-Cookie explain misses that the provider status alone can't
+      const patterns = (fragmentation || this.detectCacheFragmentation(cdnHeaders)).patterns;
+      analysis.fragmentation = patterns;
+      const detected = patterns.filter((pattern) => !pattern.inferred);
+      if (detected.length > 0 && analysis.status !== "hit") {
+        analysis.reason = `${analysis.reason || "No cache hit"}; likely cause: ${detected
+          .map((pattern) => pattern.header)
+          .join(", ")}`;
       }
-
-      console.log("Using cached analysis from", new Date(cached.timestamp).toISOString());
-      return cached.results;
     } catch (error) {
-      console.warn("Error retrieving cached analysis:", error);
-      return null;
+      console.error("Error checking cache fragmentation:", error);
     }
+
+    return analysis;
   }
 
-  // Store analysis results in cache
-  setCachedAnalysis(results, url = window.location.href) {
+  // Interpret the CDN provider's own cache status headers
+  analyzeProviderCacheStatus(cdnHeaders, providerInfo) {
     try {
-      const cacheKey = this.generateCacheKey(url);
-      const pageSignature = this.generatePageSignature();
-
-      const cacheEntry = {
-        results: results,
-        timestamp: Date.now(),
-        url: url,
-        pageSignature: pageSignature,
-        analysisVersion: results.metadata?.analysisVersion || "2.0",
+      const result = {
+        status: "unknown",
+        ttl: null,
+        reason: "No cache status indicators found",
       };
 
-      // Implement cache size limit
-      if (this.analysisCache.size >= this.maxCacheSize) {
-        this.evictOldestCacheEntry();
-      }
+      switch (providerInfo.provider) {
+        case "cloudflare":
+          return this.analyzeCloudflareCache(cdnHeaders);
 
-      this.analysisCache.set(cacheKey, cacheEntry);
-      console.log("Analysis results cached for URL:", url);
+        case "fastly":
+          return this.analyzeFastlyCache(cdnHeaders);
 
-      // Update tracking variables
-      this.lastAnalysisUrl = url;
-      this.lastAnalysisTimestamp = Date.now();
-    } catch (error) {
-      console.warn("Error caching analysis results:", error);
-    }
-  }
+        case "aws":
+          return this.analyzeAWSCloudFrontCache(cdnHeaders);
 
-  // Generate cache key for URL
-  generateCacheKey(url) {
-    try {
-      // Use URL without hash and query params for caching
-      const urlObj = new URL(url);
-      const baseUrl = `${urlObj.protocol}//${urlObj.host}${urlObj.pathname}`;
+        case "akamai":
+          return this.analyzeAkamaiCache(cdnHeaders);
 
-      // Create a simple hash of the base URL
-      let hash = 0;
-      for (let i = 0; i < baseUrl.length; i++) {
-        const char = baseUrl.charCodeAt(i);
-        hash = (hash << 5) - hash + char;
-        hash = hash & hash; // Convert to 32-bit integer
-      }
+        case "vercel":
+          return this.analyzeVercelCache(cdnHeaders);
 
-      return `analysis_${Math.abs(hash)}`;
-    } catch (error) {
-      console.warn("Error generating cache key:", error);
-      return `analysis_${Date.now()}`;
-    }
-  }
+        case "netlify":
+          return this.analyzeNetlifyCache(cdnHeaders);
 
-  // Generate page signature for change detection
-  generatePageSignature() {
-    try {
-      const signature = {
-        domHash: this.calculateDOMHash(),
-        contentLength: document.documentElement.outerHTML.length,
-        title: document.title || "",
-        metaDescription: this.getMetaDescription(),
-        timestamp: Date.now(),
-      };
+        case "azure":
+          return this.analyzeAzureFrontDoorCache(cdnHeaders);
 
-      // Update page change detector
-      this.pageChangeDetector = {
-        lastDOMHash: signature.domHash,
-        lastContentLength: signature.contentLength,
-        lastTitle: signature.title,
-        lastMetaDescription: signature.metaDescription,
-      };
+        case "gcp":
+          return this.analyzeGoogleCloudCDNCache(cdnHeaders);
 
-      return signature;
+        case "bunny":
+          return this.analyzeBunnyCache(cdnHeaders);
+
+        case "keycdn":
+          return this.analyzeKeyCDNCache(cdnHeaders);
+
+        case "varnish":
+          return this.analyzeVarnishCache(cdnHeaders);
+
+        case "generic":
+          return this.analyzeGenericCDNCache(cdnHeaders);
+
+        default:
+          // Try to extract basic cache information from common headers
+          if (cdnHeaders["x-cache"]) {
+            const xCacheValue = cdnHeaders["x-cache"].toLowerCase();
+            if (xCacheValue.includes("hit")) {
+              result.status = "hit";
+              result.reason = "X-Cache header indicates cache hit";
+            } else if (xCacheValue.includes("miss")) {
+              result.status = "miss";
+              result.reason = "X-Cache header indicates cache miss";
+            }
+          }
+          break;
+      }
+
+      return result;
     } catch (error) {
-      console.warn("Error generating page signature:", error);
+      console.error("Error analyzing CDN cache status:", error);
       return {
-        domHash: Date.now(),
-        contentLength: 0,
-        title: "",
-        metaDescription: "",
-        timestamp: Date.now(),
+        status: "error",
+        ttl: null,
+        reason: `Cache status analysis error: ${error.message}`,
       };
     }
   }
 
-  // Check if page has changed since last analysis
-  hasPageChanged(cachedSignature) {
-    try {
-      if (!cachedSignature) return true;
-
-      const currentSignature = this.generatePageSignature();
+  // Analyze Cloudflare cache headers
+  analyzeCloudflareCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-      // Compare key indicators of page change
-      const hasChanged =
-        currentSignature.domHash !== cachedSignature.domHash ||
-        Math.abs(currentSignature.contentLength - cachedSignature.contentLength) > 1000 ||
-        currentSignature.title !== cachedSignature.title ||
-        currentSignature.metaDescription !== cachedSignature.metaDescription;
+    if (headers["cf-cache-status"]) {
+      const cacheStatus = headers["cf-cache-status"].toLowerCase();
 
-      if (hasChanged) {
-        console.log("Page change detected:", {
-          domHashChanged: currentSignature.domHash !== cachedSignature.domHash,
-          contentLengthDiff: Math.abs(
-            currentSignature.contentLength - cachedSignature.contentLength
-          ),
-          titleChanged: currentSignature.title !== cachedSignature.title,
-          metaChanged: currentSignature.metaDescription !== cachedSignature.metaDescription,
-        });
+      switch (cacheStatus) {
+        case "hit":
+          result.status = "hit";
+          result.reason = "Cloudflare cache hit";
+          break;
+        case "miss":
+          result.status = "miss";
+          result.reason = "Cloudflare cache miss";
+          break;
+        case "expired":
+          result.status = "miss";
+          result.reason = "Cloudflare cache expired";
+          break;
+        case "bypass":
+          result.status = "miss";
+          result.reason = "Cloudflare cache bypassed";
+          break;
+        case "dynamic":
+          result.status = "miss";
+          result.reason = "Cloudflare dynamic content (not cached)";
+          break;
+        default:
+          result.status = "unknown";
+          result.reason = `Cloudflare cache status: ${cacheStatus}`;
       }
+    }
 
-      return hasChanged;
-    } catch (error) {
-      console.warn("Error checking page changes:", error);
-      return true; // Assume changed if we can't determine
+    // Extract TTL from Cloudflare edge cache headers if available
+    if (headers["cf-edge-cache"]) {
+      const edgeCacheValue = headers["cf-edge-cache"];
+      const maxAgeMatch = edgeCacheValue.match(/max-age=(\d+)/);
+      if (maxAgeMatch) {
+        result.ttl = parseInt(maxAgeMatch[1], 10);
+      }
     }
-  }
 
-  // Calculate a simple hash of DOM structure
-  calculateDOMHash() {
-    try {
-      // Get key structural elements for hashing
-      const elements = document.querySelectorAll(
-        'script[src], link[rel="stylesheet"], img[src], meta[name="description"]'
-      );
-      let hashString = "";
+    return result;
+  }
 
-      elements.forEach((el) => {
-        if (el.tagName === "SCRIPT" && el.src) {
-          hashString += `script:${el.src}`;
-        } else if (el.tagName === "LINK" && el.href) {
-          hashString += `link:${el.href}`;
-        } else if (el.tagName === "IMG" && el.src) {
-          hashString += `img:${el.src}`;
-        } else if (el.tagName === "META" && el.content) {
-          hashString += `meta:${el.content}`;
-        }
-      });
+  // Analyze Fastly cache headers
+  analyzeFastlyCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-      // Add document title and basic structure
-      hashString += `title:${document.title}`;
-      hashString += `scripts:${document.scripts.length}`;
-      hashString += `links:${document.links.length}`;
+    if (headers["x-cache"]) {
+      const xCacheValue = headers["x-cache"].toLowerCase();
+      if (xCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = "Fastly cache hit";
+      } else if (xCacheValue.includes("miss")) {
+        result.status = "miss";
+        result.reason = "Fastly cache miss";
+      }
+    }
 
-      // Generate simple hash
-      let hash = 0;
-      for (let i = 0; i < hashString.length; i++) {
-        const char = hashString.charCodeAt(i);
-        hash = (hash << 5) - hash + char;
-        hash = hash & hash;
+    // Check for Fastly-specific cache headers
+    if (headers["x-fastly-cache"]) {
+      const fastlyCacheValue = headers["x-fastly-cache"].toLowerCase();
+      if (fastlyCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = "Fastly cache hit (x-fastly-cache)";
       }
-
-      return Math.abs(hash);
-    } catch (error) {
-      console.warn("Error calculating DOM hash:", error);
-      return Date.now(); // Fallback to timestamp
     }
-  }
 
-  // Get meta description for change detection
-  getMetaDescription() {
-    try {
-      const metaDesc = document.querySelector('meta[name="description"]');
-      return metaDesc ? metaDesc.getAttribute("content") || "" : "";
-    } catch (error) {
-      return "";
-    }
+    return result;
   }
 
-  // Evict oldest cache entry when cache is full
-  evictOldestCacheEntry() {
-    try {
-      let oldestKey = null;
-      let oldestTimestamp = Date.now();
-
-      for (const [key, entry] of this.analysisCache.entries()) {
-        if (entry.timestamp < oldestTimestamp) {
-          oldestTimestamp = entry.timestamp;
-          oldestKey = key;
-        }
-      }
+  // Analyze AWS CloudFront cache headers
+  analyzeAWSCloudFrontCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-      if (oldestKey) {
-        this.analysisCache.delete(oldestKey);
-        console.log("Evicted oldest cache entry:", oldestKey);
+    if (headers["x-cache"]) {
+      const xCacheValue = headers["x-cache"].toLowerCase();
+      if (xCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = "CloudFront cache hit";
+      } else if (xCacheValue.includes("miss")) {
+        result.status = "miss";
+        result.reason = "CloudFront cache miss";
       }
-    } catch (error) {
-      console.warn("Error evicting cache entry:", error);
     }
-  }
 
-  // Clear analysis cache
-  clearCache() {
-    try {
-      this.analysisCache.clear();
-      console.log("Analysis cache cleared");
-    } catch (error) {
-      console.warn("Error clearing cache:", error);
+    // CloudFront age header indicates cache hit if present
+    if (headers["age"] && parseInt(headers["age"], 10) > 0) {
+      result.status = "hit";
+      result.reason = "CloudFront cache hit (Age header present)";
     }
+
+    return result;
   }
 
-  // Get cache statistics
-  getCacheStats() {
-    return {
-      size: this.analysisCache.size,
-      maxSize: this.maxCacheSize,
-      cacheTimeout: this.cacheTimeout,
-      lastAnalysisUrl: this.lastAnalysisUrl,
-      lastAnalysisTimestamp: this.lastAnalysisTimestamp,
+  // Analyze Akamai cache headers
+  analyzeAkamaiCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
     };
+
+    if (headers["x-cache"]) {
+      const xCacheValue = headers["x-cache"].toLowerCase();
+      if (xCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = "Akamai cache hit";
+      } else if (xCacheValue.includes("miss")) {
+        result.status = "miss";
+        result.reason = "Akamai cache miss";
+      }
+    }
+
+    return result;
   }
 
-  // Update analysis state and progress tracking
-  updateAnalysisProgress(phase, progress = null) {
-    try {
-      this.analysisState.currentProgress =
-        progress ||
-        (this.analysisState.completedPhases.length / this.analysisState.totalPhases) * 100;
+  // Analyze generic CDN cache headers
+  analyzeGenericCDNCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-      if (phase && !this.analysisState.completedPhases.includes(phase)) {
-        this.analysisState.completedPhases.push(phase);
+    // Check common cache headers
+    if (headers["x-cache"]) {
+      const xCacheValue = headers["x-cache"].toLowerCase();
+      if (xCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = "CDN cache hit (x-cache)";
+      } else if (xCacheValue.includes("miss")) {
+        result.status = "miss";
+        result.reason = "CDN cache miss (x-cache)";
       }
+    }
 
-      // Send progress update to background
-      chrome.runtime.sendMessage({
-        type: "recommendationsProgress",
-        phase: phase,
-        progress: this.analysisState.currentProgress,
-        completedPhases: this.analysisState.completedPhases.length,
-        totalPhases: this.analysisState.totalPhases,
-      });
-    } catch (error) {
-      console.warn("Error updating analysis progress:", error);
+    // Check for cache hits counter
+    if (headers["x-cache-hits"]) {
+      const cacheHits = parseInt(headers["x-cache-hits"], 10);
+      if (!isNaN(cacheHits) && cacheHits > 0) {
+        result.status = "hit";
+        result.reason = `CDN cache hit (${cacheHits} hits)`;
+      }
     }
-  }
 
-  // Reset analysis state
-  resetAnalysisState() {
-    this.analysisState = {
-      isRunning: false,
-      currentProgress: 0,
-      totalPhases: 8,
-      completedPhases: [],
-      errors: [],
-      warnings: [],
-    };
-  }
+    // Check the standard Cache-Status header
+    const cacheStatusLayers = this.parseCacheStatusHeader(headers["cache-status"]);
+    if (cacheStatusLayers.length > 0) {
+      const hitLayer = cacheStatusLayers.find((layer) => layer.hit);
+      result.status = hitLayer ? "hit" : "miss";
+      result.ttl = hitLayer ? hitLayer.ttl : null;
+      result.reason = hitLayer
+        ? `CDN cache hit (Cache-Status: ${hitLayer.cache})`
+        : "CDN cache miss (Cache-Status)";
+    }
 
-  // Send analysis error to background script
-  sendAnalysisError(errorType, errorDetails) {
-    try {
-      chrome.runtime.sendMessage({
-        type: "recommendationsError",
-        error: {
-          code: errorType.toUpperCase(),
-          message: errorDetails.originalError || errorDetails.error || "Unknown error",
-          details: errorDetails,
-          timestamp: Date.now(),
-          url: window.location.href,
-          phase: this.currentPhase,
-        },
-      });
-    } catch (error) {
-      console.warn("Failed to send analysis error to background:", error);
+    // Check Varnish cache headers
+    if (headers["x-varnish"]) {
+      const varnishValue = headers["x-varnish"];
+      // Varnish includes multiple IDs for cache hits
+      if (varnishValue.includes(" ")) {
+        result.status = "hit";
+        result.reason = "Varnish cache hit";
+      } else {
+        result.status = "miss";
+        result.reason = "Varnish cache miss";
+      }
     }
-  }
 
-  // Empty analysis result generators for error recovery
-  getEmptyCacheAnalysis() {
-    return {
-      browserCache: {
-        status: "unknown",
-        ttl: null,
-        cacheControl: null,
-        expires: null,
-      },
-      cdnCache: {
-        status: "unknown",
-        provider: "unknown",
-        ttl: null,
-        age: null,
-        cacheHeaders: {},
-      },
-    };
+    return result;
   }
 
-  getEmptyLCPAnalysis() {
-    return {
-      elementFound: false,
-      serverSideRendered: false,
-      elementType: null,
-      elementSelector: null,
-      preloadExists: false,
+  // Analyze Vercel cache headers
+  analyzeVercelCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
     };
-  }
 
-  getEmptyScriptAnalysis() {
-    return {
-      duplicates: [],
-      deferScripts: [],
-      asyncScripts: [],
-      totalExternalScripts: 0,
-      recommendations: [],
-    };
-  }
+    if (headers["x-vercel-cache"]) {
+      const cacheStatus = headers["x-vercel-cache"].toLowerCase();
 
-  getEmptyLinkAnalysis() {
-    return {
-      bodyLinks: [],
-      duplicatePreloads: [],
-      invalidPreloads: [],
-      redundantPreloads: [],
-      totalPreloads: 0,
-    };
+      switch (cacheStatus) {
+        case "hit":
+          result.status = "hit";
+          result.reason = "Vercel cache hit";
+          break;
+        case "stale":
+          result.status = "hit";
+          result.reason = "Vercel served a stale copy and is revalidating in the background";
+          break;
+        case "prerender":
+          result.status = "hit";
+          result.reason = "Vercel served prerendered output";
+          break;
+        case "miss":
+          result.status = "miss";
+          result.reason = "Vercel cache miss";
+          break;
+        case "revalidated":
+          result.status = "miss";
+          result.reason = "Vercel revalidated the response with the origin before serving it";
+          break;
+        case "bypass":
+          result.status = "miss";
+          result.reason = "Vercel cache bypassed";
+          break;
+        default:
+          result.reason = `Vercel cache status: ${cacheStatus}`;
+      }
+    }
+
+    return result;
   }
 
-  getEmptyCSSAnalysis() {
-    return {
-      stylesheets: [],
-      totalStylesheets: 0,
-      misplacedCount: 0,
+  // Analyze Netlify cache headers (Netlify reports each cache layer in Cache-Status)
+  analyzeNetlifyCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
     };
+
+    const layers = this.parseCacheStatusHeader(headers["cache-status"]);
+    if (layers.length > 0) {
+      const hitLayer = layers.find((layer) => layer.hit);
+      if (hitLayer) {
+        result.status = "hit";
+        result.ttl = hitLayer.ttl;
+        result.reason = `Netlify cache hit (${hitLayer.cache})`;
+      } else {
+        const forwarded = layers[layers.length - 1];
+        result.status = "miss";
+        result.reason = `Netlify cache miss (${forwarded.cache}${
+          forwarded.fwd ? `, fwd=${forwarded.fwd}` : ""
+        })`;
+      }
+    } else if (headers["age"] && parseInt(headers["age"], 10) > 0) {
+      result.status = "hit";
+      result.reason = "Netlify cache hit (Age header present)";
+    }
+
+    return result;
   }
 
-  getEmptySummary() {
-    return {
-      totalIssues: 0,
-      criticalIssues: 0,
-      optimizationOpportunities: 0,
-      overallScore: "unknown",
+  // Analyze Azure Front Door cache headers
+  analyzeAzureFrontDoorCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
     };
-  }
 
-  // Enhanced cache analysis with error handling
-  async analyzeCacheHeaders(headers = null) {
-    try {
-      const responseHeaders = headers || this.responseHeaders || {};
+    if (headers["x-cache"]) {
+      const cacheStatus = headers["x-cache"].toUpperCase();
 
-      console.log("Analyzing cache headers...", responseHeaders);
+      if (cacheStatus.includes("TCP_REMOTE_HIT")) {
+        result.status = "hit";
+        result.reason = "Azure Front Door hit in a regional cache";
+      } else if (cacheStatus.includes("HIT")) {
+        result.status = "hit";
+        result.reason = "Azure Front Door edge cache hit";
+      } else if (cacheStatus.includes("CONFIG_NOCACHE")) {
+        result.status = "miss";
+        result.reason = "Caching is disabled in the Azure Front Door route configuration";
+      } else if (cacheStatus.includes("PRIVATE_NOSTORE") || cacheStatus.includes("UNCACHEABLE")) {
+        result.status = "miss";
+        result.reason = "Azure Front Door did not cache the response (Cache-Control forbids it)";
+      } else if (cacheStatus.includes("MISS")) {
+        result.status = "miss";
+        result.reason = "Azure Front Door cache miss";
+      } else {
+        result.reason = `Azure Front Door cache status: ${headers["x-cache"]}`;
+      }
+    }
 
-      const result = {
-        browserCache: {
-          status: "not-analyzed",
-          ttl: null,
-          cacheControl: null,
-          expires: null,
-        },
-        cdnCache: {
-          status: "not-analyzed",
-          provider: "unknown",
-          ttl: null,
-          age: null,
-          cacheHeaders: {},
-        },
-      };
+    return result;
+  }
 
-      // Check if we have any headers to analyze
-      if (!responseHeaders || Object.keys(responseHeaders).length === 0) {
-        console.warn("No response headers available for cache analysis");
-        result.browserCache.status = "not-analyzed";
-        result.cdnCache.status = "not-analyzed";
-        return result;
-      }
+  // Analyze Google Cloud CDN cache headers
+  analyzeGoogleCloudCDNCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-      // Check if this is fallback data
-      if (responseHeaders.fallback) {
-        console.log("Using fallback header data for cache analysis");
+    // Cloud CDN only adds Age to responses served from cache
+    const age = parseInt(headers["age"], 10);
+    if (!isNaN(age) && age >= 0) {
+      result.status = "hit";
+      result.reason = `Google Cloud CDN cache hit (Age: ${age}s)`;
+    } else {
+      result.reason =
+        "Served through the Google load balancer without an Age header (Cloud CDN miss or not enabled)";
+    }
 
-        // Try to infer cache status from available data
-        if (responseHeaders.cache && responseHeaders.cache.general) {
-          const generalCache = responseHeaders.cache.general;
+    return result;
+  }
 
-          // Check for inferred cache status
-          if (generalCache["x-inferred-cache"] === "likely-cached") {
-            result.browserCache.status = "cached";
-            result.browserCache.cacheControl = "inferred from timing";
-          }
-        }
+  // Analyze Bunny CDN cache headers
+  analyzeBunnyCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-        // If we still don't have cache info, mark as not-cached rather than not-analyzed
-        if (result.browserCache.status === "not-analyzed") {
-          result.browserCache.status = "not-cached";
-        }
-        if (result.cdnCache.status === "not-analyzed") {
-          result.cdnCache.status = "unknown";
-        }
+    if (headers["cdn-cache"]) {
+      const cacheStatus = headers["cdn-cache"].toLowerCase();
 
-        return result;
+      switch (cacheStatus) {
+        case "hit":
+          result.status = "hit";
+          result.reason = "Bunny CDN cache hit";
+          break;
+        case "stale":
+          result.status = "hit";
+          result.reason = "Bunny CDN served a stale copy while updating it";
+          break;
+        case "miss":
+          result.status = "miss";
+          result.reason = "Bunny CDN cache miss";
+          break;
+        case "expired":
+          result.status = "miss";
+          result.reason = "Bunny CDN cache expired";
+          break;
+        case "bypass":
+          result.status = "miss";
+          result.reason = "Bunny CDN cache bypassed";
+          break;
+        default:
+          result.reason = `Bunny CDN cache status: ${cacheStatus}`;
       }
+    }
 
-      // Handle different header formats
-      let headerSource = responseHeaders;
-      if (responseHeaders.raw) {
-        headerSource = responseHeaders.raw;
-      } else if (responseHeaders.cache) {
-        // Use categorized headers if available
-        const browserHeaders = responseHeaders.cache.browserCache || {};
-        const cdnHeaders = responseHeaders.cache.cdnCache || {};
-
-        // Analyze browser cache from categorized headers
-        if (Object.keys(browserHeaders).length > 0) {
-          result.browserCache = this.analyzeBrowserCacheFromHeaders(browserHeaders);
-        }
+    return result;
+  }
 
-        // Analyze CDN cache from categorized headers
-        if (Object.keys(cdnHeaders).length > 0) {
-          result.cdnCache = this.analyzeCDNCacheFromHeaders(cdnHeaders);
-        }
+  // Analyze KeyCDN cache headers
+  analyzeKeyCDNCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-        return result;
+    if (headers["x-cache"]) {
+      const xCacheValue = headers["x-cache"].toLowerCase();
+      const location = headers["x-edge-location"] ? ` at ${headers["x-edge-location"]}` : "";
+      if (xCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = `KeyCDN cache hit${location}`;
+      } else if (xCacheValue.includes("miss")) {
+        result.status = "miss";
+        result.reason = `KeyCDN cache miss${location}`;
       }
+    }
 
-      // Safely extract headers from raw headers
-      const cacheControl = this.safeGetHeader(headerSource, "cache-control");
-      const expires = this.safeGetHeader(headerSource, "expires");
-      const age = this.safeGetHeader(headerSource, "age");
-
-      console.log("Extracted cache headers:", { cacheControl, expires, age });
+    return result;
+  }
 
-      // Browser cache analysis
-      if (cacheControl || expires) {
-        result.browserCache.status = "cached";
-        result.browserCache.cacheControl = cacheControl;
-        result.browserCache.expires = expires;
+  // Analyze Varnish cache headers
+  analyzeVarnishCache(headers) {
+    const result = {
+      status: "unknown",
+      ttl: null,
+      reason: null,
+    };
 
-        // Extract TTL from cache-control
-        if (cacheControl) {
-          const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
-          if (maxAgeMatch) {
-            result.browserCache.ttl = parseInt(maxAgeMatch[1]);
-          }
-        }
+    // Varnish sends two transaction IDs (this request and the one that stored it) on a hit
+    if (headers["x-varnish"]) {
+      const ids = headers["x-varnish"].trim().split(/\s+/);
+      if (ids.length > 1) {
+        result.status = "hit";
+        result.reason = "Varnish cache hit";
       } else {
-        result.browserCache.status = "not-cached";
+        result.status = "miss";
+        result.reason = "Varnish cache miss";
       }
+    }
 
-      // CDN cache analysis with error handling
-      try {
-        const cdnAnalysis = this.analyzeCDNHeaders(headerSource);
-        result.cdnCache = { ...result.cdnCache, ...cdnAnalysis };
-      } catch (cdnError) {
-        console.warn("CDN analysis failed:", cdnError);
+    // Common VCL additions take precedence over the transaction IDs
+    if (headers["x-cache"]) {
+      const xCacheValue = headers["x-cache"].toLowerCase();
+      if (xCacheValue.includes("hit")) {
+        result.status = "hit";
+        result.reason = "Varnish cache hit (x-cache)";
+      } else if (xCacheValue.includes("miss")) {
+        result.status = "miss";
+        result.reason = "Varnish cache miss (x-cache)";
       }
+    }
 
-      console.log("Cache analysis result:", result);
-      return result;
-    } catch (error) {
-      console.error("Cache header analysis failed:", error);
-      throw new Error(`Cache analysis error: ${error.message}`);
+    if (headers["x-cache-hits"]) {
+      const cacheHits = parseInt(headers["x-cache-hits"], 10);
+      if (!isNaN(cacheHits) && cacheHits > 0) {
+        result.status = "hit";
+        result.reason = `Varnish cache hit (${cacheHits} hits)`;
+      }
+    }
+
+    if (result.status === "unknown" && headers["age"] && parseInt(headers["age"], 10) > 0) {
+      result.status = "hit";
+      result.reason = "Varnish cache hit (Age header present)";
     }
+
+    return result;
   }
 
-  // Analyze browser cache from categorized headers
-  analyzeBrowserCacheFromHeaders(browserHeaders) {
-    const result = {
-      status: "not-cached",
-      ttl: null,
-      cacheControl: null,
-      expires: null,
-    };
+  // Parse an RFC 9211 Cache-Status header into one entry per cache, origin side first
+  parseCacheStatusHeader(value) {
+    if (!value || typeof value !== "string") return [];
 
-    const cacheControl = browserHeaders["cache-control"];
-    const expires = browserHeaders["expires"];
+    return (value.match(/("[^"]*"|[^,])+/g) || [])
+      .map((member) => {
+        const [cache, ...params] = member.split(";").map((part) => part.trim());
+        const layer = { cache: cache.replace(/^"|"$/g, ""), hit: false, fwd: null, ttl: null };
 
-    if (cacheControl || expires) {
-      result.status = "cached";
-      result.cacheControl = cacheControl;
-      result.expires = expires;
+        params.forEach((param) => {
+          const [name, paramValue] = param.split("=").map((part) => part.trim());
+          if (name === "hit") layer.hit = true;
+          if (name === "fwd") layer.fwd = paramValue || null;
+          if (name === "ttl") {
+            const ttl = parseInt(paramValue, 10);
+            if (!isNaN(ttl)) layer.ttl = ttl;
+          }
+        });
 
-      // Extract TTL from cache-control
-      if (cacheControl) {
-        const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
-        if (maxAgeMatch) {
-          result.ttl = parseInt(maxAgeMatch[1]);
+        return layer;
+      })
+      .filter((layer) => layer.cache);
+  }
+
+  // Identify LCP candidate elements in HTML
+  identifyLCPCandidates(htmlContent = null) {
+    try {
+      const html = htmlContent || this.htmlContent;
+
+      if (!html) {
+        throw new Error("No HTML content available for LCP analysis");
+      }
+
+      console.log("Identifying LCP candidate elements...");
+
+      // Parse HTML structure if not already done
+      const structure = this.parseHTMLStructure(html);
+
+      const lcpCandidates = {
+        images: [],
+        videos: [],
+        backgroundImages: [],
+        textBlocks: [],
+        metadata: {
+          totalCandidates: 0,
+          analysisTimestamp: Date.now(),
+          url: window.location.href,
+        },
+      };
+
+      // Find image elements (high priority LCP candidates)
+      structure.all.images.forEach((img) => {
+        if (img.src) {
+          const candidate = {
+            element: img,
+            type: "img",
+            src: img.src,
+            selector: this.generateElementSelector(img),
+            attributes: {
+              alt: img.alt || null,
+              loading: img.loading || null,
+              fetchpriority: img.getAttribute("fetchpriority") || null,
+              sizes: img.sizes || null,
+              srcset: img.srcset || null,
+            },
+            dimensions: this.getElementDimensions(img),
+            isAboveFold: this.isElementAboveFold(img),
+            serverSideRendered: true, // Present in initial HTML
+          };
+
+          lcpCandidates.images.push(candidate);
         }
-      }
-    }
+      });
 
-    return result;
-  }
+      // Find video elements (potential LCP candidates)
+      structure.all.videos.forEach((video) => {
+        const candidate = {
+          element: video,
+          type: "video",
+          src: video.src || video.querySelector("source")?.src || null,
+          selector: this.generateElementSelector(video),
+          attributes: {
+            poster: video.poster || null,
+            autoplay: video.autoplay || false,
+            muted: video.muted || false,
+            controls: video.controls || false,
+          },
+          dimensions: this.getElementDimensions(video),
+          isAboveFold: this.isElementAboveFold(video),
+          serverSideRendered: true, // Present in initial HTML
+        };
 
-  // Analyze CDN cache from categorized headers
-  analyzeCDNCacheFromHeaders(cdnHeaders) {
-    const result = {
-      status: "unknown",
-      provider: "unknown",
-      ttl: null,
-      age: null,
-      cacheHeaders: cdnHeaders,
-    };
+        lcpCandidates.videos.push(candidate);
+      });
 
-    // Detect CDN provider and status
-    if (cdnHeaders["cf-cache-status"]) {
-      result.provider = "cloudflare";
-      result.status = cdnHeaders["cf-cache-status"].toLowerCase().includes("hit") ? "hit" : "miss";
-    } else if (cdnHeaders["x-amz-cf-id"]) {
-      result.provider = "aws";
-      result.status = cdnHeaders["age"] && parseInt(cdnHeaders["age"]) > 0 ? "hit" : "miss";
-    } else if (cdnHeaders["x-cache"]) {
-      if (cdnHeaders["x-cache"].toLowerCase().includes("akamai")) {
-        result.provider = "akamai";
-      } else if (cdnHeaders["x-served-by"] && cdnHeaders["x-served-by"].includes("fastly")) {
-        result.provider = "fastly";
-      }
-      result.status = cdnHeaders["x-cache"].toLowerCase().includes("hit") ? "hit" : "miss";
-    }
+      // Find elements with background images
+      structure.body.backgroundImages.forEach((bgImg) => {
+        const candidate = {
+          element: bgImg.element,
+          type: "background-image",
+          src: bgImg.backgroundImageUrl,
+          selector: bgImg.selector,
+          attributes: {
+            tagName: bgImg.element.tagName,
+            id: bgImg.element.id || null,
+            className: bgImg.element.className || null,
+          },
+          dimensions: this.getElementDimensions(bgImg.element),
+          isAboveFold: this.isElementAboveFold(bgImg.element),
+          serverSideRendered: true, // Present in initial HTML
+        };
 
-    // Extract age/TTL
-    if (cdnHeaders["age"]) {
-      const ageValue = parseInt(cdnHeaders["age"]);
-      if (!isNaN(ageValue)) {
-        result.age = ageValue;
-      }
-    }
+        lcpCandidates.backgroundImages.push(candidate);
+      });
 
-    return result;
-  }
+      // Find large text blocks (potential LCP candidates)
+      const textBlocks = this.findLargeTextBlocks(structure);
+      lcpCandidates.textBlocks = textBlocks;
 
-  // Safe header extraction
-  safeGetHeader(headers, name) {
-    try {
-      if (!headers || typeof headers !== "object") {
-        return null;
-      }
+      // Calculate total candidates
+      lcpCandidates.metadata.totalCandidates =
+        lcpCandidates.images.length +
+        lcpCandidates.videos.length +
+        lcpCandidates.backgroundImages.length +
+        lcpCandidates.textBlocks.length;
 
-      // Handle both Headers object and plain object
-      if (headers.get && typeof headers.get === "function") {
-        return headers.get(name);
-      } else {
-        return headers[name] || headers[name.toLowerCase()] || null;
-      }
+      // Detect server-side rendering status
+      const ssrStatus = this.detectServerSideRendering(lcpCandidates);
+      lcpCandidates.serverSideRenderingStatus = ssrStatus;
+
+      console.log(`LCP candidates identified: ${lcpCandidates.metadata.totalCandidates} total`);
+      console.log(`- Images: ${lcpCandidates.images.length}`);
+      console.log(`- Videos: ${lcpCandidates.videos.length}`);
+      console.log(`- Background Images: ${lcpCandidates.backgroundImages.length}`);
+      console.log(`- Text Blocks: ${lcpCandidates.textBlocks.length}`);
+
+      return lcpCandidates;
     } catch (error) {
-      console.warn(`Error getting header "${name}":`, error);
-      return null;
+      console.error("Error identifying LCP candidates:", error);
+      throw new Error(`LCP candidate identification failed: ${error.message}`);
     }
   }
 
-  // CDN header analysis with comprehensive provider detection
-  analyzeCDNHeaders(headers) {
-    const result = {
-      status: "unknown",
-      provider: "unknown",
-      ttl: null,
-      age: null,
-      cacheHeaders: {},
-    };
-
+  // Detect server-side rendering status for LCP elements
+  detectServerSideRendering(lcpCandidates) {
     try {
-      // Collect CDN-related headers
-      const cdnHeaders = {
-        age: this.safeGetHeader(headers, "age"),
-        xCache: this.safeGetHeader(headers, "x-cache"),
-        xCacheHits: this.safeGetHeader(headers, "x-cache-hits"),
-        cfCacheStatus: this.safeGetHeader(headers, "cf-cache-status"),
-        xServedBy: this.safeGetHeader(headers, "x-served-by"),
-        xAmzCfId: this.safeGetHeader(headers, "x-amz-cf-id"),
-        server: this.safeGetHeader(headers, "server"),
+      console.log("Detecting server-side rendering status...");
+
+      const ssrStatus = {
+        hasServerSideRenderedContent: false,
+        clientSideOnlyElements: [],
+        serverSideElements: [],
+        analysis: {
+          totalElementsAnalyzed: 0,
+          serverSideCount: 0,
+          clientSideCount: 0,
+          confidence: "high", // high, medium, low
+        },
       };
 
-      result.cacheHeaders = cdnHeaders;
+      // All elements found in initial HTML are server-side rendered
+      const allCandidates = [
+        ...lcpCandidates.images,
+        ...lcpCandidates.videos,
+        ...lcpCandidates.backgroundImages,
+        ...lcpCandidates.textBlocks,
+      ];
 
-      // Detect CDN provider
-      if (cdnHeaders.cfCacheStatus) {
-        result.provider = "cloudflare";
-        result.status = cdnHeaders.cfCacheStatus.toLowerCase().includes("hit") ? "hit" : "miss";
-      } else if (cdnHeaders.xAmzCfId) {
-        result.provider = "aws";
-        result.status = cdnHeaders.age && parseInt(cdnHeaders.age) > 0 ? "hit" : "miss";
-      } else if (cdnHeaders.xCache && cdnHeaders.xCache.toLowerCase().includes("akamai")) {
-        result.provider = "akamai";
-        result.status = cdnHeaders.xCache.toLowerCase().includes("hit") ? "hit" : "miss";
-      } else if (cdnHeaders.xServedBy && cdnHeaders.xServedBy.includes("fastly")) {
-        result.provider = "fastly";
-        result.status = cdnHeaders.age && parseInt(cdnHeaders.age) > 0 ? "hit" : "miss";
-      }
+      allCandidates.forEach((candidate) => {
+        ssrStatus.analysis.totalElementsAnalyzed++;
 
-      // Extract age/TTL
-      if (cdnHeaders.age) {
-        const ageValue = parseInt(cdnHeaders.age);
-        if (!isNaN(ageValue)) {
-          result.age = ageValue;
-          if (ageValue > 0) {
-            result.status = "hit";
-          }
+        if (candidate.serverSideRendered) {
+          ssrStatus.analysis.serverSideCount++;
+          ssrStatus.serverSideElements.push({
+            type: candidate.type,
+            selector: candidate.selector,
+            src: candidate.src || null,
+          });
+        } else {
+          ssrStatus.analysis.clientSideCount++;
+          ssrStatus.clientSideOnlyElements.push({
+            type: candidate.type,
+            selector: candidate.selector,
+            src: candidate.src || null,
+          });
         }
+      });
+
+      // Determine if there's server-side rendered content
+      ssrStatus.hasServerSideRenderedContent = ssrStatus.analysis.serverSideCount > 0;
+
+      // Check for client-side only elements by comparing with current DOM
+      const currentDOMElements = this.getCurrentDOMLCPCandidates();
+      const clientSideOnly = this.findClientSideOnlyElements(allCandidates, currentDOMElements);
+
+      ssrStatus.clientSideOnlyElements.push(...clientSideOnly);
+      ssrStatus.analysis.clientSideCount += clientSideOnly.length;
+
+      // Adjust confidence based on analysis
+      if (ssrStatus.analysis.totalElementsAnalyzed === 0) {
+        ssrStatus.analysis.confidence = "low";
+      } else if (ssrStatus.analysis.clientSideCount > ssrStatus.analysis.serverSideCount) {
+        ssrStatus.analysis.confidence = "medium";
       }
 
-      return result;
+      console.log(
+        `SSR Analysis: ${ssrStatus.analysis.serverSideCount} server-side, ${ssrStatus.analysis.clientSideCount} client-side`
+      );
+
+      return ssrStatus;
     } catch (error) {
-      console.warn("CDN header analysis error:", error);
-      return result;
+      console.error("Error detecting server-side rendering:", error);
+      return {
+        hasServerSideRenderedContent: false,
+        clientSideOnlyElements: [],
+        serverSideElements: [],
+        analysis: {
+          totalElementsAnalyzed: 0,
+          serverSideCount: 0,
+          clientSideCount: 0,
+          confidence: "low",
+          error: error.message,
+        },
+      };
     }
   }
 
-  // Get current DOM HTML content for analysis (optimized for SPAs)
-  async fetchDocumentHTML() {
-    const startTime = Date.now();
-
+  // Get current DOM LCP candidates for comparison
+  getCurrentDOMLCPCandidates() {
     try {
-      console.log("Getting current DOM HTML content for analysis...");
-
-      // For SPAs and modern websites, use the current DOM state
-      // This ensures we analyze the fully rendered content, not just the initial server response
-      this.htmlContent = document.documentElement.outerHTML;
-
-      // Validate HTML content
-      if (!this.htmlContent || this.htmlContent.length === 0) {
-        throw new Error("Current DOM HTML content is empty");
-      }
+      const currentCandidates = [];
 
-      if (this.htmlContent.length > 10 * 1024 * 1024) {
-        // 10MB limit
-        console.warn("HTML content is very large, analysis may be slow");
-      }
+      // Get current images
+      document.querySelectorAll("img[src]").forEach((img) => {
+        currentCandidates.push({
+          type: "img",
+          element: img,
+          src: img.src,
+          selector: this.generateElementSelector(img),
+        });
+      });
 
-      // Try to get actual response headers first, then fallback
-      console.log("Attempting to fetch actual response headers...");
-      try {
-        const actualHeaders = await this.tryFetchActualHeaders();
-        if (actualHeaders && Object.keys(actualHeaders).length > 0) {
-          console.log("Successfully fetched actual response headers");
-          this.responseHeaders = actualHeaders;
-        } else {
-          console.log("No actual headers available, using fallback");
-          this.responseHeaders = this.extractFallbackHeaders();
-        }
-      } catch (headerError) {
-        console.warn("Error fetching actual headers, using fallback:", headerError);
-        this.responseHeaders = this.extractFallbackHeaders();
-      }
+      // Get current videos
+      document.querySelectorAll("video").forEach((video) => {
+        currentCandidates.push({
+          type: "video",
+          element: video,
+          src: video.src || video.querySelector("source")?.src || null,
+          selector: this.generateElementSelector(video),
+        });
+      });
 
-      const fetchDuration = Date.now() - startTime;
-      console.log(
-        `DOM HTML content retrieved successfully in ${fetchDuration}ms (${this.htmlContent.length} characters)`
-      );
+      // Get current background images
+      const bgImages = this.findBackgroundImageElements(document.body);
+      bgImages.forEach((bgImg) => {
+        currentCandidates.push({
+          type: "background-image",
+          element: bgImg.element,
+          src: bgImg.backgroundImageUrl,
+          selector: bgImg.selector,
+        });
+      });
 
-      return {
-        html: this.htmlContent,
-        headers: this.responseHeaders,
-        fetchDuration: fetchDuration,
-        source: "current-dom", // Indicate this came from current DOM, not fetch
-      };
+      return currentCandidates;
     } catch (error) {
-      const fetchDuration = Date.now() - startTime;
-      console.error(`Error getting DOM HTML content after ${fetchDuration}ms:`, error);
+      console.error("Error getting current DOM LCP candidates:", error);
+      return [];
+    }
+  }
 
-      // Send detailed error to background
-      this.sendAnalysisError("dom_html_failed", {
-        originalError: error.message,
-        fetchDuration: fetchDuration,
-        url: window.location.href,
-      });
+  // Find elements that exist in current DOM but not in initial HTML
+  findClientSideOnlyElements(initialElements, currentElements) {
+    try {
+      const clientSideOnly = [];
 
-      // Try to get at least the document body as fallback
-      try {
-        const bodyHTML = document.body ? document.body.outerHTML : "";
-        const headHTML = document.head ? document.head.outerHTML : "";
-        this.htmlContent = `<!DOCTYPE html><html>${headHTML}${bodyHTML}</html>`;
+      currentElements.forEach((currentEl) => {
+        // Check if this element exists in initial HTML
+        const existsInInitial = initialElements.some(
+          (initialEl) =>
+            initialEl.selector === currentEl.selector && initialEl.src === currentEl.src
+        );
 
-        // Try to get headers for fallback too
-        try {
-          const actualHeaders = await this.tryFetchActualHeaders();
-          if (actualHeaders && Object.keys(actualHeaders).length > 0) {
-            this.responseHeaders = actualHeaders;
-          } else {
-            this.responseHeaders = this.extractFallbackHeaders();
-          }
-        } catch (headerError) {
-          this.responseHeaders = this.extractFallbackHeaders();
+        if (!existsInInitial) {
+          clientSideOnly.push({
+            type: currentEl.type,
+            selector: currentEl.selector,
+            src: currentEl.src,
+            serverSideRendered: false,
+          });
         }
+      });
 
-        console.log("Using minimal DOM fallback for analysis");
-
-        return {
-          html: this.htmlContent,
-          headers: this.responseHeaders,
-          fetchDuration: fetchDuration,
-          source: "minimal-dom-fallback",
-          fallbackUsed: true,
-          fallbackReason: "Could not get full DOM HTML",
-        };
-      } catch (fallbackError) {
-        throw new Error(
-          `Both DOM HTML extraction and fallback failed. Primary: ${error.message}, Fallback: ${fallbackError.message}`
-        );
-      }
+      return clientSideOnly;
+    } catch (error) {
+      console.error("Error finding client-side only elements:", error);
+      return [];
     }
   }
 
-  // Analyze live DOM structure directly (no HTML parsing needed)
-  parseHTMLStructure(htmlContent = null) {
-    const startTime = Date.now();
-
+  // Find large text blocks that could be LCP candidates
+  findLargeTextBlocks(structure) {
     try {
-      console.log("Analyzing live DOM structure directly...");
+      const textBlocks = [];
+      const minTextLength = 100; // Minimum characters for consideration
 
-      // Use the live document instead of parsing HTML string
-      const doc = document;
+      // Common text container selectors
+      const textSelectors = ["h1", "h2", "h3", "p", "div", "article", "section", "main"];
 
-      if (!doc) {
-        throw new Error("Document not available");
-      }
+      textSelectors.forEach((selector) => {
+        const elements = structure.body.element.querySelectorAll(selector);
 
-      if (!doc.documentElement) {
-        throw new Error("Document has no document element");
-      }
+        elements.forEach((element) => {
+          const textContent = element.textContent?.trim() || "";
 
-      // Safely extract key structural elements with error handling
-      const structure = {
-        head: null,
-        body: null,
-        scripts: [],
-        links: [],
-        images: [],
-        videos: [],
-      };
+          if (textContent.length >= minTextLength) {
+            const candidate = {
+              element: element,
+              type: "text-block",
+              textLength: textContent.length,
+              selector: this.generateElementSelector(element),
+              attributes: {
+                tagName: element.tagName,
+                id: element.id || null,
+                className: element.className || null,
+              },
+              dimensions: this.getElementDimensions(element),
+              isAboveFold: this.isElementAboveFold(element),
+              serverSideRendered: true, // Present in initial HTML
+            };
 
-      try {
-        structure.head = {
-          element: doc.head,
-          scripts: doc.head ? this.safeQuerySelectorAll(doc.head, "script") : [],
-          links: doc.head ? this.safeQuerySelectorAll(doc.head, "link") : [],
-          meta: doc.head ? this.safeQuerySelectorAll(doc.head, "meta") : [],
-          preloads: doc.head ? this.safeQuerySelectorAll(doc.head, "link[rel='preload']") : [],
-        };
-      } catch (headError) {
-        console.warn("Error analyzing head section:", headError);
-        structure.head = { element: null, scripts: [], links: [], meta: [], preloads: [] };
-      }
+            textBlocks.push(candidate);
+          }
+        });
+      });
 
-      try {
-        structure.body = {
-          element: doc.body,
-          scripts: doc.body ? this.safeQuerySelectorAll(doc.body, "script") : [],
-          links: doc.body ? this.safeQuerySelectorAll(doc.body, "link") : [],
-          images: doc.body ? this.safeQuerySelectorAll(doc.body, "img[src]") : [],
-          videos: doc.body ? this.safeQuerySelectorAll(doc.body, "video") : [],
-        };
-      } catch (bodyError) {
-        console.warn("Error analyzing body section:", bodyError);
-        structure.body = { element: null, scripts: [], links: [], images: [], videos: [] };
-      }
+      return textBlocks;
+    } catch (error) {
+      console.error("Error finding large text blocks:", error);
+      return [];
+    }
+  }
 
-      // Extract all elements for comprehensive analysis
-      try {
-        structure.allScripts = this.safeQuerySelectorAll(doc, "script");
-        structure.allLinks = this.safeQuerySelectorAll(doc, "link");
-        structure.allImages = this.safeQuerySelectorAll(doc, "img[src]");
-        structure.allVideos = this.safeQuerySelectorAll(doc, "video");
-      } catch (allElementsError) {
-        console.warn("Error extracting all elements:", allElementsError);
-        structure.allScripts = [];
-        structure.allLinks = [];
-        structure.allImages = [];
-        structure.allVideos = [];
+  // Get element dimensions safely
+  getElementDimensions(element) {
+    try {
+      if (!element || !element.getBoundingClientRect) {
+        return { width: 0, height: 0, area: 0 };
       }
 
-      const parseDuration = Date.now() - startTime;
-      console.log(`Live DOM structure analyzed successfully in ${parseDuration}ms`);
-
-      // Debug logging
-      console.log("DOM Analysis Results:", {
-        headScripts: structure.head.scripts.length,
-        headLinks: structure.head.links.length,
-        headPreloads: structure.head.preloads.length,
-        bodyScripts: structure.body.scripts.length,
-        bodyLinks: structure.body.links.length,
-        totalScripts: structure.allScripts.length,
-        totalLinks: structure.allLinks.length,
-      });
-
+      const rect = element.getBoundingClientRect();
       return {
-        structure: structure,
-        document: doc,
-        parseDuration: parseDuration,
-        htmlLength: this.htmlContent ? this.htmlContent.length : 0,
-        source: "live-dom",
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        area: Math.round(rect.width * rect.height),
       };
     } catch (error) {
-      const parseDuration = Date.now() - startTime;
-      console.error(`Error analyzing live DOM structure after ${parseDuration}ms:`, error);
+      return { width: 0, height: 0, area: 0 };
+    }
+  }
 
-      // Send detailed error information
-      this.sendAnalysisError("dom_analysis_failed", {
-        originalError: error.message,
-        parseDuration: parseDuration,
-        url: window.location.href,
-      });
+  // Check if element is above the fold
+  isElementAboveFold(element) {
+    try {
+      if (!element || !element.getBoundingClientRect) {
+        return false;
+      }
 
-      // Return minimal structure to allow analysis to continue
-      return {
-        structure: {
-          head: { element: null, scripts: [], links: [], meta: [], preloads: [] },
-          body: { element: null, scripts: [], links: [], images: [], videos: [] },
-          allScripts: [],
-          allLinks: [],
-          allImages: [],
-          allVideos: [],
-        },
-        document: null,
-        parseDuration: parseDuration,
-        htmlLength: 0,
-        parseError: error.message,
-        source: "fallback",
-      };
+      const rect = element.getBoundingClientRect();
+      const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+      // Element is above fold if its top is within the viewport
+      return rect.top < viewportHeight && rect.bottom > 0;
+    } catch (error) {
+      return false;
     }
   }
 
-  // Safe querySelector wrapper with error handling
-  safeQuerySelectorAll(element, selector) {
+  // Check if element is inside the first viewport of the page, whatever the current scroll
+  isElementAboveInitialFold(element) {
     try {
-      if (!element || !element.querySelectorAll) {
-        return [];
+      if (!element || !element.getBoundingClientRect) {
+        return false;
       }
-      return Array.from(element.querySelectorAll(selector));
+
+      const rect = element.getBoundingClientRect();
+      const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+      const scrollY = window.scrollY || document.documentElement.scrollTop || 0;
+
+      // Document-relative position, so advice doesn't change after the user scrolls
+      return rect.top + scrollY < viewportHeight && rect.bottom + scrollY > 0;
     } catch (error) {
-      console.warn(`Error querying selector "${selector}":`, error);
-      return [];
+      return false;
     }
   }
 
-  // Extract response headers for cache analysis
-  extractResponseHeaders(response) {
+  // Validate LCP preload links
+  validateLCPPreloads(lcpCandidates, htmlStructure = null) {
     try {
-      console.log("Extracting response headers...");
+      console.log("Validating LCP preload links...");
 
-      if (!response || !response.headers) {
-        throw new Error("Invalid response object or missing headers");
-      }
+      const structure = htmlStructure || this.parseHTMLStructure();
 
-      const headers = {};
-      let headerCount = 0;
-      const maxHeaders = 100; // Prevent excessive header processing
+      const preloadValidation = {
+        preloadLinks: [],
+        lcpElementsWithPreload: [],
+        lcpElementsWithoutPreload: [],
+        redundantPreloads: [],
+        invalidPreloads: [],
+        recommendations: [],
+        analysis: {
+          totalLCPCandidates: 0,
+          preloadedCandidates: 0,
+          missingPreloads: 0,
+          validPreloads: 0,
+          invalidPreloads: 0,
+        },
+      };
 
-      // Iterate through all response headers with validation
-      for (const [name, value] of response.headers.entries()) {
-        // Security check: limit number of headers processed
-        if (headerCount >= maxHeaders) {
-          console.warn(`Header limit reached (${maxHeaders}), skipping remaining headers`);
-          break;
-        }
+      // Extract all preload links from HEAD
+      const preloadLinks = this.extractPreloadLinks(structure);
+      preloadValidation.preloadLinks = preloadLinks;
 
-        // Validate header name and value
-        const validatedHeader = this.validateHeader(name, value);
-        if (validatedHeader) {
-          headers[validatedHeader.name] = validatedHeader.value;
-          headerCount++;
-        }
-      }
+      // Get high-priority LCP candidates (images and videos above fold)
+      const highPriorityLCPCandidates = this.getHighPriorityLCPCandidates(lcpCandidates);
+      preloadValidation.analysis.totalLCPCandidates = highPriorityLCPCandidates.length;
 
-      // Validate and categorize important headers
-      const categorizedHeaders = this.categorizeHeaders(headers);
+      // Cross-reference LCP candidates with preload links
+      const crossReference = this.crossReferenceLCPWithPreloads(
+        highPriorityLCPCandidates,
+        preloadLinks
+      );
 
-      // Add extraction metadata
-      categorizedHeaders.extractionMetadata = {
-        totalHeadersProcessed: headerCount,
-        extractionTimestamp: Date.now(),
-        responseUrl: response.url || window.location.href,
-        responseStatus: response.status,
-        responseStatusText: response.statusText,
-      };
+      preloadValidation.lcpElementsWithPreload = crossReference.withPreload;
+      preloadValidation.lcpElementsWithoutPreload = crossReference.withoutPreload;
+      preloadValidation.analysis.preloadedCandidates = crossReference.withPreload.length;
+      preloadValidation.analysis.missingPreloads = crossReference.withoutPreload.length;
 
-      console.log(`Response headers extracted successfully (${headerCount} headers)`);
-      return categorizedHeaders;
+      // Detect redundant and invalid preloads
+      const redundantPreloads = this.detectRedundantPreloads(
+        preloadLinks,
+        highPriorityLCPCandidates
+      );
+      preloadValidation.redundantPreloads = redundantPreloads;
+
+      const invalidPreloads = this.detectInvalidPreloads(preloadLinks);
+      preloadValidation.invalidPreloads = invalidPreloads;
+      preloadValidation.analysis.invalidPreloads = invalidPreloads.length;
+      preloadValidation.analysis.validPreloads = preloadLinks.length - invalidPreloads.length;
+
+      // Generate recommendations
+      const recommendations = this.generateLCPPreloadRecommendations(preloadValidation);
+      preloadValidation.recommendations = recommendations;
+
+      console.log(`LCP Preload Validation Complete:`);
+      console.log(`- Total LCP Candidates: ${preloadValidation.analysis.totalLCPCandidates}`);
+      console.log(`- With Preload: ${preloadValidation.analysis.preloadedCandidates}`);
+      console.log(`- Missing Preload: ${preloadValidation.analysis.missingPreloads}`);
+      console.log(`- Invalid Preloads: ${preloadValidation.analysis.invalidPreloads}`);
+
+      return preloadValidation;
     } catch (error) {
-      console.error("Error extracting response headers:", error);
-      return this.extractFallbackHeaders();
+      console.error("Error validating LCP preloads:", error);
+      throw new Error(`LCP preload validation failed: ${error.message}`);
     }
   }
 
-  // Categorize headers for cache analysis with enhanced validation
-  categorizeHeaders(rawHeaders) {
-    const categorized = {
-      raw: rawHeaders,
-      cache: {
-        browserCache: {},
-        cdnCache: {},
-        general: {},
-      },
-      security: {},
-      performance: {},
-      other: {},
-      validation: {
-        totalHeaders: 0,
-        validHeaders: 0,
-        invalidHeaders: 0,
-        malformedHeaders: [],
-      },
-    };
-
-    // Browser cache headers
-    const browserCacheHeaders = [
-      "cache-control",
-      "expires",
-      "etag",
-      "last-modified",
-      "pragma",
-      "vary",
-      "if-modified-since",
-      "if-none-match",
-    ];
+  // Extract preload links from HTML structure
+  extractPreloadLinks(structure) {
+    try {
+      const preloadLinks = [];
 
-    // CDN cache headers (various providers)
-    const cdnCacheHeaders = [
-      "age",
-      "x-cache",
-      "x-cache-hits",
-      "x-cache-status",
-      "cf-cache-status",
-      "cf-ray",
-      "cf-edge-cache",
-      "cf-request-id",
-      "x-served-by",
-      "x-cache-lookup",
-      "x-varnish",
-      "x-varnish-cache",
-      "server-timing",
-      "x-fastly-request-id",
-      "x-fastly-cache",
-      "x-amz-cf-pop",
-      "x-amz-cf-id",
-      "x-akamai-request-id",
-    ];
+      const preloads = structure.head && structure.head.preloads ? structure.head.preloads : [];
+      preloads.forEach((link) => {
+        const preloadInfo = {
+          element: link,
+          href: link.href,
+          as: link.getAttribute("as"),
+          type: link.getAttribute("type"),
+          media: link.getAttribute("media"),
+          crossorigin: link.getAttribute("crossorigin"),
+          fetchpriority: link.getAttribute("fetchpriority"),
+          selector: this.generateElementSelector(link),
+          isValid: true,
+          validationErrors: [],
+        };
 
-    // Performance-related headers
-    const performanceHeaders = [
-      "content-encoding",
-      "content-length",
-      "transfer-encoding",
-      "server-timing",
-      "timing-allow-origin",
-      "accept-ranges",
-      "content-type",
-      "x-response-time",
-    ];
+        // Basic validation
+        if (!preloadInfo.href) {
+          preloadInfo.isValid = false;
+          preloadInfo.validationErrors.push("Missing href attribute");
+        }
 
-    // Security headers
-    const securityHeaders = [
-      "strict-transport-security",
-      "content-security-policy",
-      "x-frame-options",
-      "x-content-type-options",
-      "x-xss-protection",
-      "referrer-policy",
-      "permissions-policy",
-    ];
+        if (!preloadInfo.as) {
+          preloadInfo.isValid = false;
+          preloadInfo.validationErrors.push("Missing as attribute");
+        }
 
-    // Process and categorize each header
-    Object.entries(rawHeaders).forEach(([name, value]) => {
-      categorized.validation.totalHeaders++;
+        preloadLinks.push(preloadInfo);
+      });
 
-      try {
-        const normalizedName = name.toLowerCase();
+      return preloadLinks;
+    } catch (error) {
+      console.error("Error extracting preload links:", error);
+      return [];
+    }
+  }
 
-        // Validate header value format for specific headers
-        const isValidHeader = this.validateSpecificHeader(normalizedName, value);
+  // Get high-priority LCP candidates (above fold images and videos)
+  getHighPriorityLCPCandidates(lcpCandidates) {
+    try {
+      const highPriority = [];
 
-        if (isValidHeader) {
-          categorized.validation.validHeaders++;
+      // Images above fold are high priority
+      lcpCandidates.images.forEach((img) => {
+        if (img.isAboveFold && img.dimensions.area > 1000) {
+          // Minimum size threshold
+          highPriority.push({
+            ...img,
+            priority: "high",
+            reason: "Above-fold image with significant size",
+          });
+        }
+      });
 
-          // Categorize the header
-          if (browserCacheHeaders.includes(normalizedName)) {
-            categorized.cache.browserCache[normalizedName] = value;
-          } else if (cdnCacheHeaders.includes(normalizedName)) {
-            categorized.cache.cdnCache[normalizedName] = value;
-          } else if (performanceHeaders.includes(normalizedName)) {
-            categorized.performance[normalizedName] = value;
-          } else if (securityHeaders.includes(normalizedName)) {
-            categorized.security[normalizedName] = value;
-          } else {
-            categorized.other[normalizedName] = value;
-          }
-        } else {
-          categorized.validation.invalidHeaders++;
-          categorized.validation.malformedHeaders.push({
-            name: normalizedName,
-            value: value,
-            reason: "Failed specific header validation",
+      // Videos above fold are high priority
+      lcpCandidates.videos.forEach((video) => {
+        if (video.isAboveFold) {
+          highPriority.push({
+            ...video,
+            priority: "high",
+            reason: "Above-fold video element",
           });
         }
-      } catch (error) {
-        categorized.validation.invalidHeaders++;
-        categorized.validation.malformedHeaders.push({
-          name: name,
-          value: value,
-          reason: error.message,
-        });
-        console.warn("Error processing header:", name, error);
-      }
-    });
+      });
 
-    // Add validation summary
-    console.log(
-      `Header validation complete: ${categorized.validation.validHeaders}/${categorized.validation.totalHeaders} valid`
-    );
+      // Large background images above fold
+      lcpCandidates.backgroundImages.forEach((bgImg) => {
+        if (bgImg.isAboveFold && bgImg.dimensions.area > 5000) {
+          // Higher threshold for bg images
+          highPriority.push({
+            ...bgImg,
+            priority: "high",
+            reason: "Above-fold background image with large area",
+          });
+        }
+      });
 
-    if (categorized.validation.malformedHeaders.length > 0) {
-      console.warn("Malformed headers detected:", categorized.validation.malformedHeaders);
+      return highPriority;
+    } catch (error) {
+      console.error("Error getting high-priority LCP candidates:", error);
+      return [];
     }
-
-    return categorized;
   }
 
-  // Validate individual header name and value
-  validateHeader(name, value) {
+  // Cross-reference LCP candidates with preload links
+  crossReferenceLCPWithPreloads(lcpCandidates, preloadLinks) {
     try {
-      // Validate header name
-      if (!name || typeof name !== "string") {
-        console.warn("Invalid header name:", name);
-        return null;
-      }
+      const withPreload = [];
+      const withoutPreload = [];
 
-      // Normalize header name
-      const normalizedName = name.toLowerCase().trim();
+      lcpCandidates.forEach((candidate) => {
+        // Find matching preload link
+        const matchingPreload = this.findMatchingPreload(candidate, preloadLinks);
 
-      // Check for valid header name format (basic validation)
-      if (!/^[a-z0-9\-_]+$/.test(normalizedName)) {
-        console.warn("Header name contains invalid characters:", normalizedName);
-        return null;
-      }
+        if (matchingPreload) {
+          withPreload.push({
+            lcpCandidate: candidate,
+            preloadLink: matchingPreload,
+            matchType: matchingPreload.matchType,
+          });
+        } else {
+          withoutPreload.push({
+            lcpCandidate: candidate,
+            recommendedPreload: this.generateRecommendedPreload(candidate),
+          });
+        }
+      });
 
-      // Validate header value
-      if (value === null || value === undefined) {
-        console.warn("Header has null/undefined value:", normalizedName);
-        return null;
-      }
+      return { withPreload, withoutPreload };
+    } catch (error) {
+      console.error("Error cross-referencing LCP with preloads:", error);
+      return { withPreload: [], withoutPreload: [] };
+    }
+  }
 
-      // Convert value to string and sanitize
-      let sanitizedValue = String(value).trim();
+  // Find matching preload link for LCP candidate
+  findMatchingPreload(lcpCandidate, preloadLinks) {
+    try {
+      for (const preload of preloadLinks) {
+        // Direct URL match
+        if (this.urlsMatch(lcpCandidate.src, preload.href)) {
+          return {
+            ...preload,
+            matchType: "exact-url",
+          };
+        }
 
-      // Security check: limit header value length
-      const maxValueLength = 8192; // 8KB limit per header value
-      if (sanitizedValue.length > maxValueLength) {
-        console.warn(
-          `Header value too long (${sanitizedValue.length} chars), truncating:`,
-          normalizedName
-        );
-        sanitizedValue = sanitizedValue.substring(0, maxValueLength) + "...[truncated]";
+        // Type-based match for appropriate 'as' attribute
+        if (this.isAppropriatePreloadType(lcpCandidate, preload)) {
+          // Check for partial URL match (same filename)
+          if (this.partialUrlMatch(lcpCandidate.src, preload.href)) {
+            return {
+              ...preload,
+              matchType: "partial-url",
+            };
+          }
+        }
       }
 
-      // Remove potentially dangerous characters (basic sanitization)
-      sanitizedValue = sanitizedValue.replace(/[\x00-\x1f\x7f-\x9f]/g, "");
-
-      return {
-        name: normalizedName,
-        value: sanitizedValue,
-      };
+      return null;
     } catch (error) {
-      console.warn("Error validating header:", error);
+      console.error("Error finding matching preload:", error);
       return null;
     }
   }
 
-  // Validate specific header formats
-  validateSpecificHeader(headerName, headerValue) {
+  // Check if URLs match (handling relative vs absolute URLs)
+  urlsMatch(url1, url2) {
     try {
-      switch (headerName) {
-        case "cache-control":
-          return this.validateCacheControlHeader(headerValue);
-
-        case "expires":
-          return this.validateExpiresHeader(headerValue);
-
-        case "age":
-          return this.validateAgeHeader(headerValue);
-
-        case "content-length":
-          return this.validateContentLengthHeader(headerValue);
+      if (!url1 || !url2) return false;
 
-        case "etag":
-          return this.validateETagHeader(headerValue);
+      // Normalize URLs
+      const normalizedUrl1 = this.normalizeUrl(url1);
+      const normalizedUrl2 = this.normalizeUrl(url2);
 
-        default:
-          // For unknown headers, just check basic format
-          return typeof headerValue === "string" && headerValue.length > 0;
-      }
+      return normalizedUrl1 === normalizedUrl2;
     } catch (error) {
-      console.warn(`Error validating ${headerName} header:`, error);
       return false;
     }
   }
 
-  // Validate Cache-Control header format
-  validateCacheControlHeader(value) {
-    if (!value || typeof value !== "string") return false;
-
-    // Basic Cache-Control directive validation
-    const validDirectives = [
-      "public",
-      "private",
-      "no-cache",
-      "no-store",
-      "must-revalidate",
-      "proxy-revalidate",
-      "immutable",
-      "stale-while-revalidate",
-      "stale-if-error",
-    ];
-
-    const directives = value
-      .toLowerCase()
-      .split(",")
-      .map((d) => d.trim());
-
-    for (const directive of directives) {
-      // Check for max-age, s-maxage patterns
-      if (/^(max-age|s-maxage)=\d+$/.test(directive)) continue;
-
-      // Check for stale-while-revalidate, stale-if-error patterns
-      if (/^(stale-while-revalidate|stale-if-error)=\d+$/.test(directive)) continue;
+  // Normalize URL for comparison
+  normalizeUrl(url) {
+    try {
+      // Handle relative URLs
+      if (url.startsWith("/")) {
+        return new URL(url, window.location.origin).href;
+      }
 
-      // Check for valid standalone directives
-      if (!validDirectives.includes(directive)) {
-        console.warn("Unknown Cache-Control directive:", directive);
+      if (url.startsWith("./") || !url.includes("://")) {
+        return new URL(url, window.location.href).href;
       }
-    }
 
-    return true;
+      return url;
+    } catch (error) {
+      return url;
+    }
   }
 
-  // Validate Expires header format
-  validateExpiresHeader(value) {
-    if (!value || typeof value !== "string") return false;
-
+  // Check for partial URL match (same filename)
+  partialUrlMatch(url1, url2) {
     try {
-      const date = new Date(value);
-      return !isNaN(date.getTime());
+      const filename1 = url1.split("/").pop()?.split("?")[0];
+      const filename2 = url2.split("/").pop()?.split("?")[0];
+
+      return filename1 && filename2 && filename1 === filename2;
     } catch (error) {
       return false;
     }
   }
 
-  // Validate Age header format
-  validateAgeHeader(value) {
-    if (!value) return false;
-
-    const ageValue = parseInt(value, 10);
-    return !isNaN(ageValue) && ageValue >= 0;
-  }
-
-  // Validate Content-Length header format
-  validateContentLengthHeader(value) {
-    if (!value) return false;
-
-    const lengthValue = parseInt(value, 10);
-    return !isNaN(lengthValue) && lengthValue >= 0;
-  }
-
-  // Validate ETag header format
-  validateETagHeader(value) {
-    if (!value || typeof value !== "string") return false;
-
-    // Basic ETag format validation (quoted string or W/ prefix)
-    return /^(W\/)?"[^"]*"$/.test(value.trim());
+  // Check if preload type is appropriate for LCP candidate
+  isAppropriatePreloadType(lcpCandidate, preload) {
+    try {
+      switch (lcpCandidate.type) {
+        case "img":
+          return preload.as === "image";
+        case "video":
+          return preload.as === "video";
+        case "background-image":
+          return preload.as === "image";
+        default:
+          return false;
+      }
+    } catch (error) {
+      return false;
+    }
   }
 
-  // Extract fallback headers when fetch fails
-  extractFallbackHeaders() {
-    console.log("Extracting fallback headers from current page...");
-
-    const fallbackHeaders = {
-      raw: {},
-      cache: {
-        browserCache: {},
-        cdnCache: {},
-        general: {},
-      },
-      security: {},
-      performance: {},
-      other: {},
-      fallback: true,
-      fallbackReason: "Could not fetch original response headers",
-    };
-
+  // Generate recommended preload for LCP candidate
+  generateRecommendedPreload(lcpCandidate) {
     try {
-      // Try to get some headers from performance entries
-      const navigationEntries = performance.getEntriesByType("navigation");
-      if (navigationEntries.length > 0) {
-        const entry = navigationEntries[0];
+      const recommendation = {
+        href: lcpCandidate.src,
+        as: this.getRecommendedAsAttribute(lcpCandidate),
+        fetchpriority: "high",
+        reason: `Missing preload for ${lcpCandidate.type} LCP candidate`,
+      };
 
-        // Add timing information as pseudo-headers
-        fallbackHeaders.performance["x-timing-ttfb"] = `${(
-          entry.responseStart - entry.requestStart
-        ).toFixed(2)}ms`;
-        fallbackHeaders.performance["x-timing-dom-load"] = `${(
-          entry.domContentLoadedEventEnd - entry.domContentLoadedEventStart
-        ).toFixed(2)}ms`;
+      // Add type attribute for images if needed
+      if (lcpCandidate.type === "img" && lcpCandidate.src) {
+        const extension = lcpCandidate.src.split(".").pop()?.toLowerCase();
+        if (extension && ["webp", "avif"].includes(extension)) {
+          recommendation.type = `image/${extension}`;
+        }
       }
 
-      // Check for any meta tags that might indicate caching
-      const metaTags = document.querySelectorAll("meta[http-equiv]");
-      metaTags.forEach((meta) => {
-        const httpEquiv = meta.getAttribute("http-equiv").toLowerCase();
-        const content = meta.getAttribute("content");
-        if (httpEquiv && content) {
-          fallbackHeaders.cache.general[httpEquiv] = content;
-        }
-      });
+      // Add crossorigin if needed
+      if (this.needsCrossOrigin(lcpCandidate.src)) {
+        recommendation.crossorigin = "anonymous";
+      }
+
+      return recommendation;
     } catch (error) {
-      console.warn("Error extracting fallback headers:", error);
+      console.error("Error generating recommended preload:", error);
+      return null;
     }
+  }
 
-    return fallbackHeaders;
+  // Get recommended 'as' attribute for LCP candidate
+  getRecommendedAsAttribute(lcpCandidate) {
+    switch (lcpCandidate.type) {
+      case "img":
+      case "background-image":
+        return "image";
+      case "video":
+        return "video";
+      default:
+        return "fetch";
+    }
   }
 
-  // Try to fetch actual response headers using a HEAD request
-  async tryFetchActualHeaders() {
+  // Check if resource needs crossorigin attribute
+  needsCrossOrigin(url) {
     try {
-      console.log("Attempting to fetch actual response headers...");
-
-      // Try HEAD request first
-      try {
-        const headResponse = await fetch(window.location.href, {
-          method: "HEAD",
-          cache: "no-cache", // Ensure we get fresh headers
-        });
+      const resourceOrigin = new URL(url, window.location.href).origin;
+      return resourceOrigin !== window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
 
-        if (headResponse.ok) {
-          console.log("HEAD request successful, extracting headers");
-          const extractedHeaders = this.extractResponseHeaders(headResponse);
-          if (extractedHeaders && Object.keys(extractedHeaders.raw || {}).length > 0) {
-            return extractedHeaders;
-          }
-        } else {
-          console.warn("HEAD request failed with status:", headResponse.status);
-        }
-      } catch (headError) {
-        console.warn("HEAD request failed:", headError.message);
-      }
+  // Detect redundant preloads
+  detectRedundantPreloads(preloadLinks, lcpCandidates) {
+    try {
+      const redundant = [];
 
-      // Fallback: Try GET request with range header to minimize data transfer
-      try {
-        console.log("Trying GET request with range header as fallback...");
-        const getResponse = await fetch(window.location.href, {
-          method: "GET",
-          headers: {
-            Range: "bytes=0-0", // Request only first byte
-          },
-          cache: "no-cache",
-        });
+      preloadLinks.forEach((preload) => {
+        // Check if this preload doesn't match any LCP candidate
+        const hasMatchingLCP = lcpCandidates.some(
+          (candidate) =>
+            this.urlsMatch(candidate.src, preload.href) ||
+            this.partialUrlMatch(candidate.src, preload.href)
+        );
 
-        if (getResponse.ok || getResponse.status === 206) {
-          // 206 = Partial Content
-          console.log("GET request successful, extracting headers");
-          const extractedHeaders = this.extractResponseHeaders(getResponse);
-          if (extractedHeaders && Object.keys(extractedHeaders.raw || {}).length > 0) {
-            return extractedHeaders;
-          }
-        } else {
-          console.warn("GET request failed with status:", getResponse.status);
+        if (!hasMatchingLCP && (preload.as === "image" || preload.as === "video")) {
+          redundant.push({
+            preload: preload,
+            reason: "Preload for non-LCP resource",
+            recommendation: "Consider removing or lowering priority",
+          });
         }
-      } catch (getError) {
-        console.warn("GET request failed:", getError.message);
-      }
+      });
 
-      // Final fallback: Try to extract headers from performance entries
-      console.log("Trying to extract headers from performance entries...");
-      return this.extractHeadersFromPerformanceEntries();
+      return redundant;
     } catch (error) {
-      console.warn("All header extraction methods failed:", error);
-      return null;
+      console.error("Error detecting redundant preloads:", error);
+      return [];
     }
   }
 
-  // Extract headers from performance entries as a last resort
-  extractHeadersFromPerformanceEntries() {
+  // Detect invalid preloads
+  detectInvalidPreloads(preloadLinks) {
     try {
-      const navigationEntries = performance.getEntriesByType("navigation");
-      if (navigationEntries.length === 0) {
-        return null;
-      }
-
-      const entry = navigationEntries[0];
-      const headers = {
-        raw: {},
-        cache: {
-          browserCache: {},
-          cdnCache: {},
-          general: {},
-        },
-        security: {},
-        performance: {},
-        other: {},
-        fallback: true,
-        fallbackReason: "Extracted from performance entries",
-      };
+      const invalid = [];
 
-      // Add timing-based pseudo-headers
-      if (entry.responseStart && entry.requestStart) {
-        headers.performance["x-timing-ttfb"] = `${(
-          entry.responseStart - entry.requestStart
-        ).toFixed(2)}ms`;
-      }
+      preloadLinks.forEach((preload) => {
+        if (!preload.isValid) {
+          invalid.push({
+            preload: preload,
+            errors: preload.validationErrors,
+            recommendation: "Fix preload link attributes",
+          });
+        }
 
-      if (entry.domContentLoadedEventEnd && entry.domContentLoadedEventStart) {
-        headers.performance["x-timing-dom-load"] = `${(
-          entry.domContentLoadedEventEnd - entry.domContentLoadedEventStart
-        ).toFixed(2)}ms`;
-      }
+        // Additional validation checks
+        if (preload.as === "image" && !preload.href) {
+          invalid.push({
+            preload: preload,
+            errors: ["Image preload missing href"],
+            recommendation: "Add valid href attribute",
+          });
+        }
 
-      // Try to infer some cache information from timing
-      if (entry.responseStart && entry.fetchStart) {
-        const responseTime = entry.responseStart - entry.fetchStart;
-        if (responseTime < 50) {
-          // Very fast response might indicate cache hit
-          headers.cache.general["x-inferred-cache"] = "likely-cached";
+        if (preload.as === "video" && !preload.href) {
+          invalid.push({
+            preload: preload,
+            errors: ["Video preload missing href"],
+            recommendation: "Add valid href attribute",
+          });
         }
-      }
+      });
 
-      console.log("Extracted headers from performance entries");
-      return headers;
+      return invalid;
     } catch (error) {
-      console.warn("Failed to extract headers from performance entries:", error);
-      return null;
+      console.error("Error detecting invalid preloads:", error);
+      return [];
     }
   }
 
-  // Find elements with background images
-  findBackgroundImageElements(container) {
-    const elementsWithBgImages = [];
-
+  // Generate LCP preload recommendations
+  generateLCPPreloadRecommendations(preloadValidation) {
     try {
-      // Get all elements in the container
-      const allElements = container.querySelectorAll("*");
-
-      allElements.forEach((element) => {
-        try {
-          const computedStyle = window.getComputedStyle(element);
-          const backgroundImage = computedStyle.backgroundImage;
+      const recommendations = [];
 
-          // Check if element has a background image (not 'none')
-          if (backgroundImage && backgroundImage !== "none" && backgroundImage.includes("url(")) {
-            // Extract URL from background-image CSS property
-            const urlMatch = backgroundImage.match(/url\(['"]?([^'"]+)['"]?\)/);
-            if (urlMatch && urlMatch[1]) {
-              elementsWithBgImages.push({
-                element: element,
-                backgroundImageUrl: urlMatch[1],
-                selector: this.generateElementSelector(element),
-              });
-            }
-          }
-        } catch (error) {
-          // Skip elements that can't be processed
-          console.warn("Could not process element for background image:", error);
+      // Recommend preloads for missing LCP elements
+      preloadValidation.lcpElementsWithoutPreload.forEach((item) => {
+        if (item.recommendedPreload) {
+          recommendations.push({
+            type: "add-preload",
+            priority: "high",
+            element: item.lcpCandidate,
+            recommendation: item.recommendedPreload,
+            impact: "Improves LCP by preloading critical resource",
+            htmlExample: this.generatePreloadHTML(item.recommendedPreload),
+          });
         }
       });
+
+      // Recommend removing redundant preloads
+      preloadValidation.redundantPreloads.forEach((item) => {
+        recommendations.push({
+          type: "remove-redundant-preload",
+          priority: "medium",
+          preload: item.preload,
+          reason: item.reason,
+          impact: "Reduces unnecessary resource loading",
+        });
+      });
+
+      // Recommend fixing invalid preloads
+      preloadValidation.invalidPreloads.forEach((item) => {
+        recommendations.push({
+          type: "fix-invalid-preload",
+          priority: "high",
+          preload: item.preload,
+          errors: item.errors,
+          recommendation: item.recommendation,
+          impact: "Ensures preload links work correctly",
+        });
+      });
+
+      return recommendations;
     } catch (error) {
-      console.error("Error finding background image elements:", error);
+      console.error("Error generating LCP preload recommendations:", error);
+      return [];
     }
-
-    return elementsWithBgImages;
   }
 
-  // Generate a CSS selector for an element
-  generateElementSelector(element) {
+  // Generate HTML example for preload, including priority and responsive image hints
+  generatePreloadHTML(preloadRecommendation) {
     try {
-      // Try to create a unique selector
-      if (element.id) {
-        return `#${element.id}`;
+      const attribute = (name, value) => ` ${name}="${String(value).replace(/"/g, "&quot;")}"`;
+      let html = `<link rel="preload"${attribute("href", preloadRecommendation.href)}${attribute(
+        "as",
+        preloadRecommendation.as
+      )}`;
+
+      if (preloadRecommendation.type) {
+        html += attribute("type", preloadRecommendation.type);
       }
 
-      if (element.className && typeof element.className === "string") {
-        const classes = element.className.trim().split(/\s+/).slice(0, 3); // Limit to first 3 classes
-        if (classes.length > 0) {
-          return `${element.tagName.toLowerCase()}.${classes.join(".")}`;
-        }
+      // Responsive images must be preloaded with the same candidates the <img> chooses from
+      if (preloadRecommendation.imagesrcset) {
+        html += attribute("imagesrcset", preloadRecommendation.imagesrcset);
       }
 
-      // Fallback to tag name with position
-      const siblings = Array.from(element.parentNode?.children || []);
-      const sameTagSiblings = siblings.filter((sibling) => sibling.tagName === element.tagName);
+      if (preloadRecommendation.imagesizes) {
+        html += attribute("imagesizes", preloadRecommendation.imagesizes);
+      }
 
-      if (sameTagSiblings.length > 1) {
-        const index = sameTagSiblings.indexOf(element) + 1;
-        return `${element.tagName.toLowerCase()}:nth-of-type(${index})`;
+      if (preloadRecommendation.media) {
+        html += attribute("media", preloadRecommendation.media);
       }
 
-      return element.tagName.toLowerCase();
+      if (preloadRecommendation.fetchpriority) {
+        html += attribute("fetchpriority", preloadRecommendation.fetchpriority);
+      }
+
+      if (preloadRecommendation.crossorigin) {
+        html += attribute("crossorigin", preloadRecommendation.crossorigin);
+      }
+
+      html += ">";
+
+      return html;
     } catch (error) {
-      console.warn("Error generating element selector:", error);
-      return "unknown";
+      return "";
     }
   }
 
-  // Main analysis orchestrator
-  async analyzePerformance() {
-    if (this.isAnalyzing) {
-      console.warn("Analysis already in progress");
-      return null;
-    }
-
-    this.isAnalyzing = true;
-
+  // Generate the element's markup with a corrected fetchpriority attribute
+  generatePriorityHintHTML(element, fetchpriority) {
     try {
-      console.log("Starting performance recommendations analysis...");
-
-      // Initialize analysis results structure
-      this.analysisResults = {
-        metadata: {
-          url: window.location.href,
-          timestamp: Date.now(),
-          analysisVersion: "2.0",
-          pageLoadType: "navigation",
-          userAgent: navigator.userAgent,
-        },
-        cache: {},
-        lcp: {},
-        scripts: {},
-        links: {},
-        css: {},
-        summary: {},
-      };
+      const clone = element.cloneNode(false);
+      clone.setAttribute("fetchpriority", fetchpriority);
 
-      // Step 1: Fetch and parse HTML document
-      console.log("Debug: Starting HTML fetch...");
-      const fetchResult = await this.fetchDocumentHTML();
-      console.log(
-        `Debug: HTML fetch completed. Length: ${
-          this.htmlContent ? this.htmlContent.length : 0
-        }, Fallback used: ${fetchResult.fallbackUsed || false}`
-      );
+      // A high-priority request is pointless if the element waits for layout to start it
+      if (fetchpriority === "high" && clone.getAttribute("loading") === "lazy") {
+        clone.removeAttribute("loading");
+      }
 
-      const htmlStructure = this.parseHTMLStructure();
-      console.log("Debug: HTML structure parsed:", {
-        hasHead: !!htmlStructure.head,
-        hasBody: !!htmlStructure.body,
-        headLinksCount:
-          htmlStructure.head && htmlStructure.head.links ? htmlStructure.head.links.length : 0,
-        bodyLinksCount:
-          htmlStructure.body && htmlStructure.body.links ? htmlStructure.body.links.length : 0,
-      });
+      return clone.outerHTML;
+    } catch (error) {
+      return "";
+    }
+  }
 
-      // Store HTML structure for use by other analysis methods
-      this.htmlStructure = htmlStructure;
+  // Check priority hints: the LCP resource should be high, other resources should not compete
+  generatePriorityHintRecommendations(lcpCandidate) {
+    const MAX_HIGH_PRIORITY = 2; // More than a couple of high hints cancel each other out
+    const recommendations = [];
 
-      // Step 2: Analyze scripts for optimization opportunities
-      console.log("Step 2: Analyzing scripts...");
-      this.analysisResults.scripts = this.analyzeScripts(htmlStructure);
+    try {
+      const isImage = lcpCandidate && lcpCandidate.tagName.toLowerCase() === "img";
+      const preloadLink = lcpCandidate ? this.findLCPPreloadLink(lcpCandidate) : null;
+
+      // The LCP image (and its preload) should be fetched with high priority
+      if (lcpCandidate && (isImage || preloadLink)) {
+        const examples = [];
+        if (isImage && lcpCandidate.getAttribute("fetchpriority") !== "high") {
+          examples.push(this.generatePriorityHintHTML(lcpCandidate, "high"));
+        }
+        if (preloadLink && preloadLink.getAttribute("fetchpriority") !== "high") {
+          examples.push(
+            this.generatePreloadHTML({
+              href: preloadLink.href,
+              as: preloadLink.getAttribute("as"),
+              type: preloadLink.getAttribute("type"),
+              imagesrcset: preloadLink.getAttribute("imagesrcset"),
+              imagesizes: preloadLink.getAttribute("imagesizes"),
+              media: preloadLink.getAttribute("media"),
+              crossorigin: preloadLink.getAttribute("crossorigin"),
+              fetchpriority: "high",
+            })
+          );
+        }
 
-      // Step 3: Analyze links and preload opportunities
-      console.log("Step 3: Analyzing links...");
-      this.analysisResults.links = this.analyzeLinks(htmlStructure);
+        if (examples.length > 0) {
+          const currentPriority = (isImage ? lcpCandidate : preloadLink).getAttribute(
+            "fetchpriority"
+          );
+          recommendations.push({
+            type: "lcp-fetchpriority",
+            priority: "high",
+            description:
+              currentPriority === "low"
+                ? 'The LCP resource is marked fetchpriority="low". Mark it high so it is not queued behind other images'
+                : 'The LCP resource has no fetchpriority="high". Images start at low priority until layout, which delays LCP',
+            htmlExample: examples.join("\n"),
+          });
+        }
+      }
 
-      // Step 4: Analyze cache optimization opportunities
-      console.log("Step 4: Analyzing cache...");
-      this.analysisResults.cache = await this.analyzeCache();
+      // Too many high-priority hints compete with the LCP resource for bandwidth
+      const highPriorityElements = Array.from(
+        document.querySelectorAll('[fetchpriority="high" i]')
+      ).filter((element) => element !== lcpCandidate && element !== preloadLink);
+      if (highPriorityElements.length + 1 > MAX_HIGH_PRIORITY) {
+        recommendations.push({
+          type: "too-many-high-priority",
+          priority: "medium",
+          description: `${highPriorityElements.length} resources besides the LCP resource are marked fetchpriority="high". Keep high priority for the LCP resource and critical CSS/fonts only`,
+          selectors: highPriorityElements.map((element) => this.generateElementSelector(element)),
+        });
+      }
 
-      // Step 5: Analyze LCP optimization opportunities
-      console.log("Step 5: Analyzing LCP...");
-      this.analysisResults.lcp = this.analyzeLCP(htmlStructure);
+      // Carousel slides that are off-screen compete with the visible slide
+      const offscreenSlides = this.findOffscreenCarouselImages();
+      if (offscreenSlides.length > 0) {
+        recommendations.push({
+          type: "carousel-fetchpriority-low",
+          priority: "low",
+          description: `${offscreenSlides.length} carousel image${
+            offscreenSlides.length === 1 ? " is" : "s are"
+          } off-screen or below the fold. Mark them fetchpriority="low" so the visible slide loads first`,
+          selectors: offscreenSlides.map((img) => this.generateElementSelector(img)),
+          htmlExample: this.generatePriorityHintHTML(offscreenSlides[0], "low"),
+        });
+      }
+    } catch (error) {
+      console.error("Error generating priority hint recommendations:", error);
+    }
 
-      // Step 6: Analyze CSS loading patterns and optimization opportunities
-      console.log("Step 6: Analyzing CSS...");
-      this.analysisResults.css = this.analyzeCSS(htmlStructure);
+    return recommendations;
+  }
 
-      // Step 7: Generate summary
-      console.log("Step 7: Generating summary...");
-      this.analysisResults.summary = this.calculateSummary();
+  // Find eagerly loaded carousel images that aren't visible yet and have no low priority hint
+  findOffscreenCarouselImages() {
+    const CAROUSEL_SELECTOR = [
+      '[aria-roledescription="carousel" i]',
+      '[class*="carousel" i]',
+      '[class*="slider" i]',
+      '[class*="swiper" i]',
+      '[class*="slick" i]',
+      '[class*="splide" i]',
+      '[class*="glide" i]',
+    ].join(",");
 
-      // Prepare CSS analysis infrastructure for future enhancements
-      this.prepareCSSAnalysisInfrastructure();
+    try {
+      const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+      const images = new Set();
+
+      document.querySelectorAll(CAROUSEL_SELECTOR).forEach((carousel) => {
+        carousel.querySelectorAll("img").forEach((img) => {
+          if (img.getAttribute("loading") === "lazy") return; // Not requested up front anyway
+          if (img.getAttribute("fetchpriority") === "low" || img === lcpElement) return;
+
+          const rect = img.getBoundingClientRect();
+          const offscreenHorizontally = rect.left >= viewportWidth || rect.right <= 0;
+          if (!this.isElementAboveInitialFold(img) || offscreenHorizontally) {
+            images.add(img);
+          }
+        });
+      });
 
-      console.log("Performance recommendations analysis completed");
-      return this.analysisResults;
+      return Array.from(images);
     } catch (error) {
-      console.error("Error during performance analysis:", error);
-      throw error;
-    } finally {
-      this.isAnalyzing = false;
+      console.error("Error finding off-screen carousel images:", error);
+      return [];
     }
   }
 
-  // Get current analysis state
-  getAnalysisState() {
-    return {
-      isAnalyzing: this.isAnalyzing,
-      hasResults: Object.keys(this.analysisResults).length > 0,
-    };
-  }
+  // Find async third-party scripts that are not needed for rendering and lack fetchpriority="low"
+  findNonCriticalAsyncScripts() {
+    const NON_CRITICAL_CATEGORIES = ["analytics", "ads", "social", "chat", "marketing"];
 
-  // Analyze browser cache headers and determine cache status
-  analyzeBrowserCache() {
     try {
-      console.log("Analyzing browser cache headers...");
-
-      if (!this.responseHeaders || !this.responseHeaders.cache) {
-        console.warn("No response headers available for browser cache analysis");
-        return {
-          status: "not-cached",
-          ttl: null,
-          cacheControl: null,
-          expires: null,
-          reason: "No cache headers available",
-        };
-      }
-
-      const browserCacheHeaders = this.responseHeaders.cache.browserCache;
-      const result = {
-        status: "not-cached",
-        ttl: null,
-        cacheControl: null,
-        expires: null,
-        reason: null,
-        headers: browserCacheHeaders,
-      };
-
-      // Check Cache-Control header first (takes precedence over Expires)
-      if (browserCacheHeaders["cache-control"]) {
-        result.cacheControl = browserCacheHeaders["cache-control"];
-        const cacheControlAnalysis = this.parseCacheControlHeader(result.cacheControl);
-
-        if (cacheControlAnalysis.isCacheable) {
-          result.status = "cached";
-          result.ttl = cacheControlAnalysis.maxAge;
-          result.reason = "Cache-Control header indicates caching";
-        } else {
-          result.status = "not-cached";
-          result.reason = cacheControlAnalysis.reason || "Cache-Control prevents caching";
-        }
-      }
-      // Fallback to Expires header if no Cache-Control
-      else if (browserCacheHeaders["expires"]) {
-        result.expires = browserCacheHeaders["expires"];
-        const expiresAnalysis = this.parseExpiresHeader(result.expires);
-
-        if (expiresAnalysis.isValid && expiresAnalysis.ttl > 0) {
-          result.status = "cached";
-          result.ttl = expiresAnalysis.ttl;
-          result.reason = "Expires header indicates caching";
-        } else {
-          result.status = "not-cached";
-          result.reason = expiresAnalysis.reason || "Expires header prevents caching";
-        }
-      }
-      // No caching headers found
-      else {
-        result.reason = "No browser-side caching detected";
-      }
+      return Array.from(document.querySelectorAll("script[src][async]"))
+        .filter((script) => {
+          if (script.getAttribute("fetchpriority") === "low") return false;
 
-      // Check for explicit no-cache directives
-      if (browserCacheHeaders["pragma"] === "no-cache") {
-        result.status = "not-cached";
-        result.reason = "Pragma: no-cache directive";
-      }
+          const originInfo = getOriginInfo(script.src);
+          if (!originInfo || !originInfo.isThirdParty) return false;
 
-      console.log("Browser cache analysis complete:", result);
-      return result;
+          const entity = getThirdPartyEntity(originInfo.hostname);
+          return entity !== null && NON_CRITICAL_CATEGORIES.includes(entity.category);
+        })
+        .map((script) => ({
+          src: script.src,
+          entity: getThirdPartyEntity(getOriginInfo(script.src).hostname).name,
+          element: script,
+          htmlExample: this.generatePriorityHintHTML(script, "low"),
+        }));
     } catch (error) {
-      console.error("Error analyzing browser cache:", error);
-      return {
-        status: "error",
-        ttl: null,
-        cacheControl: null,
-        expires: null,
-        reason: `Analysis error: ${error.message}`,
-        error: error.message,
-      };
+      console.error("Error finding non-critical async scripts:", error);
+      return [];
     }
   }
 
-  // Parse Cache-Control header and extract TTL
-  parseCacheControlHeader(cacheControlValue) {
+  // Analyze scripts for optimization opportunities
+  analyzeScripts(htmlStructure = null) {
     try {
-      if (!cacheControlValue || typeof cacheControlValue !== "string") {
-        return {
-          isCacheable: false,
-          maxAge: null,
-          reason: "Invalid Cache-Control header",
-        };
+      console.log("Analyzing scripts for optimization opportunities...");
+
+      // Use provided structure or fallback to live DOM analysis
+      let structure = htmlStructure || this.htmlStructure;
+
+      // If no structure available, analyze live DOM directly
+      if (!structure || !structure.head) {
+        console.log("No HTML structure available, analyzing live DOM directly...");
+        structure = this.analyzeLiveDOM();
       }
 
-      const directives = cacheControlValue
-        .toLowerCase()
-        .split(",")
-        .map((directive) => directive.trim());
+      if (!structure) {
+        console.warn("Unable to analyze scripts - no DOM structure available");
+        return this.getEmptyScriptAnalysis();
+      }
 
       const result = {
-        isCacheable: true,
-        maxAge: null,
-        reason: null,
-        directives: directives,
+        duplicates: [],
+        deferScripts: [],
+        asyncScripts: [],
+        totalExternalScripts: 0,
+        recommendations: [],
       };
 
-      // Check for no-cache directives
-      if (
-        directives.includes("no-cache") ||
-        directives.includes("no-store") ||
-        directives.includes("private")
-      ) {
-        result.isCacheable = false;
-        result.reason = "Cache-Control contains no-cache directive";
-        return result;
-      }
+      // Get all external scripts from head and body with safe access
+      const headScripts = structure.head && structure.head.scripts ? structure.head.scripts : [];
+      const bodyScripts = structure.body && structure.body.scripts ? structure.body.scripts : [];
+      const allScripts = [...headScripts, ...bodyScripts];
 
-      // Extract max-age value
-      const maxAgeDirective = directives.find((directive) => directive.startsWith("max-age="));
-      if (maxAgeDirective) {
-        const maxAgeValue = maxAgeDirective.split("=")[1];
-        const maxAgeSeconds = parseInt(maxAgeValue, 10);
+      // Filter to only external scripts (those with src attribute)
+      const externalScripts = allScripts.filter((script) => {
+        const src = script.getAttribute("src");
+        return src && src.trim().length > 0;
+      });
 
-        if (!isNaN(maxAgeSeconds) && maxAgeSeconds >= 0) {
-          result.maxAge = maxAgeSeconds;
-          result.reason = `Cacheable for ${maxAgeSeconds} seconds`;
-        } else {
-          result.isCacheable = false;
-          result.reason = "Invalid max-age value";
-        }
-      } else {
-        // If no max-age but cacheable directives present
-        result.reason = "Cacheable but no explicit TTL";
-      }
+      result.totalExternalScripts = externalScripts.length;
+
+      // Detect duplicate scripts
+      result.duplicates = this.detectDuplicateScripts(externalScripts);
+
+      // Catalog defer and async scripts (including all scripts, not just external ones)
+      result.deferScripts = this.catalogDeferScripts(headScripts);
+      result.asyncScripts = this.catalogAsyncScripts(headScripts);
+
+      // Main-thread cost per script from long animation frames (or long tasks)
+      result.mainThread = loafObserverInstance ? loafObserverInstance.getSummary() : null;
+
+      // Async third-party scripts that could yield bandwidth with fetchpriority="low"
+      result.lowPriorityCandidates = this.findNonCriticalAsyncScripts();
+
+      // Unused bytes per script from an opt-in coverage run
+      result.coverage = this.coverageData ? this.coverageData.scripts : null;
+
+      // Debug logging for script detection
+      console.log("Script Analysis Debug:", {
+        totalScripts: allScripts.length,
+        headScripts: headScripts.length,
+        bodyScripts: bodyScripts.length,
+        externalScripts: externalScripts.length,
+        deferScripts: result.deferScripts.length,
+        asyncScripts: result.asyncScripts.length,
+      });
 
+      // Generate script optimization recommendations
+      result.recommendations = this.generateScriptRecommendations(result, externalScripts);
+
+      console.log("Script analysis complete:", result);
       return result;
     } catch (error) {
-      console.error("Error parsing Cache-Control header:", error);
+      console.error("Error analyzing scripts:", error);
       return {
-        isCacheable: false,
-        maxAge: null,
-        reason: `Parse error: ${error.message}`,
+        duplicates: [],
+        deferScripts: [],
+        asyncScripts: [],
+        totalExternalScripts: 0,
+        recommendations: [],
+        error: error.message,
       };
     }
   }
 
-  // Parse Expires header and calculate TTL
-  parseExpiresHeader(expiresValue) {
+  // Detect duplicate script src includes
+  detectDuplicateScripts(scripts) {
     try {
-      if (!expiresValue || typeof expiresValue !== "string") {
-        return {
-          isValid: false,
-          ttl: null,
-          reason: "Invalid Expires header",
-        };
-      }
-
-      // Parse the expires date
-      const expiresDate = new Date(expiresValue);
-      const currentDate = new Date();
-
-      if (isNaN(expiresDate.getTime())) {
-        return {
-          isValid: false,
-          ttl: null,
-          reason: "Invalid date format in Expires header",
-        };
-      }
+      const srcCounts = {};
+      const duplicates = [];
 
-      // Calculate TTL in seconds
-      const ttlMs = expiresDate.getTime() - currentDate.getTime();
-      const ttlSeconds = Math.floor(ttlMs / 1000);
+      // Count occurrences of each script src
+      scripts.forEach((script) => {
+        const src = script.getAttribute("src");
+        if (src) {
+          const normalizedSrc = this.normalizeSrc(src);
+          srcCounts[normalizedSrc] = (srcCounts[normalizedSrc] || 0) + 1;
+        }
+      });
 
-      if (ttlSeconds <= 0) {
-        return {
-          isValid: true,
-          ttl: 0,
-          reason: "Resource has already expired",
-        };
-      }
+      // Find duplicates (src that appears more than once)
+      Object.entries(srcCounts).forEach(([src, count]) => {
+        if (count > 1) {
+          duplicates.push(src);
+        }
+      });
 
-      return {
-        isValid: true,
-        ttl: ttlSeconds,
-        reason: `Expires in ${ttlSeconds} seconds`,
-        expiresDate: expiresDate,
-      };
+      return duplicates;
     } catch (error) {
-      console.error("Error parsing Expires header:", error);
-      return {
-        isValid: false,
-        ttl: null,
-        reason: `Parse error: ${error.message}`,
-      };
+      console.error("Error detecting duplicate scripts:", error);
+      return [];
     }
   }
 
-  // Analyze CDN cache headers and detect cache hits
-  analyzeCDNCache() {
+  // Catalog defer scripts in HEAD
+  catalogDeferScripts(headScripts) {
     try {
-      console.log("Analyzing CDN cache headers...");
-
-      if (!this.responseHeaders || !this.responseHeaders.cache) {
-        console.warn("No response headers available for CDN cache analysis");
-        return {
-          status: "unknown",
-          provider: "unknown",
-          ttl: null,
-          age: null,
-          cacheHeaders: {},
-          reason: "No cache headers available",
-        };
-      }
+      const deferScripts = [];
 
-      const cdnCacheHeaders = this.responseHeaders.cache.cdnCache;
-      const result = {
-        status: "unknown",
-        provider: "unknown",
-        ttl: null,
-        age: null,
-        cacheHeaders: cdnCacheHeaders,
-        reason: null,
-      };
+      headScripts.forEach((script, index) => {
+        const src = script.getAttribute("src");
+        const hasDefer = script.hasAttribute("defer");
 
-      // Detect CDN provider and analyze cache status
-      const providerDetection = this.detectCDNProvider(cdnCacheHeaders);
-      result.provider = providerDetection.provider;
+        console.log(`Script ${index}:`, {
+          src: src || "(inline)",
+          hasDefer: hasDefer,
+          hasAsync: script.hasAttribute("async"),
+          type: script.getAttribute("type"),
+        });
 
-      // Parse Age header if present
-      if (cdnCacheHeaders["age"]) {
-        const ageValue = parseInt(cdnCacheHeaders["age"], 10);
-        if (!isNaN(ageValue) && ageValue >= 0) {
-          result.age = ageValue;
+        if (hasDefer) {
+          if (src) {
+            deferScripts.push({
+              src: this.normalizeSrc(src),
+              type: "external",
+              element: script,
+            });
+          } else {
+            deferScripts.push({
+              src: "(inline script)",
+              type: "inline",
+              element: script,
+            });
+          }
         }
-      }
-
-      // Analyze cache status based on provider-specific headers
-      const cacheStatusAnalysis = this.analyzeCDNCacheStatus(cdnCacheHeaders, providerDetection);
-      result.status = cacheStatusAnalysis.status;
-      result.ttl = cacheStatusAnalysis.ttl;
-      result.reason = cacheStatusAnalysis.reason;
-
-      // If Age > 0, it's likely a cache hit
-      if (result.age && result.age > 0 && result.status === "unknown") {
-        result.status = "hit";
-        result.reason = `Cache hit detected (Age: ${result.age}s)`;
-      }
+      });
 
-      console.log("CDN cache analysis complete:", result);
-      return result;
+      console.log(`Found ${deferScripts.length} defer scripts:`, deferScripts);
+      return deferScripts;
     } catch (error) {
-      console.error("Error analyzing CDN cache:", error);
-      return {
-        status: "error",
-        provider: "unknown",
-        ttl: null,
-        age: null,
-        cacheHeaders: {},
-        reason: `Analysis error: ${error.message}`,
-        error: error.message,
-      };
+      console.error("Error cataloging defer scripts:", error);
+      return [];
     }
   }
 
-  // Detect CDN provider based on response headers
-  detectCDNProvider(cdnHeaders) {
+  // Catalog async scripts in HEAD
+  catalogAsyncScripts(headScripts) {
     try {
-      const result = {
-        provider: "unknown",
-        confidence: 0,
-        indicators: [],
-      };
-
-      // Cloudflare detection
-      if (cdnHeaders["cf-cache-status"] || cdnHeaders["cf-ray"] || cdnHeaders["cf-request-id"]) {
-        result.provider = "cloudflare";
-        result.confidence = 0.9;
-        result.indicators.push("cf-cache-status", "cf-ray", "cf-request-id");
-      }
-      // Fastly detection
-      else if (
-        cdnHeaders["x-fastly-request-id"] ||
-        cdnHeaders["x-fastly-cache"] ||
-        cdnHeaders["x-served-by"]?.includes("fastly")
-      ) {
-        result.provider = "fastly";
-        result.confidence = 0.9;
-        result.indicators.push("x-fastly-request-id", "x-fastly-cache");
-      }
-      // AWS CloudFront detection
-      else if (cdnHeaders["x-amz-cf-pop"] || cdnHeaders["x-amz-cf-id"]) {
-        result.provider = "aws";
-        result.confidence = 0.9;
-        result.indicators.push("x-amz-cf-pop", "x-amz-cf-id");
-      }
-      // Akamai detection
-      else if (cdnHeaders["x-akamai-request-id"] || cdnHeaders["x-cache"]?.includes("akamai")) {
-        result.provider = "akamai";
-        result.confidence = 0.8;
-        result.indicators.push("x-akamai-request-id", "x-cache");
-      }
-      // Generic CDN detection based on common headers
-      else if (cdnHeaders["x-cache"] || cdnHeaders["x-cache-hits"] || cdnHeaders["x-varnish"]) {
-        result.provider = "generic";
-        result.confidence = 0.6;
-        result.indicators.push("x-cache", "x-cache-hits", "x-varnish");
-      }
+      const asyncScripts = [];
 
-      return result;
+      headScripts.forEach((script, index) => {
+        const src = script.getAttribute("src");
+        const hasAsync = script.hasAttribute("async");
+
+        if (hasAsync) {
+          if (src) {
+            asyncScripts.push({
+              src: this.normalizeSrc(src),
+              type: "external",
+              element: script,
+            });
+          } else {
+            asyncScripts.push({
+              src: "(inline script)",
+              type: "inline",
+              element: script,
+            });
+          }
+        }
+      });
+
+      console.log(`Found ${asyncScripts.length} async scripts:`, asyncScripts);
+      return asyncScripts;
     } catch (error) {
-      console.error("Error detecting CDN provider:", error);
-      return {
-        provider: "unknown",
-        confidence: 0,
-        indicators: [],
-        error: error.message,
-      };
+      console.error("Error cataloging async scripts:", error);
+      return [];
     }
   }
 
-  // Analyze CDN cache status based on provider-specific headers
-  analyzeCDNCacheStatus(cdnHeaders, providerInfo) {
+  // Generate script optimization recommendations
+  generateScriptRecommendations(analysisResult, allScripts) {
     try {
-      const result = {
-        status: "unknown",
-        ttl: null,
-        reason: "No cache status indicators found",
-      };
+      const recommendations = [];
 
-      switch (providerInfo.provider) {
-        case "cloudflare":
-          return this.analyzeCloudflareCache(cdnHeaders);
+      // Recommendation for duplicate scripts
+      if (analysisResult.duplicates.length > 0) {
+        recommendations.push({
+          type: "duplicate_scripts",
+          severity: "high",
+          message: `Found ${analysisResult.duplicates.length} duplicate script(s). Remove duplicates to reduce bundle size and improve load performance.`,
+          duplicateScripts: analysisResult.duplicates,
+          impact: "Reduces network requests and improves page load time",
+        });
+      }
 
-        case "fastly":
-          return this.analyzeFastlyCache(cdnHeaders);
+      // Recommendation for defer script optimization
+      if (analysisResult.deferScripts.length > 0) {
+        recommendations.push({
+          type: "defer_optimization",
+          severity: "medium",
+          message: `Found ${analysisResult.deferScripts.length} defer script(s). Consider further delaying non-critical scripts or moving them to the end of the body.`,
+          deferScripts: analysisResult.deferScripts,
+          impact: "Improves initial page rendering by delaying script execution",
+        });
+      }
 
-        case "aws":
-          return this.analyzeAWSCloudFrontCache(cdnHeaders);
+      // Recommendation for async script validation
+      if (analysisResult.asyncScripts.length > 0) {
+        recommendations.push({
+          type: "async_validation",
+          severity: "low",
+          message: `Found ${analysisResult.asyncScripts.length} async script(s). Ensure these scripts don't depend on DOM ready state or other scripts.`,
+          asyncScripts: analysisResult.asyncScripts,
+          impact: "Prevents potential race conditions and ensures proper script execution",
+        });
+      }
 
-        case "akamai":
-          return this.analyzeAkamaiCache(cdnHeaders);
+      // Check for redundant preload links for scripts
+      const redundantPreloads = this.detectRedundantScriptPreloads(allScripts);
+      if (redundantPreloads.length > 0) {
+        recommendations.push({
+          type: "redundant_preloads",
+          severity: "medium",
+          message: `Found ${redundantPreloads.length} redundant preload(s) for scripts already marked with defer/async. Remove redundant preloads to avoid unnecessary network requests.`,
+          redundantPreloads: redundantPreloads,
+          impact: "Reduces unnecessary network requests and improves resource loading efficiency",
+        });
+      }
 
-        case "generic":
-          return this.analyzeGenericCDNCache(cdnHeaders);
+      // Scripts that dominate long animation frames
+      recommendations.push(...this.generateMainThreadScriptRecommendations(analysisResult.mainThread));
 
-        default:
-          // Try to extract basic cache information from common headers
-          if (cdnHeaders["x-cache"]) {
-            const xCacheValue = cdnHeaders["x-cache"].toLowerCase();
-            if (xCacheValue.includes("hit")) {
-              result.status = "hit";
-              result.reason = "X-Cache header indicates cache hit";
-            } else if (xCacheValue.includes("miss")) {
-              result.status = "miss";
-              result.reason = "X-Cache header indicates cache miss";
-            }
-          }
-          break;
+      // Scripts that are mostly unused during load, from coverage
+      const UNUSED_JS_THRESHOLD = 10 * 1024; // Ignore scripts with little unused code
+      const unusedScripts = (analysisResult.coverage || []).filter(
+        (script) => script.unusedBytes >= UNUSED_JS_THRESHOLD && script.unusedPercent >= 40
+      );
+      if (unusedScripts.length > 0) {
+        const unusedKB = Math.round(
+          unusedScripts.reduce((sum, script) => sum + script.unusedBytes, 0) / 1024
+        );
+        recommendations.push({
+          type: "unused_javascript",
+          severity: unusedKB >= 100 ? "high" : "medium",
+          message: `Coverage found ~${unusedKB}KB of JavaScript that never ran during page load in ${unusedScripts.length} script(s). Split these bundles and load the rest on demand.`,
+          unusedScripts: unusedScripts,
+          impact: "Less JavaScript to download, parse and compile before the page is interactive",
+        });
       }
 
-      return result;
+      // Non-critical async scripts competing with render-critical requests
+      const lowPriorityCandidates = analysisResult.lowPriorityCandidates || [];
+      if (lowPriorityCandidates.length > 0) {
+        recommendations.push({
+          type: "async_fetchpriority_low",
+          severity: "low",
+          message: `Found ${lowPriorityCandidates.length} async third-party script(s) (${[
+            ...new Set(lowPriorityCandidates.map((script) => script.entity)),
+          ].join(", ")}) without fetchpriority="low". Async scripts are fetched at low priority only once parsed; the hint keeps them out of the way of render-critical requests.`,
+          lowPriorityScripts: lowPriorityCandidates,
+          impact: "More bandwidth for the LCP resource and critical CSS",
+        });
+      }
+
+      // General script loading best practices
+      const blockingScripts = this.detectBlockingScripts(allScripts);
+      if (blockingScripts.length > 0) {
+        recommendations.push({
+          type: "blocking_scripts",
+          severity: "high",
+          message: `Found ${blockingScripts.length} render-blocking script(s) in HEAD without defer/async. Add defer or async attributes to improve page rendering performance.`,
+          blockingScripts: blockingScripts,
+          impact:
+            "Significantly improves First Contentful Paint and Largest Contentful Paint metrics",
+        });
+      }
+
+      return recommendations;
     } catch (error) {
-      console.error("Error analyzing CDN cache status:", error);
-      return {
-        status: "error",
-        ttl: null,
-        reason: `Cache status analysis error: ${error.message}`,
-      };
+      console.error("Error generating script recommendations:", error);
+      return [];
     }
   }
 
-  // Analyze Cloudflare cache headers
-  analyzeCloudflareCache(headers) {
-    const result = {
-      status: "unknown",
-      ttl: null,
-      reason: null,
-    };
+  // Name the scripts and third-party origins that keep the main thread busy
+  generateMainThreadScriptRecommendations(mainThread) {
+    const recommendations = [];
 
-    if (headers["cf-cache-status"]) {
-      const cacheStatus = headers["cf-cache-status"].toLowerCase();
+    try {
+      if (!mainThread || mainThread.frameCount === 0) return recommendations;
 
-      switch (cacheStatus) {
-        case "hit":
-          result.status = "hit";
-          result.reason = "Cloudflare cache hit";
-          break;
-        case "miss":
-          result.status = "miss";
-          result.reason = "Cloudflare cache miss";
-          break;
-        case "expired":
-          result.status = "miss";
-          result.reason = "Cloudflare cache expired";
-          break;
-        case "bypass":
-          result.status = "miss";
-          result.reason = "Cloudflare cache bypassed";
-          break;
-        case "dynamic":
-          result.status = "miss";
-          result.reason = "Cloudflare dynamic content (not cached)";
-          break;
-        default:
-          result.status = "unknown";
-          result.reason = `Cloudflare cache status: ${cacheStatus}`;
+      const HEAVY_SCRIPT_THRESHOLD = 100; // ms of total script time in long frames
+      const describe = (items, label) =>
+        items.map((item) => `${item[label]} (${item.totalDuration}ms)`).join(", ");
+
+      const heavyScripts = mainThread.scripts.filter(
+        (script) =>
+          script.totalDuration >= HEAVY_SCRIPT_THRESHOLD &&
+          script.url !== loafObserverInstance.UNATTRIBUTED_SCRIPT
+      );
+
+      if (heavyScripts.length > 0) {
+        const topScripts = heavyScripts.slice(0, 3);
+        recommendations.push({
+          type: "main_thread_scripts",
+          severity: heavyScripts[0].totalDuration >= 250 ? "high" : "medium",
+          message: `${heavyScripts.length} script(s) run for more than ${HEAVY_SCRIPT_THRESHOLD}ms inside long ${
+            mainThread.entryType === "longtask" ? "tasks" : "animation frames"
+          }: ${describe(topScripts, "url")}. Split long work, defer non-critical code, or load it on interaction.`,
+          heavyScripts: heavyScripts,
+          totalBlockingDuration: mainThread.totalBlockingDuration,
+          impact: "Reduces main-thread blocking, improving Total Blocking Time and INP",
+        });
       }
-    }
 
-    // Extract TTL from Cloudflare edge cache headers if available
-    if (headers["cf-edge-cache"]) {
-      const edgeCacheValue = headers["cf-edge-cache"];
-      const maxAgeMatch = edgeCacheValue.match(/max-age=(\d+)/);
-      if (maxAgeMatch) {
-        result.ttl = parseInt(maxAgeMatch[1], 10);
+      const heavyOrigins = mainThread.thirdPartyOrigins.filter(
+        (origin) => origin.totalDuration >= HEAVY_SCRIPT_THRESHOLD
+      );
+
+      if (heavyOrigins.length > 0) {
+        recommendations.push({
+          type: "third_party_main_thread",
+          severity: heavyOrigins[0].totalDuration >= 250 ? "high" : "medium",
+          message: `Third-party scripts from ${heavyOrigins.length} origin(s) block the main thread: ${describe(
+            heavyOrigins.slice(0, 3),
+            "origin"
+          )}. Load them with async/defer after the page is interactive, or replace them with lighter alternatives.`,
+          thirdPartyOrigins: heavyOrigins,
+          impact: "Frees the main thread for first-party rendering and user input",
+        });
       }
+    } catch (error) {
+      console.error("Error generating main-thread script recommendations:", error);
     }
 
-    return result;
+    return recommendations;
   }
 
-  // Analyze Fastly cache headers
-  analyzeFastlyCache(headers) {
-    const result = {
-      status: "unknown",
-      ttl: null,
-      reason: null,
-    };
+  // Detect redundant preload links for scripts with defer/async
+  detectRedundantScriptPreloads(scripts) {
+    try {
+      const redundantPreloads = [];
 
-    if (headers["x-cache"]) {
-      const xCacheValue = headers["x-cache"].toLowerCase();
-      if (xCacheValue.includes("hit")) {
-        result.status = "hit";
-        result.reason = "Fastly cache hit";
-      } else if (xCacheValue.includes("miss")) {
-        result.status = "miss";
-        result.reason = "Fastly cache miss";
+      if (!this.htmlStructure || !this.htmlStructure.head || !this.htmlStructure.head.links) {
+        return redundantPreloads;
       }
-    }
 
-    // Check for Fastly-specific cache headers
-    if (headers["x-fastly-cache"]) {
-      const fastlyCacheValue = headers["x-fastly-cache"].toLowerCase();
-      if (fastlyCacheValue.includes("hit")) {
-        result.status = "hit";
-        result.reason = "Fastly cache hit (x-fastly-cache)";
-      }
+      // Get all preload links for scripts from the links array
+      const scriptPreloads = this.htmlStructure.head.links.filter((link) => {
+        const rel = link.getAttribute("rel");
+        const as = link.getAttribute("as");
+        return rel === "preload" && as === "script";
+      });
+
+      // Get all defer/async scripts
+      const deferAsyncScripts = scripts.filter((script) => {
+        return script.hasAttribute("defer") || script.hasAttribute("async");
+      });
+
+      // Check for redundant preloads
+      scriptPreloads.forEach((preload) => {
+        const preloadHref = this.normalizeSrc(preload.getAttribute("href") || "");
+
+        deferAsyncScripts.forEach((script) => {
+          const scriptSrc = this.normalizeSrc(script.getAttribute("src") || "");
+
+          if (preloadHref === scriptSrc) {
+            redundantPreloads.push({
+              preloadHref: preload.getAttribute("href"),
+              scriptSrc: script.getAttribute("src"),
+              scriptAttributes: {
+                defer: script.hasAttribute("defer"),
+                async: script.hasAttribute("async"),
+              },
+            });
+          }
+        });
+      });
+
+      return redundantPreloads;
+    } catch (error) {
+      console.error("Error detecting redundant script preloads:", error);
+      return [];
     }
-
-    return result;
   }
 
-  // Analyze AWS CloudFront cache headers
-  analyzeAWSCloudFrontCache(headers) {
-    const result = {
-      status: "unknown",
-      ttl: null,
-      reason: null,
-    };
-
-    if (headers["x-cache"]) {
-      const xCacheValue = headers["x-cache"].toLowerCase();
-      if (xCacheValue.includes("hit")) {
-        result.status = "hit";
-        result.reason = "CloudFront cache hit";
-      } else if (xCacheValue.includes("miss")) {
-        result.status = "miss";
-        result.reason = "CloudFront cache miss";
-      }
-    }
+  // Detect render-blocking scripts
+  detectBlockingScripts(scripts) {
+    try {
+      const blockingScripts = [];
 
-    // CloudFront age header indicates cache hit if present
-    if (headers["age"] && parseInt(headers["age"], 10) > 0) {
-      result.status = "hit";
-      result.reason = "CloudFront cache hit (Age header present)";
-    }
+      // Get scripts in HEAD that don't have defer or async
+      const headScripts =
+        this.htmlStructure.head && this.htmlStructure.head.scripts
+          ? this.htmlStructure.head.scripts
+          : [];
 
-    return result;
-  }
+      headScripts.forEach((script) => {
+        const src = script.getAttribute("src");
+        const hasDefer = script.hasAttribute("defer");
+        const hasAsync = script.hasAttribute("async");
 
-  // Analyze Akamai cache headers
-  analyzeAkamaiCache(headers) {
-    const result = {
-      status: "unknown",
-      ttl: null,
-      reason: null,
-    };
+        // External scripts in HEAD without defer/async are render-blocking
+        if (src && src.trim().length > 0 && !hasDefer && !hasAsync) {
+          blockingScripts.push({
+            src: src,
+            position: "head",
+            recommendation:
+              "Add defer attribute for non-critical scripts or async for independent scripts",
+          });
+        }
+      });
 
-    if (headers["x-cache"]) {
-      const xCacheValue = headers["x-cache"].toLowerCase();
-      if (xCacheValue.includes("hit")) {
-        result.status = "hit";
-        result.reason = "Akamai cache hit";
-      } else if (xCacheValue.includes("miss")) {
-        result.status = "miss";
-        result.reason = "Akamai cache miss";
-      }
+      return blockingScripts;
+    } catch (error) {
+      console.error("Error detecting blocking scripts:", error);
+      return [];
     }
-
-    return result;
   }
 
-  // Analyze generic CDN cache headers
-  analyzeGenericCDNCache(headers) {
-    const result = {
-      status: "unknown",
-      ttl: null,
-      reason: null,
-    };
+  // Normalize script src for comparison (handle relative URLs, query params, etc.)
+  normalizeSrc(src) {
+    try {
+      // Remove leading/trailing whitespace
+      let normalized = src.trim();
 
-    // Check common cache headers
-    if (headers["x-cache"]) {
-      const xCacheValue = headers["x-cache"].toLowerCase();
-      if (xCacheValue.includes("hit")) {
-        result.status = "hit";
-        result.reason = "CDN cache hit (x-cache)";
-      } else if (xCacheValue.includes("miss")) {
-        result.status = "miss";
-        result.reason = "CDN cache miss (x-cache)";
+      // Convert relative URLs to absolute for comparison
+      if (normalized.startsWith("//")) {
+        normalized = window.location.protocol + normalized;
+      } else if (normalized.startsWith("/")) {
+        normalized = window.location.origin + normalized;
+      } else if (!normalized.startsWith("http://") && !normalized.startsWith("https://")) {
+        // Handle relative paths
+        const base = window.location.href.substring(0, window.location.href.lastIndexOf("/") + 1);
+        normalized = base + normalized;
       }
-    }
 
-    // Check for cache hits counter
-    if (headers["x-cache-hits"]) {
-      const cacheHits = parseInt(headers["x-cache-hits"], 10);
-      if (!isNaN(cacheHits) && cacheHits > 0) {
-        result.status = "hit";
-        result.reason = `CDN cache hit (${cacheHits} hits)`;
+      // Remove fragment identifiers for comparison
+      const hashIndex = normalized.indexOf("#");
+      if (hashIndex !== -1) {
+        normalized = normalized.substring(0, hashIndex);
       }
-    }
 
-    // Check Varnish cache headers
-    if (headers["x-varnish"]) {
-      const varnishValue = headers["x-varnish"];
-      // Varnish includes multiple IDs for cache hits
-      if (varnishValue.includes(" ")) {
-        result.status = "hit";
-        result.reason = "Varnish cache hit";
-      } else {
-        result.status = "miss";
-        result.reason = "Varnish cache miss";
-      }
+      return normalized;
+    } catch (error) {
+      console.error("Error normalizing script src:", error);
+      return src;
     }
-
-    return result;
   }
 
-  // Identify LCP candidate elements in HTML
-  identifyLCPCandidates(htmlContent = null) {
+  // Analyze link tags for validation and optimization opportunities
+  analyzeLinks(htmlStructure = null) {
     try {
-      const html = htmlContent || this.htmlContent;
+      console.log("Analyzing link tags for optimization opportunities...");
 
-      if (!html) {
-        throw new Error("No HTML content available for LCP analysis");
-      }
+      // Use provided structure or fallback to live DOM analysis
+      let structure = htmlStructure || this.htmlStructure;
 
-      console.log("Identifying LCP candidate elements...");
+      // If no structure available, analyze live DOM directly
+      if (!structure || !structure.head) {
+        console.log("No HTML structure available, analyzing live DOM directly...");
+        structure = this.analyzeLiveDOM();
+      }
 
-      // Parse HTML structure if not already done
-      const structure = this.parseHTMLStructure(html);
+      if (!structure) {
+        console.warn("Unable to analyze links - no DOM structure available");
+        return this.getEmptyLinkAnalysis();
+      }
 
-      const lcpCandidates = {
-        images: [],
-        videos: [],
-        backgroundImages: [],
-        textBlocks: [],
-        metadata: {
-          totalCandidates: 0,
-          analysisTimestamp: Date.now(),
-          url: window.location.href,
+      const result = {
+        bodyLinks: [],
+        duplicatePreloads: [],
+        invalidPreloads: [],
+        redundantPreloads: [],
+        totalPreloads: 0,
+        lcpPreloadMissing: {
+          missing: false,
+          resourceUrl: null,
+        },
+        analysis: {
+          headLinks: 0,
+          bodyLinks: 0,
+          preloadLinks: 0,
+          prefetchLinks: 0,
+          preconnectLinks: 0,
+          dnsPrefetchLinks: 0,
+        },
+        validation: {
+          invalidRelValues: [],
+          missingCrossorigin: [],
+          inefficientPreloads: [],
+          securityIssues: [],
+          performanceIssues: [],
+          accessibilityIssues: [],
+          totalIssues: 0,
+          recommendations: [],
         },
       };
 
-      // Find image elements (high priority LCP candidates)
-      structure.all.images.forEach((img) => {
-        if (img.src) {
-          const candidate = {
-            element: img,
-            type: "img",
-            src: img.src,
-            selector: this.generateElementSelector(img),
-            attributes: {
-              alt: img.alt || null,
-              loading: img.loading || null,
-              fetchpriority: img.getAttribute("fetchpriority") || null,
-              sizes: img.sizes || null,
-              srcset: img.srcset || null,
-            },
-            dimensions: this.getElementDimensions(img),
-            isAboveFold: this.isElementAboveFold(img),
-            serverSideRendered: true, // Present in initial HTML
-          };
-
-          lcpCandidates.images.push(candidate);
-        }
-      });
-
-      // Find video elements (potential LCP candidates)
-      structure.all.videos.forEach((video) => {
-        const candidate = {
-          element: video,
-          type: "video",
-          src: video.src || video.querySelector("source")?.src || null,
-          selector: this.generateElementSelector(video),
-          attributes: {
-            poster: video.poster || null,
-            autoplay: video.autoplay || false,
-            muted: video.muted || false,
-            controls: video.controls || false,
-          },
-          dimensions: this.getElementDimensions(video),
-          isAboveFold: this.isElementAboveFold(video),
-          serverSideRendered: true, // Present in initial HTML
-        };
-
-        lcpCandidates.videos.push(candidate);
-      });
+      // Get all link elements from HTML structure with safe access
+      const headLinks = structure.head && structure.head.links ? structure.head.links : [];
+      const bodyLinks = structure.body && structure.body.links ? structure.body.links : [];
+      const allLinks = [...headLinks, ...bodyLinks];
 
-      // Find elements with background images
-      structure.body.backgroundImages.forEach((bgImg) => {
-        const candidate = {
-          element: bgImg.element,
-          type: "background-image",
-          src: bgImg.backgroundImageUrl,
-          selector: bgImg.selector,
-          attributes: {
-            tagName: bgImg.element.tagName,
-            id: bgImg.element.id || null,
-            className: bgImg.element.className || null,
-          },
-          dimensions: this.getElementDimensions(bgImg.element),
-          isAboveFold: this.isElementAboveFold(bgImg.element),
-          serverSideRendered: true, // Present in initial HTML
-        };
+      // Update analysis counts
+      result.analysis.headLinks = headLinks.length;
+      result.analysis.bodyLinks = bodyLinks.length;
 
-        lcpCandidates.backgroundImages.push(candidate);
-      });
+      // 1. Detect misplaced links (preload/prefetch in BODY)
+      result.bodyLinks = this.detectMisplacedLinks(bodyLinks);
 
-      // Find large text blocks (potential LCP candidates)
-      const textBlocks = this.findLargeTextBlocks(structure);
-      lcpCandidates.textBlocks = textBlocks;
+      // 2. Detect duplicate preload links
+      const preloadLinks = allLinks.filter(
+        (link) => link.getAttribute && link.getAttribute("rel") === "preload"
+      );
+      result.analysis.preloadLinks = preloadLinks.length;
+      result.totalPreloads = preloadLinks.length;
+      result.duplicatePreloads = this.detectDuplicatePreloads(preloadLinks);
 
-      // Calculate total candidates
-      lcpCandidates.metadata.totalCandidates =
-        lcpCandidates.images.length +
-        lcpCandidates.videos.length +
-        lcpCandidates.backgroundImages.length +
-        lcpCandidates.textBlocks.length;
+      // 3. Detect invalid preload rel values
+      result.invalidPreloads = this.detectInvalidPreloads(allLinks);
 
-      // Detect server-side rendering status
-      const ssrStatus = this.detectServerSideRendering(lcpCandidates);
-      lcpCandidates.serverSideRenderingStatus = ssrStatus;
+      // 4. Detect redundant preloads for defer/async scripts
+      result.redundantPreloads = this.detectRedundantPreloads(preloadLinks);
 
-      console.log(`LCP candidates identified: ${lcpCandidates.metadata.totalCandidates} total`);
-      console.log(`- Images: ${lcpCandidates.images.length}`);
-      console.log(`- Videos: ${lcpCandidates.videos.length}`);
-      console.log(`- Background Images: ${lcpCandidates.backgroundImages.length}`);
-      console.log(`- Text Blocks: ${lcpCandidates.textBlocks.length}`);
+      // 5. Check if LCP element has corresponding preload
+      result.lcpPreloadMissing = this.checkLCPPreload(preloadLinks);
 
-      return lcpCandidates;
-    } catch (error) {
-      console.error("Error identifying LCP candidates:", error);
-      throw new Error(`LCP candidate identification failed: ${error.message}`);
-    }
-  }
+      // 6. Comprehensive link tag validation (NEW)
+      result.validation = this.validateLinkTagBestPractices(allLinks);
 
-  // Detect server-side rendering status for LCP elements
-  detectServerSideRendering(lcpCandidates) {
-    try {
-      console.log("Detecting server-side rendering status...");
+      // Count other link types for analysis
+      result.analysis.prefetchLinks = allLinks.filter(
+        (link) => link.getAttribute && link.getAttribute("rel") === "prefetch"
+      ).length;
 
-      const ssrStatus = {
-        hasServerSideRenderedContent: false,
-        clientSideOnlyElements: [],
-        serverSideElements: [],
+      result.analysis.preconnectLinks = allLinks.filter(
+        (link) => link.getAttribute && link.getAttribute("rel") === "preconnect"
+      ).length;
+
+      result.analysis.dnsPrefetchLinks = allLinks.filter(
+        (link) => link.getAttribute && link.getAttribute("rel") === "dns-prefetch"
+      ).length;
+
+      console.log("Link analysis complete:", result);
+      return result;
+    } catch (error) {
+      console.error("Error analyzing links:", error);
+      return {
+        bodyLinks: [],
+        duplicatePreloads: [],
+        invalidPreloads: [],
+        redundantPreloads: [],
+        totalPreloads: 0,
+        lcpPreloadMissing: {
+          missing: false,
+          resourceUrl: null,
+        },
         analysis: {
-          totalElementsAnalyzed: 0,
-          serverSideCount: 0,
-          clientSideCount: 0,
-          confidence: "high", // high, medium, low
+          headLinks: 0,
+          bodyLinks: 0,
+          preloadLinks: 0,
+          prefetchLinks: 0,
+          preconnectLinks: 0,
+          dnsPrefetchLinks: 0,
+        },
+        validation: {
+          invalidRelValues: [],
+          missingCrossorigin: [],
+          inefficientPreloads: [],
+          securityIssues: [],
+          performanceIssues: [],
+          accessibilityIssues: [],
+          totalIssues: 0,
+          recommendations: [],
         },
+        error: error.message,
       };
+    }
+  }
 
-      // All elements found in initial HTML are server-side rendered
-      const allCandidates = [
-        ...lcpCandidates.images,
-        ...lcpCandidates.videos,
-        ...lcpCandidates.backgroundImages,
-        ...lcpCandidates.textBlocks,
-      ];
+  // Detect misplaced preload/prefetch links in BODY
+  detectMisplacedLinks(bodyLinks) {
+    const misplacedLinks = [];
 
-      allCandidates.forEach((candidate) => {
-        ssrStatus.analysis.totalElementsAnalyzed++;
+    try {
+      bodyLinks.forEach((link) => {
+        if (!link.getAttribute) return;
 
-        if (candidate.serverSideRendered) {
-          ssrStatus.analysis.serverSideCount++;
-          ssrStatus.serverSideElements.push({
-            type: candidate.type,
-            selector: candidate.selector,
-            src: candidate.src || null,
-          });
-        } else {
-          ssrStatus.analysis.clientSideCount++;
-          ssrStatus.clientSideOnlyElements.push({
-            type: candidate.type,
-            selector: candidate.selector,
-            src: candidate.src || null,
+        const rel = link.getAttribute("rel");
+        const href = link.getAttribute("href");
+
+        // Check for preload, prefetch, preconnect, dns-prefetch in body
+        if (["preload", "prefetch", "preconnect", "dns-prefetch"].includes(rel)) {
+          misplacedLinks.push({
+            href: href || "unknown",
+            rel: rel,
+            reason: `${rel} link should be in HEAD for optimal performance`,
           });
         }
       });
 
-      // Determine if there's server-side rendered content
-      ssrStatus.hasServerSideRenderedContent = ssrStatus.analysis.serverSideCount > 0;
+      console.log(`Found ${misplacedLinks.length} misplaced links in BODY`);
+      return misplacedLinks.map((link) => link.href);
+    } catch (error) {
+      console.error("Error detecting misplaced links:", error);
+      return [];
+    }
+  }
 
-      // Check for client-side only elements by comparing with current DOM
-      const currentDOMElements = this.getCurrentDOMLCPCandidates();
-      const clientSideOnly = this.findClientSideOnlyElements(allCandidates, currentDOMElements);
+  // Detect duplicate preload links
+  detectDuplicatePreloads(preloadLinks) {
+    const duplicates = [];
+    const seenHrefs = new Map();
 
-      ssrStatus.clientSideOnlyElements.push(...clientSideOnly);
-      ssrStatus.analysis.clientSideCount += clientSideOnly.length;
+    try {
+      preloadLinks.forEach((link) => {
+        if (!link.getAttribute) return;
 
-      // Adjust confidence based on analysis
-      if (ssrStatus.analysis.totalElementsAnalyzed === 0) {
-        ssrStatus.analysis.confidence = "low";
-      } else if (ssrStatus.analysis.clientSideCount > ssrStatus.analysis.serverSideCount) {
-        ssrStatus.analysis.confidence = "medium";
-      }
+        const href = link.getAttribute("href");
+        if (!href) return;
 
-      console.log(
-        `SSR Analysis: ${ssrStatus.analysis.serverSideCount} server-side, ${ssrStatus.analysis.clientSideCount} client-side`
-      );
+        // Normalize href for comparison
+        const normalizedHref = this.normalizeUrl(href);
 
-      return ssrStatus;
+        if (seenHrefs.has(normalizedHref)) {
+          // This is a duplicate
+          duplicates.push(href);
+          seenHrefs.get(normalizedHref).count++;
+        } else {
+          seenHrefs.set(normalizedHref, {
+            originalHref: href,
+            count: 1,
+          });
+        }
+      });
+
+      console.log(`Found ${duplicates.length} duplicate preload links`);
+      return duplicates;
     } catch (error) {
-      console.error("Error detecting server-side rendering:", error);
-      return {
-        hasServerSideRenderedContent: false,
-        clientSideOnlyElements: [],
-        serverSideElements: [],
-        analysis: {
-          totalElementsAnalyzed: 0,
-          serverSideCount: 0,
-          clientSideCount: 0,
-          confidence: "low",
-          error: error.message,
-        },
-      };
+      console.error("Error detecting duplicate preloads:", error);
+      return [];
     }
   }
 
-  // Get current DOM LCP candidates for comparison
-  getCurrentDOMLCPCandidates() {
+  // Detect invalid preload rel values
+  detectInvalidPreloads(allLinks) {
+    const invalidPreloads = [];
+
     try {
-      const currentCandidates = [];
+      allLinks.forEach((link) => {
+        if (!link.getAttribute) return;
 
-      // Get current images
-      document.querySelectorAll("img[src]").forEach((img) => {
-        currentCandidates.push({
-          type: "img",
-          element: img,
-          src: img.src,
-          selector: this.generateElementSelector(img),
-        });
-      });
+        const rel = link.getAttribute("rel");
+        const href = link.getAttribute("href");
+        const as = link.getAttribute("as");
 
-      // Get current videos
-      document.querySelectorAll("video").forEach((video) => {
-        currentCandidates.push({
-          type: "video",
-          element: video,
-          src: video.src || video.querySelector("source")?.src || null,
-          selector: this.generateElementSelector(video),
-        });
-      });
+        // Check if it's a preload link
+        if (rel === "preload") {
+          // Validate 'as' attribute for preload links
+          const validAsValues = [
+            "audio",
+            "document",
+            "embed",
+            "fetch",
+            "font",
+            "image",
+            "object",
+            "script",
+            "style",
+            "track",
+            "video",
+            "worker",
+          ];
+
+          if (!as) {
+            invalidPreloads.push({
+              href: href || "unknown",
+              reason: 'Preload link missing required "as" attribute',
+            });
+          } else if (!validAsValues.includes(as)) {
+            invalidPreloads.push({
+              href: href || "unknown",
+              reason: `Invalid "as" value: "${as}". Valid values: ${validAsValues.join(", ")}`,
+            });
+          }
 
-      // Get current background images
-      const bgImages = this.findBackgroundImageElements(document.body);
-      bgImages.forEach((bgImg) => {
-        currentCandidates.push({
-          type: "background-image",
-          element: bgImg.element,
-          src: bgImg.backgroundImageUrl,
-          selector: bgImg.selector,
-        });
+          // Check for font preloads without crossorigin
+          if (as === "font" && !link.getAttribute("crossorigin")) {
+            invalidPreloads.push({
+              href: href || "unknown",
+              reason: 'Font preload should include crossorigin="anonymous" attribute',
+            });
+          }
+        }
       });
 
-      return currentCandidates;
+      console.log(`Found ${invalidPreloads.length} invalid preload links`);
+      return invalidPreloads.map((invalid) => invalid.href);
     } catch (error) {
-      console.error("Error getting current DOM LCP candidates:", error);
+      console.error("Error detecting invalid preloads:", error);
       return [];
     }
   }
 
-  // Find elements that exist in current DOM but not in initial HTML
-  findClientSideOnlyElements(initialElements, currentElements) {
+  // Detect redundant preloads for scripts already marked with defer/async
+  detectRedundantPreloads(preloadLinks) {
+    const redundantPreloads = [];
+
     try {
-      const clientSideOnly = [];
+      if (!this.htmlStructure || !this.htmlStructure.all) {
+        return redundantPreloads;
+      }
 
-      currentElements.forEach((currentEl) => {
-        // Check if this element exists in initial HTML
-        const existsInInitial = initialElements.some(
-          (initialEl) =>
-            initialEl.selector === currentEl.selector && initialEl.src === currentEl.src
-        );
+      // Get all script elements
+      const allScripts = this.htmlStructure.all.scripts || [];
 
-        if (!existsInInitial) {
-          clientSideOnly.push({
-            type: currentEl.type,
-            selector: currentEl.selector,
-            src: currentEl.src,
-            serverSideRendered: false,
+      // Create a map of script sources with their loading attributes
+      const scriptMap = new Map();
+      allScripts.forEach((script) => {
+        if (!script.getAttribute) return;
+
+        const src = script.getAttribute("src");
+        if (src) {
+          const normalizedSrc = this.normalizeUrl(src);
+          const hasDefer = script.hasAttribute("defer");
+          const hasAsync = script.hasAttribute("async");
+
+          scriptMap.set(normalizedSrc, {
+            src: src,
+            defer: hasDefer,
+            async: hasAsync,
+            optimized: hasDefer || hasAsync,
           });
         }
       });
 
-      return clientSideOnly;
-    } catch (error) {
-      console.error("Error finding client-side only elements:", error);
-      return [];
-    }
-  }
-
-  // Find large text blocks that could be LCP candidates
-  findLargeTextBlocks(structure) {
-    try {
-      const textBlocks = [];
-      const minTextLength = 100; // Minimum characters for consideration
-
-      // Common text container selectors
-      const textSelectors = ["h1", "h2", "h3", "p", "div", "article", "section", "main"];
-
-      textSelectors.forEach((selector) => {
-        const elements = structure.body.element.querySelectorAll(selector);
+      // Check preload links against script map
+      preloadLinks.forEach((link) => {
+        if (!link.getAttribute) return;
 
-        elements.forEach((element) => {
-          const textContent = element.textContent?.trim() || "";
+        const href = link.getAttribute("href");
+        const as = link.getAttribute("as");
 
-          if (textContent.length >= minTextLength) {
-            const candidate = {
-              element: element,
-              type: "text-block",
-              textLength: textContent.length,
-              selector: this.generateElementSelector(element),
-              attributes: {
-                tagName: element.tagName,
-                id: element.id || null,
-                className: element.className || null,
-              },
-              dimensions: this.getElementDimensions(element),
-              isAboveFold: this.isElementAboveFold(element),
-              serverSideRendered: true, // Present in initial HTML
-            };
+        if (href && as === "script") {
+          const normalizedHref = this.normalizeUrl(href);
+          const scriptInfo = scriptMap.get(normalizedHref);
 
-            textBlocks.push(candidate);
+          if (scriptInfo && scriptInfo.optimized) {
+            redundantPreloads.push({
+              href: href,
+              reason: `Script already optimized with ${
+                scriptInfo.defer ? "defer" : "async"
+              } attribute`,
+            });
           }
-        });
+        }
       });
 
-      return textBlocks;
+      console.log(`Found ${redundantPreloads.length} redundant preload links`);
+      return redundantPreloads.map((redundant) => redundant.href);
     } catch (error) {
-      console.error("Error finding large text blocks:", error);
+      console.error("Error detecting redundant preloads:", error);
       return [];
     }
   }
 
-  // Get element dimensions safely
-  getElementDimensions(element) {
+  // Check if LCP element has corresponding preload in HEAD
+  checkLCPPreload(preloadLinks) {
     try {
-      if (!element || !element.getBoundingClientRect) {
-        return { width: 0, height: 0, area: 0 };
-      }
+      // This method will be enhanced when LCP analysis is implemented
+      // For now, return a placeholder structure
 
-      const rect = element.getBoundingClientRect();
-      return {
-        width: Math.round(rect.width),
-        height: Math.round(rect.height),
-        area: Math.round(rect.width * rect.height),
+      const result = {
+        missing: false,
+        resourceUrl: null,
+        analysis: {
+          lcpElementFound: false,
+          lcpElementType: null,
+          preloadExists: false,
+          recommendation: null,
+        },
       };
-    } catch (error) {
-      return { width: 0, height: 0, area: 0 };
-    }
-  }
 
-  // Check if element is above the fold
-  isElementAboveFold(element) {
-    try {
-      if (!element || !element.getBoundingClientRect) {
-        return false;
-      }
+      // TODO: This will be implemented when LCP analysis (task 4) is integrated
+      // For now, we'll check if there are any image preloads as a basic check
+      const imagePreloads = preloadLinks.filter((link) => {
+        if (!link.getAttribute) return false;
+        return link.getAttribute("as") === "image";
+      });
 
-      const rect = element.getBoundingClientRect();
-      const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+      result.analysis.preloadExists = imagePreloads.length > 0;
 
-      // Element is above fold if its top is within the viewport
-      return rect.top < viewportHeight && rect.bottom > 0;
+      if (imagePreloads.length === 0) {
+        result.missing = true;
+        result.analysis.recommendation = "Consider adding preload for LCP image if identified";
+      }
+
+      console.log("LCP preload check complete:", result);
+      return result;
     } catch (error) {
-      return false;
+      console.error("Error checking LCP preload:", error);
+      return {
+        missing: false,
+        resourceUrl: null,
+        analysis: {
+          lcpElementFound: false,
+          lcpElementType: null,
+          preloadExists: false,
+          recommendation: null,
+        },
+        error: error.message,
+      };
     }
   }
 
-  // Validate LCP preload links
-  validateLCPPreloads(lcpCandidates, htmlStructure = null) {
+  // Comprehensive link tag validation with best practices checking
+  validateLinkTagBestPractices(allLinks) {
     try {
-      console.log("Validating LCP preload links...");
-
-      const structure = htmlStructure || this.parseHTMLStructure();
+      console.log("Performing comprehensive link tag validation...");
 
-      const preloadValidation = {
-        preloadLinks: [],
-        lcpElementsWithPreload: [],
-        lcpElementsWithoutPreload: [],
-        redundantPreloads: [],
-        invalidPreloads: [],
+      const validationResults = {
+        invalidRelValues: [],
+        missingCrossorigin: [],
+        inefficientPreloads: [],
+        securityIssues: [],
+        performanceIssues: [],
+        accessibilityIssues: [],
+        totalIssues: 0,
         recommendations: [],
-        analysis: {
-          totalLCPCandidates: 0,
-          preloadedCandidates: 0,
-          missingPreloads: 0,
-          validPreloads: 0,
-          invalidPreloads: 0,
-        },
       };
 
-      // Extract all preload links from HEAD
-      const preloadLinks = this.extractPreloadLinks(structure);
-      preloadValidation.preloadLinks = preloadLinks;
+      allLinks.forEach((link) => {
+        if (!link.getAttribute) return;
 
-      // Get high-priority LCP candidates (images and videos above fold)
-      const highPriorityLCPCandidates = this.getHighPriorityLCPCandidates(lcpCandidates);
-      preloadValidation.analysis.totalLCPCandidates = highPriorityLCPCandidates.length;
+        const rel = link.getAttribute("rel");
+        const href = link.getAttribute("href");
+        const as = link.getAttribute("as");
+        const crossorigin = link.getAttribute("crossorigin");
+        const type = link.getAttribute("type");
+        const media = link.getAttribute("media");
 
-      // Cross-reference LCP candidates with preload links
-      const crossReference = this.crossReferenceLCPWithPreloads(
-        highPriorityLCPCandidates,
-        preloadLinks
-      );
+        // 1. Validate rel attribute values
+        const relValidation = this.validateRelAttribute(rel, as, href);
+        if (!relValidation.isValid) {
+          validationResults.invalidRelValues.push({
+            href: href || "unknown",
+            rel: rel,
+            issue: relValidation.issue,
+            recommendation: relValidation.recommendation,
+          });
+        }
+
+        // 2. Check for missing crossorigin on font preloads
+        if (rel === "preload" && as === "font" && !crossorigin) {
+          validationResults.missingCrossorigin.push({
+            href: href || "unknown",
+            issue: "Font preload missing crossorigin attribute",
+            recommendation: 'Add crossorigin="anonymous" for proper CORS handling',
+          });
+        }
 
-      preloadValidation.lcpElementsWithPreload = crossReference.withPreload;
-      preloadValidation.lcpElementsWithoutPreload = crossReference.withoutPreload;
-      preloadValidation.analysis.preloadedCandidates = crossReference.withPreload.length;
-      preloadValidation.analysis.missingPreloads = crossReference.withoutPreload.length;
+        // 3. Check for inefficient preload usage
+        const preloadEfficiency = this.validatePreloadEfficiency(rel, as, type, href);
+        if (!preloadEfficiency.isEfficient) {
+          validationResults.inefficientPreloads.push({
+            href: href || "unknown",
+            issue: preloadEfficiency.issue,
+            recommendation: preloadEfficiency.recommendation,
+          });
+        }
 
-      // Detect redundant and invalid preloads
-      const redundantPreloads = this.detectRedundantPreloads(
-        preloadLinks,
-        highPriorityLCPCandidates
-      );
-      preloadValidation.redundantPreloads = redundantPreloads;
+        // 4. Security validation
+        const securityValidation = this.validateLinkSecurity(rel, href, crossorigin);
+        if (securityValidation.hasIssues) {
+          validationResults.securityIssues.push({
+            href: href || "unknown",
+            issue: securityValidation.issue,
+            severity: securityValidation.severity,
+            recommendation: securityValidation.recommendation,
+          });
+        }
 
-      const invalidPreloads = this.detectInvalidPreloads(preloadLinks);
-      preloadValidation.invalidPreloads = invalidPreloads;
-      preloadValidation.analysis.invalidPreloads = invalidPreloads.length;
-      preloadValidation.analysis.validPreloads = preloadLinks.length - invalidPreloads.length;
+        // 5. Performance validation
+        const performanceValidation = this.validateLinkPerformance(rel, as, media, href);
+        if (performanceValidation.hasIssues) {
+          validationResults.performanceIssues.push({
+            href: href || "unknown",
+            issue: performanceValidation.issue,
+            impact: performanceValidation.impact,
+            recommendation: performanceValidation.recommendation,
+          });
+        }
 
-      // Generate recommendations
-      const recommendations = this.generateLCPPreloadRecommendations(preloadValidation);
-      preloadValidation.recommendations = recommendations;
+        // 6. Accessibility validation
+        const accessibilityValidation = this.validateLinkAccessibility(rel, type, href);
+        if (accessibilityValidation.hasIssues) {
+          validationResults.accessibilityIssues.push({
+            href: href || "unknown",
+            issue: accessibilityValidation.issue,
+            recommendation: accessibilityValidation.recommendation,
+          });
+        }
+      });
 
-      console.log(`LCP Preload Validation Complete:`);
-      console.log(`- Total LCP Candidates: ${preloadValidation.analysis.totalLCPCandidates}`);
-      console.log(`- With Preload: ${preloadValidation.analysis.preloadedCandidates}`);
-      console.log(`- Missing Preload: ${preloadValidation.analysis.missingPreloads}`);
-      console.log(`- Invalid Preloads: ${preloadValidation.analysis.invalidPreloads}`);
+      // Calculate total issues and generate overall recommendations
+      validationResults.totalIssues =
+        validationResults.invalidRelValues.length +
+        validationResults.missingCrossorigin.length +
+        validationResults.inefficientPreloads.length +
+        validationResults.securityIssues.length +
+        validationResults.performanceIssues.length +
+        validationResults.accessibilityIssues.length;
 
-      return preloadValidation;
+      validationResults.recommendations =
+        this.generateLinkOptimizationRecommendations(validationResults);
+
+      console.log(`Link validation complete: ${validationResults.totalIssues} issues found`);
+      return validationResults;
     } catch (error) {
-      console.error("Error validating LCP preloads:", error);
-      throw new Error(`LCP preload validation failed: ${error.message}`);
+      console.error("Error in comprehensive link validation:", error);
+      return {
+        invalidRelValues: [],
+        missingCrossorigin: [],
+        inefficientPreloads: [],
+        securityIssues: [],
+        performanceIssues: [],
+        accessibilityIssues: [],
+        totalIssues: 0,
+        recommendations: [],
+        error: error.message,
+      };
     }
   }
 
-  // Extract preload links from HTML structure
-  extractPreloadLinks(structure) {
-    try {
-      const preloadLinks = [];
+  // Validate rel attribute values
+  validateRelAttribute(rel, as, href) {
+    const validRelValues = [
+      "alternate",
+      "author",
+      "bookmark",
+      "canonical",
+      "dns-prefetch",
+      "external",
+      "help",
+      "icon",
+      "license",
+      "manifest",
+      "modulepreload",
+      "next",
+      "nofollow",
+      "noopener",
+      "noreferrer",
+      "opener",
+      "pingback",
+      "preconnect",
+      "prefetch",
+      "preload",
+      "prev",
+      "search",
+      "shortlink",
+      "stylesheet",
+      "tag",
+    ];
 
-      const preloads = structure.head && structure.head.preloads ? structure.head.preloads : [];
-      preloads.forEach((link) => {
-        const preloadInfo = {
-          element: link,
-          href: link.href,
-          as: link.getAttribute("as"),
-          type: link.getAttribute("type"),
-          media: link.getAttribute("media"),
-          crossorigin: link.getAttribute("crossorigin"),
-          fetchpriority: link.getAttribute("fetchpriority"),
-          selector: this.generateElementSelector(link),
-          isValid: true,
-          validationErrors: [],
-        };
+    if (!rel) {
+      return {
+        isValid: false,
+        issue: "Missing rel attribute",
+        recommendation: "Add appropriate rel attribute to define link relationship",
+      };
+    }
 
-        // Basic validation
-        if (!preloadInfo.href) {
-          preloadInfo.isValid = false;
-          preloadInfo.validationErrors.push("Missing href attribute");
-        }
+    // Split multiple rel values
+    const relValues = rel.toLowerCase().split(/\s+/);
 
-        if (!preloadInfo.as) {
-          preloadInfo.isValid = false;
-          preloadInfo.validationErrors.push("Missing as attribute");
-        }
+    for (const relValue of relValues) {
+      if (!validRelValues.includes(relValue)) {
+        return {
+          isValid: false,
+          issue: `Invalid rel value: "${relValue}"`,
+          recommendation: `Use valid rel values: ${validRelValues.join(", ")}`,
+        };
+      }
+    }
 
-        preloadLinks.push(preloadInfo);
-      });
+    // Special validation for preload
+    if (relValues.includes("preload")) {
+      if (!as) {
+        return {
+          isValid: false,
+          issue: 'Preload link missing required "as" attribute',
+          recommendation: 'Add "as" attribute to specify resource type for preload',
+        };
+      }
 
-      return preloadLinks;
-    } catch (error) {
-      console.error("Error extracting preload links:", error);
-      return [];
+      const validAsValues = [
+        "audio",
+        "document",
+        "embed",
+        "fetch",
+        "font",
+        "image",
+        "object",
+        "script",
+        "style",
+        "track",
+        "video",
+        "worker",
+      ];
+
+      if (!validAsValues.includes(as)) {
+        return {
+          isValid: false,
+          issue: `Invalid "as" value for preload: "${as}"`,
+          recommendation: `Use valid "as" values: ${validAsValues.join(", ")}`,
+        };
+      }
     }
+
+    return { isValid: true };
   }
 
-  // Get high-priority LCP candidates (above fold images and videos)
-  getHighPriorityLCPCandidates(lcpCandidates) {
-    try {
-      const highPriority = [];
+  // Validate preload efficiency
+  validatePreloadEfficiency(rel, as, type, href) {
+    if (rel !== "preload") {
+      return { isEfficient: true };
+    }
 
-      // Images above fold are high priority
-      lcpCandidates.images.forEach((img) => {
-        if (img.isAboveFold && img.dimensions.area > 1000) {
-          // Minimum size threshold
-          highPriority.push({
-            ...img,
-            priority: "high",
-            reason: "Above-fold image with significant size",
-          });
-        }
-      });
+    // Check for unnecessary preloads
+    if (as === "script") {
+      // Check if this script is already optimized with defer/async
+      // This check is already done in detectRedundantPreloads, but we include it here for completeness
+      return {
+        isEfficient: true, // Will be caught by redundant preload detection
+      };
+    }
 
-      // Videos above fold are high priority
-      lcpCandidates.videos.forEach((video) => {
-        if (video.isAboveFold) {
-          highPriority.push({
-            ...video,
-            priority: "high",
-            reason: "Above-fold video element",
-          });
-        }
-      });
+    // Check for overly aggressive preloading
+    if (as === "image" && href) {
+      try {
+        const url = new URL(href, window.location.href);
+        const fileExtension = url.pathname.split(".").pop().toLowerCase();
 
-      // Large background images above fold
-      lcpCandidates.backgroundImages.forEach((bgImg) => {
-        if (bgImg.isAboveFold && bgImg.dimensions.area > 5000) {
-          // Higher threshold for bg images
-          highPriority.push({
-            ...bgImg,
-            priority: "high",
-            reason: "Above-fold background image with large area",
-          });
+        // Warn about preloading large image formats without optimization
+        if (["bmp", "tiff", "tif"].includes(fileExtension)) {
+          return {
+            isEfficient: false,
+            issue: "Preloading unoptimized image format",
+            recommendation: "Consider using WebP, AVIF, or optimized JPEG/PNG formats",
+          };
         }
-      });
+      } catch (error) {
+        // URL parsing failed, skip this check
+      }
+    }
 
-      return highPriority;
-    } catch (error) {
-      console.error("Error getting high-priority LCP candidates:", error);
-      return [];
+    // Check for preloading resources that might not be critical
+    if (as === "font" && !href.includes("woff")) {
+      return {
+        isEfficient: false,
+        issue: "Preloading non-WOFF font format",
+        recommendation: "Consider using WOFF2 format for better compression and performance",
+      };
     }
+
+    return { isEfficient: true };
   }
 
-  // Cross-reference LCP candidates with preload links
-  crossReferenceLCPWithPreloads(lcpCandidates, preloadLinks) {
-    try {
-      const withPreload = [];
-      const withoutPreload = [];
+  // Validate link security
+  validateLinkSecurity(rel, href, crossorigin) {
+    const result = {
+      hasIssues: false,
+      issue: null,
+      severity: "low",
+      recommendation: null,
+    };
 
-      lcpCandidates.forEach((candidate) => {
-        // Find matching preload link
-        const matchingPreload = this.findMatchingPreload(candidate, preloadLinks);
+    if (!href) return result;
 
-        if (matchingPreload) {
-          withPreload.push({
-            lcpCandidate: candidate,
-            preloadLink: matchingPreload,
-            matchType: matchingPreload.matchType,
-          });
-        } else {
-          withoutPreload.push({
-            lcpCandidate: candidate,
-            recommendedPreload: this.generateRecommendedPreload(candidate),
-          });
-        }
-      });
+    try {
+      const url = new URL(href, window.location.href);
 
-      return { withPreload, withoutPreload };
-    } catch (error) {
-      console.error("Error cross-referencing LCP with preloads:", error);
-      return { withPreload: [], withoutPreload: [] };
-    }
-  }
+      // Check for external resources without proper security attributes
+      if (url.origin !== window.location.origin) {
+        // External preconnect without proper attributes
+        if (rel === "preconnect" && !crossorigin) {
+          result.hasIssues = true;
+          result.issue = "External preconnect without crossorigin attribute";
+          result.severity = "medium";
+          result.recommendation = "Add crossorigin attribute for external preconnect links";
+        }
 
-  // Find matching preload link for LCP candidate
-  findMatchingPreload(lcpCandidate, preloadLinks) {
-    try {
-      for (const preload of preloadLinks) {
-        // Direct URL match
-        if (this.urlsMatch(lcpCandidate.src, preload.href)) {
-          return {
-            ...preload,
-            matchType: "exact-url",
-          };
+        // External font preload without crossorigin
+        if (rel === "preload" && href.includes("font") && !crossorigin) {
+          result.hasIssues = true;
+          result.issue = "External font preload without crossorigin attribute";
+          result.severity = "high";
+          result.recommendation = 'Add crossorigin="anonymous" for external font preloads';
         }
 
-        // Type-based match for appropriate 'as' attribute
-        if (this.isAppropriatePreloadType(lcpCandidate, preload)) {
-          // Check for partial URL match (same filename)
-          if (this.partialUrlMatch(lcpCandidate.src, preload.href)) {
-            return {
-              ...preload,
-              matchType: "partial-url",
-            };
-          }
+        // HTTP resources on HTTPS pages
+        if (window.location.protocol === "https:" && url.protocol === "http:") {
+          result.hasIssues = true;
+          result.issue = "Mixed content: HTTP resource on HTTPS page";
+          result.severity = "high";
+          result.recommendation = "Use HTTPS URLs to avoid mixed content issues";
         }
       }
 
-      return null;
+      return result;
     } catch (error) {
-      console.error("Error finding matching preload:", error);
-      return null;
+      // URL parsing failed
+      result.hasIssues = true;
+      result.issue = "Invalid URL format";
+      result.severity = "medium";
+      result.recommendation = "Ensure URL is properly formatted";
+      return result;
     }
   }
 
-  // Check if URLs match (handling relative vs absolute URLs)
-  urlsMatch(url1, url2) {
-    try {
-      if (!url1 || !url2) return false;
-
-      // Normalize URLs
-      const normalizedUrl1 = this.normalizeUrl(url1);
-      const normalizedUrl2 = this.normalizeUrl(url2);
-
-      return normalizedUrl1 === normalizedUrl2;
-    } catch (error) {
-      return false;
-    }
-  }
+  // Validate link performance impact
+  validateLinkPerformance(rel, as, media, href) {
+    const result = {
+      hasIssues: false,
+      issue: null,
+      impact: "low",
+      recommendation: null,
+    };
 
-  // Normalize URL for comparison
-  normalizeUrl(url) {
-    try {
-      // Handle relative URLs
-      if (url.startsWith("/")) {
-        return new URL(url, window.location.origin).href;
+    // Check for unused media queries
+    if (rel === "stylesheet" && media && media !== "all" && media !== "screen") {
+      // This is a basic check - in a real implementation, you'd want to evaluate the media query
+      if (media.includes("print") && !media.includes("screen")) {
+        result.hasIssues = true;
+        result.issue = "Print-only stylesheet loaded on screen";
+        result.impact = "medium";
+        result.recommendation = "Consider loading print stylesheets only when needed";
       }
+    }
 
-      if (url.startsWith("./") || !url.includes("://")) {
-        return new URL(url, window.location.href).href;
+    // Check for excessive preloading
+    if (rel === "preload") {
+      // Count total preloads (this would need to be tracked globally)
+      // For now, we'll just flag potential issues
+      if (as === "image" && href) {
+        try {
+          const url = new URL(href, window.location.href);
+          // Check for very large query parameters (might indicate dynamic/personalized content)
+          if (url.search.length > 100) {
+            result.hasIssues = true;
+            result.issue = "Preloading resource with complex query parameters";
+            result.impact = "medium";
+            result.recommendation =
+              "Verify that preloaded resource is truly critical and cacheable";
+          }
+        } catch (error) {
+          // URL parsing failed, skip this check
+        }
       }
-
-      return url;
-    } catch (error) {
-      return url;
     }
+
+    return result;
   }
 
-  // Check for partial URL match (same filename)
-  partialUrlMatch(url1, url2) {
-    try {
-      const filename1 = url1.split("/").pop()?.split("?")[0];
-      const filename2 = url2.split("/").pop()?.split("?")[0];
+  // Validate link accessibility
+  validateLinkAccessibility(rel, type, href) {
+    const result = {
+      hasIssues: false,
+      issue: null,
+      recommendation: null,
+    };
 
-      return filename1 && filename2 && filename1 === filename2;
-    } catch (error) {
-      return false;
+    // Check for missing type attribute on stylesheets
+    if (rel === "stylesheet" && !type) {
+      result.hasIssues = true;
+      result.issue = "Stylesheet missing type attribute";
+      result.recommendation =
+        'Add type="text/css" for better accessibility and standards compliance';
     }
-  }
 
-  // Check if preload type is appropriate for LCP candidate
-  isAppropriatePreloadType(lcpCandidate, preload) {
-    try {
-      switch (lcpCandidate.type) {
-        case "img":
-          return preload.as === "image";
-        case "video":
-          return preload.as === "video";
-        case "background-image":
-          return preload.as === "image";
-        default:
-          return false;
-      }
-    } catch (error) {
-      return false;
+    // Check for icon links without proper sizing information
+    if (rel === "icon" && href && !href.includes("svg")) {
+      // For raster icons, sizes attribute is recommended
+      // This would need access to the actual link element to check for sizes attribute
+      // For now, we'll provide a general recommendation
     }
-  }
-
-  // Generate recommended preload for LCP candidate
-  generateRecommendedPreload(lcpCandidate) {
-    try {
-      const recommendation = {
-        href: lcpCandidate.src,
-        as: this.getRecommendedAsAttribute(lcpCandidate),
-        fetchpriority: "high",
-        reason: `Missing preload for ${lcpCandidate.type} LCP candidate`,
-      };
 
-      // Add type attribute for images if needed
-      if (lcpCandidate.type === "img" && lcpCandidate.src) {
-        const extension = lcpCandidate.src.split(".").pop()?.toLowerCase();
-        if (extension && ["webp", "avif"].includes(extension)) {
-          recommendation.type = `image/${extension}`;
-        }
-      }
+    return result;
+  }
 
-      // Add crossorigin if needed
-      if (this.needsCrossOrigin(lcpCandidate.src)) {
-        recommendation.crossorigin = "anonymous";
-      }
+  // Generate optimization recommendations based on validation results
+  generateLinkOptimizationRecommendations(validationResults) {
+    const recommendations = [];
 
-      return recommendation;
-    } catch (error) {
-      console.error("Error generating recommended preload:", error);
-      return null;
+    // High-priority recommendations
+    if (validationResults.securityIssues.length > 0) {
+      recommendations.push({
+        priority: "high",
+        category: "security",
+        message: `Fix ${validationResults.securityIssues.length} security issues with external links`,
+        action: "Add proper crossorigin and security attributes",
+      });
     }
-  }
 
-  // Get recommended 'as' attribute for LCP candidate
-  getRecommendedAsAttribute(lcpCandidate) {
-    switch (lcpCandidate.type) {
-      case "img":
-      case "background-image":
-        return "image";
-      case "video":
-        return "video";
-      default:
-        return "fetch";
+    if (validationResults.missingCrossorigin.length > 0) {
+      recommendations.push({
+        priority: "high",
+        category: "performance",
+        message: `Add crossorigin attributes to ${validationResults.missingCrossorigin.length} font preloads`,
+        action: 'Add crossorigin="anonymous" to font preload links',
+      });
     }
-  }
 
-  // Check if resource needs crossorigin attribute
-  needsCrossOrigin(url) {
-    try {
-      const resourceOrigin = new URL(url, window.location.href).origin;
-      return resourceOrigin !== window.location.origin;
-    } catch (error) {
-      return false;
+    // Medium-priority recommendations
+    if (validationResults.invalidRelValues.length > 0) {
+      recommendations.push({
+        priority: "medium",
+        category: "standards",
+        message: `Fix ${validationResults.invalidRelValues.length} invalid rel attribute values`,
+        action: "Use valid HTML5 rel attribute values",
+      });
     }
-  }
-
-  // Detect redundant preloads
-  detectRedundantPreloads(preloadLinks, lcpCandidates) {
-    try {
-      const redundant = [];
 
-      preloadLinks.forEach((preload) => {
-        // Check if this preload doesn't match any LCP candidate
-        const hasMatchingLCP = lcpCandidates.some(
-          (candidate) =>
-            this.urlsMatch(candidate.src, preload.href) ||
-            this.partialUrlMatch(candidate.src, preload.href)
-        );
+    if (validationResults.inefficientPreloads.length > 0) {
+      recommendations.push({
+        priority: "medium",
+        category: "performance",
+        message: `Optimize ${validationResults.inefficientPreloads.length} inefficient preloads`,
+        action: "Review preload strategy and resource formats",
+      });
+    }
 
-        if (!hasMatchingLCP && (preload.as === "image" || preload.as === "video")) {
-          redundant.push({
-            preload: preload,
-            reason: "Preload for non-LCP resource",
-            recommendation: "Consider removing or lowering priority",
-          });
-        }
+    // Low-priority recommendations
+    if (validationResults.performanceIssues.length > 0) {
+      recommendations.push({
+        priority: "low",
+        category: "optimization",
+        message: `Address ${validationResults.performanceIssues.length} performance optimization opportunities`,
+        action: "Review media queries and resource loading patterns",
       });
+    }
 
-      return redundant;
-    } catch (error) {
-      console.error("Error detecting redundant preloads:", error);
-      return [];
+    if (validationResults.accessibilityIssues.length > 0) {
+      recommendations.push({
+        priority: "low",
+        category: "accessibility",
+        message: `Improve ${validationResults.accessibilityIssues.length} accessibility issues`,
+        action: "Add missing type attributes and improve semantic markup",
+      });
     }
+
+    return recommendations;
   }
 
-  // Detect invalid preloads
-  detectInvalidPreloads(preloadLinks) {
+  // Normalize URL for comparison (helper method)
+  normalizeUrl(url) {
     try {
-      const invalid = [];
+      if (!url) return "";
 
-      preloadLinks.forEach((preload) => {
-        if (!preload.isValid) {
-          invalid.push({
-            preload: preload,
-            errors: preload.validationErrors,
-            recommendation: "Fix preload link attributes",
-          });
-        }
+      // Handle relative URLs
+      if (url.startsWith("//")) {
+        url = window.location.protocol + url;
+      } else if (url.startsWith("/")) {
+        url = window.location.origin + url;
+      } else if (!url.startsWith("http")) {
+        // Relative path
+        const base = window.location.href.substring(0, window.location.href.lastIndexOf("/") + 1);
+        url = base + url;
+      }
 
-        // Additional validation checks
-        if (preload.as === "image" && !preload.href) {
-          invalid.push({
-            preload: preload,
-            errors: ["Image preload missing href"],
-            recommendation: "Add valid href attribute",
-          });
-        }
+      // Create URL object for normalization
+      const urlObj = new URL(url);
 
-        if (preload.as === "video" && !preload.href) {
-          invalid.push({
-            preload: preload,
-            errors: ["Video preload missing href"],
-            recommendation: "Add valid href attribute",
-          });
-        }
-      });
+      // Remove fragment and normalize
+      urlObj.hash = "";
 
-      return invalid;
+      return urlObj.href.toLowerCase();
     } catch (error) {
-      console.error("Error detecting invalid preloads:", error);
-      return [];
+      console.error("Error normalizing URL:", error);
+      return url.toLowerCase();
     }
   }
 
-  // Generate LCP preload recommendations
-  generateLCPPreloadRecommendations(preloadValidation) {
+  // Analyze cache optimization opportunities
+  async analyzeCache() {
     try {
-      const recommendations = [];
+      console.log("Analyzing cache optimization opportunities...");
 
-      // Recommend preloads for missing LCP elements
-      preloadValidation.lcpElementsWithoutPreload.forEach((item) => {
-        if (item.recommendedPreload) {
-          recommendations.push({
-            type: "add-preload",
-            priority: "high",
-            element: item.lcpCandidate,
-            recommendation: item.recommendedPreload,
-            impact: "Improves LCP by preloading critical resource",
-            htmlExample: this.generatePreloadHTML(item.recommendedPreload),
-          });
-        }
-      });
+      // Use the cache analysis results from the main analysis flow if available
+      if (
+        this.analysisResults &&
+        this.analysisResults.cache &&
+        Object.keys(this.analysisResults.cache).length > 0
+      ) {
+        console.log("Using existing cache analysis results");
+        return this.analysisResults.cache;
+      }
 
-      // Recommend removing redundant preloads
-      preloadValidation.redundantPreloads.forEach((item) => {
-        recommendations.push({
-          type: "remove-redundant-preload",
-          priority: "medium",
-          preload: item.preload,
-          reason: item.reason,
-          impact: "Reduces unnecessary resource loading",
-        });
-      });
+      // If no existing results, perform cache analysis
+      console.log("Performing new cache analysis...");
 
-      // Recommend fixing invalid preloads
-      preloadValidation.invalidPreloads.forEach((item) => {
-        recommendations.push({
-          type: "fix-invalid-preload",
-          priority: "high",
-          preload: item.preload,
-          errors: item.errors,
-          recommendation: item.recommendation,
-          impact: "Ensures preload links work correctly",
-        });
-      });
+      // Use the response headers that were fetched during HTML fetch
+      const cacheResults = await this.analyzeCacheHeaders(this.responseHeaders);
 
-      return recommendations;
+      // Cross-check the inferred CDN status against cache entries in Server-Timing
+      cacheResults.recommendations = this.generateServerTimingCacheHints(
+        this.analysisResults.serverTiming || this.collectServerTiming()
+      );
+      cacheResults.recommendations.push(...this.generateCacheTTLRecommendations(cacheResults));
+      cacheResults.recommendations.push(
+        ...this.generateCacheFragmentationRecommendations(
+          cacheResults.cdnCache?.fragmentation,
+          cacheResults.cdnCache?.provider
+        )
+      );
+
+      // Static subresources carry their own cache policy, separate from the document's
+      cacheResults.subresources = await this.analyzeSubresourceCache();
+      cacheResults.recommendations.push(
+        ...this.generateSubresourceCacheRecommendations(cacheResults.subresources)
+      );
+
+      // Confirm validators actually produce 304s for the document and its largest assets
+      cacheResults.revalidation = await this.analyzeRevalidation(cacheResults.subresources);
+      cacheResults.recommendations.push(
+        ...this.generateRevalidationRecommendations(cacheResults.revalidation)
+      );
+
+      console.log("Cache analysis completed:", cacheResults);
+      return cacheResults;
     } catch (error) {
-      console.error("Error generating LCP preload recommendations:", error);
-      return [];
+      console.error("Error analyzing cache:", error);
+      return this.getEmptyCacheData();
     }
   }
 
-  // Generate HTML example for preload
-  generatePreloadHTML(preloadRecommendation) {
-    try {
-      let html = `<link rel="preload" href="${preloadRecommendation.href}" as="${preloadRecommendation.as}"`;
-
-      if (preloadRecommendation.type) {
-        html += ` type="${preloadRecommendation.type}"`;
-      }
+  // Collect Server-Timing entries for the document and subresources
+  collectServerTiming() {
+    const MAX_RESOURCES = 50; // Keep the report small, slowest resources first
+    const result = {
+      supported: false,
+      document: [],
+      documentSource: null,
+      resources: [],
+    };
 
-      if (preloadRecommendation.fetchpriority) {
-        html += ` fetchpriority="${preloadRecommendation.fetchpriority}"`;
-      }
+    try {
+      const navEntry = performance.getEntriesByType("navigation")[0];
+      if (navEntry && "serverTiming" in navEntry) {
+        result.supported = true;
+        result.document = getServerTimingEntries(navEntry);
+        result.documentSource = "navigation-entry";
+      }
+
+      // Fall back to the header from the re-fetched document
+      const headerValue = this.responseHeaders?.raw?.["server-timing"];
+      if (result.document.length === 0 && headerValue) {
+        result.document = this.parseServerTimingHeader(headerValue);
+        result.documentSource = "response-header";
+      }
+
+      // Cross-origin resources only expose Server-Timing with Timing-Allow-Origin
+      result.resources = performance
+        .getEntriesByType("resource")
+        .filter((entry) => Array.isArray(entry.serverTiming) && entry.serverTiming.length > 0)
+        .map((entry) => {
+          const entries = getServerTimingEntries(entry);
+          return {
+            url: entry.name,
+            initiatorType: entry.initiatorType,
+            totalDuration: entries.reduce((sum, timing) => sum + timing.duration, 0),
+            entries: entries,
+          };
+        })
+        .sort((a, b) => b.totalDuration - a.totalDuration)
+        .slice(0, MAX_RESOURCES);
+    } catch (error) {
+      console.error("Error collecting Server-Timing entries:", error);
+    }
 
-      if (preloadRecommendation.crossorigin) {
-        html += ` crossorigin="${preloadRecommendation.crossorigin}"`;
-      }
+    return result;
+  }
 
-      html += ">";
+  // Parse a raw Server-Timing header value into entries
+  parseServerTimingHeader(headerValue) {
+    const entries = [];
 
-      return html;
+    try {
+      String(headerValue)
+        .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+        .forEach((metric) => {
+          const [name, ...params] = metric.split(";").map((part) => part.trim());
+          if (!name) return;
+
+          const timing = { name, duration: 0, description: "" };
+          params.forEach((param) => {
+            const [key, ...rest] = param.split("=");
+            const value = rest.join("=").trim().replace(/^"|"$/g, "");
+            if (key.trim().toLowerCase() === "dur") {
+              timing.duration = (parseFloat(value) || 0) / 1000;
+            } else if (key.trim().toLowerCase() === "desc") {
+              timing.description = value;
+            }
+          });
+          entries.push(timing);
+        });
     } catch (error) {
-      return "";
+      console.warn("Error parsing Server-Timing header:", error);
     }
+
+    return entries;
   }
 
-  // Analyze scripts for optimization opportunities
-  analyzeScripts(htmlStructure = null) {
-    try {
-      console.log("Analyzing scripts for optimization opportunities...");
+  // Read a hit/miss status from cdn-cache or cache Server-Timing entries
+  getServerTimingCacheStatus(entries) {
+    const cacheEntry = (entries || []).find((timing) =>
+      /^(cdn-cache|cache)(-(hit|miss))?$/i.test(timing.name)
+    );
+    if (!cacheEntry) return null;
 
-      // Use provided structure or fallback to live DOM analysis
-      let structure = htmlStructure || this.htmlStructure;
+    const text = `${cacheEntry.name} ${cacheEntry.description}`.toLowerCase();
+    let status = "unknown";
+    if (/\bhit\b|-hit\b/.test(text)) {
+      status = "hit";
+    } else if (/miss|expired|bypass|dynamic|pass\b/.test(text)) {
+      status = "miss";
+    }
 
-      // If no structure available, analyze live DOM directly
-      if (!structure || !structure.head) {
-        console.log("No HTML structure available, analyzing live DOM directly...");
-        structure = this.analyzeLiveDOM();
-      }
+    return { status, entry: cacheEntry };
+  }
 
-      if (!structure) {
-        console.warn("Unable to analyze scripts - no DOM structure available");
-        return this.getEmptyScriptAnalysis();
+  // Flag Server-Timing cache entries that contradict the header-based CDN status
+  generateServerTimingCacheHints(serverTiming) {
+    const recommendations = [];
+
+    try {
+      // Prefer the header from the same response the cache headers came from
+      const headerValue = this.responseHeaders?.raw?.["server-timing"];
+      const entries = headerValue
+        ? this.parseServerTimingHeader(headerValue)
+        : serverTiming && serverTiming.document;
+      const timingStatus = this.getServerTimingCacheStatus(entries);
+      if (!timingStatus || timingStatus.status === "unknown") return recommendations;
+
+      const cdnHeaders = this.responseHeaders?.cache?.cdnCache || {};
+      const providerInfo = this.detectCDNProvider(cdnHeaders);
+      const inferred = this.analyzeCDNCacheStatus(
+        cdnHeaders,
+        providerInfo,
+        this.responseHeaders?.cache?.fragmentation
+      );
+      const timing = timingStatus.entry;
+      const timingLabel = `Server-Timing "${timing.name}${
+        timing.description ? `; desc=${timing.description}` : ""
+      }"`;
+
+      if (inferred.status === "hit" || inferred.status === "miss") {
+        if (inferred.status !== timingStatus.status) {
+          recommendations.push({
+            type: "server-timing-cache-mismatch",
+            priority: "medium",
+            issue: `${timingLabel} reports a cache ${timingStatus.status}, but the ${
+              providerInfo.provider
+            } headers suggest a ${inferred.status}`,
+            recommendation:
+              "Check which cache layer (edge, shield or origin) each header describes and align them",
+            impact: "Conflicting cache signals make CDN hit ratios hard to trust",
+            serverTimingStatus: timingStatus.status,
+            inferredStatus: inferred.status,
+          });
+        }
+      } else {
+        recommendations.push({
+          type: "server-timing-cache-status",
+          priority: "low",
+          issue: `${timingLabel} reports a cache ${timingStatus.status} not shown in the headers`,
+          recommendation:
+            "Expose the cache status in a standard header (e.g. X-Cache) so tools can read it",
+          impact: "Cache status is only visible in Server-Timing",
+          serverTimingStatus: timingStatus.status,
+          inferredStatus: inferred.status,
+        });
       }
+    } catch (error) {
+      console.error("Error generating Server-Timing cache hints:", error);
+    }
 
-      const result = {
-        duplicates: [],
-        deferScripts: [],
-        asyncScripts: [],
-        totalExternalScripts: 0,
-        recommendations: [],
-      };
-
-      // Get all external scripts from head and body with safe access
-      const headScripts = structure.head && structure.head.scripts ? structure.head.scripts : [];
-      const bodyScripts = structure.body && structure.body.scripts ? structure.body.scripts : [];
-      const allScripts = [...headScripts, ...bodyScripts];
+    return recommendations;
+  }
 
-      // Filter to only external scripts (those with src attribute)
-      const externalScripts = allScripts.filter((script) => {
-        const src = script.getAttribute("src");
-        return src && src.trim().length > 0;
-      });
+  // Compare the effective TTLs of the document across cache layers
+  generateCacheTTLRecommendations(cacheResults) {
+    const recommendations = [];
 
-      result.totalExternalScripts = externalScripts.length;
+    try {
+      const ttls = cacheResults?.effectiveTTL;
+      if (!ttls) return recommendations;
 
-      // Detect duplicate scripts
-      result.duplicates = this.detectDuplicateScripts(externalScripts);
+      const { browser, cdn } = ttls;
+      const provider = cacheResults.cdnCache?.provider;
+      const behindCDN = provider && provider !== "unknown" && provider !== "not-analyzed";
+      const cdnLabel = cdn.header === "cache-control" || !cdn.header ? "Cache-Control" : cdn.header;
 
-      // Catalog defer and async scripts (including all scripts, not just external ones)
-      result.deferScripts = this.catalogDeferScripts(headScripts);
-      result.asyncScripts = this.catalogAsyncScripts(headScripts);
+      if (ttls.errors.length > 0) {
+        recommendations.push({
+          type: "cache-control-syntax",
+          priority: "medium",
+          issue: `Cache headers contain ${ttls.errors.length} syntax ${
+            ttls.errors.length === 1 ? "error" : "errors"
+          }: ${ttls.errors.slice(0, 3).join("; ")}`,
+          recommendation:
+            "Fix the directive syntax; caches treat an invalid max-age or s-maxage as already stale",
+          impact: "Caches may ignore the intended lifetime",
+          errors: ttls.errors,
+        });
+      }
 
-      // Debug logging for script detection
-      console.log("Script Analysis Debug:", {
-        totalScripts: allScripts.length,
-        headScripts: headScripts.length,
-        bodyScripts: bodyScripts.length,
-        externalScripts: externalScripts.length,
-        deferScripts: result.deferScripts.length,
-        asyncScripts: result.asyncScripts.length,
-      });
+      if (behindCDN && (!cdn.storable || cdn.ttl === 0)) {
+        recommendations.push({
+          type: "cdn-cannot-cache",
+          priority: "medium",
+          issue: `The ${provider} edge can't reuse this page (${cdn.source} in ${cdnLabel})`,
+          recommendation:
+            "If the page is the same for every visitor, cache it at the edge with s-maxage or CDN-Cache-Control (e.g. max-age=60, stale-while-revalidate=600) and keep the browser TTL short",
+          impact: "Every request goes back to the origin, adding its response time to TTFB",
+          effectiveTTL: ttls,
+        });
+      } else if (behindCDN && cdn.ttl > 0 && !cdn.staleWhileRevalidate) {
+        recommendations.push({
+          type: "cdn-missing-swr",
+          priority: "low",
+          issue: `The edge keeps this page for ${this.formatCacheTTL(
+            cdn.ttl
+          )} with no stale-while-revalidate window`,
+          recommendation: `Add stale-while-revalidate to ${cdnLabel} so the edge refreshes expired copies in the background`,
+          impact: "The first visitor after each expiry waits for the origin",
+          effectiveTTL: ttls,
+        });
+      }
 
-      // Generate script optimization recommendations
-      result.recommendations = this.generateScriptRecommendations(result, externalScripts);
+      if (cdn.storable && cdn.ttl > 0 && browser.ttl > cdn.ttl) {
+        recommendations.push({
+          type: "browser-ttl-exceeds-cdn",
+          priority: "low",
+          issue: `Browsers keep this page for ${this.formatCacheTTL(
+            browser.ttl
+          )}, longer than the ${this.formatCacheTTL(cdn.ttl)} shared caches do`,
+          recommendation:
+            "Keep max-age at or below the edge TTL and use s-maxage or CDN-Cache-Control for the longer lifetime",
+          impact: "A CDN purge can't reach visitors who already have the page cached",
+          effectiveTTL: ttls,
+        });
+      }
 
-      console.log("Script analysis complete:", result);
-      return result;
+      if (browser.source === "heuristic" || browser.source === "none") {
+        recommendations.push({
+          type: "heuristic-freshness",
+          priority: "low",
+          issue:
+            browser.source === "heuristic"
+              ? `No explicit lifetime, so browsers guess ${this.formatCacheTTL(
+                  browser.ttl
+                )} from Last-Modified`
+              : "No Cache-Control or Expires lifetime is set for this page",
+          recommendation:
+            "Send an explicit Cache-Control (e.g. no-cache for HTML that must stay fresh, or a max-age)",
+          impact: "Caching behaviour differs between browsers and proxies",
+          effectiveTTL: ttls,
+        });
+      }
     } catch (error) {
-      console.error("Error analyzing scripts:", error);
-      return {
-        duplicates: [],
-        deferScripts: [],
-        asyncScripts: [],
-        totalExternalScripts: 0,
-        recommendations: [],
-        error: error.message,
-      };
+      console.error("Error generating cache TTL recommendations:", error);
     }
+
+    return recommendations;
   }
 
-  // Detect duplicate script src includes
-  detectDuplicateScripts(scripts) {
-    try {
-      const srcCounts = {};
-      const duplicates = [];
+  // Turn Vary and Set-Cookie cache-busting patterns into header-level recommendations
+  generateCacheFragmentationRecommendations(patterns, provider) {
+    const recommendations = [];
+    const fixes = {
+      "vary-star": {
+        priority: "high",
+        recommendation:
+          "Replace Vary: * with the specific request headers the response depends on (often just Accept-Encoding)",
+      },
+      "vary-user-agent": {
+        priority: "medium",
+        recommendation:
+          "Drop User-Agent from Vary and serve one responsive page, or vary on a low-cardinality header such as Sec-CH-UA-Mobile (requested with Accept-CH) or the CDN's device-type header",
+      },
+      "vary-cookie": {
+        priority: "medium",
+        recommendation:
+          "Remove Cookie from Vary on pages that are the same for anonymous visitors, and build the CDN cache key from only the cookie that changes the content (e.g. a logged-in flag)",
+      },
+      "set-cookie": {
+        priority: "high",
+        recommendation:
+          "Set cookies from a separate uncached request or in JavaScript, or send Cache-Control: private on responses that must set them",
+      },
+      "set-cookie-inferred": {
+        priority: "low",
+        recommendation:
+          "Check the page response in DevTools for Set-Cookie; if it is there, set cookies from a separate uncached request or send Cache-Control: private",
+      },
+    };
 
-      // Count occurrences of each script src
-      scripts.forEach((script) => {
-        const src = script.getAttribute("src");
-        if (src) {
-          const normalizedSrc = this.normalizeSrc(src);
-          srcCounts[normalizedSrc] = (srcCounts[normalizedSrc] || 0) + 1;
-        }
-      });
+    try {
+      (patterns || []).forEach((pattern) => {
+        const fix = fixes[pattern.type];
+        if (!fix) return;
 
-      // Find duplicates (src that appears more than once)
-      Object.entries(srcCounts).forEach(([src, count]) => {
-        if (count > 1) {
-          duplicates.push(src);
-        }
+        const cache =
+          provider && provider !== "unknown" ? `the ${provider} CDN` : "shared caches";
+        recommendations.push({
+          type: `cache-fragmentation-${pattern.type}`,
+          priority: fix.priority,
+          issue: pattern.inferred
+            ? `Cookies changed while this page was re-requested, so the response may send Set-Cookie (not confirmed) although ${cache} could otherwise cache it`
+            : `${pattern.header} on a response that ${cache} could otherwise cache`,
+          recommendation: fix.recommendation,
+          impact: pattern.effect,
+          header: pattern.header,
+        });
       });
-
-      return duplicates;
     } catch (error) {
-      console.error("Error detecting duplicate scripts:", error);
-      return [];
+      console.error("Error generating cache fragmentation recommendations:", error);
     }
+
+    return recommendations;
   }
 
-  // Catalog defer scripts in HEAD
-  catalogDeferScripts(headScripts) {
-    try {
-      const deferScripts = [];
+  // Check the cache policy of static subresources whose headers the page can read
+  async analyzeSubresourceCache() {
+    const MAX_RESOURCES = 30; // Each resource costs a HEAD request, largest first
+    const BATCH_SIZE = 6; // Stay within the HTTP/1.1 per-origin connection limit
+    const result = { checked: 0, cacheHits: 0, unreadable: 0, resources: [] };
 
-      headScripts.forEach((script, index) => {
-        const src = script.getAttribute("src");
-        const hasDefer = script.hasAttribute("defer");
+    try {
+      // Cross-origin responses are only readable when fetched in CORS mode
+      const corsUrls = new Set();
+      document
+        .querySelectorAll(
+          "script[crossorigin][src], link[crossorigin][href], img[crossorigin][src]"
+        )
+        .forEach((element) => corsUrls.add(element.src || element.href));
+
+      const seen = new Set();
+      const candidates = resourceTimingCollector
+        .getEntries()
+        .filter((entry) => {
+          if (seen.has(entry.url)) return false;
+          seen.add(entry.url);
+
+          const assetType = this.getStaticAssetType(entry);
+          if (!assetType) return false;
+          let sameOrigin = false;
+          try {
+            sameOrigin = new URL(entry.url).origin === window.location.origin;
+          } catch (error) {
+            return false;
+          }
+          return sameOrigin || assetType === "font" || corsUrls.has(entry.url);
+        })
+        .sort((a, b) => (b.encodedBodySize || 0) - (a.encodedBodySize || 0))
+        .slice(0, MAX_RESOURCES);
 
-        console.log(`Script ${index}:`, {
-          src: src || "(inline)",
-          hasDefer: hasDefer,
-          hasAsync: script.hasAttribute("async"),
-          type: script.getAttribute("type"),
-        });
+      for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
+        const batch = candidates.slice(i, i + BATCH_SIZE);
+        const headerSets = await Promise.all(
+          batch.map((entry) => this.tryFetchActualHeaders(entry.url))
+        );
 
-        if (hasDefer) {
-          if (src) {
-            deferScripts.push({
-              src: this.normalizeSrc(src),
-              type: "external",
-              element: script,
-            });
-          } else {
-            deferScripts.push({
-              src: "(inline script)",
-              type: "inline",
-              element: script,
-            });
+        batch.forEach((entry, index) => {
+          const raw = headerSets[index]?.raw;
+          if (!raw) {
+            result.unreadable++;
+            return;
           }
-        }
-      });
 
-      console.log(`Found ${deferScripts.length} defer scripts:`, deferScripts);
-      return deferScripts;
+          // A zero transfer size with a known body size means it came from the HTTP cache
+          const cacheHit = entry.transferSize === 0 && entry.encodedBodySize > 0;
+          const cacheControl = raw["cache-control"] || null;
+          const expires = raw["expires"] || null;
+          const parsed = cacheControl ? this.parseCacheControlHeader(cacheControl) : null;
+          const browserTTL = this.computeEffectiveCacheTTLs(raw).browser;
+
+          result.checked++;
+          if (cacheHit) result.cacheHits++;
+          result.resources.push({
+            url: entry.url,
+            type: this.getStaticAssetType(entry),
+            size: entry.encodedBodySize || 0,
+            downloadTime: entry.phases?.download || 0,
+            cacheHit,
+            cacheControl,
+            expires,
+            etag: raw["etag"] || null,
+            lastModified: raw["last-modified"] || null,
+            notCached: browserTTL.storable && (browserTTL.ttl === 0 || browserTTL.source === "none"),
+            ttl: browserTTL.source === "heuristic" ? null : browserTTL.ttl,
+            noStore: browserTTL.source === "no-store",
+            immutable: Boolean(parsed?.immutable),
+            fingerprinted: this.isFingerprintedUrl(entry.url),
+          });
+        });
+      }
     } catch (error) {
-      console.error("Error cataloging defer scripts:", error);
-      return [];
+      console.error("Error analyzing subresource cache policy:", error);
     }
+
+    return result;
   }
 
-  // Catalog async scripts in HEAD
-  catalogAsyncScripts(headScripts) {
+  // Classify a resource timing entry as a static asset type, or null for anything else
+  getStaticAssetType(entry) {
+    let pathname = "";
     try {
-      const asyncScripts = [];
+      pathname = new URL(entry.url).pathname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
 
-      headScripts.forEach((script, index) => {
-        const src = script.getAttribute("src");
-        const hasAsync = script.hasAttribute("async");
+    if (/\.(m?js)$/.test(pathname)) return "script";
+    if (/\.css$/.test(pathname)) return "stylesheet";
+    if (/\.(woff2?|ttf|otf|eot)$/.test(pathname)) return "font";
+    if (/\.(png|jpe?g|gif|webp|avif|svg|ico)$/.test(pathname)) return "image";
 
-        if (hasAsync) {
-          if (src) {
-            asyncScripts.push({
-              src: this.normalizeSrc(src),
-              type: "external",
-              element: script,
-            });
-          } else {
-            asyncScripts.push({
-              src: "(inline script)",
-              type: "inline",
-              element: script,
-            });
-          }
-        }
-      });
+    const contentType = (entry.contentType || "").toLowerCase();
+    if (contentType.includes("javascript")) return "script";
+    if (contentType.startsWith("text/css")) return "stylesheet";
+    if (contentType.startsWith("font/")) return "font";
+    if (contentType.startsWith("image/")) return "image";
+    return null;
+  }
 
-      console.log(`Found ${asyncScripts.length} async scripts:`, asyncScripts);
-      return asyncScripts;
+  // Whether a URL carries a content hash or version, so a new deploy changes the URL
+  isFingerprintedUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      if (/[?&](v|ver|version|hash|rev)=/i.test(urlObj.search)) return true;
+
+      const filename = urlObj.pathname.split("/").pop().replace(/\.[a-z0-9]+$/i, "");
+      // Hash segments are at least 8 alphanumerics with a digit (main.3f2a9c1b, index-BwXp3qZa)
+      return filename
+        .split(/[._-]/)
+        .some(
+          (segment) => segment.length >= 8 && /^[a-z0-9]+$/i.test(segment) && /\d/.test(segment)
+        );
     } catch (error) {
-      console.error("Error cataloging async scripts:", error);
-      return [];
+      return false;
     }
   }
 
-  // Generate script optimization recommendations
-  generateScriptRecommendations(analysisResult, allScripts) {
+  // Turn per-subresource cache policies into grouped cache recommendations
+  generateSubresourceCacheRecommendations(subresources) {
+    const SHORT_MAX_AGE = 7 * 24 * 60 * 60; // Under a week, repeat visitors re-download the file
+    const LONG_MAX_AGE = 365 * 24 * 60 * 60; // Fingerprinted files can safely be kept for a year
+    const recommendations = [];
+
     try {
-      const recommendations = [];
+      const resources = subresources?.resources || [];
+      const groups = {
+        noStore: [],
+        noHeaders: [],
+        shortMaxAge: [],
+        fingerprintedShort: [],
+        missingImmutable: [],
+      };
 
-      // Recommendation for duplicate scripts
-      if (analysisResult.duplicates.length > 0) {
+      resources.forEach((resource) => {
+        if (resource.noStore) {
+          groups.noStore.push(resource);
+        } else if (!resource.cacheControl && !resource.expires) {
+          groups.noHeaders.push(resource);
+        } else if (resource.fingerprinted) {
+          if (resource.ttl === null || resource.ttl < LONG_MAX_AGE) {
+            groups.fingerprintedShort.push(resource);
+          } else if (!resource.immutable) {
+            groups.missingImmutable.push(resource);
+          }
+        } else if (resource.ttl === null || resource.ttl < SHORT_MAX_AGE) {
+          groups.shortMaxAge.push(resource);
+        }
+      });
+
+      const describe = (group) =>
+        group.map((resource) => ({
+          url: resource.url,
+          type: resource.type,
+          size: resource.size,
+          cacheControl: resource.cacheControl,
+          ttl: resource.ttl,
+        }));
+      const totalSize = (group) => group.reduce((sum, resource) => sum + resource.size, 0);
+      const plural = (group) => (group.length === 1 ? "static asset is" : "static assets are");
+
+      if (groups.noStore.length > 0) {
         recommendations.push({
-          type: "duplicate_scripts",
-          severity: "high",
-          message: `Found ${analysisResult.duplicates.length} duplicate script(s). Remove duplicates to reduce bundle size and improve load performance.`,
-          duplicateScripts: analysisResult.duplicates,
-          impact: "Reduces network requests and improves page load time",
+          type: "subresource-no-store",
+          priority: "high",
+          issue: `${groups.noStore.length} ${plural(groups.noStore)} served with Cache-Control: no-store`,
+          recommendation:
+            "Drop no-store from static files; it is meant for sensitive responses, not scripts, styles or images",
+          impact: `${Math.round(totalSize(groups.noStore) / 1024)}KB downloaded again on every visit`,
+          resources: describe(groups.noStore),
         });
       }
 
-      // Recommendation for defer script optimization
-      if (analysisResult.deferScripts.length > 0) {
+      if (groups.noHeaders.length > 0) {
         recommendations.push({
-          type: "defer_optimization",
-          severity: "medium",
-          message: `Found ${analysisResult.deferScripts.length} defer script(s). Consider further delaying non-critical scripts or moving them to the end of the body.`,
-          deferScripts: analysisResult.deferScripts,
-          impact: "Improves initial page rendering by delaying script execution",
+          type: "subresource-no-cache-headers",
+          priority: "medium",
+          issue: `${groups.noHeaders.length} ${plural(groups.noHeaders)} sent without Cache-Control or Expires`,
+          recommendation:
+            "Set an explicit Cache-Control max-age so browsers do not fall back to heuristic freshness",
+          impact: "Unpredictable caching between browsers and after deploys",
+          resources: describe(groups.noHeaders),
         });
       }
 
-      // Recommendation for async script validation
-      if (analysisResult.asyncScripts.length > 0) {
+      if (groups.shortMaxAge.length > 0) {
         recommendations.push({
-          type: "async_validation",
-          severity: "low",
-          message: `Found ${analysisResult.asyncScripts.length} async script(s). Ensure these scripts don't depend on DOM ready state or other scripts.`,
-          asyncScripts: analysisResult.asyncScripts,
-          impact: "Prevents potential race conditions and ensures proper script execution",
+          type: "subresource-short-max-age",
+          priority: "medium",
+          issue: `${groups.shortMaxAge.length} ${plural(groups.shortMaxAge)} cached for less than a week`,
+          recommendation:
+            "Add a content hash to these file names so they can be served with max-age=31536000, immutable",
+          impact: `${Math.round(totalSize(groups.shortMaxAge) / 1024)}KB revalidated or re-downloaded on repeat visits`,
+          resources: describe(groups.shortMaxAge),
         });
       }
 
-      // Check for redundant preload links for scripts
-      const redundantPreloads = this.detectRedundantScriptPreloads(allScripts);
-      if (redundantPreloads.length > 0) {
+      if (groups.fingerprintedShort.length > 0) {
         recommendations.push({
-          type: "redundant_preloads",
-          severity: "medium",
-          message: `Found ${redundantPreloads.length} redundant preload(s) for scripts already marked with defer/async. Remove redundant preloads to avoid unnecessary network requests.`,
-          redundantPreloads: redundantPreloads,
-          impact: "Reduces unnecessary network requests and improves resource loading efficiency",
+          type: "subresource-fingerprinted-short-max-age",
+          priority: "medium",
+          issue: `${groups.fingerprintedShort.length} fingerprinted ${plural(
+            groups.fingerprintedShort
+          )} cached for less than a year`,
+          recommendation:
+            "A hashed URL changes whenever the file does, so serve it with max-age=31536000, immutable",
+          impact: `${Math.round(totalSize(groups.fingerprintedShort) / 1024)}KB expires from the cache early`,
+          resources: describe(groups.fingerprintedShort),
         });
       }
 
-      // General script loading best practices
-      const blockingScripts = this.detectBlockingScripts(allScripts);
-      if (blockingScripts.length > 0) {
+      if (groups.missingImmutable.length > 0) {
         recommendations.push({
-          type: "blocking_scripts",
-          severity: "high",
-          message: `Found ${blockingScripts.length} render-blocking script(s) in HEAD without defer/async. Add defer or async attributes to improve page rendering performance.`,
-          blockingScripts: blockingScripts,
-          impact:
-            "Significantly improves First Contentful Paint and Largest Contentful Paint metrics",
+          type: "subresource-missing-immutable",
+          priority: "low",
+          issue: `${groups.missingImmutable.length} fingerprinted ${plural(
+            groups.missingImmutable
+          )} missing the immutable directive`,
+          recommendation:
+            "Add immutable to Cache-Control so reloads skip revalidating files that never change",
+          impact: "Fewer conditional requests when users reload the page",
+          resources: describe(groups.missingImmutable),
         });
       }
-
-      return recommendations;
     } catch (error) {
-      console.error("Error generating script recommendations:", error);
-      return [];
+      console.error("Error generating subresource cache recommendations:", error);
     }
+
+    return recommendations;
   }
 
-  // Detect redundant preload links for scripts with defer/async
-  detectRedundantScriptPreloads(scripts) {
-    try {
-      const redundantPreloads = [];
+  // Re-request the document and a few small same-origin assets conditionally and confirm a 304
+  async analyzeRevalidation(subresources) {
+    const result = { checked: 0, validated: 0, bytesSaved: 0, timeSaved: 0, resources: [] };
 
-      if (!this.htmlStructure || !this.htmlStructure.head || !this.htmlStructure.head.links) {
-        return redundantPreloads;
+    try {
+      // Validators come from the HEAD responses already fetched for the document and subresources
+      const navigation = performance.getEntriesByType("navigation")[0];
+      const documentHeaders =
+        this.responseHeaders && !this.responseHeaders.fallback ? this.responseHeaders.raw || {} : null;
+      const candidates = (subresources?.resources || []).filter((resource) => !resource.noStore);
+      if (documentHeaders) {
+        const documentTTL = this.computeEffectiveCacheTTLs(documentHeaders).browser;
+        candidates.unshift({
+          url: window.location.href,
+          type: "document",
+          size: navigation ? navigation.encodedBodySize || 0 : 0,
+          downloadTime: navigation ? Math.max(0, navigation.responseEnd - navigation.responseStart) : 0,
+          etag: documentHeaders["etag"] || null,
+          lastModified: documentHeaders["last-modified"] || null,
+          notCached: documentTTL.storable && (documentTTL.ttl === 0 || documentTTL.source === "none"),
+        });
       }
 
-      // Get all preload links for scripts from the links array
-      const scriptPreloads = this.htmlStructure.head.links.filter((link) => {
-        const rel = link.getAttribute("rel");
-        const as = link.getAttribute("as");
-        return rel === "preload" && as === "script";
+      // Conditional headers need a CORS preflight cross-origin, and ETag isn't CORS-readable
+      const sameOrigin = candidates.filter((resource) => {
+        try {
+          return new URL(resource.url).origin === window.location.origin;
+        } catch (error) {
+          return false;
+        }
       });
 
-      // Get all defer/async scripts
-      const deferAsyncScripts = scripts.filter((script) => {
-        return script.hasAttribute("defer") || script.hasAttribute("async");
-      });
+      // Test the document plus the smallest asset of each type, so 200s stay cheap
+      const targets = new Map();
+      sameOrigin
+        .filter((resource) => resource.etag || resource.lastModified)
+        .sort((a, b) => a.size - b.size)
+        .forEach((resource) => {
+          if (!targets.has(resource.type)) targets.set(resource.type, resource);
+        });
 
-      // Check for redundant preloads
-      scriptPreloads.forEach((preload) => {
-        const preloadHref = this.normalizeSrc(preload.getAttribute("href") || "");
+      for (const resource of sameOrigin) {
+        const entry = {
+          url: resource.url,
+          type: resource.type,
+          etag: resource.etag,
+          weakETag: Boolean(resource.etag && resource.etag.startsWith("W/")),
+          lastModified: resource.lastModified,
+          notCached: resource.notCached,
+          transferBytes: resource.size,
+          etagValidated: null,
+          etagChanged: false,
+          contentChanged: false,
+          lastModifiedValidated: null,
+          conditionalTime: null,
+        };
 
-        deferAsyncScripts.forEach((script) => {
-          const scriptSrc = this.normalizeSrc(script.getAttribute("src") || "");
+        if (targets.get(resource.type) === resource) {
+          if (entry.etag) {
+            const conditional = await this.timedFetch(entry.url, { "If-None-Match": entry.etag });
+            entry.etagValidated = conditional?.status === 304;
+            if (conditional) entry.conditionalTime = conditional.duration;
+
+            // A new ETag only points at per-node state (e.g. inodes) when the body is the same
+            // size as before; dynamic HTML legitimately changes its content on every request
+            const strip = (etag) => etag.replace(/^W\//, "");
+            if (!entry.etagValidated && conditional?.headers["etag"]) {
+              const newETag = strip(conditional.headers["etag"]) !== strip(entry.etag);
+              const sameLength =
+                resource.size > 0 &&
+                Number(conditional.headers["content-length"]) === resource.size;
+              entry.etagChanged = newETag && sameLength && resource.type !== "document";
+              entry.contentChanged = newETag && !entry.etagChanged;
+            }
+          }
 
-          if (preloadHref === scriptSrc) {
-            redundantPreloads.push({
-              preloadHref: preload.getAttribute("href"),
-              scriptSrc: script.getAttribute("src"),
-              scriptAttributes: {
-                defer: script.hasAttribute("defer"),
-                async: script.hasAttribute("async"),
-              },
+          if (entry.lastModified && !entry.etagValidated) {
+            const conditional = await this.timedFetch(entry.url, {
+              "If-Modified-Since": entry.lastModified,
             });
+            entry.lastModifiedValidated = conditional?.status === 304;
+            if (conditional && entry.lastModifiedValidated) {
+              entry.conditionalTime = conditional.duration;
+            }
           }
-        });
-      });
 
-      return redundantPreloads;
+          result.checked++;
+          if (entry.etagValidated || entry.lastModifiedValidated) {
+            // A 304 skips the encoded body on the wire and its download time
+            result.validated++;
+            entry.bytesSaved = resource.size;
+            entry.timeSaved = Math.round(resource.downloadTime || 0);
+            result.bytesSaved += entry.bytesSaved;
+            result.timeSaved += entry.timeSaved;
+          }
+          result.resources.push(entry);
+        } else if (entry.notCached && !entry.etag && !entry.lastModified) {
+          // No request needed to know these can never be revalidated
+          result.resources.push(entry);
+        }
+      }
     } catch (error) {
-      console.error("Error detecting redundant script preloads:", error);
-      return [];
+      console.error("Error analyzing conditional revalidation:", error);
     }
-  }
-
-  // Detect render-blocking scripts
-  detectBlockingScripts(scripts) {
-    try {
-      const blockingScripts = [];
 
-      // Get scripts in HEAD that don't have defer or async
-      const headScripts =
-        this.htmlStructure.head && this.htmlStructure.head.scripts
-          ? this.htmlStructure.head.scripts
-          : [];
+    return result;
+  }
 
-      headScripts.forEach((script) => {
-        const src = script.getAttribute("src");
-        const hasDefer = script.hasAttribute("defer");
-        const hasAsync = script.hasAttribute("async");
+  // Send a request past the HTTP cache and report its status, headers and time to headers
+  async timedFetch(url, headers = {}) {
+    const REQUEST_TIMEOUT = 5000; // ms, when no analysis-wide abort controller is running
 
-        // External scripts in HEAD without defer/async are render-blocking
-        if (src && src.trim().length > 0 && !hasDefer && !hasAsync) {
-          blockingScripts.push({
-            src: src,
-            position: "head",
-            recommendation:
-              "Add defer attribute for non-critical scripts or async for independent scripts",
-          });
-        }
+    try {
+      const start = performance.now();
+      // no-store keeps the browser from answering or rewriting the conditional request itself
+      const response = await fetch(url, {
+        method: "GET",
+        cache: "no-store",
+        headers,
+        signal: this.abortController?.signal || AbortSignal.timeout(REQUEST_TIMEOUT),
       });
+      const duration = Math.round(performance.now() - start);
 
-      return blockingScripts;
+      // Only the status and headers matter, so don't download a 200 body
+      if (response.body) response.body.cancel().catch(() => {});
+
+      return {
+        status: response.status,
+        headers: Object.fromEntries(
+          [...response.headers.entries()].map(([name, value]) => [name.toLowerCase(), value])
+        ),
+        duration,
+      };
     } catch (error) {
-      console.error("Error detecting blocking scripts:", error);
-      return [];
+      console.warn("Timed fetch failed:", url, error.message);
+      return null;
     }
   }
 
-  // Normalize script src for comparison (handle relative URLs, query params, etc.)
-  normalizeSrc(src) {
+  // Flag validators that never produce a 304 and uncached resources without validators
+  generateRevalidationRecommendations(revalidation) {
+    const recommendations = [];
+
     try {
-      // Remove leading/trailing whitespace
-      let normalized = src.trim();
+      const resources = revalidation?.resources || [];
+      const describe = (resource) => ({
+        url: resource.url,
+        type: resource.type,
+        etag: resource.etag,
+        lastModified: resource.lastModified,
+        bytes: resource.transferBytes,
+      });
 
-      // Convert relative URLs to absolute for comparison
-      if (normalized.startsWith("//")) {
-        normalized = window.location.protocol + normalized;
-      } else if (normalized.startsWith("/")) {
-        normalized = window.location.origin + normalized;
-      } else if (!normalized.startsWith("http://") && !normalized.startsWith("https://")) {
-        // Handle relative paths
-        const base = window.location.href.substring(0, window.location.href.lastIndexOf("/") + 1);
-        normalized = base + normalized;
+      const brokenETags = resources.filter(
+        (resource) => resource.etag && resource.etagValidated === false
+      );
+      if (brokenETags.length > 0) {
+        const perNode = brokenETags.filter((resource) => resource.etagChanged);
+        const changed = brokenETags.filter((resource) => resource.contentChanged);
+        const weak = brokenETags.filter(
+          (resource) => resource.weakETag && !resource.etagChanged && !resource.contentChanged
+        );
+        let cause = "the server ignores If-None-Match";
+        if (perNode.length > 0) {
+          cause = "the ETag changes between identical requests, so it is generated per server";
+        } else if (weak.length > 0) {
+          cause = "the server does not accept its own weak (W/) ETags";
+        } else if (changed.length === brokenETags.length) {
+          cause = "the content differs between requests, so each response gets a new ETag";
+        }
+
+        let advice =
+          "Make the origin and CDN answer matching If-None-Match requests with 304 Not Modified";
+        if (perNode.length > 0) {
+          advice =
+            "Derive ETags from the content (e.g. a hash or mtime plus size), not from inode or node IDs";
+        } else if (changed.length === brokenETags.length) {
+          advice =
+            "Keep per-request values (tokens, timestamps) out of the response so it can revalidate, or drop the ETag";
+        }
+
+        recommendations.push({
+          type: "etag-not-validating",
+          priority: changed.length === brokenETags.length ? "low" : "medium",
+          issue: `${brokenETags.length} ${
+            brokenETags.length === 1 ? "response has an ETag that" : "responses have ETags that"
+          } never return 304: ${cause}`,
+          recommendation: advice,
+          impact: `${Math.round(
+            brokenETags.reduce((sum, resource) => sum + resource.transferBytes, 0) / 1024
+          )}KB re-downloaded instead of a 304 on every revalidation`,
+          resources: brokenETags.map(describe),
+        });
       }
 
-      // Remove fragment identifiers for comparison
-      const hashIndex = normalized.indexOf("#");
-      if (hashIndex !== -1) {
-        normalized = normalized.substring(0, hashIndex);
+      const brokenLastModified = resources.filter(
+        (resource) =>
+          resource.lastModified && !resource.etag && resource.lastModifiedValidated === false
+      );
+      if (brokenLastModified.length > 0) {
+        recommendations.push({
+          type: "last-modified-not-validating",
+          priority: "low",
+          issue: `${brokenLastModified.length} ${
+            brokenLastModified.length === 1 ? "response ignores" : "responses ignore"
+          } If-Modified-Since`,
+          recommendation:
+            "Answer If-Modified-Since with 304 when the resource hasn't changed, or add a stable ETag",
+          impact: "Revalidation downloads the full body",
+          resources: brokenLastModified.map(describe),
+        });
       }
 
-      return normalized;
+      const missingValidators = resources.filter(
+        (resource) => resource.notCached && !resource.etag && !resource.lastModified
+      );
+      if (missingValidators.length > 0) {
+        recommendations.push({
+          type: "missing-validators",
+          priority: "medium",
+          issue: `${missingValidators.length} uncached ${
+            missingValidators.length === 1 ? "response has" : "responses have"
+          } no ETag or Last-Modified`,
+          recommendation:
+            "Send an ETag or Last-Modified so browsers can revalidate with a 304 instead of downloading again",
+          impact: `${Math.round(
+            missingValidators.reduce((sum, resource) => sum + resource.transferBytes, 0) / 1024
+          )}KB downloaded in full on every visit`,
+          resources: missingValidators.map(describe),
+        });
+      }
     } catch (error) {
-      console.error("Error normalizing script src:", error);
-      return src;
+      console.error("Error generating revalidation recommendations:", error);
     }
+
+    return recommendations;
   }
 
-  // Analyze link tags for validation and optimization opportunities
-  analyzeLinks(htmlStructure = null) {
+  // Analyze LCP optimization opportunities
+  analyzeLCP(htmlStructure = null) {
     try {
-      console.log("Analyzing link tags for optimization opportunities...");
-
-      // Use provided structure or fallback to live DOM analysis
-      let structure = htmlStructure || this.htmlStructure;
-
-      // If no structure available, analyze live DOM directly
-      if (!structure || !structure.head) {
-        console.log("No HTML structure available, analyzing live DOM directly...");
-        structure = this.analyzeLiveDOM();
-      }
-
-      if (!structure) {
-        console.warn("Unable to analyze links - no DOM structure available");
-        return this.getEmptyLinkAnalysis();
-      }
+      console.log("Analyzing LCP optimization opportunities...");
 
       const result = {
-        bodyLinks: [],
-        duplicatePreloads: [],
-        invalidPreloads: [],
-        redundantPreloads: [],
-        totalPreloads: 0,
-        lcpPreloadMissing: {
-          missing: false,
-          resourceUrl: null,
-        },
+        elementFound: false,
+        serverSideRendered: false,
+        elementType: null,
+        elementSelector: null,
+        preloadExists: false,
+        breakdown: calculateLCPBreakdown(),
         analysis: {
-          headLinks: 0,
-          bodyLinks: 0,
-          preloadLinks: 0,
-          prefetchLinks: 0,
-          preconnectLinks: 0,
-          dnsPrefetchLinks: 0,
-        },
-        validation: {
-          invalidRelValues: [],
-          missingCrossorigin: [],
-          inefficientPreloads: [],
-          securityIssues: [],
-          performanceIssues: [],
-          accessibilityIssues: [],
-          totalIssues: 0,
+          candidateElements: [],
           recommendations: [],
         },
       };
 
-      // Get all link elements from HTML structure with safe access
-      const headLinks = structure.head && structure.head.links ? structure.head.links : [];
-      const bodyLinks = structure.body && structure.body.links ? structure.body.links : [];
-      const allLinks = [...headLinks, ...bodyLinks];
+      // Point at the LCP sub-part that is out of proportion
+      result.analysis.recommendations.push(
+        ...this.generateLCPBreakdownRecommendations(result.breakdown)
+      );
 
-      // Update analysis counts
-      result.analysis.headLinks = headLinks.length;
-      result.analysis.bodyLinks = bodyLinks.length;
+      // Try to use the globally captured LCP element first
+      if (lcpElement && lcpElementSelector) {
+        console.log("Using globally captured LCP element:", lcpElementSelector);
 
-      // 1. Detect misplaced links (preload/prefetch in BODY)
-      result.bodyLinks = this.detectMisplacedLinks(bodyLinks);
+        result.elementFound = true;
+        result.elementSelector = lcpElementSelector;
+        result.elementType = this.determineLCPElementType(lcpElement);
+        result.serverSideRendered = this.isElementServerSideRendered(lcpElement);
+        result.preloadExists = this.checkLCPPreloadExists(lcpElement);
 
-      // 2. Detect duplicate preload links
-      const preloadLinks = allLinks.filter(
-        (link) => link.getAttribute && link.getAttribute("rel") === "preload"
-      );
-      result.analysis.preloadLinks = preloadLinks.length;
-      result.totalPreloads = preloadLinks.length;
-      result.duplicatePreloads = this.detectDuplicatePreloads(preloadLinks);
+        result.analysis.candidateElements.push({
+          element: lcpElement,
+          selector: lcpElementSelector,
+          type: result.elementType,
+          serverSideRendered: result.serverSideRendered,
+          preloadExists: result.preloadExists,
+        });
 
-      // 3. Detect invalid preload rel values
-      result.invalidPreloads = this.detectInvalidPreloads(allLinks);
+        // Add recommendations based on analysis
+        if (!result.serverSideRendered) {
+          result.analysis.recommendations.push({
+            type: "server-side-rendering",
+            priority: "high",
+            description:
+              "Consider server-side rendering the LCP element to improve loading performance",
+          });
+        }
 
-      // 4. Detect redundant preloads for defer/async scripts
-      result.redundantPreloads = this.detectRedundantPreloads(preloadLinks);
+        if (
+          !result.preloadExists &&
+          (result.elementType === "img" || result.elementType === "background-image")
+        ) {
+          result.analysis.recommendations.push({
+            type: "preload-lcp-resource",
+            priority: "high",
+            description: "Add a preload link for the LCP resource to improve loading performance",
+          });
+        }
 
-      // 5. Check if LCP element has corresponding preload
-      result.lcpPreloadMissing = this.checkLCPPreload(preloadLinks);
+        result.analysis.recommendations.push(
+          ...this.generatePriorityHintRecommendations(lcpElement)
+        );
 
-      // 6. Comprehensive link tag validation (NEW)
-      result.validation = this.validateLinkTagBestPractices(allLinks);
+        return result;
+      }
 
-      // Count other link types for analysis
-      result.analysis.prefetchLinks = allLinks.filter(
-        (link) => link.getAttribute && link.getAttribute("rel") === "prefetch"
-      ).length;
+      // Fallback: Try to find LCP candidates from DOM
+      console.log("No globally captured LCP element, analyzing DOM for candidates...");
 
-      result.analysis.preconnectLinks = allLinks.filter(
-        (link) => link.getAttribute && link.getAttribute("rel") === "preconnect"
-      ).length;
+      const candidates = this.findLCPCandidates();
+      if (candidates.length > 0) {
+        const topCandidate = candidates[0]; // Use the first/most likely candidate
+
+        result.elementFound = true;
+        result.elementSelector = this.generateElementSelector(topCandidate);
+        result.elementType = this.determineLCPElementType(topCandidate);
+        result.serverSideRendered = this.isElementServerSideRendered(topCandidate);
+        result.preloadExists = this.checkLCPPreloadExists(topCandidate);
+
+        result.analysis.candidateElements = candidates.map((el) => ({
+          element: el,
+          selector: this.generateElementSelector(el),
+          type: this.determineLCPElementType(el),
+          serverSideRendered: this.isElementServerSideRendered(el),
+          preloadExists: this.checkLCPPreloadExists(el),
+        }));
 
-      result.analysis.dnsPrefetchLinks = allLinks.filter(
-        (link) => link.getAttribute && link.getAttribute("rel") === "dns-prefetch"
-      ).length;
+        console.log(
+          `Found ${candidates.length} LCP candidates, using top candidate:`,
+          result.elementSelector
+        );
+
+        result.analysis.recommendations.push(
+          ...this.generatePriorityHintRecommendations(topCandidate)
+        );
+      }
 
-      console.log("Link analysis complete:", result);
       return result;
     } catch (error) {
-      console.error("Error analyzing links:", error);
-      return {
-        bodyLinks: [],
-        duplicatePreloads: [],
-        invalidPreloads: [],
-        redundantPreloads: [],
-        totalPreloads: 0,
-        lcpPreloadMissing: {
-          missing: false,
-          resourceUrl: null,
-        },
-        analysis: {
-          headLinks: 0,
-          bodyLinks: 0,
-          preloadLinks: 0,
-          prefetchLinks: 0,
-          preconnectLinks: 0,
-          dnsPrefetchLinks: 0,
-        },
-        validation: {
-          invalidRelValues: [],
-          missingCrossorigin: [],
-          inefficientPreloads: [],
-          securityIssues: [],
-          performanceIssues: [],
-          accessibilityIssues: [],
-          totalIssues: 0,
-          recommendations: [],
-        },
-        error: error.message,
-      };
+      console.error("Error analyzing LCP:", error);
+      return this.getEmptyLCPData();
     }
   }
 
-  // Detect misplaced preload/prefetch links in BODY
-  detectMisplacedLinks(bodyLinks) {
-    const misplacedLinks = [];
+  // Generate recommendations for LCP sub-parts that exceed their typical share
+  generateLCPBreakdownRecommendations(breakdown) {
+    const recommendations = [];
 
     try {
-      bodyLinks.forEach((link) => {
-        if (!link.getAttribute) return;
+      if (!breakdown || !breakdown.total) return recommendations;
 
-        const rel = link.getAttribute("rel");
-        const href = link.getAttribute("href");
+      const share = (value) => value / breakdown.total;
+      const ms = (value) => `${Math.round(value * 1000)}ms`;
+      const MIN_PHASE_DURATION = 0.1; // seconds, ignore phases too small to act on
 
-        // Check for preload, prefetch, preconnect, dns-prefetch in body
-        if (["preload", "prefetch", "preconnect", "dns-prefetch"].includes(rel)) {
-          misplacedLinks.push({
-            href: href || "unknown",
-            rel: rel,
-            reason: `${rel} link should be in HEAD for optimal performance`,
-          });
-        }
-      });
+      if (share(breakdown.ttfb) > 0.4 && breakdown.ttfb > CWV_THRESHOLDS.TTFB.good) {
+        recommendations.push({
+          type: "lcp-ttfb",
+          priority: "high",
+          phase: "ttfb",
+          duration: breakdown.ttfb,
+          description: `Server response (TTFB) takes ${ms(breakdown.ttfb)}, ${Math.round(
+            share(breakdown.ttfb) * 100
+          )}% of LCP. Improve server response time and caching before optimizing the LCP resource`,
+        });
+      }
 
-      console.log(`Found ${misplacedLinks.length} misplaced links in BODY`);
-      return misplacedLinks.map((link) => link.href);
+      if (
+        share(breakdown.resourceLoadDelay) > 0.1 &&
+        breakdown.resourceLoadDelay > MIN_PHASE_DURATION
+      ) {
+        recommendations.push({
+          type: "lcp-resource-load-delay",
+          priority: "high",
+          phase: "resourceLoadDelay",
+          duration: breakdown.resourceLoadDelay,
+          description: `The LCP resource starts loading ${ms(
+            breakdown.resourceLoadDelay
+          )} after the first byte. Make it discoverable in the HTML and add fetchpriority="high" or a preload`,
+        });
+      }
+
+      if (
+        share(breakdown.resourceLoadDuration) > 0.4 &&
+        breakdown.resourceLoadDuration > MIN_PHASE_DURATION
+      ) {
+        recommendations.push({
+          type: "lcp-resource-load-duration",
+          priority: "medium",
+          phase: "resourceLoadDuration",
+          duration: breakdown.resourceLoadDuration,
+          description: `Downloading the LCP resource takes ${ms(
+            breakdown.resourceLoadDuration
+          )}. Reduce its size with modern formats and compression, or serve it from a CDN`,
+        });
+      }
+
+      if (
+        share(breakdown.elementRenderDelay) > 0.1 &&
+        breakdown.elementRenderDelay > MIN_PHASE_DURATION
+      ) {
+        recommendations.push({
+          type: "lcp-element-render-delay",
+          priority: "high",
+          phase: "elementRenderDelay",
+          duration: breakdown.elementRenderDelay,
+          description: `The LCP element renders ${ms(
+            breakdown.elementRenderDelay
+          )} after its resource is available. Remove render-blocking CSS/JS and avoid rendering it client-side`,
+        });
+      }
     } catch (error) {
-      console.error("Error detecting misplaced links:", error);
-      return [];
+      console.error("Error generating LCP breakdown recommendations:", error);
     }
+
+    return recommendations;
   }
 
-  // Detect duplicate preload links
-  detectDuplicatePreloads(preloadLinks) {
-    const duplicates = [];
-    const seenHrefs = new Map();
+  // Find potential LCP candidate elements
+  findLCPCandidates() {
+    const candidates = [];
 
     try {
-      preloadLinks.forEach((link) => {
-        if (!link.getAttribute) return;
+      // Look for large images above the fold
+      const images = document.querySelectorAll("img");
+      images.forEach((img) => {
+        const rect = img.getBoundingClientRect();
+        const isAboveFold = rect.top < window.innerHeight;
+        const isLarge = rect.width * rect.height > 10000; // Arbitrary threshold for "large"
 
-        const href = link.getAttribute("href");
-        if (!href) return;
+        if (isAboveFold && isLarge && img.src) {
+          candidates.push(img);
+        }
+      });
 
-        // Normalize href for comparison
-        const normalizedHref = this.normalizeUrl(href);
+      // Look for elements with large background images above the fold
+      const elementsWithBg = this.findBackgroundImageElements(document.body);
+      elementsWithBg.forEach(({ element }) => {
+        const rect = element.getBoundingClientRect();
+        const isAboveFold = rect.top < window.innerHeight;
+        const isLarge = rect.width * rect.height > 10000;
 
-        if (seenHrefs.has(normalizedHref)) {
-          // This is a duplicate
-          duplicates.push(href);
-          seenHrefs.get(normalizedHref).count++;
-        } else {
-          seenHrefs.set(normalizedHref, {
-            originalHref: href,
-            count: 1,
-          });
+        if (isAboveFold && isLarge) {
+          candidates.push(element);
         }
       });
 
-      console.log(`Found ${duplicates.length} duplicate preload links`);
-      return duplicates;
-    } catch (error) {
-      console.error("Error detecting duplicate preloads:", error);
-      return [];
-    }
-  }
-
-  // Detect invalid preload rel values
-  detectInvalidPreloads(allLinks) {
-    const invalidPreloads = [];
+      // Look for large text blocks (potential LCP text)
+      const textElements = document.querySelectorAll("h1, h2, p, div");
+      textElements.forEach((el) => {
+        const rect = el.getBoundingClientRect();
+        const isAboveFold = rect.top < window.innerHeight;
+        const hasSignificantText = el.textContent && el.textContent.trim().length > 50;
+        const isLarge = rect.width * rect.height > 5000;
 
-    try {
-      allLinks.forEach((link) => {
-        if (!link.getAttribute) return;
+        if (isAboveFold && hasSignificantText && isLarge) {
+          candidates.push(el);
+        }
+      });
 
-        const rel = link.getAttribute("rel");
-        const href = link.getAttribute("href");
-        const as = link.getAttribute("as");
+      // Sort candidates by size (largest first)
+      candidates.sort((a, b) => {
+        const aRect = a.getBoundingClientRect();
+        const bRect = b.getBoundingClientRect();
+        const aSize = aRect.width * aRect.height;
+        const bSize = bRect.width * bRect.height;
+        return bSize - aSize;
+      });
+    } catch (error) {
+      console.error("Error finding LCP candidates:", error);
+    }
 
-        // Check if it's a preload link
-        if (rel === "preload") {
-          // Validate 'as' attribute for preload links
-          const validAsValues = [
-            "audio",
-            "document",
-            "embed",
-            "fetch",
-            "font",
-            "image",
-            "object",
-            "script",
-            "style",
-            "track",
-            "video",
-            "worker",
-          ];
+    return candidates;
+  }
 
-          if (!as) {
-            invalidPreloads.push({
-              href: href || "unknown",
-              reason: 'Preload link missing required "as" attribute',
-            });
-          } else if (!validAsValues.includes(as)) {
-            invalidPreloads.push({
-              href: href || "unknown",
-              reason: `Invalid "as" value: "${as}". Valid values: ${validAsValues.join(", ")}`,
-            });
-          }
+  // Determine the type of LCP element
+  determineLCPElementType(element) {
+    if (!element) return null;
 
-          // Check for font preloads without crossorigin
-          if (as === "font" && !link.getAttribute("crossorigin")) {
-            invalidPreloads.push({
-              href: href || "unknown",
-              reason: 'Font preload should include crossorigin="anonymous" attribute',
-            });
-          }
-        }
-      });
+    const tagName = element.tagName.toLowerCase();
 
-      console.log(`Found ${invalidPreloads.length} invalid preload links`);
-      return invalidPreloads.map((invalid) => invalid.href);
-    } catch (error) {
-      console.error("Error detecting invalid preloads:", error);
-      return [];
+    if (tagName === "img") {
+      return "img";
+    } else if (tagName === "video") {
+      return "video";
+    } else {
+      // Check for background image
+      const computedStyle = window.getComputedStyle(element);
+      const backgroundImage = computedStyle.backgroundImage;
+      if (backgroundImage && backgroundImage !== "none" && backgroundImage.includes("url(")) {
+        return "background-image";
+      }
     }
+
+    return "text-block";
   }
 
-  // Detect redundant preloads for scripts already marked with defer/async
-  detectRedundantPreloads(preloadLinks) {
-    const redundantPreloads = [];
+  // Check if element is server-side rendered
+  isElementServerSideRendered(element) {
+    if (!element) return false;
 
     try {
-      if (!this.htmlStructure || !this.htmlStructure.all) {
-        return redundantPreloads;
-      }
+      // Check if element has content immediately available (not loaded via JS)
+      // This is a heuristic - elements present in initial HTML are likely SSR
+      const hasInitialContent =
+        element.textContent || element.src || (element.style && element.style.backgroundImage);
+
+      // Check if element is not dynamically created
+      const isNotDynamic =
+        !element.hasAttribute("data-dynamic") &&
+        !element.classList.contains("dynamic") &&
+        !element.classList.contains("lazy");
+
+      return hasInitialContent && isNotDynamic;
+    } catch (error) {
+      console.error("Error checking server-side rendering:", error);
+      return false;
+    }
+  }
 
-      // Get all script elements
-      const allScripts = this.htmlStructure.all.scripts || [];
+  // Check if LCP resource has a preload link
+  checkLCPPreloadExists(element) {
+    return this.findLCPPreloadLink(element) !== null;
+  }
 
-      // Create a map of script sources with their loading attributes
-      const scriptMap = new Map();
-      allScripts.forEach((script) => {
-        if (!script.getAttribute) return;
+  // Find the preload link for the LCP element's resource, if any
+  findLCPPreloadLink(element) {
+    if (!element) return null;
 
-        const src = script.getAttribute("src");
-        if (src) {
-          const normalizedSrc = this.normalizeUrl(src);
-          const hasDefer = script.hasAttribute("defer");
-          const hasAsync = script.hasAttribute("async");
+    try {
+      let resourceUrl = null;
 
-          scriptMap.set(normalizedSrc, {
-            src: src,
-            defer: hasDefer,
-            async: hasAsync,
-            optimized: hasDefer || hasAsync,
-          });
+      // Get resource URL based on element type
+      if (element.tagName.toLowerCase() === "img") {
+        resourceUrl = element.src;
+      } else {
+        // Check for background image
+        const computedStyle = window.getComputedStyle(element);
+        const backgroundImage = computedStyle.backgroundImage;
+        if (backgroundImage && backgroundImage.includes("url(")) {
+          const urlMatch = backgroundImage.match(/url\(['"]?([^'"]+)['"]?\)/);
+          if (urlMatch && urlMatch[1]) {
+            resourceUrl = urlMatch[1];
+          }
         }
-      });
-
-      // Check preload links against script map
-      preloadLinks.forEach((link) => {
-        if (!link.getAttribute) return;
-
-        const href = link.getAttribute("href");
-        const as = link.getAttribute("as");
+      }
 
-        if (href && as === "script") {
-          const normalizedHref = this.normalizeUrl(href);
-          const scriptInfo = scriptMap.get(normalizedHref);
+      if (!resourceUrl) return null;
 
-          if (scriptInfo && scriptInfo.optimized) {
-            redundantPreloads.push({
-              href: href,
-              reason: `Script already optimized with ${
-                scriptInfo.defer ? "defer" : "async"
-              } attribute`,
-            });
-          }
+      // Check if there's a preload link for this resource
+      const preloadLinks = document.querySelectorAll('link[rel="preload"]');
+      for (const link of preloadLinks) {
+        if (link.href === resourceUrl || link.href.includes(resourceUrl)) {
+          return link;
         }
-      });
+      }
 
-      console.log(`Found ${redundantPreloads.length} redundant preload links`);
-      return redundantPreloads.map((redundant) => redundant.href);
+      return null;
     } catch (error) {
-      console.error("Error detecting redundant preloads:", error);
-      return [];
+      console.error("Error checking LCP preload:", error);
+      return null;
     }
   }
 
-  // Check if LCP element has corresponding preload in HEAD
-  checkLCPPreload(preloadLinks) {
+  // Analyze CSS loading patterns and optimization opportunities
+  analyzeCSS(htmlStructure = null) {
     try {
-      // This method will be enhanced when LCP analysis is implemented
-      // For now, return a placeholder structure
-
-      const result = {
-        missing: false,
-        resourceUrl: null,
-        analysis: {
-          lcpElementFound: false,
-          lcpElementType: null,
-          preloadExists: false,
-          recommendation: null,
-        },
-      };
+      console.log("Analyzing CSS loading patterns and optimization opportunities...");
 
-      // TODO: This will be implemented when LCP analysis (task 4) is integrated
-      // For now, we'll check if there are any image preloads as a basic check
-      const imagePreloads = preloadLinks.filter((link) => {
-        if (!link.getAttribute) return false;
-        return link.getAttribute("as") === "image";
-      });
+      // Use provided structure or fallback to live DOM analysis
+      let structure = htmlStructure || this.htmlStructure;
 
-      result.analysis.preloadExists = imagePreloads.length > 0;
+      // If no structure available, analyze live DOM directly
+      if (!structure || !structure.head) {
+        console.log("No HTML structure available, analyzing live DOM directly...");
+        structure = this.analyzeLiveDOM();
+      }
 
-      if (imagePreloads.length === 0) {
-        result.missing = true;
-        result.analysis.recommendation = "Consider adding preload for LCP image if identified";
+      if (!structure || !structure.head) {
+        console.warn("Unable to analyze CSS - no DOM structure available");
+        return this.getEmptyCSSAnalysis();
       }
 
-      console.log("LCP preload check complete:", result);
-      return result;
-    } catch (error) {
-      console.error("Error checking LCP preload:", error);
-      return {
-        missing: false,
-        resourceUrl: null,
+      const results = {
+        stylesheets: [],
+        totalStylesheets: 0,
+        misplacedCount: 0,
+        duplicateCount: 0,
         analysis: {
-          lcpElementFound: false,
-          lcpElementType: null,
-          preloadExists: false,
-          recommendation: null,
+          headStylesheets: [],
+          bodyStylesheets: [],
+          duplicates: [],
+          recommendations: [],
+        },
+        metadata: {
+          analysisTimestamp: Date.now(),
+          url: window.location.href,
         },
-        error: error.message,
       };
-    }
-  }
 
-  // Comprehensive link tag validation with best practices checking
-  validateLinkTagBestPractices(allLinks) {
-    try {
-      console.log("Performing comprehensive link tag validation...");
+      // Get all stylesheet links from the parsed HTML structure
+      const allLinks = [...(structure.head.links || []), ...(structure.body.links || [])];
 
-      const validationResults = {
-        invalidRelValues: [],
-        missingCrossorigin: [],
-        inefficientPreloads: [],
-        securityIssues: [],
-        performanceIssues: [],
-        accessibilityIssues: [],
-        totalIssues: 0,
-        recommendations: [],
-      };
+      console.log(`CSS Analysis Debug: Found ${allLinks.length} total links`);
+      console.log(
+        `Head links: ${structure.head && structure.head.links ? structure.head.links.length : 0}`
+      );
+      console.log(
+        `Body links: ${structure.body && structure.body.links ? structure.body.links.length : 0}`
+      );
 
-      allLinks.forEach((link) => {
-        if (!link.getAttribute) return;
+      // Debug: Log first few links to see their structure
+      if (allLinks.length > 0) {
+        console.log(
+          "Sample links:",
+          allLinks.slice(0, 3).map((link) => ({
+            tagName: link.tagName,
+            rel: link.getAttribute ? link.getAttribute("rel") : "no getAttribute method",
+            href: link.getAttribute ? link.getAttribute("href") : "no getAttribute method",
+          }))
+        );
+      }
 
+      // Filter for stylesheet links
+      const stylesheetLinks = allLinks.filter((link) => {
+        if (!link.getAttribute) {
+          console.log("Link without getAttribute method:", link);
+          return false;
+        }
         const rel = link.getAttribute("rel");
-        const href = link.getAttribute("href");
-        const as = link.getAttribute("as");
-        const crossorigin = link.getAttribute("crossorigin");
-        const type = link.getAttribute("type");
-        const media = link.getAttribute("media");
-
-        // 1. Validate rel attribute values
-        const relValidation = this.validateRelAttribute(rel, as, href);
-        if (!relValidation.isValid) {
-          validationResults.invalidRelValues.push({
-            href: href || "unknown",
-            rel: rel,
-            issue: relValidation.issue,
-            recommendation: relValidation.recommendation,
-          });
+        const isStylesheet = rel && rel.toLowerCase().includes("stylesheet");
+        if (rel) {
+          console.log(`Link rel="${rel}", isStylesheet=${isStylesheet}`);
         }
+        return isStylesheet;
+      });
 
-        // 2. Check for missing crossorigin on font preloads
-        if (rel === "preload" && as === "font" && !crossorigin) {
-          validationResults.missingCrossorigin.push({
-            href: href || "unknown",
-            issue: "Font preload missing crossorigin attribute",
-            recommendation: 'Add crossorigin="anonymous" for proper CORS handling',
-          });
-        }
+      console.log(`CSS Analysis Debug: Found ${stylesheetLinks.length} stylesheet links`);
+      results.totalStylesheets = stylesheetLinks.length;
 
-        // 3. Check for inefficient preload usage
-        const preloadEfficiency = this.validatePreloadEfficiency(rel, as, type, href);
-        if (!preloadEfficiency.isEfficient) {
-          validationResults.inefficientPreloads.push({
-            href: href || "unknown",
-            issue: preloadEfficiency.issue,
-            recommendation: preloadEfficiency.recommendation,
-          });
+      // Analyze each stylesheet
+      const seenHrefs = new Map();
+
+      stylesheetLinks.forEach((link, index) => {
+        const href = link.getAttribute("href");
+        const media = link.getAttribute("media") || "all";
+        const type = link.getAttribute("type") || "text/css";
+        const disabled = link.hasAttribute("disabled");
+
+        // Determine placement (HEAD vs BODY) with safe access
+        const headLinks = structure.head && structure.head.links ? structure.head.links : [];
+        const isInHead = headLinks.includes(link);
+        const placement = isInHead ? "head" : "body";
+
+        if (!isInHead) {
+          results.misplacedCount++;
         }
 
-        // 4. Security validation
-        const securityValidation = this.validateLinkSecurity(rel, href, crossorigin);
-        if (securityValidation.hasIssues) {
-          validationResults.securityIssues.push({
-            href: href || "unknown",
-            issue: securityValidation.issue,
-            severity: securityValidation.severity,
-            recommendation: securityValidation.recommendation,
-          });
+        // Check for duplicates
+        let isDuplicate = false;
+        if (href) {
+          const normalizedHref = this.normalizeUrl(href);
+          if (seenHrefs.has(normalizedHref)) {
+            isDuplicate = true;
+            results.duplicateCount++;
+            results.analysis.duplicates.push({
+              href: href,
+              normalizedHref: normalizedHref,
+              firstOccurrence: seenHrefs.get(normalizedHref).index,
+              currentIndex: index,
+            });
+          } else {
+            seenHrefs.set(normalizedHref, {
+              href: href,
+              index: index,
+            });
+          }
         }
 
-        // 5. Performance validation
-        const performanceValidation = this.validateLinkPerformance(rel, as, media, href);
-        if (performanceValidation.hasIssues) {
-          validationResults.performanceIssues.push({
-            href: href || "unknown",
-            issue: performanceValidation.issue,
-            impact: performanceValidation.impact,
-            recommendation: performanceValidation.recommendation,
-          });
-        }
+        // Create stylesheet entry
+        const stylesheetEntry = {
+          href: href || `inline-${index}`,
+          media: media,
+          type: type,
+          placement: placement,
+          isDuplicate: isDuplicate,
+          disabled: disabled,
+          index: index,
+        };
 
-        // 6. Accessibility validation
-        const accessibilityValidation = this.validateLinkAccessibility(rel, type, href);
-        if (accessibilityValidation.hasIssues) {
-          validationResults.accessibilityIssues.push({
-            href: href || "unknown",
-            issue: accessibilityValidation.issue,
-            recommendation: accessibilityValidation.recommendation,
-          });
+        results.stylesheets.push(stylesheetEntry);
+
+        // Categorize by placement
+        if (isInHead) {
+          results.analysis.headStylesheets.push(stylesheetEntry);
+        } else {
+          results.analysis.bodyStylesheets.push(stylesheetEntry);
         }
       });
 
-      // Calculate total issues and generate overall recommendations
-      validationResults.totalIssues =
-        validationResults.invalidRelValues.length +
-        validationResults.missingCrossorigin.length +
-        validationResults.inefficientPreloads.length +
-        validationResults.securityIssues.length +
-        validationResults.performanceIssues.length +
-        validationResults.accessibilityIssues.length;
+      // Rules whose selectors match nothing in the current DOM
+      results.unusedCSS = this.detectUnusedCSS();
 
-      validationResults.recommendations =
-        this.generateLinkOptimizationRecommendations(validationResults);
+      // Unused bytes per stylesheet from an opt-in coverage run
+      results.coverage = this.coverageData ? this.coverageData.stylesheets : null;
 
-      console.log(`Link validation complete: ${validationResults.totalIssues} issues found`);
-      return validationResults;
+      // Generate recommendations based on analysis
+      results.analysis.recommendations = this.generateCSSRecommendations(results);
+
+      console.log(`CSS analysis complete: ${results.totalStylesheets} stylesheets analyzed`);
+      console.log(
+        `Found ${results.misplacedCount} misplaced and ${results.duplicateCount} duplicate stylesheets`
+      );
+
+      return results;
     } catch (error) {
-      console.error("Error in comprehensive link validation:", error);
+      console.error("Error analyzing CSS:", error);
       return {
-        invalidRelValues: [],
-        missingCrossorigin: [],
-        inefficientPreloads: [],
-        securityIssues: [],
-        performanceIssues: [],
-        accessibilityIssues: [],
-        totalIssues: 0,
-        recommendations: [],
+        stylesheets: [],
+        totalStylesheets: 0,
+        misplacedCount: 0,
+        duplicateCount: 0,
+        analysis: {
+          headStylesheets: [],
+          bodyStylesheets: [],
+          duplicates: [],
+          recommendations: [],
+        },
+        metadata: {
+          analysisTimestamp: Date.now(),
+          url: window.location.href,
+        },
         error: error.message,
       };
     }
   }
 
-  // Validate rel attribute values
-  validateRelAttribute(rel, as, href) {
-    const validRelValues = [
-      "alternate",
-      "author",
-      "bookmark",
-      "canonical",
-      "dns-prefetch",
-      "external",
-      "help",
-      "icon",
-      "license",
-      "manifest",
-      "modulepreload",
-      "next",
-      "nofollow",
-      "noopener",
-      "noreferrer",
-      "opener",
-      "pingback",
-      "preconnect",
-      "prefetch",
-      "preload",
-      "prev",
-      "search",
-      "shortlink",
-      "stylesheet",
-      "tag",
-    ];
+  // Generate CSS optimization recommendations
+  generateCSSRecommendations(cssResults) {
+    const recommendations = [];
 
-    if (!rel) {
-      return {
-        isValid: false,
-        issue: "Missing rel attribute",
-        recommendation: "Add appropriate rel attribute to define link relationship",
-      };
+    // Recommendation for misplaced stylesheets
+    if (cssResults.misplacedCount > 0) {
+      recommendations.push({
+        type: "placement",
+        priority: "high",
+        issue: `${cssResults.misplacedCount} stylesheet(s) found in BODY instead of HEAD`,
+        impact: "Render-blocking resources in BODY can cause layout shifts and delayed rendering",
+        recommendation: "Move all stylesheet links to the HEAD section for optimal loading",
+        affectedStylesheets: cssResults.analysis.bodyStylesheets.map((s) => s.href),
+      });
     }
 
-    // Split multiple rel values
-    const relValues = rel.toLowerCase().split(/\s+/);
+    // Recommendation for duplicate stylesheets
+    if (cssResults.duplicateCount > 0) {
+      recommendations.push({
+        type: "duplicates",
+        priority: "medium",
+        issue: `${cssResults.duplicateCount} duplicate stylesheet(s) detected`,
+        impact: "Duplicate stylesheets increase bandwidth usage and parsing time",
+        recommendation: "Remove duplicate stylesheet references to improve loading performance",
+        affectedStylesheets: cssResults.analysis.duplicates.map((d) => d.href),
+      });
+    }
 
-    for (const relValue of relValues) {
-      if (!validRelValues.includes(relValue)) {
-        return {
-          isValid: false,
-          issue: `Invalid rel value: "${relValue}"`,
-          recommendation: `Use valid rel values: ${validRelValues.join(", ")}`,
-        };
-      }
+    // Recommendation for CSS optimization opportunities
+    const totalStylesheets = cssResults.totalStylesheets;
+    if (totalStylesheets > 10) {
+      recommendations.push({
+        type: "optimization",
+        priority: "medium",
+        issue: `High number of stylesheets (${totalStylesheets}) may impact performance`,
+        impact: "Multiple CSS files increase HTTP requests and can delay rendering",
+        recommendation: "Consider concatenating and minifying CSS files to reduce HTTP requests",
+        affectedStylesheets: cssResults.stylesheets.map((s) => s.href),
+      });
     }
 
-    // Special validation for preload
-    if (relValues.includes("preload")) {
-      if (!as) {
-        return {
-          isValid: false,
-          issue: 'Preload link missing required "as" attribute',
-          recommendation: 'Add "as" attribute to specify resource type for preload',
+    // Recommendation for media query optimization
+    const mediaSpecificSheets = cssResults.stylesheets.filter(
+      (s) => s.media && s.media !== "all" && s.media !== "screen"
+    );
+    if (mediaSpecificSheets.length > 0) {
+      recommendations.push({
+        type: "media-queries",
+        priority: "low",
+        issue: `${mediaSpecificSheets.length} stylesheet(s) with specific media queries`,
+        impact: "Media-specific stylesheets are still downloaded even when not applicable",
+        recommendation:
+          "Consider using CSS @media rules within stylesheets instead of separate files",
+        affectedStylesheets: mediaSpecificSheets.map((s) => s.href),
+      });
+    }
+
+    // Recommendation for unused CSS rules; coverage from the debugger is preferred when available
+    const UNUSED_BYTES_THRESHOLD = 2048; // Ignore sheets where the unused part is negligible
+    const coverageSheets = (cssResults.coverage || []).filter(
+      (sheet) => sheet.unusedBytes >= UNUSED_BYTES_THRESHOLD && sheet.unusedPercent >= 25
+    );
+    const unusedSheets = (cssResults.unusedCSS?.stylesheets || []).filter(
+      (sheet) => sheet.unusedBytes >= UNUSED_BYTES_THRESHOLD && sheet.unusedPercent >= 25
+    );
+    if (coverageSheets.length > 0) {
+      const unusedKB = Math.round(
+        coverageSheets.reduce((sum, sheet) => sum + sheet.unusedBytes, 0) / 1024
+      );
+      recommendations.push({
+        type: "unused-css-coverage",
+        priority: unusedKB >= 50 ? "high" : unusedKB >= 10 ? "medium" : "low",
+        issue: `Coverage found ~${unusedKB}KB of CSS rules that were never used during page load`,
+        impact: "Unused rules are downloaded and parsed before the page can render",
+        recommendation:
+          "Inline the critical rules and load the rest per page or on demand; rules for states reached only after interaction are reported too, so check before deleting",
+        affectedStylesheets: coverageSheets.map((sheet) => sheet.url),
+        unusedStylesheets: coverageSheets,
+      });
+    } else if (unusedSheets.length > 0) {
+      const unusedBytes = unusedSheets.reduce((sum, sheet) => sum + sheet.unusedBytes, 0);
+      const unusedKB = Math.round(unusedBytes / 1024);
+      recommendations.push({
+        type: "unused-css",
+        priority: unusedKB >= 50 ? "high" : unusedKB >= 10 ? "medium" : "low",
+        issue: `~${unusedKB}KB of CSS rules match nothing on this page (${unusedSheets
+          .map((sheet) => `${sheet.href.split("/").pop() || sheet.href}: ${sheet.unusedPercent}%`)
+          .join(", ")})`,
+        impact: "Unused rules are downloaded and parsed before the page can render",
+        recommendation:
+          "Remove dead rules or split page-specific CSS into separate files; rules for states reached only after interaction (menus, modals) are reported too, so check before deleting",
+        affectedStylesheets: unusedSheets.map((sheet) => sheet.href),
+        unusedStylesheets: unusedSheets,
+      });
+    }
+
+    // Large @media blocks that don't match (print, other breakpoints) can move to their own file
+    const otherMediaSheets = (cssResults.unusedCSS?.stylesheets || []).filter(
+      (sheet) => sheet.nonMatchingMediaBytes >= UNUSED_BYTES_THRESHOLD
+    );
+    if (otherMediaSheets.length > 0) {
+      const otherMediaKB = Math.round(
+        otherMediaSheets.reduce((sum, sheet) => sum + sheet.nonMatchingMediaBytes, 0) / 1024
+      );
+      recommendations.push({
+        type: "css-other-media",
+        priority: "low",
+        issue: `~${otherMediaKB}KB of CSS only applies to other media (${otherMediaSheets
+          .map(
+            (sheet) =>
+              `${sheet.href.split("/").pop() || sheet.href}: ${Math.round(
+                sheet.nonMatchingMediaBytes / 1024
+              )}KB`
+          )
+          .join(", ")})`,
+        impact: "Stylesheets for non-matching media are fetched at low priority and don't block rendering",
+        recommendation:
+          'Split these @media blocks into separate files loaded with <link rel="stylesheet" media="...">',
+        affectedStylesheets: otherMediaSheets.map((sheet) => sheet.href),
+      });
+    }
+
+    // General best practices recommendation
+    if (recommendations.length === 0) {
+      recommendations.push({
+        type: "best-practices",
+        priority: "info",
+        issue: "No critical CSS issues detected",
+        impact: "CSS loading appears to be well-optimized",
+        recommendation: "Consider implementing critical CSS inlining for above-the-fold content",
+        affectedStylesheets: [],
+      });
+    }
+
+    return recommendations;
+  }
+
+  // Walk readable stylesheets and test each rule's selectors against the live DOM
+  detectUnusedCSS() {
+    const MAX_RULES = 20000; // Bound the walk on very large stylesheets
+    const result = {
+      supported: true,
+      stylesheets: [],
+      skippedStylesheets: [],
+      totalBytes: 0,
+      unusedBytes: 0,
+      nonMatchingMediaBytes: 0,
+      rulesChecked: 0,
+      truncated: false,
+    };
+
+    try {
+      const selectorCache = new Map(); // Frameworks repeat selectors across rules
+      const isSelectorUsed = (selector) => {
+        if (!selectorCache.has(selector)) {
+          selectorCache.set(selector, this.isSelectorUsed(selector));
+        }
+        return selectorCache.get(selector);
+      };
+
+      const visitSheet = (sheet, label) => {
+        let rules;
+        try {
+          rules = sheet.cssRules;
+        } catch (error) {
+          // Cross-origin stylesheets without CORS can't be read
+          result.skippedStylesheets.push({ href: label, reason: "cross-origin" });
+          return;
+        }
+        if (!rules) return;
+
+        const stats = {
+          href: label,
+          totalRules: 0,
+          unusedRules: 0,
+          totalBytes: 0,
+          unusedBytes: 0,
+          nonMatchingMediaBytes: 0,
+          unusedSelectors: [],
         };
-      }
 
-      const validAsValues = [
-        "audio",
-        "document",
-        "embed",
-        "fetch",
-        "font",
-        "image",
-        "object",
-        "script",
-        "style",
-        "track",
-        "video",
-        "worker",
-      ];
+        const visitRules = (ruleList, mediaMatches) => {
+          Array.from(ruleList).forEach((rule) => {
+            if (result.rulesChecked >= MAX_RULES) {
+              result.truncated = true;
+              return;
+            }
+
+            if (rule instanceof CSSImportRule) {
+              if (rule.styleSheet) visitSheet(rule.styleSheet, rule.styleSheet.href || rule.href);
+              return;
+            }
+
+            if (rule instanceof CSSMediaRule) {
+              // Selectors match regardless of media, but rules for other media are worth knowing
+              const matches = mediaMatches && window.matchMedia(rule.media.mediaText).matches;
+              if (!matches && mediaMatches) {
+                stats.nonMatchingMediaBytes += rule.cssText.length;
+              }
+              visitRules(rule.cssRules, matches);
+              return;
+            }
+
+            if (rule instanceof CSSStyleRule) {
+              result.rulesChecked++;
+              stats.totalRules++;
+              const bytes = rule.cssText.length;
+              const used = this.splitSelectorList(rule.selectorText).some(isSelectorUsed);
+              if (!used) {
+                stats.unusedRules++;
+                stats.unusedBytes += bytes;
+                if (stats.unusedSelectors.length < 10) {
+                  stats.unusedSelectors.push(rule.selectorText);
+                }
+              }
+              return;
+            }
 
-      if (!validAsValues.includes(as)) {
-        return {
-          isValid: false,
-          issue: `Invalid "as" value for preload: "${as}"`,
-          recommendation: `Use valid "as" values: ${validAsValues.join(", ")}`,
+            // @supports, @layer and @container blocks
+            if (rule.cssRules && !(rule instanceof CSSKeyframesRule)) {
+              visitRules(rule.cssRules, mediaMatches);
+            }
+          });
         };
-      }
-    }
 
-    return { isValid: true };
-  }
+        visitRules(rules, true);
+
+        // Sizes come from the serialized rules, so they approximate the minified source
+        stats.totalBytes = Array.from(rules).reduce((sum, rule) => sum + rule.cssText.length, 0);
+        stats.unusedPercent = stats.totalBytes
+          ? Math.round((stats.unusedBytes / stats.totalBytes) * 100)
+          : 0;
+        result.totalBytes += stats.totalBytes;
+        result.unusedBytes += stats.unusedBytes;
+        result.nonMatchingMediaBytes += stats.nonMatchingMediaBytes;
+        result.stylesheets.push(stats);
+      };
 
-  // Validate preload efficiency
-  validatePreloadEfficiency(rel, as, type, href) {
-    if (rel !== "preload") {
-      return { isEfficient: true };
+      Array.from(document.styleSheets).forEach((sheet, index) => {
+        visitSheet(sheet, sheet.href || `inline <style> #${index + 1}`);
+      });
+
+      result.stylesheets.sort((a, b) => b.unusedBytes - a.unusedBytes);
+      return result;
+    } catch (error) {
+      console.error("Error detecting unused CSS:", error);
+      return { ...result, supported: false, error: error.message };
     }
+  }
 
-    // Check for unnecessary preloads
-    if (as === "script") {
-      // Check if this script is already optimized with defer/async
-      // This check is already done in detectRedundantPreloads, but we include it here for completeness
-      return {
-        isEfficient: true, // Will be caught by redundant preload detection
-      };
+  // Split a selector list on top-level commas, keeping :is()/:not() arguments intact
+  splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let current = "";
+
+    for (const char of selectorText) {
+      if (char === "(" || char === "[") depth++;
+      if (char === ")" || char === "]") depth--;
+
+      if (char === "," && depth === 0) {
+        selectors.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) selectors.push(current.trim());
+
+    return selectors;
+  }
+
+  // Check whether a single selector matches any element, ignoring interaction state
+  isSelectorUsed(selector) {
+    // Pseudo-elements and states like :hover style elements that exist now, so test the element
+    const STATE_PSEUDO_PATTERN = /::?[-\w]+(\([^)]*\))?(?=[^\w-]|$)/g;
+    const DYNAMIC_PSEUDOS = new Set([
+      "hover",
+      "active",
+      "focus",
+      "focus-visible",
+      "focus-within",
+      "visited",
+      "target",
+      "placeholder-shown",
+      "autofill",
+      "-webkit-autofill",
+      "user-invalid",
+      "user-valid",
+      "before",
+      "after",
+      "first-line",
+      "first-letter",
+    ]);
+
+    const baseSelector = selector.replace(STATE_PSEUDO_PATTERN, (pseudo) => {
+      const name = pseudo.replace(/^::?/, "").replace(/\(.*$/, "").toLowerCase();
+      // Pseudo-elements (::x) never match querySelector; legacy single-colon ones are listed
+      return pseudo.startsWith("::") || DYNAMIC_PSEUDOS.has(name) ? "" : pseudo;
+    });
+
+    try {
+      // Nothing left (e.g. "::selection") or a dangling combinator means the rule applies broadly
+      const trimmed = baseSelector.trim().replace(/[>+~]\s*$/, "").trim();
+      return document.querySelector(trimmed || "*") !== null;
+    } catch (error) {
+      // Vendor-prefixed or unsupported syntax: assume used rather than report a false positive
+      return true;
     }
+  }
 
-    // Check for overly aggressive preloading
-    if (as === "image" && href) {
-      try {
-        const url = new URL(href, window.location.href);
-        const fileExtension = url.pathname.split(".").pop().toLowerCase();
+  // Analyze resources that actually blocked rendering, using resource timing renderBlockingStatus
+  analyzeRenderBlocking() {
+    try {
+      console.log("Analyzing render-blocking resources...");
 
-        // Warn about preloading large image formats without optimization
-        if (["bmp", "tiff", "tif"].includes(fileExtension)) {
-          return {
-            isEfficient: false,
-            issue: "Preloading unoptimized image format",
-            recommendation: "Consider using WebP, AVIF, or optimized JPEG/PNG formats",
-          };
-        }
-      } catch (error) {
-        // URL parsing failed, skip this check
+      const entries = resourceTimingCollector ? resourceTimingCollector.getEntries() : [];
+      if (!FCPTime) {
+        FCPTime = readFCPFromPaintEntries();
       }
-    }
+      const fcp = FCPTime * 1000;
 
-    // Check for preloading resources that might not be critical
-    if (as === "font" && !href.includes("woff")) {
-      return {
-        isEfficient: false,
-        issue: "Preloading non-WOFF font format",
-        recommendation: "Consider using WOFF2 format for better compression and performance",
+      const results = {
+        supported: entries.some((entry) => entry.renderBlockingStatus !== null),
+        fcp: FCPTime || null,
+        blockingCount: 0,
+        totalEstimatedSavings: 0,
+        resources: [],
+        analysis: {
+          recommendations: [],
+        },
       };
+
+      if (!results.supported) {
+        results.reason = "renderBlockingStatus is not exposed by this browser";
+        return results;
+      }
+
+      // Only resources requested by the initial document can be render-blocking
+      const blocking = entries
+        .filter((entry) => entry.renderBlockingStatus === "blocking")
+        .sort((a, b) => a.responseEnd - b.responseEnd);
+      results.blockingCount = blocking.length;
+
+      // Credit each resource only for the time it alone kept rendering blocked, so overlapping
+      // downloads aren't counted twice; the savings add up to the blocked time before FCP
+      let coveredUntil = 0;
+      blocking.forEach((entry) => {
+        const end = fcp > 0 ? Math.min(entry.responseEnd, fcp) : entry.responseEnd;
+        const exclusiveStart = Math.max(entry.startTime, coveredUntil);
+        const estimatedSavings = Math.max(0, end - exclusiveStart);
+        coveredUntil = Math.max(coveredUntil, end);
+
+        results.resources.push({
+          url: entry.url,
+          resourceType: this.getRenderBlockingResourceType(entry),
+          initiatorType: entry.initiatorType,
+          startTime: Math.round(entry.startTime),
+          responseEnd: Math.round(entry.responseEnd),
+          duration: Math.round(entry.duration),
+          transferSize: entry.transferSize,
+          finishedBeforeFCP: fcp > 0 ? entry.responseEnd <= fcp : null,
+          estimatedSavings: Math.round(estimatedSavings),
+        });
+      });
+
+      results.totalEstimatedSavings = results.resources.reduce(
+        (sum, resource) => sum + resource.estimatedSavings,
+        0
+      );
+      results.analysis.recommendations = this.generateRenderBlockingRecommendations(
+        results.resources
+      );
+
+      console.log("Render-blocking analysis completed:", results);
+      return results;
+    } catch (error) {
+      console.error("Error analyzing render-blocking resources:", error);
+      return this.getEmptyRenderBlockingData();
     }
+  }
 
-    return { isEfficient: true };
+  // Classify a render-blocking resource as a stylesheet, script or other resource
+  getRenderBlockingResourceType(entry) {
+    const path = entry.url.split("?")[0].toLowerCase();
+    if (entry.initiatorType === "script" || path.endsWith(".js") || path.endsWith(".mjs")) {
+      return "script";
+    }
+    if (entry.initiatorType === "css" || entry.initiatorType === "link" || path.endsWith(".css")) {
+      return "stylesheet";
+    }
+    return "other";
   }
 
-  // Validate link security
-  validateLinkSecurity(rel, href, crossorigin) {
-    const result = {
-      hasIssues: false,
-      issue: null,
-      severity: "low",
-      recommendation: null,
+  // Generate recommendations for render-blocking resources, largest savings first
+  generateRenderBlockingRecommendations(resources) {
+    const MAX_RECOMMENDATIONS = 10;
+    const MIN_SAVINGS = 20; // ms, below this the resource isn't worth flagging
+
+    const advice = {
+      script: "Add defer (or async for independent scripts), or move the script out of the head",
+      stylesheet:
+        "Inline the critical CSS and load the rest with a media query or rel=preload swap",
+      other: "Load this resource without blocking the first render",
     };
 
-    if (!href) return result;
+    return resources
+      .filter((resource) => resource.estimatedSavings >= MIN_SAVINGS)
+      .sort((a, b) => b.estimatedSavings - a.estimatedSavings)
+      .slice(0, MAX_RECOMMENDATIONS)
+      .map((resource) => {
+        let priority = "low";
+        if (resource.estimatedSavings >= 300) {
+          priority = "high";
+        } else if (resource.estimatedSavings >= 100) {
+          priority = "medium";
+        }
 
+        return {
+          type: "render-blocking-resource",
+          priority: priority,
+          issue: `Render-blocking ${resource.resourceType} ${resource.url} held up the first paint`,
+          recommendation: advice[resource.resourceType],
+          impact: `Estimated FCP improvement: ~${resource.estimatedSavings}ms`,
+          url: resource.url,
+          resourceType: resource.resourceType,
+          estimatedSavings: resource.estimatedSavings,
+        };
+      });
+  }
+
+  // Audit rendered images for oversized files, legacy formats, missing dimensions and srcset/sizes
+  analyzeImages() {
     try {
-      const url = new URL(href, window.location.href);
+      console.log("Analyzing images...");
 
-      // Check for external resources without proper security attributes
-      if (url.origin !== window.location.origin) {
-        // External preconnect without proper attributes
-        if (rel === "preconnect" && !crossorigin) {
-          result.hasIssues = true;
-          result.issue = "External preconnect without crossorigin attribute";
-          result.severity = "medium";
-          result.recommendation = "Add crossorigin attribute for external preconnect links";
+      const OVERSIZE_RATIO = 1.5; // Natural pixels beyond rendered size x DPR before flagging
+      const SIZES_MISMATCH_RATIO = 0.6; // Rendered width below this share of 100vw needs sizes
+      const LEGACY_FORMAT_SAVINGS = { jpeg: 0.3, png: 0.45, gif: 0.5, bmp: 0.9 }; // vs WebP/AVIF
+
+      const dpr = window.devicePixelRatio || 1;
+      const viewportWidth = window.innerWidth || document.documentElement.clientWidth;
+      const entriesByUrl = new Map();
+      (resourceTimingCollector ? resourceTimingCollector.getEntries() : []).forEach((entry) => {
+        entriesByUrl.set(entry.url, entry);
+      });
+
+      const results = {
+        devicePixelRatio: dpr,
+        totalImages: 0,
+        auditedImages: 0,
+        offenderCount: 0,
+        totalEstimatedSavings: 0,
+        images: [],
+        analysis: {
+          recommendations: [],
+        },
+      };
+      this.imageOffenders = [];
+
+      Array.from(document.images).forEach((img) => {
+        results.totalImages++;
+
+        const url = img.currentSrc || img.src;
+        if (!url || url.startsWith("data:") || !img.complete || !img.naturalWidth) return;
+
+        const rect = img.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return; // Hidden images aren't rendered
+
+        results.auditedImages++;
+        const entry = entriesByUrl.get(url);
+        const bytes = entry ? entry.encodedBodySize || entry.transferSize || null : null;
+        const format = this.detectImageFormat(url, entry);
+        const issues = [];
+        let remainingBytes = bytes;
+
+        // Oversized: natural size larger than needed for the rendered size on this screen
+        const neededWidth = Math.ceil(rect.width * dpr);
+        const neededHeight = Math.ceil(rect.height * dpr);
+        if (img.naturalWidth > neededWidth * OVERSIZE_RATIO && format !== "svg") {
+          const pixelRatio = (neededWidth * neededHeight) / (img.naturalWidth * img.naturalHeight);
+          issues.push({
+            type: "oversized",
+            detail: `${img.naturalWidth}x${img.naturalHeight} for ${neededWidth}x${neededHeight} device px`,
+            estimatedSavings: bytes ? Math.round(bytes * (1 - pixelRatio)) : null,
+          });
+          if (bytes) remainingBytes = Math.round(bytes * pixelRatio);
         }
 
-        // External font preload without crossorigin
-        if (rel === "preload" && href.includes("font") && !crossorigin) {
-          result.hasIssues = true;
-          result.issue = "External font preload without crossorigin attribute";
-          result.severity = "high";
-          result.recommendation = 'Add crossorigin="anonymous" for external font preloads';
+        // Legacy format: JPEG/PNG/GIF instead of WebP or AVIF
+        if (LEGACY_FORMAT_SAVINGS[format]) {
+          issues.push({
+            type: "legacy-format",
+            detail: `${format.toUpperCase()} instead of WebP/AVIF`,
+            estimatedSavings: remainingBytes
+              ? Math.round(remainingBytes * LEGACY_FORMAT_SAVINGS[format])
+              : null,
+          });
         }
 
-        // HTTP resources on HTTPS pages
-        if (window.location.protocol === "https:" && url.protocol === "http:") {
-          result.hasIssues = true;
-          result.issue = "Mixed content: HTTP resource on HTTPS page";
-          result.severity = "high";
-          result.recommendation = "Use HTTPS URLs to avoid mixed content issues";
+        // Missing dimensions: no width/height attributes and no CSS aspect-ratio (CLS risk)
+        const hasDimensions = img.hasAttribute("width") && img.hasAttribute("height");
+        const aspectRatio = window.getComputedStyle(img).aspectRatio;
+        if (!hasDimensions && (!aspectRatio || aspectRatio === "auto")) {
+          issues.push({
+            type: "missing-dimensions",
+            detail: "No width/height attributes, so no space is reserved before it loads",
+            estimatedSavings: 0,
+          });
         }
-      }
 
-      return result;
+        // srcset/sizes: missing for oversized images, or sizes that don't match the layout
+        const srcsetIssue = this.checkImageSrcset(img, neededWidth, viewportWidth, {
+          oversized: issues.some((issue) => issue.type === "oversized"),
+          renderedWidth: rect.width,
+          sizesMismatchRatio: SIZES_MISMATCH_RATIO,
+        });
+        if (srcsetIssue) {
+          issues.push(srcsetIssue);
+        }
+
+        if (issues.length === 0) return;
+
+        const estimatedSavings = issues.reduce(
+          (sum, issue) => sum + (issue.estimatedSavings || 0),
+          0
+        );
+        const selector = generateElementSelector(img);
+        results.images.push({
+          selector: selector,
+          url: url,
+          format: format,
+          bytes: bytes,
+          naturalWidth: img.naturalWidth,
+          naturalHeight: img.naturalHeight,
+          renderedWidth: Math.round(rect.width),
+          renderedHeight: Math.round(rect.height),
+          aboveFold: this.isElementAboveInitialFold(img),
+          issues: issues,
+          estimatedSavings: estimatedSavings,
+        });
+        this.imageOffenders.push({ element: img, issues: issues.map((issue) => issue.type) });
+      });
+
+      results.images.sort((a, b) => b.estimatedSavings - a.estimatedSavings);
+      results.offenderCount = results.images.length;
+      results.totalEstimatedSavings = results.images.reduce(
+        (sum, image) => sum + image.estimatedSavings,
+        0
+      );
+      results.analysis.recommendations = this.generateImageRecommendations(results.images);
+
+      console.log("Image analysis completed:", results);
+      return results;
     } catch (error) {
-      // URL parsing failed
-      result.hasIssues = true;
-      result.issue = "Invalid URL format";
-      result.severity = "medium";
-      result.recommendation = "Ensure URL is properly formatted";
-      return result;
+      console.error("Error analyzing images:", error);
+      return this.getEmptyImageData();
     }
   }
 
-  // Validate link performance impact
-  validateLinkPerformance(rel, as, media, href) {
-    const result = {
-      hasIssues: false,
-      issue: null,
-      impact: "low",
-      recommendation: null,
-    };
+  // Detect an image format from the response content type, falling back to the URL extension
+  detectImageFormat(url, entry) {
+    const contentType = entry && entry.contentType ? entry.contentType.toLowerCase() : "";
+    let source = contentType;
 
-    // Check for unused media queries
-    if (rel === "stylesheet" && media && media !== "all" && media !== "screen") {
-      // This is a basic check - in a real implementation, you'd want to evaluate the media query
-      if (media.includes("print") && !media.includes("screen")) {
-        result.hasIssues = true;
-        result.issue = "Print-only stylesheet loaded on screen";
-        result.impact = "medium";
-        result.recommendation = "Consider loading print stylesheets only when needed";
-      }
+    // Without a content type, trust only the file extension
+    if (!source) {
+      const match = url
+        .split(/[?#]/)[0]
+        .toLowerCase()
+        .match(/\.(avif|webp|svg|jpe?g|png|gif|bmp)$/);
+      source = match ? match[1] : "";
+    }
+
+    if (/avif/.test(source)) return "avif";
+    if (/webp/.test(source)) return "webp";
+    if (/svg/.test(source)) return "svg";
+    if (/jpe?g/.test(source)) return "jpeg";
+    if (/png/.test(source)) return "png";
+    if (/gif/.test(source)) return "gif";
+    if (/bmp/.test(source)) return "bmp";
+    return "unknown";
+  }
+
+  // Check srcset/sizes against the rendered width
+  checkImageSrcset(img, neededWidth, viewportWidth, options) {
+    const srcset = img.getAttribute("srcset");
+    const sizes = img.getAttribute("sizes");
+
+    if (!srcset) {
+      return options.oversized
+        ? {
+            type: "missing-srcset",
+            detail: "No srcset, so every screen downloads the same large file",
+            estimatedSavings: 0,
+          }
+        : null;
     }
 
-    // Check for excessive preloading
-    if (rel === "preload") {
-      // Count total preloads (this would need to be tracked globally)
-      // For now, we'll just flag potential issues
-      if (as === "image" && href) {
-        try {
-          const url = new URL(href, window.location.href);
-          // Check for very large query parameters (might indicate dynamic/personalized content)
-          if (url.search.length > 100) {
-            result.hasIssues = true;
-            result.issue = "Preloading resource with complex query parameters";
-            result.impact = "medium";
-            result.recommendation =
-              "Verify that preloaded resource is truly critical and cacheable";
-          }
-        } catch (error) {
-          // URL parsing failed, skip this check
-        }
+    // Width descriptors without sizes make the browser assume the image spans 100vw
+    const usesWidthDescriptors = /\s\d+w\s*(,|$)/.test(srcset);
+    const narrowerThanViewport =
+      options.renderedWidth < viewportWidth * options.sizesMismatchRatio;
+    if (usesWidthDescriptors && !sizes && narrowerThanViewport) {
+      return {
+        type: "missing-sizes",
+        detail: "srcset uses w descriptors without sizes, so the browser assumes 100vw",
+        estimatedSavings: 0,
+      };
+    }
+
+    // The browser picked a candidate much larger than a smaller one that would have sufficed
+    if (usesWidthDescriptors && options.oversized) {
+      const candidateWidths = srcset
+        .split(",")
+        .map((candidate) => parseInt((candidate.trim().match(/\s(\d+)w$/) || [])[1], 10))
+        .filter((width) => !isNaN(width))
+        .sort((a, b) => a - b);
+      const bestFit = candidateWidths.find((width) => width >= neededWidth);
+      if (bestFit && img.naturalWidth > bestFit) {
+        return {
+          type: "incorrect-sizes",
+          detail: `sizes selects a ${img.naturalWidth}w candidate where ${bestFit}w would do`,
+          estimatedSavings: 0,
+        };
       }
     }
 
-    return result;
+    return null;
   }
 
-  // Validate link accessibility
-  validateLinkAccessibility(rel, type, href) {
-    const result = {
-      hasIssues: false,
-      issue: null,
-      recommendation: null,
+  // Generate per-image recommendations, largest savings first
+  generateImageRecommendations(images) {
+    const MAX_RECOMMENDATIONS = 15;
+    const advice = {
+      oversized: "resize it to the rendered size",
+      "legacy-format": "serve WebP or AVIF",
+      "missing-dimensions": "add width and height attributes",
+      "missing-srcset": "add srcset with several widths",
+      "missing-sizes": "add a sizes attribute matching the layout",
+      "incorrect-sizes": "fix sizes so it matches the rendered width",
     };
 
-    // Check for missing type attribute on stylesheets
-    if (rel === "stylesheet" && !type) {
-      result.hasIssues = true;
-      result.issue = "Stylesheet missing type attribute";
-      result.recommendation =
-        'Add type="text/css" for better accessibility and standards compliance';
-    }
+    return images.slice(0, MAX_RECOMMENDATIONS).map((image) => {
+      const savingsKB = Math.round(image.estimatedSavings / 1024);
+      let priority = "low";
+      if (savingsKB >= 100) {
+        priority = "high";
+      } else if (
+        savingsKB >= 25 ||
+        (image.aboveFold && image.issues.some((issue) => issue.type === "missing-dimensions"))
+      ) {
+        priority = "medium";
+      }
 
-    // Check for icon links without proper sizing information
-    if (rel === "icon" && href && !href.includes("svg")) {
-      // For raster icons, sizes attribute is recommended
-      // This would need access to the actual link element to check for sizes attribute
-      // For now, we'll provide a general recommendation
-    }
+      const fileName = image.url.split(/[?#]/)[0].split("/").pop() || image.url;
+      const actions = image.issues.map((issue) => advice[issue.type]);
 
-    return result;
+      return {
+        type: "image-optimization",
+        priority: priority,
+        issue: `${fileName}: ${image.issues.map((issue) => issue.detail).join("; ")}`,
+        recommendation: actions.join(", ").replace(/^./, (first) => first.toUpperCase()),
+        impact:
+          image.estimatedSavings > 0
+            ? `Estimated savings: ~${savingsKB}KB`
+            : "Prevents layout shifts and wasted downloads",
+        selector: image.selector,
+        url: image.url,
+        estimatedSavings: image.estimatedSavings,
+        issues: image.issues.map((issue) => issue.type),
+      };
+    });
   }
 
-  // Generate optimization recommendations based on validation results
-  generateLinkOptimizationRecommendations(validationResults) {
-    const recommendations = [];
+  // Audit loading="lazy" and decoding="async" on images and iframes against the fold
+  analyzeLazyLoading() {
+    try {
+      console.log("Analyzing lazy-loading...");
 
-    // High-priority recommendations
-    if (validationResults.securityIssues.length > 0) {
-      recommendations.push({
-        priority: "high",
-        category: "security",
-        message: `Fix ${validationResults.securityIssues.length} security issues with external links`,
-        action: "Add proper crossorigin and security attributes",
-      });
-    }
+      const results = {
+        totalElements: 0,
+        lazyAboveFold: 0,
+        eagerBelowFold: 0,
+        missingDecodingAsync: 0,
+        lcpElementLazy: false,
+        viewportScrolled: (window.pageYOffset || document.documentElement.scrollTop) > 0,
+        elements: [],
+        analysis: {
+          recommendations: [],
+        },
+      };
 
-    if (validationResults.missingCrossorigin.length > 0) {
-      recommendations.push({
-        priority: "high",
-        category: "performance",
-        message: `Add crossorigin attributes to ${validationResults.missingCrossorigin.length} font preloads`,
-        action: 'Add crossorigin="anonymous" to font preload links',
+      const entriesByUrl = new Map();
+      (resourceTimingCollector ? resourceTimingCollector.getEntries() : []).forEach((entry) => {
+        entriesByUrl.set(entry.url, entry);
       });
-    }
 
-    // Medium-priority recommendations
-    if (validationResults.invalidRelValues.length > 0) {
-      recommendations.push({
-        priority: "medium",
-        category: "standards",
-        message: `Fix ${validationResults.invalidRelValues.length} invalid rel attribute values`,
-        action: "Use valid HTML5 rel attribute values",
+      const candidates = [
+        ...Array.from(document.images),
+        ...Array.from(document.querySelectorAll("iframe")),
+      ];
+
+      candidates.forEach((element) => {
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return; // Hidden elements aren't rendered
+
+        const url = element.currentSrc || element.src || "";
+        if (!url || url.startsWith("data:") || url.startsWith("about:")) return;
+
+        results.totalElements++;
+        const tagName = element.tagName.toLowerCase();
+        const loading = (element.getAttribute("loading") || "").toLowerCase();
+        const isLazy = loading === "lazy";
+        const isLCPElement = element === lcpElement;
+        const aboveFold = this.isElementAboveInitialFold(element);
+        const issues = [];
+
+        if (isLazy && aboveFold) {
+          issues.push("lazy-above-fold");
+          results.lazyAboveFold++;
+          if (isLCPElement) results.lcpElementLazy = true;
+        } else if (!isLazy && !aboveFold && !isLCPElement) {
+          issues.push("eager-below-fold");
+          results.eagerBelowFold++;
+        }
+
+        // The LCP image is left alone: async decoding can delay its first paint
+        const decoding = (element.getAttribute("decoding") || "").toLowerCase();
+        if (tagName === "img" && decoding !== "async" && !isLCPElement) {
+          issues.push("missing-decoding-async");
+          results.missingDecodingAsync++;
+        }
+
+        if (issues.length === 0) return;
+
+        const entry = entriesByUrl.get(url);
+        results.elements.push({
+          selector: generateElementSelector(element),
+          tagName: tagName,
+          url: url,
+          loading: loading || null,
+          decoding: decoding || null,
+          aboveFold: aboveFold,
+          isLCPElement: isLCPElement,
+          bytes: entry ? entry.transferSize || entry.encodedBodySize || null : null,
+          issues: issues,
+        });
       });
+
+      results.analysis.recommendations = this.generateLazyLoadingRecommendations(results);
+
+      console.log("Lazy-loading analysis completed:", results);
+      return results;
+    } catch (error) {
+      console.error("Error analyzing lazy-loading:", error);
+      return this.getEmptyLazyLoadingData();
     }
+  }
 
-    if (validationResults.inefficientPreloads.length > 0) {
+  // Generate lazy-loading recommendations; lazy above-fold elements are listed individually
+  generateLazyLoadingRecommendations(results) {
+    const MAX_EAGER_RECOMMENDATIONS = 10;
+    const recommendations = [];
+    const withIssue = (type) => results.elements.filter((element) => element.issues.includes(type));
+
+    withIssue("lazy-above-fold").forEach((element) => {
       recommendations.push({
-        priority: "medium",
-        category: "performance",
-        message: `Optimize ${validationResults.inefficientPreloads.length} inefficient preloads`,
-        action: "Review preload strategy and resource formats",
+        type: "lazy-above-fold",
+        priority: element.isLCPElement ? "high" : "medium",
+        issue: element.isLCPElement
+          ? `The LCP ${element.tagName} ${element.selector} has loading="lazy"`
+          : `Above-the-fold ${element.tagName} ${element.selector} has loading="lazy"`,
+        recommendation:
+          'Remove loading="lazy" so the browser requests it during parsing instead of after layout',
+        impact: element.isLCPElement
+          ? "Removes the layout wait before the LCP resource is requested"
+          : "Visible content appears sooner",
+        selector: element.selector,
+        url: element.url,
+        isLCPElement: element.isLCPElement,
       });
-    }
+    });
 
-    // Low-priority recommendations
-    if (validationResults.performanceIssues.length > 0) {
-      recommendations.push({
-        priority: "low",
-        category: "optimization",
-        message: `Address ${validationResults.performanceIssues.length} performance optimization opportunities`,
-        action: "Review media queries and resource loading patterns",
+    // Iframes first, then the heaviest images
+    withIssue("eager-below-fold")
+      .sort(
+        (a, b) =>
+          (b.tagName === "iframe") - (a.tagName === "iframe") || (b.bytes || 0) - (a.bytes || 0)
+      )
+      .slice(0, MAX_EAGER_RECOMMENDATIONS)
+      .forEach((element) => {
+        recommendations.push({
+          type: "eager-below-fold",
+          priority: element.tagName === "iframe" ? "medium" : "low",
+          issue: `Below-the-fold ${element.tagName} ${element.selector} loads eagerly${
+            element.bytes ? ` (${Math.round(element.bytes / 1024)}KB)` : ""
+          }`,
+          recommendation: 'Add loading="lazy" so it is only fetched when scrolled near',
+          impact: "Less bandwidth and main-thread work competing with above-the-fold content",
+          selector: element.selector,
+          url: element.url,
+          bytes: element.bytes,
+        });
       });
-    }
 
-    if (validationResults.accessibilityIssues.length > 0) {
+    const missingDecoding = withIssue("missing-decoding-async");
+    if (missingDecoding.length > 0) {
       recommendations.push({
+        type: "missing-decoding-async",
         priority: "low",
-        category: "accessibility",
-        message: `Improve ${validationResults.accessibilityIssues.length} accessibility issues`,
-        action: "Add missing type attributes and improve semantic markup",
+        issue: `${missingDecoding.length} image${
+          missingDecoding.length === 1 ? "" : "s"
+        } without decoding="async"`,
+        recommendation:
+          'Add decoding="async" to non-LCP images so decoding does not block other content from rendering',
+        impact: "Smoother rendering while images decode",
+        selectors: missingDecoding.map((element) => element.selector),
       });
     }
 
     return recommendations;
   }
 
-  // Normalize URL for comparison (helper method)
-  normalizeUrl(url) {
+  // Analyze web fonts: font-display, preloads for above-the-fold text, load timing and swap shifts
+  analyzeFonts() {
     try {
-      if (!url) return "";
+      console.log("Analyzing web fonts...");
 
-      // Handle relative URLs
-      if (url.startsWith("//")) {
-        url = window.location.protocol + url;
-      } else if (url.startsWith("/")) {
-        url = window.location.origin + url;
-      } else if (!url.startsWith("http")) {
-        // Relative path
-        const base = window.location.href.substring(0, window.location.href.lastIndexOf("/") + 1);
-        url = base + url;
-      }
+      const FONT_SWAP_WINDOW = 200; // ms after a font arrives in which a shift is blamed on it
 
-      // Create URL object for normalization
-      const urlObj = new URL(url);
+      const results = {
+        supported: !!document.fonts,
+        totalFontFaces: 0,
+        loadedFontFaces: 0,
+        inaccessibleStylesheets: 0,
+        fontFaces: [],
+        resources: [],
+        aboveFoldFamilies: [],
+        preloadsWithoutCrossorigin: [],
+        swapShifts: [],
+        analysis: {
+          recommendations: [],
+        },
+      };
 
-      // Remove fragment and normalize
-      urlObj.hash = "";
+      if (!results.supported) {
+        results.reason = "document.fonts is not available in this browser";
+        return results;
+      }
+
+      if (!FCPTime) {
+        FCPTime = readFCPFromPaintEntries();
+      }
+
+      // @font-face rules give us the font URLs; cross-origin stylesheets (e.g. Google Fonts) can't
+      // be read, but their faces still show up in document.fonts
+      const ruleScan = this.collectFontFaceRules();
+      results.inaccessibleStylesheets = ruleScan.inaccessibleStylesheets;
+
+      const preloadLinks = Array.from(document.querySelectorAll('link[rel="preload"][as="font"]'));
+      const preloadedUrls = new Set(preloadLinks.map((link) => link.href));
+      results.preloadsWithoutCrossorigin = preloadLinks
+        .filter((link) => !link.hasAttribute("crossorigin"))
+        .map((link) => link.href);
+
+      // Font downloads from resource timing
+      const entries = resourceTimingCollector ? resourceTimingCollector.getEntries() : [];
+      results.resources = entries
+        .filter((entry) => this.getFontFormat(entry.url, entry.contentType) !== null)
+        .map((entry) => ({
+          url: entry.url,
+          format: this.getFontFormat(entry.url, entry.contentType),
+          initiatorType: entry.initiatorType,
+          startTime: Math.round(entry.startTime),
+          responseEnd: Math.round(entry.responseEnd),
+          duration: Math.round(entry.duration),
+          transferSize: entry.transferSize,
+          preloaded: preloadedUrls.has(entry.url),
+          afterFCP: FCPTime > 0 && entry.responseEnd > FCPTime * 1000,
+        }));
 
-      return urlObj.href.toLowerCase();
+      // Font faces from document.fonts, matched to their @font-face rule where readable
+      document.fonts.forEach((fontFace) => {
+        const family = this.normalizeFontFamily(fontFace.family);
+        const weight = this.normalizeFontWeight(fontFace.weight);
+        const style = fontFace.style || "normal";
+        const rule =
+          ruleScan.rules.find(
+            (candidate) =>
+              candidate.family === family &&
+              candidate.weight === weight &&
+              candidate.style === style
+          ) || ruleScan.rules.find((candidate) => candidate.family === family);
+        const urls = rule ? rule.urls : [];
+
+        results.totalFontFaces++;
+        if (fontFace.status === "loaded") results.loadedFontFaces++;
+
+        results.fontFaces.push({
+          family: family,
+          weight: weight,
+          style: style,
+          status: fontFace.status,
+          display: fontFace.display || (rule && rule.display) || "auto",
+          urls: urls,
+          resource: results.resources.find((resource) => urls.includes(resource.url)) || null,
+        });
+      });
+
+      const webFontFamilies = new Set(results.fontFaces.map((face) => face.family));
+
+      // Families used by visible text, and whether any of their files is preloaded
+      const aboveFold = this.findAboveFoldFontFamilies(webFontFamilies);
+      aboveFold.forEach((selector, family) => {
+        const faces = results.fontFaces.filter(
+          (face) => face.family === family && face.status === "loaded"
+        );
+        const urls = faces.flatMap((face) => face.urls);
+        const resources = faces.map((face) => face.resource).filter(Boolean);
+
+        results.aboveFoldFamilies.push({
+          family: family,
+          selector: selector,
+          urls: urls,
+          // Unknown when the @font-face rule lives in a stylesheet we can't read
+          preloaded: urls.length > 0 ? urls.some((url) => preloadedUrls.has(url)) : null,
+          display: faces.length > 0 ? faces[0].display : "auto",
+          responseEnd: resources.length
+            ? Math.max(...resources.map((resource) => resource.responseEnd))
+            : null,
+        });
+      });
+
+      // Layout shifts that happened just after a font arrived, in text set in that font
+      const shiftSources = clsObserverInstance ? clsObserverInstance.getLayoutShiftSources() : [];
+      const countedShifts = new Set();
+      shiftSources.forEach((source) => {
+        const element =
+          source.node.nodeType === Node.ELEMENT_NODE ? source.node : source.node.parentElement;
+        if (!element) return;
+
+        const family = this.getPrimaryWebFontFamily(element, webFontFamilies);
+        if (!family) return;
+
+        const familyUrls = results.fontFaces
+          .filter((face) => face.family === family)
+          .flatMap((face) => face.urls);
+        const font = results.resources
+          .filter(
+            (resource) =>
+              (familyUrls.length === 0 || familyUrls.includes(resource.url)) &&
+              source.startTime >= resource.responseEnd &&
+              source.startTime - resource.responseEnd <= FONT_SWAP_WINDOW
+          )
+          .sort((a, b) => b.responseEnd - a.responseEnd)[0];
+        if (!font) return;
+
+        // Every source of a shift entry carries the entry's value, so count each entry once
+        const key = `${family}|${source.startTime}`;
+        if (countedShifts.has(key)) return;
+        countedShifts.add(key);
+
+        let swapShift = results.swapShifts.find((shift) => shift.family === family);
+        if (!swapShift) {
+          swapShift = { family: family, url: font.url, value: 0, shifts: 0, selectors: [] };
+          results.swapShifts.push(swapShift);
+        }
+        swapShift.value += source.value;
+        swapShift.shifts++;
+        swapShift.selectors.push(generateElementSelector(element));
+      });
+      results.swapShifts.forEach((shift) => {
+        shift.value = Math.round(shift.value * 10000) / 10000;
+        shift.selectors = [...new Set(shift.selectors)];
+      });
+
+      results.analysis.recommendations = this.generateFontRecommendations(
+        results,
+        ruleScan.hasMetricOverrides
+      );
+
+      console.log("Font analysis completed:", results);
+      return results;
     } catch (error) {
-      console.error("Error normalizing URL:", error);
-      return url.toLowerCase();
+      console.error("Error analyzing fonts:", error);
+      return this.getEmptyFontData();
     }
   }
 
-  // Analyze cache optimization opportunities
-  async analyzeCache() {
-    try {
-      console.log("Analyzing cache optimization opportunities...");
+  // Collect @font-face rules from every readable stylesheet, including imports and nested rules
+  collectFontFaceRules() {
+    const result = { rules: [], inaccessibleStylesheets: 0, hasMetricOverrides: false };
+    const METRIC_OVERRIDES = ["size-adjust", "ascent-override", "descent-override"];
 
-      // Use the cache analysis results from the main analysis flow if available
-      if (
-        this.analysisResults &&
-        this.analysisResults.cache &&
-        Object.keys(this.analysisResults.cache).length > 0
-      ) {
-        console.log("Using existing cache analysis results");
-        return this.analysisResults.cache;
-      }
+    const visitRules = (rules, baseUrl) => {
+      Array.from(rules).forEach((rule) => {
+        if (rule instanceof CSSFontFaceRule) {
+          const src = rule.style.getPropertyValue("src");
+          const urls = Array.from(src.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g))
+            .map((match) => match[2])
+            .filter((url) => !url.startsWith("data:"))
+            .map((url) => new URL(url, baseUrl).href);
 
-      // If no existing results, perform cache analysis
-      console.log("Performing new cache analysis...");
+          if (METRIC_OVERRIDES.some((name) => rule.style.getPropertyValue(name))) {
+            result.hasMetricOverrides = true;
+          }
 
-      // Use the response headers that were fetched during HTML fetch
-      const cacheResults = await this.analyzeCacheHeaders(this.responseHeaders);
+          result.rules.push({
+            family: this.normalizeFontFamily(rule.style.getPropertyValue("font-family")),
+            weight: this.normalizeFontWeight(rule.style.getPropertyValue("font-weight")),
+            style: rule.style.getPropertyValue("font-style") || "normal",
+            display: rule.style.getPropertyValue("font-display") || "auto",
+            urls: urls,
+          });
+        } else if (rule instanceof CSSImportRule) {
+          if (rule.styleSheet) visitSheet(rule.styleSheet);
+        } else if (rule.cssRules) {
+          // @media, @supports and @layer blocks
+          visitRules(rule.cssRules, baseUrl);
+        }
+      });
+    };
 
-      console.log("Cache analysis completed:", cacheResults);
-      return cacheResults;
+    const visitSheet = (sheet) => {
+      let rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (error) {
+        result.inaccessibleStylesheets++; // Cross-origin stylesheet without CORS
+        return;
+      }
+      if (rules) visitRules(rules, sheet.href || window.location.href);
+    };
+
+    try {
+      Array.from(document.styleSheets).forEach(visitSheet);
     } catch (error) {
-      console.error("Error analyzing cache:", error);
-      return this.getEmptyCacheData();
+      console.error("Error collecting @font-face rules:", error);
     }
-  }
 
-  // Analyze LCP optimization opportunities
-  analyzeLCP(htmlStructure = null) {
-    try {
-      console.log("Analyzing LCP optimization opportunities...");
+    return result;
+  }
 
-      const result = {
-        elementFound: false,
-        serverSideRendered: false,
-        elementType: null,
-        elementSelector: null,
-        preloadExists: false,
-        analysis: {
-          candidateElements: [],
-          recommendations: [],
-        },
-      };
+  // Find the web font families used by text above the fold, with a selector for the first use
+  findAboveFoldFontFamilies(webFontFamilies) {
+    const MAX_TEXT_NODES = 2000; // Bound the walk on very long pages
+    const families = new Map();
 
-      // Try to use the globally captured LCP element first
-      if (lcpElement && lcpElementSelector) {
-        console.log("Using globally captured LCP element:", lcpElementSelector);
+    try {
+      if (webFontFamilies.size === 0 || !document.body) return families;
 
-        result.elementFound = true;
-        result.elementSelector = lcpElementSelector;
-        result.elementType = this.determineLCPElementType(lcpElement);
-        result.serverSideRendered = this.isElementServerSideRendered(lcpElement);
-        result.preloadExists = this.checkLCPPreloadExists(lcpElement);
+      const checked = new Set();
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      let visited = 0;
 
-        result.analysis.candidateElements.push({
-          element: lcpElement,
-          selector: lcpElementSelector,
-          type: result.elementType,
-          serverSideRendered: result.serverSideRendered,
-          preloadExists: result.preloadExists,
-        });
+      while (walker.nextNode() && visited < MAX_TEXT_NODES) {
+        const element = walker.currentNode.parentElement;
+        if (!walker.currentNode.textContent.trim() || !element || checked.has(element)) continue;
+        visited++;
+        checked.add(element);
 
-        // Add recommendations based on analysis
-        if (!result.serverSideRendered) {
-          result.analysis.recommendations.push({
-            type: "server-side-rendering",
-            priority: "high",
-            description:
-              "Consider server-side rendering the LCP element to improve loading performance",
-          });
-        }
+        if (!this.isElementAboveInitialFold(element)) continue;
 
-        if (
-          !result.preloadExists &&
-          (result.elementType === "img" || result.elementType === "background-image")
-        ) {
-          result.analysis.recommendations.push({
-            type: "preload-lcp-resource",
-            priority: "high",
-            description: "Add a preload link for the LCP resource to improve loading performance",
-          });
+        const family = this.getPrimaryWebFontFamily(element, webFontFamilies);
+        if (family && !families.has(family)) {
+          families.set(family, generateElementSelector(element));
         }
-
-        return result;
       }
+    } catch (error) {
+      console.error("Error finding above-the-fold fonts:", error);
+    }
 
-      // Fallback: Try to find LCP candidates from DOM
-      console.log("No globally captured LCP element, analyzing DOM for candidates...");
+    return families;
+  }
 
-      const candidates = this.findLCPCandidates();
-      if (candidates.length > 0) {
-        const topCandidate = candidates[0]; // Use the first/most likely candidate
+  // Get the first web font in an element's font-family stack
+  getPrimaryWebFontFamily(element, webFontFamilies) {
+    const stack = window.getComputedStyle(element).fontFamily.split(",");
+    return stack.map((family) => this.normalizeFontFamily(family)).find((family) =>
+      webFontFamilies.has(family)
+    );
+  }
 
-        result.elementFound = true;
-        result.elementSelector = this.generateElementSelector(topCandidate);
-        result.elementType = this.determineLCPElementType(topCandidate);
-        result.serverSideRendered = this.isElementServerSideRendered(topCandidate);
-        result.preloadExists = this.checkLCPPreloadExists(topCandidate);
+  // Normalize a font family name for comparison
+  normalizeFontFamily(family) {
+    return (family || "")
+      .trim()
+      .replace(/^["']|["']$/g, "")
+      .toLowerCase();
+  }
 
-        result.analysis.candidateElements = candidates.map((el) => ({
-          element: el,
-          selector: this.generateElementSelector(el),
-          type: this.determineLCPElementType(el),
-          serverSideRendered: this.isElementServerSideRendered(el),
-          preloadExists: this.checkLCPPreloadExists(el),
-        }));
+  // Normalize a font weight keyword to its numeric value
+  normalizeFontWeight(weight) {
+    const keywords = { "": "400", normal: "400", bold: "700" };
+    return keywords[weight] || String(weight);
+  }
 
-        console.log(
-          `Found ${candidates.length} LCP candidates, using top candidate:`,
-          result.elementSelector
-        );
-      }
+  // Detect a font format from the URL extension or content type, or null for non-fonts
+  getFontFormat(url, contentType) {
+    const extension = (url.split(/[?#]/)[0].match(/\.(woff2|woff|ttf|otf|eot)$/i) || [])[1];
+    if (extension) return extension.toLowerCase();
 
-      return result;
-    } catch (error) {
-      console.error("Error analyzing LCP:", error);
-      return this.getEmptyLCPData();
+    const type = (contentType || "").toLowerCase();
+    if (type.startsWith("font/") || type.startsWith("application/font-")) {
+      return type.split(/[/-]/).pop();
     }
-  }
 
-  // Find potential LCP candidate elements
-  findLCPCandidates() {
-    const candidates = [];
+    return null;
+  }
 
-    try {
-      // Look for large images above the fold
-      const images = document.querySelectorAll("img");
-      images.forEach((img) => {
-        const rect = img.getBoundingClientRect();
-        const isAboveFold = rect.top < window.innerHeight;
-        const isLarge = rect.width * rect.height > 10000; // Arbitrary threshold for "large"
+  // Generate web font recommendations
+  generateFontRecommendations(results, hasMetricOverrides) {
+    const recommendations = [];
+    const fileName = (url) => url.split(/[?#]/)[0].split("/").pop() || url;
 
-        if (isAboveFold && isLarge && img.src) {
-          candidates.push(img);
-        }
+    // Preloaded fonts without crossorigin are fetched twice
+    results.preloadsWithoutCrossorigin.forEach((url) => {
+      recommendations.push({
+        type: "font-preload-crossorigin",
+        priority: "high",
+        issue: `Font preload for ${fileName(url)} has no crossorigin attribute, so the font is downloaded twice`,
+        recommendation:
+          "Add crossorigin to the preload link (fonts are always fetched in CORS mode)",
+        impact: "Removes a duplicate font download",
+        url: url,
       });
+    });
 
-      // Look for elements with large background images above the fold
-      const elementsWithBg = this.findBackgroundImageElements(document.body);
-      elementsWithBg.forEach(({ element }) => {
-        const rect = element.getBoundingClientRect();
-        const isAboveFold = rect.top < window.innerHeight;
-        const isLarge = rect.width * rect.height > 10000;
-
-        if (isAboveFold && isLarge) {
-          candidates.push(element);
-        }
+    // Above-the-fold text waiting on fonts that are only discovered once CSS is parsed
+    results.aboveFoldFamilies
+      .filter((family) => family.preloaded === false)
+      .forEach((family) => {
+        const url =
+          family.urls.find((candidate) => /\.woff2(\?|#|$)/i.test(candidate)) || family.urls[0];
+        const arrivedAfterFCP =
+          family.responseEnd !== null && FCPTime > 0 && family.responseEnd > FCPTime * 1000;
+        recommendations.push({
+          type: "font-not-preloaded",
+          priority: arrivedAfterFCP ? "high" : "medium",
+          issue: `"${family.family}" is used above the fold (${family.selector}) but not preloaded${
+            arrivedAfterFCP ? `; it arrived at ${family.responseEnd}ms, after FCP` : ""
+          }`,
+          recommendation: "Preload the font file used by above-the-fold text",
+          impact: "Text renders in its final font sooner, with less swapping",
+          family: family.family,
+          selector: family.selector,
+          htmlExample: this.generatePreloadHTML({
+            href: url,
+            as: "font",
+            type: `font/${this.getFontFormat(url) || "woff2"}`,
+            crossorigin: "anonymous",
+          }),
+        });
       });
 
-      // Look for large text blocks (potential LCP text)
-      const textElements = document.querySelectorAll("h1, h2, p, div");
-      textElements.forEach((el) => {
-        const rect = el.getBoundingClientRect();
-        const isAboveFold = rect.top < window.innerHeight;
-        const hasSignificantText = el.textContent && el.textContent.trim().length > 50;
-        const isLarge = rect.width * rect.height > 5000;
+    // Invisible text while the font loads
+    const blockingFamilies = [
+      ...new Set(
+        results.fontFaces
+          .filter((face) => face.display === "auto" || face.display === "block")
+          .map((face) => face.family)
+      ),
+    ];
+    if (blockingFamilies.length > 0) {
+      recommendations.push({
+        type: "font-display",
+        priority: results.aboveFoldFamilies.some((family) =>
+          blockingFamilies.includes(family.family)
+        )
+          ? "high"
+          : "medium",
+        issue: `${blockingFamilies.join(", ")} use${
+          blockingFamilies.length === 1 ? "s" : ""
+        } font-display: auto/block, hiding text for up to 3 seconds while the font loads`,
+        recommendation:
+          "Set font-display: swap for body and heading fonts, or optional for fonts that can be skipped on slow connections",
+        impact: "Text is visible during font loading, improving FCP and LCP for text elements",
+        families: blockingFamilies,
+      });
+    }
 
-        if (isAboveFold && hasSignificantText && isLarge) {
-          candidates.push(el);
-        }
+    // Layout shifts caused by swapping from the fallback font
+    results.swapShifts.forEach((shift) => {
+      recommendations.push({
+        type: "font-swap-layout-shift",
+        priority: shift.value >= 0.05 ? "high" : "medium",
+        issue: `Swapping to "${shift.family}" caused ${shift.shifts} layout shift${
+          shift.shifts === 1 ? "" : "s"
+        } (CLS ${shift.value.toFixed(3)}) in ${shift.selectors.slice(0, 3).join(", ")}`,
+        recommendation: hasMetricOverrides
+          ? "Tune the size-adjust/ascent-override/descent-override of the fallback @font-face so it matches this font, or preload the font"
+          : "Define a fallback @font-face with size-adjust, ascent-override and descent-override matched to this font, preload it, or use font-display: optional",
+        impact: "Fewer layout shifts when the web font arrives",
+        family: shift.family,
+        selectors: shift.selectors,
       });
+    });
 
-      // Sort candidates by size (largest first)
-      candidates.sort((a, b) => {
-        const aRect = a.getBoundingClientRect();
-        const bRect = b.getBoundingClientRect();
-        const aSize = aRect.width * aRect.height;
-        const bSize = bRect.width * bRect.height;
-        return bSize - aSize;
+    // Older formats are larger than WOFF2
+    const legacyFonts = results.resources.filter((resource) => resource.format !== "woff2");
+    if (legacyFonts.length > 0) {
+      recommendations.push({
+        type: "font-format",
+        priority: "low",
+        issue: `${legacyFonts.length} font file${
+          legacyFonts.length === 1 ? " is" : "s are"
+        } not WOFF2 (${legacyFonts.map((resource) => fileName(resource.url)).join(", ")})`,
+        recommendation: "Serve WOFF2, which every current browser supports and compresses best",
+        impact: "Smaller font downloads",
+        urls: legacyFonts.map((resource) => resource.url),
       });
-    } catch (error) {
-      console.error("Error finding LCP candidates:", error);
     }
 
-    return candidates;
+    return recommendations;
   }
 
-  // Determine the type of LCP element
-  determineLCPElementType(element) {
-    if (!element) return null;
+  // Flag uncompressed text responses and HTTP/1.1 origins, grouped by origin
+  analyzeCompression() {
+    try {
+      console.log("Analyzing text compression and protocols...");
+
+      const MIN_COMPRESSIBLE_SIZE = 1400; // Below one packet compression doesn't help
+      const UNCOMPRESSED_RATIO = 0.95; // encoded/decoded above this means no Content-Encoding
+      const HTTP1_REQUEST_THRESHOLD = 6; // Browsers open six HTTP/1.1 connections per origin
+      // Typical gzip/brotli savings by type, used to estimate what compression would save
+      const TYPICAL_SAVINGS = {
+        script: 0.7,
+        stylesheet: 0.8,
+        document: 0.75,
+        json: 0.8,
+        other: 0.6,
+      };
 
-    const tagName = element.tagName.toLowerCase();
+      const results = {
+        measuredResources: 0,
+        unmeasuredResources: 0,
+        uncompressedCount: 0,
+        http1Origins: 0,
+        totalEstimatedSavings: 0,
+        origins: [],
+        analysis: {
+          recommendations: [],
+        },
+      };
 
-    if (tagName === "img") {
-      return "img";
-    } else if (tagName === "video") {
-      return "video";
-    } else {
-      // Check for background image
-      const computedStyle = window.getComputedStyle(element);
-      const backgroundImage = computedStyle.backgroundImage;
-      if (backgroundImage && backgroundImage !== "none" && backgroundImage.includes("url(")) {
-        return "background-image";
+      const entries = resourceTimingCollector ? resourceTimingCollector.getEntries() : [];
+      const navigationEntry = performance.getEntriesByType("navigation")[0];
+      if (navigationEntry) {
+        entries.push({
+          url: navigationEntry.name,
+          initiatorType: "navigation",
+          encodedBodySize: navigationEntry.encodedBodySize,
+          decodedBodySize: navigationEntry.decodedBodySize,
+          nextHopProtocol: navigationEntry.nextHopProtocol || null,
+          contentType: navigationEntry.contentType || "text/html",
+          timingAllowed: true,
+          phases: { queueing: 0 },
+        });
       }
-    }
 
-    return "text-block";
-  }
+      const origins = new Map();
+      entries.forEach((entry) => {
+        const originInfo = getOriginInfo(entry.url);
+        if (!originInfo) return;
+
+        let origin = origins.get(originInfo.origin);
+        if (!origin) {
+          const entity = originInfo.isThirdParty ? getThirdPartyEntity(originInfo.hostname) : null;
+          origin = {
+            origin: originInfo.origin,
+            isThirdParty: originInfo.isThirdParty,
+            entity: entity ? entity.name : null,
+            protocols: new Set(),
+            requests: 0,
+            queueingTime: 0,
+            uncompressed: [],
+            estimatedSavings: 0,
+          };
+          origins.set(originInfo.origin, origin);
+        }
 
-  // Check if element is server-side rendered
-  isElementServerSideRendered(element) {
-    if (!element) return false;
+        origin.requests++;
+        origin.queueingTime += (entry.phases && entry.phases.queueing) || 0;
+        if (entry.nextHopProtocol) origin.protocols.add(entry.nextHopProtocol);
 
-    try {
-      // Check if element has content immediately available (not loaded via JS)
-      // This is a heuristic - elements present in initial HTML are likely SSR
-      const hasInitialContent =
-        element.textContent || element.src || (element.style && element.style.backgroundImage);
+        const textType = this.getTextResourceType(entry);
+        if (!textType) return;
 
-      // Check if element is not dynamically created
-      const isNotDynamic =
-        !element.hasAttribute("data-dynamic") &&
-        !element.classList.contains("dynamic") &&
-        !element.classList.contains("lazy");
+        // Cross-origin responses without Timing-Allow-Origin report zero sizes
+        if (!entry.timingAllowed || !entry.decodedBodySize) {
+          results.unmeasuredResources++;
+          return;
+        }
+        results.measuredResources++;
+
+        const isUncompressed =
+          entry.decodedBodySize >= MIN_COMPRESSIBLE_SIZE &&
+          entry.encodedBodySize >= entry.decodedBodySize * UNCOMPRESSED_RATIO;
+        if (isUncompressed) {
+          const estimatedSavings = Math.round(entry.encodedBodySize * TYPICAL_SAVINGS[textType]);
+          origin.uncompressed.push({
+            url: entry.url,
+            type: textType,
+            encodedBodySize: entry.encodedBodySize,
+            decodedBodySize: entry.decodedBodySize,
+            estimatedSavings: estimatedSavings,
+          });
+          origin.estimatedSavings += estimatedSavings;
+        }
+      });
 
-      return hasInitialContent && isNotDynamic;
+      origins.forEach((origin) => {
+        const protocols = Array.from(origin.protocols);
+        const http1 = protocols.some((protocol) => /^http\/1/i.test(protocol));
+        const flaggedHttp1 = http1 && origin.requests >= HTTP1_REQUEST_THRESHOLD;
+        if (origin.uncompressed.length === 0 && !flaggedHttp1) return;
+
+        origin.uncompressed.sort((a, b) => b.estimatedSavings - a.estimatedSavings);
+        results.origins.push({
+          ...origin,
+          protocols: protocols,
+          http1: flaggedHttp1,
+          queueingTime: Math.round(origin.queueingTime),
+        });
+        results.uncompressedCount += origin.uncompressed.length;
+        results.totalEstimatedSavings += origin.estimatedSavings;
+        if (flaggedHttp1) results.http1Origins++;
+      });
+
+      results.origins.sort(
+        (a, b) => b.estimatedSavings - a.estimatedSavings || b.requests - a.requests
+      );
+      results.analysis.recommendations = this.generateCompressionRecommendations(results.origins);
+
+      console.log("Compression and protocol analysis completed:", results);
+      return results;
     } catch (error) {
-      console.error("Error checking server-side rendering:", error);
-      return false;
+      console.error("Error analyzing compression:", error);
+      return this.getEmptyCompressionData();
     }
   }
 
-  // Check if LCP resource has a preload link
-  checkLCPPreloadExists(element) {
-    if (!element) return false;
+  // Classify a resource as compressible text (script, stylesheet, document, json) or null
+  getTextResourceType(entry) {
+    const type = (entry.contentType || "").toLowerCase();
+    const path = entry.url.split(/[?#]/)[0].toLowerCase();
 
-    try {
-      let resourceUrl = null;
+    if (/javascript|ecmascript/.test(type) || /\.m?js$/.test(path)) return "script";
+    if (type.includes("css") || path.endsWith(".css")) return "stylesheet";
+    if (type.includes("html") || entry.initiatorType === "navigation" || /\.html?$/.test(path)) {
+      return "document";
+    }
+    if (type.includes("json") || path.endsWith(".json")) return "json";
+    if (/svg|xml|text\/plain/.test(type) || /\.(svg|xml|txt)$/.test(path)) return "other";
+    // Without a content type, a <script> request is still JavaScript
+    if (!type && entry.initiatorType === "script") return "script";
 
-      // Get resource URL based on element type
-      if (element.tagName.toLowerCase() === "img") {
-        resourceUrl = element.src;
-      } else {
-        // Check for background image
-        const computedStyle = window.getComputedStyle(element);
-        const backgroundImage = computedStyle.backgroundImage;
-        if (backgroundImage && backgroundImage.includes("url(")) {
-          const urlMatch = backgroundImage.match(/url\(['"]?([^'"]+)['"]?\)/);
-          if (urlMatch && urlMatch[1]) {
-            resourceUrl = urlMatch[1];
-          }
-        }
-      }
+    return null;
+  }
 
-      if (!resourceUrl) return false;
+  // Generate per-origin compression and protocol recommendations
+  generateCompressionRecommendations(origins) {
+    const recommendations = [];
 
-      // Check if there's a preload link for this resource
-      const preloadLinks = document.querySelectorAll('link[rel="preload"]');
-      for (const link of preloadLinks) {
-        if (link.href === resourceUrl || link.href.includes(resourceUrl)) {
-          return true;
-        }
+    origins.forEach((origin) => {
+      const owner = origin.isThirdParty
+        ? ` (third party${origin.entity ? `: ${origin.entity}` : ""}; ask the vendor)`
+        : "";
+
+      if (origin.uncompressed.length > 0) {
+        const savingsKB = Math.round(origin.estimatedSavings / 1024);
+        recommendations.push({
+          type: "uncompressed-text",
+          priority: savingsKB >= 50 ? "high" : savingsKB >= 10 ? "medium" : "low",
+          issue: `${origin.origin} serves ${origin.uncompressed.length} text response${
+            origin.uncompressed.length === 1 ? "" : "s"
+          } without compression${owner}`,
+          recommendation:
+            "Enable Brotli (or gzip) for JavaScript, CSS, HTML, JSON and SVG on this origin or its CDN",
+          impact: `Estimated savings: ~${savingsKB}KB`,
+          origin: origin.origin,
+          estimatedSavings: origin.estimatedSavings,
+          resources: origin.uncompressed,
+        });
       }
 
-      return false;
-    } catch (error) {
-      console.error("Error checking LCP preload:", error);
-      return false;
-    }
+      if (origin.http1) {
+        recommendations.push({
+          type: "http1-origin",
+          priority: origin.isThirdParty ? "low" : origin.requests >= 20 ? "high" : "medium",
+          issue: `${origin.origin} serves ${origin.requests} requests over HTTP/1.1${owner}${
+            origin.queueingTime > 0 ? `, which spent ${origin.queueingTime}ms queued` : ""
+          }`,
+          recommendation:
+            "Serve this origin over HTTP/2 or HTTP/3 so requests share one connection instead of queueing for six",
+          impact: "Less connection queueing and head-of-line blocking",
+          origin: origin.origin,
+          requests: origin.requests,
+          queueingTime: origin.queueingTime,
+        });
+      }
+    });
+
+    return recommendations;
   }
 
-  // Analyze CSS loading patterns and optimization opportunities
-  analyzeCSS(htmlStructure = null) {
+  // Aggregate third-party cost per entity (company) from resource timing, LoAF and CLS sources
+  analyzeThirdParties() {
     try {
-      console.log("Analyzing CSS loading patterns and optimization opportunities...");
+      console.log("Analyzing third-party impact...");
+
+      const entities = new Map(); // entity name -> aggregated stats
+      const getEntityStats = (originInfo) => {
+        const entity = getThirdPartyEntity(originInfo.hostname);
+        // Unknown vendors are grouped by site so their subdomains add up
+        const name = entity ? entity.name : getRegistrableDomain(originInfo.hostname);
+
+        let stats = entities.get(name);
+        if (!stats) {
+          stats = {
+            name: name,
+            category: entity ? entity.category : "unknown",
+            origins: new Set(),
+            requests: 0,
+            transferSize: 0,
+            decodedBodySize: 0,
+            mainThreadTime: 0,
+            renderBlockingRequests: 0,
+            layoutShiftScore: 0,
+            layoutShiftSources: new Set(),
+          };
+          entities.set(name, stats);
+        }
+        stats.origins.add(originInfo.origin);
+        return stats;
+      };
 
-      // Use provided structure or fallback to live DOM analysis
-      let structure = htmlStructure || this.htmlStructure;
+      // Requests and bytes
+      let totalTransferSize = 0;
+      const entries = resourceTimingCollector ? resourceTimingCollector.getEntries() : [];
+      entries.forEach((entry) => {
+        totalTransferSize += entry.transferSize;
+
+        const originInfo = getOriginInfo(entry.url);
+        if (!originInfo || !originInfo.isThirdParty) return;
+
+        const stats = getEntityStats(originInfo);
+        stats.requests++;
+        stats.transferSize += entry.transferSize;
+        stats.decodedBodySize += entry.decodedBodySize;
+        if (entry.renderBlockingStatus === "blocking") {
+          stats.renderBlockingRequests++;
+        }
+      });
 
-      // If no structure available, analyze live DOM directly
-      if (!structure || !structure.head) {
-        console.log("No HTML structure available, analyzing live DOM directly...");
-        structure = this.analyzeLiveDOM();
-      }
+      // Main-thread time from script attribution
+      const mainThreadOrigins = loafObserverInstance
+        ? loafObserverInstance.getThirdPartySummary(Infinity)
+        : [];
+      mainThreadOrigins.forEach((originSummary) => {
+        const originInfo = getOriginInfo(originSummary.origin);
+        if (originInfo) {
+          getEntityStats(originInfo).mainThreadTime += originSummary.totalDuration;
+        }
+      });
 
-      if (!structure || !structure.head) {
-        console.warn("Unable to analyze CSS - no DOM structure available");
-        return this.getEmptyCSSAnalysis();
-      }
+      // Layout shifts whose source is a third-party iframe or embed (or inside an iframe)
+      const countedShifts = new Set(); // entity|shift, so each shift counts once per entity
+      const shiftSources = clsObserverInstance ? clsObserverInstance.getLayoutShiftSources() : [];
+      shiftSources.forEach((source) => {
+        const originInfo = getOriginInfo(this.getNodeResourceUrl(source.node));
+        if (!originInfo || !originInfo.isThirdParty) return;
+
+        const stats = getEntityStats(originInfo);
+        const shiftKey = `${stats.name}|${source.startTime}`;
+        if (!countedShifts.has(shiftKey)) {
+          countedShifts.add(shiftKey);
+          stats.layoutShiftScore += source.value;
+        }
+        const selector = generateElementSelector(source.node);
+        if (selector) stats.layoutShiftSources.add(selector);
+      });
 
+      const entityList = Array.from(entities.values())
+        .map((stats) => ({
+          name: stats.name,
+          category: stats.category,
+          origins: Array.from(stats.origins),
+          requests: stats.requests,
+          transferSize: stats.transferSize,
+          decodedBodySize: stats.decodedBodySize,
+          mainThreadTime: Math.round(stats.mainThreadTime),
+          renderBlocking: stats.renderBlockingRequests > 0,
+          renderBlockingRequests: stats.renderBlockingRequests,
+          layoutShiftScore: Number(stats.layoutShiftScore.toFixed(4)),
+          layoutShiftSources: Array.from(stats.layoutShiftSources).slice(0, 5),
+        }))
+        .sort((a, b) => b.mainThreadTime - a.mainThreadTime || b.transferSize - a.transferSize);
+
+      const thirdPartyTransferSize = entityList.reduce((sum, e) => sum + e.transferSize, 0);
       const results = {
-        stylesheets: [],
-        totalStylesheets: 0,
-        misplacedCount: 0,
-        duplicateCount: 0,
-        analysis: {
-          headStylesheets: [],
-          bodyStylesheets: [],
-          duplicates: [],
-          recommendations: [],
+        entityCount: entityList.length,
+        totals: {
+          requests: entityList.reduce((sum, e) => sum + e.requests, 0),
+          transferSize: thirdPartyTransferSize,
+          transferShare:
+            totalTransferSize > 0
+              ? Number((thirdPartyTransferSize / totalTransferSize).toFixed(3))
+              : null,
+          mainThreadTime: entityList.reduce((sum, e) => sum + e.mainThreadTime, 0),
+          layoutShiftScore: Number(
+            entityList.reduce((sum, e) => sum + e.layoutShiftScore, 0).toFixed(4)
+          ),
         },
-        metadata: {
-          analysisTimestamp: Date.now(),
-          url: window.location.href,
+        entities: entityList,
+        analysis: {
+          recommendations: this.generateThirdPartyRecommendations(entityList),
         },
       };
 
-      // Get all stylesheet links from the parsed HTML structure
-      const allLinks = [...(structure.head.links || []), ...(structure.body.links || [])];
+      console.log("Third-party analysis completed:", results);
+      return results;
+    } catch (error) {
+      console.error("Error analyzing third parties:", error);
+      return this.getEmptyThirdPartyData();
+    }
+  }
 
-      console.log(`CSS Analysis Debug: Found ${allLinks.length} total links`);
-      console.log(
-        `Head links: ${structure.head && structure.head.links ? structure.head.links.length : 0}`
-      );
-      console.log(
-        `Body links: ${structure.body && structure.body.links ? structure.body.links.length : 0}`
-      );
+  // Find the absolute resource URL of a layout shift source node (an embed, or inside an iframe)
+  getNodeResourceUrl(node) {
+    try {
+      const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+      if (!element) return null;
 
-      // Debug: Log first few links to see their structure
-      if (allLinks.length > 0) {
-        console.log(
-          "Sample links:",
-          allLinks.slice(0, 3).map((link) => ({
-            tagName: link.tagName,
-            rel: link.getAttribute ? link.getAttribute("rel") : "no getAttribute method",
-            href: link.getAttribute ? link.getAttribute("href") : "no getAttribute method",
-          }))
-        );
-      }
+      // Descendants aren't checked: a shifted wrapper says nothing about what it happens to contain
+      const embedSelector = "iframe[src], img[src], video[src], embed[src], object[data]";
+      const embed = element.matches(embedSelector) ? element : element.closest("iframe[src]");
+      if (!embed) return null;
 
-      // Filter for stylesheet links
-      const stylesheetLinks = allLinks.filter((link) => {
-        if (!link.getAttribute) {
-          console.log("Link without getAttribute method:", link);
-          return false;
-        }
-        const rel = link.getAttribute("rel");
-        const isStylesheet = rel && rel.toLowerCase().includes("stylesheet");
-        if (rel) {
-          console.log(`Link rel="${rel}", isStylesheet=${isStylesheet}`);
-        }
-        return isStylesheet;
-      });
+      const src = embed.getAttribute("src") || embed.getAttribute("data");
+      return src ? new URL(src, document.baseURI).href : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-      console.log(`CSS Analysis Debug: Found ${stylesheetLinks.length} stylesheet links`);
-      results.totalStylesheets = stylesheetLinks.length;
+  // Generate per-entity recommendations for the costliest third parties
+  generateThirdPartyRecommendations(entities) {
+    const MAX_RECOMMENDATIONS = 10;
+    const MAIN_THREAD_THRESHOLD = 250; // ms
+    const TRANSFER_THRESHOLD = 500 * 1024; // bytes
+    const LAYOUT_SHIFT_THRESHOLD = 0.05;
+    const recommendations = [];
 
-      // Analyze each stylesheet
-      const seenHrefs = new Map();
+    entities.forEach((entity) => {
+      if (entity.renderBlocking) {
+        recommendations.push({
+          type: "third-party-render-blocking",
+          priority: "high",
+          issue: `${entity.name} has ${entity.renderBlockingRequests} render-blocking request(s)`,
+          recommendation: "Load this vendor async or after first render; never block paint on it",
+          impact: "The first paint waits for a server you don't control",
+          entity: entity.name,
+        });
+      }
 
-      stylesheetLinks.forEach((link, index) => {
-        const href = link.getAttribute("href");
-        const media = link.getAttribute("media") || "all";
-        const type = link.getAttribute("type") || "text/css";
-        const disabled = link.hasAttribute("disabled");
+      if (entity.mainThreadTime >= MAIN_THREAD_THRESHOLD) {
+        recommendations.push({
+          type: "third-party-main-thread-entity",
+          priority: entity.mainThreadTime >= MAIN_THREAD_THRESHOLD * 4 ? "high" : "medium",
+          issue: `${entity.name} (${entity.category}) used ${entity.mainThreadTime}ms of main-thread time`,
+          recommendation:
+            "Delay it until after load or interaction, use a facade, or drop unused features",
+          impact: "Less main-thread contention, improving TBT and INP",
+          entity: entity.name,
+        });
+      }
 
-        // Determine placement (HEAD vs BODY) with safe access
-        const headLinks = structure.head && structure.head.links ? structure.head.links : [];
-        const isInHead = headLinks.includes(link);
-        const placement = isInHead ? "head" : "body";
+      if (entity.layoutShiftScore >= LAYOUT_SHIFT_THRESHOLD) {
+        recommendations.push({
+          type: "third-party-layout-shift",
+          priority: "medium",
+          issue: `${entity.name} content caused layout shifts worth ${entity.layoutShiftScore}`,
+          recommendation:
+            "Reserve space for the embed or ad slot with a fixed size or aspect-ratio",
+          impact: "Lower CLS",
+          entity: entity.name,
+          selectors: entity.layoutShiftSources,
+        });
+      }
 
-        if (!isInHead) {
-          results.misplacedCount++;
-        }
+      if (entity.transferSize >= TRANSFER_THRESHOLD) {
+        recommendations.push({
+          type: "third-party-bytes",
+          priority: "low",
+          issue: `${entity.name} transferred ${Math.round(entity.transferSize / 1024)}KB in ${
+            entity.requests
+          } request(s)`,
+          recommendation: "Check whether every tag from this vendor is still needed",
+          impact: "Less bandwidth competing with first-party resources",
+          entity: entity.name,
+        });
+      }
+    });
 
-        // Check for duplicates
-        let isDuplicate = false;
-        if (href) {
-          const normalizedHref = this.normalizeUrl(href);
-          if (seenHrefs.has(normalizedHref)) {
-            isDuplicate = true;
-            results.duplicateCount++;
-            results.analysis.duplicates.push({
-              href: href,
-              normalizedHref: normalizedHref,
-              firstOccurrence: seenHrefs.get(normalizedHref).index,
-              currentIndex: index,
-            });
-          } else {
-            seenHrefs.set(normalizedHref, {
-              href: href,
-              index: index,
-            });
-          }
-        }
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    return recommendations
+      .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority])
+      .slice(0, MAX_RECOMMENDATIONS);
+  }
 
-        // Create stylesheet entry
-        const stylesheetEntry = {
-          href: href || `inline-${index}`,
-          media: media,
-          type: type,
-          placement: placement,
-          isDuplicate: isDuplicate,
-          disabled: disabled,
-          index: index,
-        };
+  // Analyze why the page can't be restored from the back/forward cache
+  analyzeBFCache() {
+    try {
+      console.log("Analyzing back/forward cache eligibility...");
 
-        results.stylesheets.push(stylesheetEntry);
+      const results = {
+        restoredFromBFCache: transitionType === "bfcache",
+        restoreCount: bfcacheRestoreCount,
+        notRestoredReasonsSupported: false,
+        blockers: [],
+        analysis: {
+          recommendations: [],
+        },
+      };
 
-        // Categorize by placement
-        if (isInHead) {
-          results.analysis.headStylesheets.push(stylesheetEntry);
-        } else {
-          results.analysis.bodyStylesheets.push(stylesheetEntry);
+      // Reasons reported by the browser for the last navigation, including iframes
+      const navEntry = performance.getEntriesByType("navigation")[0];
+      if (navEntry && "notRestoredReasons" in navEntry) {
+        results.notRestoredReasonsSupported = true;
+        this.collectNotRestoredReasons(navEntry.notRestoredReasons, results.blockers);
+      }
+
+      // Unload handlers block bfcache in most browsers
+      if (!results.blockers.some((blocker) => blocker.reason === "unload-listener")) {
+        const unloadSources = this.findUnloadHandlers();
+        if (unloadSources.length > 0) {
+          results.blockers.push({
+            reason: "unload-listener",
+            source: "page-scan",
+            frame: window.location.href,
+            details: unloadSources,
+          });
         }
-      });
+      }
 
-      // Generate recommendations based on analysis
-      results.analysis.recommendations = this.generateCSSRecommendations(results);
+      // Cache-Control: no-store on the document, from the categorized response headers
+      const noStoreReasons = [
+        "response-cache-control-no-store",
+        "main-resource-has-cache-control-no-store",
+      ];
+      if (!results.blockers.some((blocker) => noStoreReasons.includes(blocker.reason))) {
+        const browserCache = this.responseHeaders?.cache?.browserCache || {};
+        const cacheControl = browserCache["cache-control"] || "";
+        if (/(^|,)\s*no-store\s*(,|$)/i.test(cacheControl)) {
+          results.blockers.push({
+            reason: "response-cache-control-no-store",
+            source: "response-headers",
+            frame: window.location.href,
+            details: [`Cache-Control: ${cacheControl}`],
+          });
+        }
+      }
 
-      console.log(`CSS analysis complete: ${results.totalStylesheets} stylesheets analyzed`);
-      console.log(
-        `Found ${results.misplacedCount} misplaced and ${results.duplicateCount} duplicate stylesheets`
-      );
+      results.analysis.recommendations = this.generateBFCacheRecommendations(results.blockers);
 
+      console.log("bfcache analysis completed:", results);
       return results;
     } catch (error) {
-      console.error("Error analyzing CSS:", error);
-      return {
-        stylesheets: [],
-        totalStylesheets: 0,
-        misplacedCount: 0,
-        duplicateCount: 0,
-        analysis: {
-          headStylesheets: [],
-          bodyStylesheets: [],
-          duplicates: [],
-          recommendations: [],
-        },
-        metadata: {
-          analysisTimestamp: Date.now(),
-          url: window.location.href,
-        },
-        error: error.message,
-      };
+      console.error("Error analyzing bfcache:", error);
+      return this.getEmptyBFCacheData();
     }
   }
 
-  // Generate CSS optimization recommendations
-  generateCSSRecommendations(cssResults) {
-    const recommendations = [];
+  // Flatten a notRestoredReasons tree into a list of blockers
+  collectNotRestoredReasons(node, blockers) {
+    if (!node) return;
 
-    // Recommendation for misplaced stylesheets
-    if (cssResults.misplacedCount > 0) {
-      recommendations.push({
-        type: "placement",
-        priority: "high",
-        issue: `${cssResults.misplacedCount} stylesheet(s) found in BODY instead of HEAD`,
-        impact: "Render-blocking resources in BODY can cause layout shifts and delayed rendering",
-        recommendation: "Move all stylesheet links to the HEAD section for optimal loading",
-        affectedStylesheets: cssResults.analysis.bodyStylesheets.map((s) => s.href),
-      });
-    }
+    const frame = node.url || node.src || node.id || node.name || "unknown frame";
 
-    // Recommendation for duplicate stylesheets
-    if (cssResults.duplicateCount > 0) {
-      recommendations.push({
-        type: "duplicates",
-        priority: "medium",
-        issue: `${cssResults.duplicateCount} duplicate stylesheet(s) detected`,
-        impact: "Duplicate stylesheets increase bandwidth usage and parsing time",
-        recommendation: "Remove duplicate stylesheet references to improve loading performance",
-        affectedStylesheets: cssResults.analysis.duplicates.map((d) => d.href),
-      });
+    (node.reasons || []).forEach((entry) => {
+      // Early implementations reported plain strings instead of { reason } objects
+      const reason = typeof entry === "string" ? entry : entry && entry.reason;
+      if (reason) {
+        blockers.push({ reason, source: "notRestoredReasons", frame, details: [] });
+      }
+    });
+
+    // Cross-origin frames only report that they blocked, without a reason
+    if (node.blocked && (!node.reasons || node.reasons.length === 0)) {
+      blockers.push({ reason: "masked", source: "notRestoredReasons", frame, details: [] });
     }
 
-    // Recommendation for CSS optimization opportunities
-    const totalStylesheets = cssResults.totalStylesheets;
-    if (totalStylesheets > 10) {
-      recommendations.push({
-        type: "optimization",
-        priority: "medium",
-        issue: `High number of stylesheets (${totalStylesheets}) may impact performance`,
-        impact: "Multiple CSS files increase HTTP requests and can delay rendering",
-        recommendation: "Consider concatenating and minifying CSS files to reduce HTTP requests",
-        affectedStylesheets: cssResults.stylesheets.map((s) => s.href),
+    (node.children || []).forEach((child) => this.collectNotRestoredReasons(child, blockers));
+  }
+
+  // Find unload handlers in markup and inline scripts
+  findUnloadHandlers() {
+    const sources = [];
+
+    try {
+      if (document.body && document.body.hasAttribute("onunload")) {
+        sources.push("<body onunload> attribute");
+      }
+
+      const unloadPattern =
+        /addEventListener\(\s*["'`]unload["'`]|\bonunload\s*=|\.on\(\s*["'`]unload["'`]/;
+      document.querySelectorAll("script:not([src])").forEach((script, index) => {
+        if (unloadPattern.test(script.textContent || "")) {
+          sources.push(`Inline script #${index + 1}`);
+        }
       });
+    } catch (error) {
+      console.warn("Error scanning for unload handlers:", error);
     }
 
-    // Recommendation for media query optimization
-    const mediaSpecificSheets = cssResults.stylesheets.filter(
-      (s) => s.media && s.media !== "all" && s.media !== "screen"
-    );
-    if (mediaSpecificSheets.length > 0) {
-      recommendations.push({
-        type: "media-queries",
+    return sources;
+  }
+
+  // Generate one recommendation per bfcache blocker
+  generateBFCacheRecommendations(blockers) {
+    const recommendations = [];
+    const seen = new Set();
+
+    blockers.forEach((blocker) => {
+      const key = `${blocker.reason}|${blocker.frame}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const advice = BFCACHE_BLOCKER_ADVICE[blocker.reason] || {
         priority: "low",
-        issue: `${mediaSpecificSheets.length} stylesheet(s) with specific media queries`,
-        impact: "Media-specific stylesheets are still downloaded even when not applicable",
-        recommendation:
-          "Consider using CSS @media rules within stylesheets instead of separate files",
-        affectedStylesheets: mediaSpecificSheets.map((s) => s.href),
-      });
-    }
+        recommendation: `Look up "${blocker.reason}" in the Chrome bfcache blocking reasons list`,
+      };
+      const isMainFrame = blocker.frame === window.location.href;
 
-    // General best practices recommendation
-    if (recommendations.length === 0) {
       recommendations.push({
-        type: "best-practices",
-        priority: "info",
-        issue: "No critical CSS issues detected",
-        impact: "CSS loading appears to be well-optimized",
-        recommendation: "Consider implementing critical CSS inlining for above-the-fold content",
-        affectedStylesheets: [],
+        type: "bfcache-blocker",
+        reason: blocker.reason,
+        priority: advice.priority,
+        issue: `Back/forward cache blocked by "${blocker.reason}"${
+          isMainFrame ? "" : ` in ${blocker.frame}`
+        }`,
+        recommendation: advice.recommendation,
+        impact:
+          "Back and forward navigations reload the page instead of restoring it instantly",
+        source: blocker.source,
+        details: blocker.details,
       });
-    }
+    });
 
     return recommendations;
   }
@@ -6063,34 +10923,32 @@ class PerformanceRecommendationAnalyzer {
           ],
         },
 
-        // Dynamic analysis capabilities (future implementation)
+        // Dynamic analysis capabilities (live DOM and opt-in debugger coverage)
         dynamicAnalysis: {
-          enabled: false, // Will be enabled when Chrome DevTools Coverage API is integrated
+          enabled: true,
           capabilities: [
-            "unused-css-detection",
-            "critical-css-identification",
-            "coverage-analysis",
-            "runtime-performance-impact",
+            "unused-css-detection", // CSSOM walk matched against the live DOM
+            "coverage-analysis", // Opt-in chrome.debugger run started from the popup
           ],
+          plannedCapabilities: ["critical-css-identification", "runtime-performance-impact"],
           requirements: {
-            chromeDevToolsProtocol: false,
-            coverageAPI: false,
-            runtimeAccess: false,
+            chromeDevToolsProtocol: true,
+            coverageAPI: true,
+            runtimeAccess: true,
           },
         },
 
-        // Chrome DevTools Coverage API integration (placeholder)
+        // Chrome DevTools Coverage integration, run by background.js through chrome.debugger
         coverageAPI: {
           supported: this.checkCoverageAPISupport(),
           integration: {
-            enabled: false,
-            protocol: null,
-            session: null,
+            enabled: !!this.coverageData,
+            protocol: "chrome.debugger",
+            session: "background",
           },
           methods: {
-            startCSSCoverage: null, // Placeholder for future implementation
-            stopCSSCoverage: null, // Placeholder for future implementation
-            analyzeCoverage: null, // Placeholder for future implementation
+            startCoverage: "runCoverage", // Popup -> background message
+            loadCoverage: "getCoverage", // Content script -> background message
           },
         },
 
@@ -6100,10 +10958,10 @@ class PerformanceRecommendationAnalyzer {
           placement: { enabled: true, priority: "high" },
           duplicates: { enabled: true, priority: "medium" },
           mediaQueries: { enabled: true, priority: "low" },
+          unusedCSS: { enabled: true, priority: "medium" },
 
           // Future modules (placeholders)
           criticalCSS: { enabled: false, priority: "high" },
-          unusedCSS: { enabled: false, priority: "medium" },
           cssComplexity: { enabled: false, priority: "low" },
           performanceImpact: { enabled: false, priority: "high" },
         },
@@ -6120,10 +10978,14 @@ class PerformanceRecommendationAnalyzer {
         metadata: {
           version: "1.0.0",
           lastUpdated: Date.now(),
-          supportedFeatures: ["static-analysis", "placement-validation", "duplicate-detection"],
-          plannedFeatures: [
-            "coverage-api-integration",
+          supportedFeatures: [
+            "static-analysis",
+            "placement-validation",
+            "duplicate-detection",
             "unused-css-detection",
+            "coverage-api-integration",
+          ],
+          plannedFeatures: [
             "critical-css-analysis",
             "performance-impact-measurement",
           ],
@@ -6254,60 +11116,40 @@ class PerformanceRecommendationAnalyzer {
     };
   }
 
-  // Check Chrome DevTools Coverage API support
+  // Report whether coverage from the background debugger session is available for this page.
+  // chrome.debugger isn't exposed to content scripts; the popup runs coverage via background.js.
   checkCoverageAPISupport() {
+    return {
+      coverageAPIAccessible: !!this.coverageData,
+      collectedAt: this.coverageData ? this.coverageData.timestamp : null,
+      source: "chrome.debugger in the background service worker",
+      requiresPermissions: [
+        "debugger", // Optional permission, requested from the popup when a run starts
+      ],
+    };
+  }
+
+  // Load JS/CSS coverage collected by background.js for this page, if the user ran it
+  async loadCoverageData() {
     try {
-      // Check if we're in a context that could potentially access DevTools Protocol
-      const hasChrome = typeof chrome !== "undefined";
-      const hasDevTools = typeof chrome?.devtools !== "undefined";
-      const hasDebugger = typeof chrome?.debugger !== "undefined";
+      const response = await new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: "getCoverage" }, (result) => {
+          if (chrome.runtime.lastError) {
+            console.warn("Could not load coverage:", chrome.runtime.lastError.message);
+            resolve(null);
+          } else {
+            resolve(result);
+          }
+        });
+      });
 
-      // Note: Actual Coverage API access requires additional permissions and setup
-      // This is a basic capability check for future implementation
-      return {
-        chromeAvailable: hasChrome,
-        devToolsAvailable: hasDevTools,
-        debuggerAvailable: hasDebugger,
-        coverageAPIAccessible: false, // Will be true when properly implemented
-        requiresPermissions: [
-          "debugger", // Required for Chrome DevTools Protocol access
-          "activeTab", // Required for tab access
-        ],
-        implementationNotes: [
-          "Coverage API requires chrome.debugger permission",
-          "Must establish DevTools Protocol connection",
-          "Requires Runtime.enable and CSS.enable protocol commands",
-          "Coverage data collection impacts performance",
-        ],
-      };
+      this.coverageData = response && response.success ? response.data : null;
     } catch (error) {
-      console.error("Error checking Coverage API support:", error);
-      return {
-        chromeAvailable: false,
-        devToolsAvailable: false,
-        debuggerAvailable: false,
-        coverageAPIAccessible: false,
-        error: error.message,
-      };
+      console.error("Error loading coverage data:", error);
+      this.coverageData = null;
     }
-  }
 
-  // Placeholder for future Chrome DevTools Coverage API integration
-  async initializeCoverageAPI() {
-    // This method will be implemented when Coverage API integration is added
-    console.log("Coverage API integration not yet implemented");
-    console.log("This is a placeholder for future dynamic CSS analysis capabilities");
-
-    return {
-      initialized: false,
-      reason: "Coverage API integration pending implementation",
-      requiredSteps: [
-        "Add chrome.debugger permission to manifest",
-        "Implement DevTools Protocol connection",
-        "Add CSS.startRuleUsageTracking protocol command",
-        "Implement coverage data collection and analysis",
-      ],
-    };
+    return this.coverageData;
   }
 
   // Reset analysis state
@@ -6316,6 +11158,8 @@ class PerformanceRecommendationAnalyzer {
     this.isAnalyzing = false;
     this.htmlContent = null;
     this.responseHeaders = null;
+    this.imageOffenders = [];
+    this.coverageData = null;
 
     // Clear cache and reset analysis state
     this.clearCache();
@@ -6363,6 +11207,22 @@ class PerformanceRecommendationAnalyzer {
               "HTML link tags including preloads, preconnects, and resource hints - affects resource loading efficiency",
             cache: "Browser and CDN caching configuration - affects repeat visit performance",
             lcp: "Largest Contentful Paint optimization - affects perceived loading speed",
+            renderBlocking:
+              "Resources the browser reported as render-blocking, with the estimated FCP time each one cost",
+            images:
+              "Rendered images that are oversized for their display size, use legacy formats, lack dimensions or srcset/sizes - affects bytes, LCP and CLS",
+            lazyLoading:
+              "Images and iframes whose loading attribute is wrong for their position: lazy above the fold (including the LCP element) or eager below it, plus images missing decoding=async",
+            fonts:
+              "Web fonts from document.fonts and readable @font-face rules: font-display, preloads for fonts used above the fold, load timing relative to FCP and layout shifts caused by font swaps",
+            compression:
+              "Per origin: text responses (JS, CSS, HTML, JSON) whose encodedBodySize equals their decodedBodySize, i.e. served without compression, with estimated savings; and origins serving many requests over HTTP/1.1",
+            thirdParties:
+              "Third-party vendors grouped by company - requests, bytes, main-thread time, render blocking and layout shifts",
+            bfcache:
+              "Back/forward cache blockers - affects how fast back and forward navigations restore",
+            serverTiming:
+              "Server-Timing entries for the document and subresources - shows where backend time goes (db, cache, render)",
           },
           commonIssueTypes: {
             duplicate_scripts: "Multiple copies of the same JavaScript file being loaded",
@@ -6372,6 +11232,17 @@ class PerformanceRecommendationAnalyzer {
             security_issues: "Missing security attributes on external resources",
             accessibility_issues:
               "Missing attributes that help screen readers and assistive technology",
+            main_thread_scripts:
+              "Scripts attributed to long animation frames (or long tasks), ranked by main-thread time",
+            third_party_main_thread: "Third-party origins whose scripts block the main thread",
+            render_blocking_resource:
+              "A stylesheet or script that blocked the first paint; estimatedSavings is the time it alone kept rendering blocked",
+            image_optimization:
+              "One image with its issues (oversized, legacy-format, missing-dimensions, missing-srcset, missing-sizes, incorrect-sizes) and estimated byte savings",
+            third_party_entities:
+              "Third-party cost aggregated per company from a bundled origin-to-entity map; unknown vendors are grouped by site",
+            lcp_breakdown:
+              "LCP split into TTFB, resource load delay, resource load duration and element render delay - the sub-part that is out of proportion shows where to optimize",
           },
           recommendationFormat:
             "For each issue, provide: 1) Clear problem description, 2) Specific action steps, 3) Expected performance impact, 4) Implementation difficulty level",
@@ -6386,6 +11257,14 @@ class PerformanceRecommendationAnalyzer {
         scripts: this.analysisResults.scripts || this.getEmptyScriptsData(),
         links: this.analysisResults.links || this.getEmptyLinksData(),
         css: this.analysisResults.css || this.getEmptyCSSData(),
+        renderBlocking: this.analysisResults.renderBlocking || this.getEmptyRenderBlockingData(),
+        images: this.analysisResults.images || this.getEmptyImageData(),
+        lazyLoading: this.analysisResults.lazyLoading || this.getEmptyLazyLoadingData(),
+        fonts: this.analysisResults.fonts || this.getEmptyFontData(),
+        compression: this.analysisResults.compression || this.getEmptyCompressionData(),
+        thirdParties: this.analysisResults.thirdParties || this.getEmptyThirdPartyData(),
+        bfcache: this.analysisResults.bfcache || this.getEmptyBFCacheData(),
+        serverTiming: this.analysisResults.serverTiming || this.collectServerTiming(),
         summary: this.calculateSummary(),
 
         // Additional context for LLM processing
@@ -6473,6 +11352,14 @@ class PerformanceRecommendationAnalyzer {
         technologies.push("Google Analytics");
       }
 
+      // Vendors seen in resource timing, named by the bundled third-party entity map
+      const thirdParties = this.analysisResults.thirdParties || {};
+      (thirdParties.entities || []).forEach((entity) => {
+        if (entity.category !== "unknown" && !technologies.includes(entity.name)) {
+          technologies.push(entity.name);
+        }
+      });
+
       return technologies.length > 0 ? technologies : ["Unknown"];
     } catch (error) {
       return ["Unknown"];
@@ -6682,6 +11569,9 @@ class PerformanceRecommendationAnalyzer {
         totalIssues++;
         optimizationOpportunities++;
       }
+      const cacheHints = cache.recommendations || [];
+      totalIssues += cacheHints.length;
+      optimizationOpportunities += cacheHints.length;
 
       // Count LCP issues
       const lcp = this.analysisResults.lcp || {};
@@ -6693,6 +11583,16 @@ class PerformanceRecommendationAnalyzer {
         totalIssues++;
         optimizationOpportunities++;
       }
+      const lcpPhaseIssues = (lcp.analysis?.recommendations || []).filter((rec) => rec.phase);
+      totalIssues += lcpPhaseIssues.length;
+      optimizationOpportunities += lcpPhaseIssues.length;
+      const priorityHintIssues = (lcp.analysis?.recommendations || []).filter((rec) =>
+        ["lcp-fetchpriority", "too-many-high-priority", "carousel-fetchpriority-low"].includes(
+          rec.type
+        )
+      );
+      totalIssues += priorityHintIssues.length;
+      optimizationOpportunities += priorityHintIssues.length;
 
       // Count script issues
       const scripts = this.analysisResults.scripts || {};
@@ -6700,6 +11600,19 @@ class PerformanceRecommendationAnalyzer {
         totalIssues += scripts.duplicates.length;
         criticalIssues += scripts.duplicates.length;
       }
+      const mainThreadIssues = (scripts.recommendations || []).filter(
+        (rec) => rec.type === "main_thread_scripts" || rec.type === "third_party_main_thread"
+      );
+      totalIssues += mainThreadIssues.length;
+      optimizationOpportunities += mainThreadIssues.length;
+      if (scripts.lowPriorityCandidates && scripts.lowPriorityCandidates.length > 0) {
+        totalIssues++;
+        optimizationOpportunities++;
+      }
+      if ((scripts.recommendations || []).some((rec) => rec.type === "unused_javascript")) {
+        totalIssues++;
+        optimizationOpportunities++;
+      }
 
       // Count link issues
       const links = this.analysisResults.links || {};
@@ -6726,6 +11639,61 @@ class PerformanceRecommendationAnalyzer {
         totalIssues += css.misplacedCount;
         optimizationOpportunities += css.misplacedCount;
       }
+      if (
+        (css.analysis?.recommendations || []).some(
+          (rec) => rec.type === "unused-css" || rec.type === "unused-css-coverage"
+        )
+      ) {
+        totalIssues++;
+        optimizationOpportunities++;
+      }
+
+      // Count render-blocking resources
+      const renderBlocking = this.analysisResults.renderBlocking || {};
+      const renderBlockingIssues = renderBlocking.analysis?.recommendations || [];
+      totalIssues += renderBlockingIssues.length;
+      optimizationOpportunities += renderBlockingIssues.length;
+
+      // Count image issues
+      const images = this.analysisResults.images || {};
+      const imageIssues = images.analysis?.recommendations || [];
+      totalIssues += imageIssues.length;
+      optimizationOpportunities += imageIssues.length;
+
+      // Count lazy-loading issues
+      const lazyLoading = this.analysisResults.lazyLoading || {};
+      const lazyLoadingIssues = lazyLoading.analysis?.recommendations || [];
+      totalIssues += lazyLoadingIssues.length;
+      if (lazyLoading.lcpElementLazy) {
+        criticalIssues++;
+        optimizationOpportunities += lazyLoadingIssues.length - 1;
+      } else {
+        optimizationOpportunities += lazyLoadingIssues.length;
+      }
+
+      // Count font issues
+      const fonts = this.analysisResults.fonts || {};
+      const fontIssues = fonts.analysis?.recommendations || [];
+      totalIssues += fontIssues.length;
+      optimizationOpportunities += fontIssues.length;
+
+      // Count compression and protocol issues
+      const compression = this.analysisResults.compression || {};
+      const compressionIssues = compression.analysis?.recommendations || [];
+      totalIssues += compressionIssues.length;
+      optimizationOpportunities += compressionIssues.length;
+
+      // Count third-party issues
+      const thirdParties = this.analysisResults.thirdParties || {};
+      const thirdPartyIssues = thirdParties.analysis?.recommendations || [];
+      totalIssues += thirdPartyIssues.length;
+      optimizationOpportunities += thirdPartyIssues.length;
+
+      // Count bfcache blockers
+      const bfcache = this.analysisResults.bfcache || {};
+      const bfcacheIssues = bfcache.analysis?.recommendations || [];
+      totalIssues += bfcacheIssues.length;
+      optimizationOpportunities += bfcacheIssues.length;
 
       // Calculate overall score
       let overallScore = "good";
@@ -6769,6 +11737,7 @@ class PerformanceRecommendationAnalyzer {
         age: null,
         cacheHeaders: {},
       },
+      subresources: { checked: 0, cacheHits: 0, unreadable: 0, resources: [] },
     };
   }
 
@@ -6780,6 +11749,7 @@ class PerformanceRecommendationAnalyzer {
       elementType: null,
       elementSelector: null,
       preloadExists: false,
+      breakdown: null,
     };
   }
 
@@ -6814,6 +11784,115 @@ class PerformanceRecommendationAnalyzer {
     };
   }
 
+  // Get empty render-blocking data structure
+  getEmptyRenderBlockingData() {
+    return {
+      supported: false,
+      fcp: null,
+      blockingCount: 0,
+      totalEstimatedSavings: 0,
+      resources: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
+  // Get empty image data structure
+  getEmptyImageData() {
+    return {
+      devicePixelRatio: window.devicePixelRatio || 1,
+      totalImages: 0,
+      auditedImages: 0,
+      offenderCount: 0,
+      totalEstimatedSavings: 0,
+      images: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
+  // Get empty lazy-loading data structure
+  getEmptyLazyLoadingData() {
+    return {
+      totalElements: 0,
+      lazyAboveFold: 0,
+      eagerBelowFold: 0,
+      missingDecodingAsync: 0,
+      lcpElementLazy: false,
+      viewportScrolled: false,
+      elements: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
+  // Get empty font data structure
+  getEmptyFontData() {
+    return {
+      supported: false,
+      totalFontFaces: 0,
+      loadedFontFaces: 0,
+      inaccessibleStylesheets: 0,
+      fontFaces: [],
+      resources: [],
+      aboveFoldFamilies: [],
+      preloadsWithoutCrossorigin: [],
+      swapShifts: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
+  // Get empty compression data structure
+  getEmptyCompressionData() {
+    return {
+      measuredResources: 0,
+      unmeasuredResources: 0,
+      uncompressedCount: 0,
+      http1Origins: 0,
+      totalEstimatedSavings: 0,
+      origins: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
+  // Get empty third-party data structure
+  getEmptyThirdPartyData() {
+    return {
+      entityCount: 0,
+      totals: {
+        requests: 0,
+        transferSize: 0,
+        transferShare: null,
+        mainThreadTime: 0,
+        layoutShiftScore: 0,
+      },
+      entities: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
+  // Get empty bfcache data structure
+  getEmptyBFCacheData() {
+    return {
+      restoredFromBFCache: false,
+      restoreCount: 0,
+      notRestoredReasonsSupported: false,
+      blockers: [],
+      analysis: {
+        recommendations: [],
+      },
+    };
+  }
+
   // Format recommendations as structured JSON
   formatRecommendationsJSON(recommendationsData = null) {
     try {
@@ -7223,6 +12302,13 @@ class PerformanceRecommendationAnalyzer {
         scripts: this.getEmptyScriptsData(),
         links: this.getEmptyLinksData(),
         css: this.getEmptyCSSData(),
+        renderBlocking: this.getEmptyRenderBlockingData(),
+        images: this.getEmptyImageData(),
+        lazyLoading: this.getEmptyLazyLoadingData(),
+        fonts: this.getEmptyFontData(),
+        compression: this.getEmptyCompressionData(),
+        thirdParties: this.getEmptyThirdPartyData(),
+        bfcache: this.getEmptyBFCacheData(),
         summary: {
           totalIssues: 0,
           criticalIssues: 0,
@@ -7317,6 +12403,7 @@ function resetAndCollectMetrics(isSpaNavigation = true, reason = "spa_navigation
   lcpElement = null;
   lcpElementSelector = null;
   lcpElementInfo = null;
+  lcpResourceUrl = null;
 
   // Reset performance recommendation analyzer if it exists
   if (typeof performanceRecommendationAnalyzer !== "undefined") {
@@ -7329,6 +12416,8 @@ function resetAndCollectMetrics(isSpaNavigation = true, reason = "spa_navigation
   // Set transition type based on navigation type
   if (isSpaNavigation) {
     transitionType = "spa";
+  } else if (reason === "bfcache_restore") {
+    transitionType = "bfcache";
   } else {
     transitionType = "navigation";
   }
@@ -7344,6 +12433,11 @@ function resetAndCollectMetrics(isSpaNavigation = true, reason = "spa_navigation
   // Record precise navigation start time for SPA transitions
   navigationStart = performance.now();
 
+  // Start per-route measurement before the observers are reset for the new view
+  if (isSpaNavigation) {
+    softNavigationTracker.startRoute(reason);
+  }
+
   // Update current URL immediately to prevent race conditions
   currentUrl = window.location.href;
 
@@ -7390,6 +12484,14 @@ function resetPerformanceObservers() {
   if (window.spaPaintMetrics) {
     window.spaPaintMetrics = {};
   }
+
+  // Interactions and long frames are attributed to the view they happened in
+  if (inpObserverInstance) {
+    inpObserverInstance.reset();
+  }
+  if (loafObserverInstance) {
+    loafObserverInstance.reset();
+  }
 }
 
 // Enhanced CLS reset for SPA navigation with proper session management
@@ -7599,28 +12701,15 @@ function updateMetricsWithEnhancedVisualCompletion(stabilityMetrics) {
   if (transitionType === "spa") {
     const currentTime = Date.now();
 
-    // Enhanced SPA metrics with better timing calculations
+    // Route metrics are measured from soft navigation entries or flagged as heuristics
+    const routeMetrics = softNavigationTracker.getRouteMetrics();
     const metrics = {
-      TTFB: {
-        value: 0.01, // SPA transitions are client-side
-        unit: "s",
-      },
-      FCP: {
-        value: Math.min(visualCompletionTime * 0.3, 0.4), // More conservative FCP estimate
-        unit: "s",
-      },
-      LCP: {
-        value: LCPTime > 0 ? LCPTime : visualCompletionTime, // Use actual LCP if available
-        unit: "s",
-      },
-      CLS: {
-        value: clsObserverInstance.getValue(),
-        unit: "score",
-      },
-      DOMLoadTime: {
-        value: visualCompletionTime * 0.6, // Better DOM load estimate
-        unit: "s",
-      },
+      TTFB: routeMetrics.TTFB,
+      FCP: routeMetrics.FCP,
+      LCP: routeMetrics.LCP,
+      CLS: clsObserverInstance.getMetric(),
+      INP: inpObserverInstance.getMetric(),
+      DOMLoadTime: routeMetrics.DOMLoadTime,
       NavigationTime: {
         value: visualCompletionTime,
         unit: "s",
@@ -7634,6 +12723,7 @@ function updateMetricsWithEnhancedVisualCompletion(stabilityMetrics) {
       url: window.location.href,
       title: document.title,
       transitionType: "spa",
+      softNavigation: routeMetrics.softNavigation,
       stabilityMetrics: stabilityMetrics, // Include stability analysis
     };
 
@@ -8153,6 +13243,8 @@ class SmartMetricUpdateSystem {
       FCP: 0.1, // 100ms
       LCP: 0.2, // 200ms
       CLS: 0.01, // 0.01 score
+      INP: 0.05, // 50ms
+      TBT: 0.05, // 50ms
       DOMLoadTime: 0.1, // 100ms
       NavigationTime: 0.1, // 100ms
     };
@@ -8342,21 +13434,20 @@ class SmartMetricUpdateSystem {
           TTFB: {
             value: (navEntries.responseStart - navEntries.startTime) / 1000,
             unit: "s",
+            phases: getNavigationPhases(navEntries),
+            serverTiming: getServerTimingEntries(navEntries),
           },
-          FCP: {
-            value: (navEntries.domInteractive - navEntries.startTime) / 1000,
-            unit: "s",
-          },
+          FCP: getNavigationFCPMetric(navEntries),
           LCP: {
             value: LCPTime,
             unit: "s",
             element: lcpElementInfo,
             selector: lcpElementSelector,
+            breakdown: calculateLCPBreakdown(),
           },
-          CLS: {
-            value: clsObserverInstance.getValue(),
-            unit: "score",
-          },
+          CLS: clsObserverInstance.getMetric(),
+          INP: inpObserverInstance.getMetric(),
+          TBT: getTBTMetric(),
           DOMLoadTime: {
             value: (navEntries.domContentLoadedEventEnd - navEntries.startTime) / 1000,
             unit: "s",
@@ -8371,31 +13462,18 @@ class SmartMetricUpdateSystem {
           transitionType: "navigation",
         };
       }
+    } else if (transitionType === "bfcache") {
+      return collectBFCacheRestoreMetrics(currentTime);
     } else {
-      // SPA metrics
+      // SPA metrics, measured from soft navigation entries or flagged as heuristics
+      const routeMetrics = softNavigationTracker.getRouteMetrics();
       return {
-        TTFB: {
-          value: 0.01,
-          unit: "s",
-        },
-        FCP: {
-          value: Math.min(visualCompletionTime * 0.4, 0.5),
-          unit: "s",
-        },
-        LCP: {
-          value: LCPTime > 0 ? LCPTime : visualCompletionTime,
-          unit: "s",
-          element: lcpElementInfo,
-          selector: lcpElementSelector,
-        },
-        CLS: {
-          value: clsObserverInstance.getValue(),
-          unit: "score",
-        },
-        DOMLoadTime: {
-          value: visualCompletionTime * 0.7,
-          unit: "s",
-        },
+        TTFB: routeMetrics.TTFB,
+        FCP: routeMetrics.FCP,
+        LCP: routeMetrics.LCP,
+        CLS: clsObserverInstance.getMetric(),
+        INP: inpObserverInstance.getMetric(),
+        DOMLoadTime: routeMetrics.DOMLoadTime,
         NavigationTime: {
           value: visualCompletionTime,
           unit: "s",
@@ -8408,6 +13486,7 @@ class SmartMetricUpdateSystem {
         url: window.location.href,
         title: document.title,
         transitionType: "spa",
+        softNavigation: routeMetrics.softNavigation,
       };
     }
 
@@ -8421,7 +13500,7 @@ class SmartMetricUpdateSystem {
 
     // Evaluate thresholds for each metric that has a value and unit
     for (const [metricName, metricData] of Object.entries(metrics)) {
-      if (typeof metricData === "object" && metricData.hasOwnProperty("value")) {
+      if (metricData && typeof metricData === "object" && metricData.hasOwnProperty("value")) {
         const evaluation = ThresholdEvaluator.evaluateMetric(metricName, metricData.value);
         metricsWithThresholds[metricName] = {
           ...metricData,
@@ -8527,6 +13606,7 @@ initDomMutationTracking();
 let lcpElement = null;
 let lcpElementSelector = null;
 let lcpElementInfo = null;
+let lcpResourceUrl = null; // URL of the latest LCP entry's resource (empty for text)
 
 function observeLCP() {
   try {
@@ -8566,8 +13646,8 @@ function observeLCP() {
               continue;
             }
 
-            // For SPA transitions, we need to check if this entry happened after our navigation start
-            if (transitionType === "spa" && entry.startTime < navigationStart) {
+            // For SPA transitions and bfcache restores, skip entries from before navigation start
+            if (transitionType !== "navigation" && entry.startTime < navigationStart) {
               continue; // Skip LCP entries from before the SPA transition
             }
 
@@ -8578,6 +13658,7 @@ function observeLCP() {
             // Only update if this is a newer LCP (Chrome keeps updating until final)
             if (lcpTime >= LCPTime) {
               LCPTime = lcpTime;
+              lcpResourceUrl = entry.url || null;
 
               // Capture LCP element information
               if (entry.element) {
@@ -8620,12 +13701,64 @@ function observeLCP() {
       }
     });
 
-    observer.observe({ type: "largest-contentful-paint", buffered: true });
-    console.log("Enhanced LCP observer started successfully");
-    return observer;
+    observer.observe({ type: "largest-contentful-paint", buffered: true });
+    console.log("Enhanced LCP observer started successfully");
+    return observer;
+  } catch (error) {
+    console.error("Failed to create LCP observer:", error);
+    sendErrorToBackground("lcp_observer_error", `Failed to start LCP observer: ${error.message}`);
+    return null;
+  }
+}
+
+// Split LCP into TTFB, resource load delay, resource load duration and element render delay
+function calculateLCPBreakdown() {
+  try {
+    // Sub-parts are relative to the document request, which SPA views don't have
+    if (transitionType !== "navigation" || !LCPTime) return null;
+
+    const navEntry = performance.getEntriesByType("navigation")[0];
+    if (!navEntry) return null;
+
+    const activationStart = navEntry.activationStart || 0;
+    const lcpRenderTime = Math.max(0, LCPTime * 1000 - activationStart);
+    const ttfb = Math.min(lcpRenderTime, Math.max(0, navEntry.responseStart - activationStart));
+
+    // Text LCP has no resource, so load delay and load duration stay at zero
+    let resourceEntry = null;
+    if (lcpResourceUrl) {
+      resourceEntry =
+        performance
+          .getEntriesByType("resource")
+          .find((entry) => entry.name === lcpResourceUrl) || null;
+    }
+
+    let requestStart = ttfb;
+    let responseEnd = ttfb;
+    if (resourceEntry) {
+      requestStart = Math.max(
+        ttfb,
+        (resourceEntry.requestStart || resourceEntry.startTime) - activationStart
+      );
+      responseEnd = Math.max(requestStart, resourceEntry.responseEnd - activationStart);
+    }
+
+    // Clamp to the render time so the parts always add up to LCP
+    requestStart = Math.min(requestStart, lcpRenderTime);
+    responseEnd = Math.min(responseEnd, lcpRenderTime);
+
+    return {
+      ttfb: ttfb / 1000,
+      resourceLoadDelay: (requestStart - ttfb) / 1000,
+      resourceLoadDuration: (responseEnd - requestStart) / 1000,
+      elementRenderDelay: (lcpRenderTime - responseEnd) / 1000,
+      total: lcpRenderTime / 1000,
+      resourceUrl: lcpResourceUrl,
+      resourceTimingFound: !!resourceEntry,
+      unit: "s",
+    };
   } catch (error) {
-    console.error("Failed to create LCP observer:", error);
-    sendErrorToBackground("lcp_observer_error", `Failed to start LCP observer: ${error.message}`);
+    console.error("Error calculating LCP breakdown:", error);
     return null;
   }
 }
@@ -8706,13 +13839,98 @@ function handleLCPObserverError(error, observer) {
 // Note: LCP observer and CLS observer are now initialized conditionally above
 // based on page support validation
 
-// Create a paint observer for FCP during SPA transitions (only if initialized)
+// Read the first-contentful-paint entry directly in case the observer has not fired yet
+function readFCPFromPaintEntries() {
+  try {
+    if (typeof performance.getEntriesByName !== "function") return 0;
+
+    const entry = performance.getEntriesByName("first-contentful-paint", "paint")[0];
+    return entry ? entry.startTime / 1000 : 0;
+  } catch (error) {
+    console.warn("Error reading paint entries:", error);
+    return 0;
+  }
+}
+
+// Build the navigation FCP metric, preferring the real paint entry over the estimate
+function getNavigationFCPMetric(navEntry) {
+  if (!FCPTime) {
+    FCPTime = readFCPFromPaintEntries();
+  }
+
+  if (FCPTime > 0) {
+    return {
+      value: FCPTime,
+      unit: "s",
+      estimated: false,
+      source: FCP_SOURCES.PAINT_ENTRY,
+    };
+  }
+
+  // Fallback: domInteractive is only an approximation of the first paint
+  return {
+    value: Math.max(0, (navEntry.domInteractive - navEntry.startTime) / 1000),
+    unit: "s",
+    estimated: true,
+    source: FCP_SOURCES.DOM_INTERACTIVE_ESTIMATE,
+  };
+}
+
+// Build the TBT metric with a compact main-thread timeline for the popup
+function getTBTMetric() {
+  try {
+    if (!loafObserverInstance || !loafObserverInstance.isSupported) return null;
+
+    if (!FCPTime) {
+      FCPTime = readFCPFromPaintEntries();
+    }
+    if (!FCPTime) return null;
+
+    const fcp = FCPTime * 1000;
+    const result = loafObserverInstance.calculateTotalBlockingTime(fcp);
+    const MAX_TIMELINE_TASKS = 60; // Keep the message small, longest tasks first
+
+    const timeline = result.tasks
+      .slice()
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, MAX_TIMELINE_TASKS)
+      .sort((a, b) => a.start - b.start)
+      .map((task) => ({
+        start: task.start / 1000,
+        duration: task.duration / 1000,
+        blocking: task.blocking / 1000,
+      }));
+
+    return {
+      value: result.totalBlockingTime / 1000,
+      unit: "s",
+      // TTI here only waits for a main-thread quiet window, not for network quiet
+      estimated: true,
+      final: result.quietWindowFound,
+      source: loafObserverInstance.entryType,
+      fcp: FCPTime,
+      tti: result.tti / 1000,
+      longTaskCount: result.tasks.length,
+      timeline: timeline,
+    };
+  } catch (error) {
+    console.error("Error calculating TBT:", error);
+    return null;
+  }
+}
+
+// Create a paint observer for document FCP and FCP during SPA transitions (only if initialized)
 let paintObserver = null;
 if (isInitialized && performanceSupport.performanceObserver) {
   try {
     paintObserver = new PerformanceObserver((list) => {
       try {
         for (const entry of list.getEntries()) {
+          if (entry.name === "first-contentful-paint" && !FCPTime) {
+            // Document FCP is reported once per page load
+            FCPTime = entry.startTime / 1000;
+          }
+
           if (
             entry.name === "first-contentful-paint" &&
             transitionType === "spa" &&
@@ -8776,21 +13994,20 @@ function collectMetrics() {
             TTFB: {
               value: Math.max(0, (navEntries.responseStart - navEntries.startTime) / 1000),
               unit: "s",
+              phases: getNavigationPhases(navEntries),
+              serverTiming: getServerTimingEntries(navEntries),
             },
-            FCP: {
-              value: Math.max(0, (navEntries.domInteractive - navEntries.startTime) / 1000),
-              unit: "s",
-            },
+            FCP: getNavigationFCPMetric(navEntries),
             LCP: {
               value: Math.max(0, LCPTime || 0),
               unit: "s",
               element: lcpElementInfo,
               selector: lcpElementSelector,
+              breakdown: calculateLCPBreakdown(),
             },
-            CLS: {
-              value: Math.max(0, clsObserverInstance.getValue()),
-              unit: "score",
-            },
+            CLS: clsObserverInstance.getMetric(),
+            INP: inpObserverInstance.getMetric(),
+            TBT: getTBTMetric(),
             DOMLoadTime: {
               value: Math.max(
                 0,
@@ -8830,34 +14047,30 @@ function collectMetrics() {
         collectFallbackMetrics();
       }
     }
+    // For back/forward cache restores
+    else if (transitionType === "bfcache") {
+      try {
+        sendMetrics(collectBFCacheRestoreMetrics(currentTime));
+      } catch (bfcacheError) {
+        console.error("Error collecting bfcache restore metrics:", bfcacheError);
+        sendErrorToBackground("bfcache_metrics_error", bfcacheError.message);
+      }
+    }
     // For SPA transitions
     else {
       try {
         // Don't collect metrics yet if visual completion hasn't been detected
         // The updateMetricsWithEnhancedVisualCompletion function will handle it
         if (visuallyComplete) {
-          // Use visual completion time instead of estimates
+          // Route metrics are measured from soft navigation entries or flagged as heuristics
+          const routeMetrics = softNavigationTracker.getRouteMetrics();
           const metrics = {
-            TTFB: {
-              value: 0.01, // SPA transitions don't have TTFB (client-side only)
-              unit: "s",
-            },
-            FCP: {
-              value: Math.min(visualCompletionTime * 0.4, 0.5), // Estimate FCP as earlier than completion
-              unit: "s",
-            },
-            LCP: {
-              value: visualCompletionTime,
-              unit: "s",
-            },
-            CLS: {
-              value: clsObserverInstance.getValue(),
-              unit: "score",
-            },
-            DOMLoadTime: {
-              value: visualCompletionTime * 0.7, // Estimate
-              unit: "s",
-            },
+            TTFB: routeMetrics.TTFB,
+            FCP: routeMetrics.FCP,
+            LCP: routeMetrics.LCP,
+            CLS: clsObserverInstance.getMetric(),
+            INP: inpObserverInstance.getMetric(),
+            DOMLoadTime: routeMetrics.DOMLoadTime,
             NavigationTime: {
               value: visualCompletionTime,
               unit: "s",
@@ -8871,6 +14084,7 @@ function collectMetrics() {
             url: window.location.href,
             title: document.title,
             transitionType: "spa",
+            softNavigation: routeMetrics.softNavigation,
           };
 
           sendMetrics(metrics);
@@ -8910,7 +14124,7 @@ function sendMetrics(metrics) {
     // Evaluate thresholds for each metric that has a value and unit
     for (const [metricName, metricData] of Object.entries(metrics)) {
       try {
-        if (typeof metricData === "object" && metricData.hasOwnProperty("value")) {
+        if (metricData && typeof metricData === "object" && metricData.hasOwnProperty("value")) {
           // Validate metric value
           if (typeof metricData.value !== "number" || isNaN(metricData.value)) {
             console.warn(`Invalid metric value for ${metricName}:`, metricData.value);
@@ -8932,7 +14146,10 @@ function sendMetrics(metrics) {
     // Validate that we have at least some valid metrics
     const validMetrics = Object.values(metricsWithThresholds).filter(
       (metric) =>
-        typeof metric === "object" && typeof metric.value === "number" && !isNaN(metric.value)
+        metric &&
+        typeof metric === "object" &&
+        typeof metric.value === "number" &&
+        !isNaN(metric.value)
     );
 
     if (validMetrics.length === 0) {
@@ -9117,7 +14334,7 @@ class URLChangeDetector {
       this.currentUrl = newUrl;
 
       // Trigger metrics reset and collection (this is a real SPA navigation)
-      resetAndCollectMetrics(true);
+      resetAndCollectMetrics(true, source);
 
       // Reset navigation flag after a delay
       setTimeout(() => {
@@ -9528,6 +14745,386 @@ const urlChangeDetector = new URLChangeDetector();
 // Initialize framework-specific navigation detector
 const frameworkDetector = new FrameworkNavigationDetector();
 
+// SoftNavigationTracker class for per-route metrics on SPA (soft) navigations
+class SoftNavigationTracker {
+  constructor() {
+    this.routes = []; // Completed route summaries, most recent last
+    this.currentRoute = null;
+    this.pendingPaintEntries = []; // Paint entries seen before their soft-navigation entry
+    this.softNavigationObserver = null;
+    this.softPaintObserver = null;
+    this.contentObserver = null;
+    this.softNavigationSupported = this.checkSoftNavigationSupport();
+
+    // Configuration
+    this.MAX_ROUTES = 20; // Route history kept for export
+    this.MERGE_WINDOW = 500; // ms, navigation events this close belong to one route
+    this.CONTENT_TRACKING_DURATION = 10000; // ms to watch for new content after a route change
+    this.MAX_CANDIDATES_PER_MUTATION = 50; // Bound work on large DOM insertions
+    this.MAX_PENDING_PAINT_ENTRIES = 50; // Paint entries waiting for their navigation to match
+  }
+
+  // Soft navigation entries are only exposed by some Chromium versions
+  checkSoftNavigationSupport() {
+    try {
+      return (
+        "PerformanceObserver" in window &&
+        Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+        PerformanceObserver.supportedEntryTypes.includes("soft-navigation")
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Start observing soft navigation entries when the browser exposes them
+  init() {
+    if (!this.softNavigationSupported) {
+      console.log("Soft navigation entries not available, SPA route metrics use heuristics");
+      return;
+    }
+
+    try {
+      this.softNavigationObserver = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => this.handleSoftNavigationEntry(entry));
+      });
+      this.softNavigationObserver.observe({ type: "soft-navigation", buffered: true });
+
+      // Paint and LCP entries carry the navigationId of the soft navigation they belong to
+      this.softPaintObserver = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => this.handleSoftPaintEntry(entry));
+      });
+      ["paint", "largest-contentful-paint"].forEach((type) => {
+        this.softPaintObserver.observe({
+          type: type,
+          buffered: true,
+          includeSoftNavigationObservations: true,
+        });
+      });
+
+      console.log("Soft navigation observer started successfully");
+    } catch (error) {
+      console.error("Failed to start soft navigation observer:", error);
+      this.softNavigationSupported = false;
+    }
+  }
+
+  // Begin measuring a new route (called when an SPA navigation is detected)
+  startRoute(source) {
+    try {
+      const now = performance.now();
+
+      // Several detectors fire for the same navigation, keep them on one route
+      if (this.currentRoute && now - this.currentRoute.detectedAt < this.MERGE_WINDOW) {
+        this.currentRoute.url = window.location.href;
+        this.currentRoute.startTime = navigationStart;
+        if (!this.currentRoute.sources.includes(source)) {
+          this.currentRoute.sources.push(source);
+        }
+        return;
+      }
+
+      this.finishCurrentRoute();
+
+      this.currentRoute = {
+        url: window.location.href,
+        sources: [source],
+        frameworks: Array.from(frameworkDetector.detectedFrameworks),
+        detectedAt: now,
+        startTime: navigationStart,
+        navigationId: null,
+        softNavigationStartTime: null,
+        measuredFCP: null,
+        measuredLCP: null,
+        firstContentPaint: null,
+        largestContentPaint: null,
+      };
+
+      this.startContentTracking();
+    } catch (error) {
+      console.error("Error starting soft navigation route:", error);
+    }
+  }
+
+  // Store a summary of the route that is ending
+  finishCurrentRoute() {
+    if (!this.currentRoute) return;
+
+    this.stopContentTracking();
+
+    const routeMetrics = this.getRouteMetrics();
+    this.routes.push({
+      url: this.currentRoute.url,
+      sources: this.currentRoute.sources,
+      measuredWith: routeMetrics.softNavigation.measuredWith,
+      FCP: routeMetrics.FCP,
+      LCP: routeMetrics.LCP,
+      CLS: clsObserverInstance ? clsObserverInstance.getValue() : null,
+      INP: inpObserverInstance ? inpObserverInstance.getValue() : null,
+      interactionCount: inpObserverInstance ? inpObserverInstance.getInteractionCount() : 0,
+    });
+
+    if (this.routes.length > this.MAX_ROUTES) {
+      this.routes.shift();
+    }
+  }
+
+  // Link a soft-navigation entry to the route it describes
+  handleSoftNavigationEntry(entry) {
+    const route = this.currentRoute;
+    if (!route || route.navigationId) return;
+
+    // The entry is emitted after the URL change, for the URL of the new route
+    if (entry.name === route.url || entry.startTime >= route.startTime - this.MERGE_WINDOW) {
+      route.navigationId = entry.navigationId;
+      route.softNavigationStartTime = entry.startTime;
+      console.log("Soft navigation entry matched route:", entry.name);
+
+      // Paints can be reported before the navigation entry that they belong to
+      const pending = this.pendingPaintEntries;
+      this.pendingPaintEntries = pending.filter(
+        (paintEntry) => paintEntry.navigationId !== route.navigationId
+      );
+      pending
+        .filter((paintEntry) => paintEntry.navigationId === route.navigationId)
+        .forEach((paintEntry) => this.handleSoftPaintEntry(paintEntry));
+    }
+  }
+
+  // Record measured FCP/LCP for the current soft navigation
+  handleSoftPaintEntry(entry) {
+    const route = this.currentRoute;
+    if (!route || !entry.navigationId) return;
+
+    // Keep paints for a navigation that hasn't been matched yet until its entry arrives
+    if (entry.navigationId !== route.navigationId) {
+      if (!route.navigationId) {
+        this.pendingPaintEntries.push(entry);
+        if (this.pendingPaintEntries.length > this.MAX_PENDING_PAINT_ENTRIES) {
+          this.pendingPaintEntries.shift();
+        }
+      }
+      return;
+    }
+
+    if (entry.entryType === "paint" && entry.name === "first-contentful-paint") {
+      route.measuredFCP = entry.startTime;
+    } else if (entry.entryType === "largest-contentful-paint") {
+      route.measuredLCP = {
+        time: entry.renderTime || entry.startTime,
+        selector: entry.element ? generateElementSelector(entry.element) : null,
+        url: entry.url || null,
+      };
+    }
+  }
+
+  // Watch content added after the route change to find its first and largest paint
+  startContentTracking() {
+    if (!document.body) return;
+
+    this.stopContentTracking();
+
+    this.contentObserver = new MutationObserver((mutations) => {
+      try {
+        const candidates = [];
+        for (const mutation of mutations) {
+          for (const node of mutation.addedNodes) {
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            candidates.push(node);
+            if (node.querySelectorAll) {
+              candidates.push(
+                ...Array.from(node.querySelectorAll("img, video, svg, h1, h2, h3, p")).slice(
+                  0,
+                  this.MAX_CANDIDATES_PER_MUTATION
+                )
+              );
+            }
+            if (candidates.length >= this.MAX_CANDIDATES_PER_MUTATION) break;
+          }
+        }
+
+        candidates.forEach((element) => this.trackNewContent(element));
+      } catch (error) {
+        console.warn("Error tracking new SPA content:", error);
+      }
+    });
+
+    this.contentObserver.observe(document.body, { childList: true, subtree: true });
+    this.contentTrackingTimeout = setTimeout(
+      () => this.stopContentTracking(),
+      this.CONTENT_TRACKING_DURATION
+    );
+  }
+
+  // Stop watching for new content
+  stopContentTracking() {
+    if (this.contentObserver) {
+      this.contentObserver.disconnect();
+      this.contentObserver = null;
+    }
+    if (this.contentTrackingTimeout) {
+      clearTimeout(this.contentTrackingTimeout);
+      this.contentTrackingTimeout = null;
+    }
+  }
+
+  // Measure a newly added element once it has been painted
+  trackNewContent(element) {
+    const route = this.currentRoute;
+    const tagName = element.tagName.toLowerCase();
+
+    // Images paint when they finish loading, everything else on the next frame
+    if (tagName === "img" && !element.complete) {
+      element.addEventListener("load", () => this.recordContentPaint(route, element), {
+        once: true,
+      });
+      return;
+    }
+
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => this.recordContentPaint(route, element));
+    });
+  }
+
+  // Record the paint time and visible area of new content
+  recordContentPaint(route, element) {
+    // Ignore paints that finish after the user already moved to another route
+    if (!route || route !== this.currentRoute || !element.isConnected) return;
+
+    const hasContent =
+      ["img", "video", "svg", "canvas"].includes(element.tagName.toLowerCase()) ||
+      Array.from(element.childNodes).some(
+        (child) => child.nodeType === Node.TEXT_NODE && child.textContent.trim().length > 0
+      );
+    if (!hasContent) return;
+
+    const rect = element.getBoundingClientRect();
+    const visibleWidth = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const visibleHeight = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    const area = Math.max(0, visibleWidth) * Math.max(0, visibleHeight);
+    if (area === 0) return;
+
+    const paint = {
+      time: performance.now(),
+      area: area,
+      selector: generateElementSelector(element),
+    };
+
+    if (!route.firstContentPaint) {
+      route.firstContentPaint = paint;
+    }
+    if (!route.largestContentPaint || area > route.largestContentPaint.area) {
+      route.largestContentPaint = paint;
+    }
+  }
+
+  // Build TTFB/FCP/LCP/DOMLoadTime for the current route, flagged as measured or heuristic
+  getRouteMetrics() {
+    const route = this.currentRoute;
+    const start = route ? route.softNavigationStartTime || route.startTime : navigationStart;
+    const sinceStart = (time) => Math.max(0, (time - start) / 1000);
+
+    const metrics = {
+      TTFB: {
+        value: 0.01, // SPA transitions don't request a document
+        unit: "s",
+        estimated: true,
+        source: SPA_METRIC_SOURCES.NOT_APPLICABLE,
+      },
+      FCP: {
+        value: Math.min(visualCompletionTime * 0.4, 0.5),
+        unit: "s",
+        estimated: true,
+        source: SPA_METRIC_SOURCES.VISUAL_COMPLETION_ESTIMATE,
+      },
+      LCP: {
+        value: visualCompletionTime,
+        unit: "s",
+        estimated: true,
+        source: SPA_METRIC_SOURCES.VISUAL_COMPLETION_ESTIMATE,
+        selector: null,
+      },
+      DOMLoadTime: {
+        value: visualCompletionTime * 0.7,
+        unit: "s",
+        estimated: true,
+        source: SPA_METRIC_SOURCES.VISUAL_COMPLETION_ESTIMATE,
+      },
+      softNavigation: {
+        url: route ? route.url : window.location.href,
+        detectedBy: route ? route.sources : [],
+        frameworks: route ? route.frameworks : [],
+        softNavigationEntriesSupported: this.softNavigationSupported,
+        measuredWith: "heuristics",
+        routeCount: this.routes.length + (route ? 1 : 0),
+        recentRoutes: this.routes.slice(-5),
+      },
+    };
+
+    if (!route) return this.flagRouteMetrics(metrics);
+
+    if (route.measuredFCP !== null) {
+      metrics.FCP = {
+        value: sinceStart(route.measuredFCP),
+        unit: "s",
+        estimated: false,
+        source: SPA_METRIC_SOURCES.SOFT_NAVIGATION_ENTRY,
+      };
+    } else if (route.firstContentPaint) {
+      metrics.FCP = {
+        value: sinceStart(route.firstContentPaint.time),
+        unit: "s",
+        estimated: true,
+        source: SPA_METRIC_SOURCES.NEW_CONTENT_PAINT,
+      };
+    }
+
+    if (route.measuredLCP) {
+      metrics.LCP = {
+        value: sinceStart(route.measuredLCP.time),
+        unit: "s",
+        estimated: false,
+        source: SPA_METRIC_SOURCES.SOFT_NAVIGATION_ENTRY,
+        selector: route.measuredLCP.selector,
+      };
+    } else if (route.largestContentPaint) {
+      metrics.LCP = {
+        value: sinceStart(route.largestContentPaint.time),
+        unit: "s",
+        estimated: true,
+        source: SPA_METRIC_SOURCES.NEW_CONTENT_PAINT,
+        selector: route.largestContentPaint.selector,
+      };
+    }
+
+    if (route.navigationId) {
+      metrics.softNavigation.measuredWith = "soft-navigation-entries";
+    }
+
+    return this.flagRouteMetrics(metrics);
+  }
+
+  // List which route metrics are measured and which are heuristic
+  flagRouteMetrics(metrics) {
+    const routeMetricNames = ["TTFB", "FCP", "LCP", "DOMLoadTime"];
+
+    // CLS and INP come from observers that are reset per route, so they are always measured
+    metrics.softNavigation.measuredMetrics = [
+      "CLS",
+      "INP",
+      ...routeMetricNames.filter((name) => !metrics[name].estimated),
+    ];
+    metrics.softNavigation.heuristicMetrics = routeMetricNames.filter(
+      (name) => metrics[name].estimated
+    );
+
+    return metrics;
+  }
+}
+
+// Initialize soft navigation tracking for SPA routes
+const softNavigationTracker = new SoftNavigationTracker();
+
 // Initialize MutationObserver when the DOM is ready
 function initMutationObserver() {
   // Make sure body exists before observing
@@ -9586,6 +15183,9 @@ urlChangeDetector.init();
 // Initialize framework-specific navigation detection
 frameworkDetector.init();
 
+// Initialize soft navigation tracking (uses soft-navigation entries when available)
+softNavigationTracker.init();
+
 // Initialize smart update system
 smartUpdateSystem.init();
 
@@ -9704,6 +15304,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
     }
 
+    if (message.type === "highlightImageOffenders") {
+      // Highlight images flagged by the image audit
+      const result = highlightImageOffenders();
+      sendResponse({
+        success: result.success,
+        result: result,
+        timestamp: Date.now(),
+      });
+      return true;
+    }
+
+    if (message.type === "getResourceWaterfall") {
+      // Resource entries for the popup waterfall; marker times come from the stored metrics
+      sendResponse({
+        success: !!resourceTimingCollector,
+        entries: resourceTimingCollector ? resourceTimingCollector.getEntries() : [],
+        supported: resourceTimingCollector ? resourceTimingCollector.isSupported : false,
+        // SPA and bfcache metrics are relative to the view start, resource times to timeOrigin
+        markerOffset: transitionType === "navigation" ? 0 : navigationStart / 1000,
+        timestamp: Date.now(),
+      });
+      return true;
+    }
+
     if (message.type === "generateRecommendations") {
       // Handle performance recommendations generation request
       console.log("Performance recommendations generation requested");
@@ -9977,6 +15601,32 @@ function getIntegrationStatus() {
       connectedToDebugger: clsObserverInstance ? !!clsObserverInstance.debugger : false,
     };
 
+    // INP Observer integration status
+    status.components.inpObserver = {
+      initialized: !!inpObserverInstance,
+      supported: inpObserverInstance ? inpObserverInstance.isSupported : false,
+      observing: inpObserverInstance ? !!inpObserverInstance.observer : false,
+      errorState: inpObserverInstance ? inpObserverInstance.errorState : null,
+      interactionCount: inpObserverInstance ? inpObserverInstance.getInteractionCount() : 0,
+    };
+
+    // Long animation frame observer integration status
+    status.components.loafObserver = {
+      initialized: !!loafObserverInstance,
+      supported: loafObserverInstance ? loafObserverInstance.isSupported : false,
+      entryType: loafObserverInstance ? loafObserverInstance.entryType : null,
+      observing: loafObserverInstance ? !!loafObserverInstance.observer : false,
+      frameCount: loafObserverInstance ? loafObserverInstance.frameCount : 0,
+    };
+
+    // Resource timing collector integration status
+    status.components.resourceTiming = {
+      initialized: !!resourceTimingCollector,
+      supported: resourceTimingCollector ? resourceTimingCollector.isSupported : false,
+      observing: resourceTimingCollector ? !!resourceTimingCollector.observer : false,
+      entryCount: resourceTimingCollector ? resourceTimingCollector.entries.size : 0,
+    };
+
     // LCP Observer integration status
     status.components.lcpObserver = {
       initialized: !!lcpObserver,
@@ -10223,6 +15873,92 @@ function highlightLCPElement() {
   }
 }
 
+// Highlight images flagged by the image audit, the same way as the LCP element
+function highlightImageOffenders() {
+  try {
+    clearImageHighlights();
+
+    // Re-run the audit so the highlights match the current layout
+    performanceRecommendationAnalyzer.analyzeImages();
+    const offenders = performanceRecommendationAnalyzer.imageOffenders.filter(
+      (offender) => document.contains(offender.element)
+    );
+
+    if (offenders.length === 0) {
+      return { success: false, error: "No image issues found on this page", count: 0 };
+    }
+
+    const container = document.createElement("div");
+    container.id = "image-audit-highlights";
+
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+
+    offenders.forEach((offender) => {
+      const rect = offender.element.getBoundingClientRect();
+
+      const highlight = document.createElement("div");
+      highlight.style.cssText = `
+        position: absolute;
+        pointer-events: none;
+        z-index: 999999;
+        border: 3px solid #f59e0b;
+        background: rgba(245, 158, 11, 0.1);
+        box-shadow: 0 0 0 2px rgba(245, 158, 11, 0.3);
+      `;
+      highlight.style.top = rect.top + scrollTop + "px";
+      highlight.style.left = rect.left + scrollLeft + "px";
+      highlight.style.width = rect.width + "px";
+      highlight.style.height = rect.height + "px";
+
+      const label = document.createElement("div");
+      label.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        background: #f59e0b;
+        color: white;
+        padding: 2px 6px;
+        font-size: 11px;
+        font-weight: bold;
+        white-space: nowrap;
+        font-family: monospace;
+      `;
+      label.textContent = offender.issues.join(", ");
+      highlight.appendChild(label);
+
+      container.appendChild(highlight);
+    });
+
+    document.body.appendChild(container);
+
+    // Scroll the first offender into view
+    offenders[0].element.scrollIntoView({ behavior: "smooth", block: "center" });
+
+    // Remove highlights after 5 seconds
+    setTimeout(() => {
+      clearImageHighlights();
+    }, 5000);
+
+    console.group("🖼️ Image Audit Offenders");
+    offenders.forEach((offender) => console.log(offender.element, offender.issues));
+    console.groupEnd();
+
+    return { success: true, count: offenders.length };
+  } catch (error) {
+    console.error("Error highlighting image offenders:", error);
+    return { success: false, error: error.message, count: 0 };
+  }
+}
+
+// Clear image audit highlights
+function clearImageHighlights() {
+  const existing = document.getElementById("image-audit-highlights");
+  if (existing) {
+    existing.remove();
+  }
+}
+
 // Clear LCP element highlight
 function clearLCPHighlight() {
   const existing = document.getElementById("lcp-element-highlight");
@@ -4,6 +4,8 @@ const CWV_THRESHOLDS = {
   LCP: { good: 2.5, needsImprovement: 4.0 },
   CLS: { good: 0.1, needsImprovement: 0.25 },
   TTFB: { good: 0.8, needsImprovement: 1.8 },
+  INP: { good: 0.2, needsImprovement: 0.5 },
+  TBT: { good: 0.2, needsImprovement: 0.6 },
 };
 
 // Update extension status indicator
@@ -50,6 +52,22 @@ function evaluateMetric(metricName, value) {
   }
 }
 
+// Escape text before inserting it into generated HTML
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text === null || text === undefined ? "" : String(text);
+  // Quotes too, since the result is also used inside attribute values
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+// Format a byte count for display
+function formatBytes(bytes) {
+  if (typeof bytes !== "number" || isNaN(bytes)) return "N/A";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
 // Format metric value with appropriate units
 function formatMetricValue(metricName, value) {
   // Handle null, undefined, or non-numeric values
@@ -845,7 +863,7 @@ class ToastManager {
     toast.innerHTML = `
       <div style="display: flex; align-items: center; gap: 8px;">
         <span style="font-size: 16px;">${icon}</span>
-        <span style="flex: 1;">${this.escapeHtml(message)}</span>
+        <span style="flex: 1;">${escapeHtml(message)}</span>
         <button style="background: none; border: none; color: inherit; cursor: pointer; padding: 0; margin-left: 8px; font-size: 18px; opacity: 0.7;" 
                 onclick="toastManager.remove(${id})" 
                 aria-label="Close notification">×</button>
@@ -873,13 +891,6 @@ class ToastManager {
     return icons[type] || icons.info;
   }
 
-  // Escape HTML to prevent XSS
-  escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   // Remove toast
   remove(toastId) {
     const toast = this.activeToasts.get(toastId);
@@ -1245,6 +1256,29 @@ function showLCPElement() {
   });
 }
 
+// Highlight images flagged by the image audit in the page
+function showImageOffenders() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]) {
+      chrome.tabs.sendMessage(tabs[0].id, { type: "highlightImageOffenders" }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error("Error highlighting images:", chrome.runtime.lastError);
+          showToast("Could not highlight images. Try refreshing the page.", "error");
+          return;
+        }
+
+        if (response && response.success) {
+          const count = response.result.count;
+          showToast(`${count} image${count === 1 ? "" : "s"} highlighted in page`, "success");
+        } else {
+          const error = response?.result?.error || response?.error || "Unknown error";
+          showToast(`Could not highlight images: ${error}`, "error");
+        }
+      });
+    }
+  });
+}
+
 // Announce updates to screen readers
 function announceToScreenReader(message) {
   const srElement = document.getElementById("sr-announcements");
@@ -1285,6 +1319,13 @@ function displayRecommendations(recommendations) {
       { key: "scripts", title: "Script Analysis", icon: "📜" },
       { key: "links", title: "Link Tag Analysis", icon: "🔗" },
       { key: "css", title: "CSS Analysis", icon: "🎨" },
+      { key: "renderBlocking", title: "Render-Blocking Resources", icon: "⛔" },
+      { key: "images", title: "Image Optimization", icon: "🖼️" },
+      { key: "lazyLoading", title: "Lazy-Loading", icon: "💤" },
+      { key: "fonts", title: "Web Fonts", icon: "🔤" },
+      { key: "compression", title: "Compression & Protocol", icon: "🗜️" },
+      { key: "thirdParties", title: "Third-Party Impact", icon: "🌐" },
+      { key: "bfcache", title: "Back/Forward Cache", icon: "🔙" },
     ];
 
     categories.forEach((category) => {
@@ -1537,6 +1578,55 @@ function humanizeRecommendation(recommendation, category) {
           "Ensure async scripts don't depend on DOM ready state or other scripts to prevent race conditions.";
         humanReadable.impact = "More reliable script execution";
         break;
+      case "main_thread_scripts":
+        humanReadable.title = "🧵 Reduce Heavy Script Execution";
+        humanReadable.description = `These scripts run longest during slow frames: ${(
+          recommendation.heavyScripts || []
+        )
+          .slice(0, 3)
+          .map((script) => `${escapeHtml(script.url)} (${script.totalDuration}ms)`)
+          .join(", ")}.`;
+        humanReadable.action =
+          "Break up long functions, defer non-critical work, and load features on interaction.";
+        humanReadable.impact = recommendation.impact || "Better responsiveness (TBT and INP)";
+        break;
+      case "unused_javascript":
+        humanReadable.title = "✂️ Remove Unused JavaScript";
+        humanReadable.description = `${escapeHtml(recommendation.message)}${(
+          recommendation.unusedScripts || []
+        )
+          .slice(0, 3)
+          .map(
+            (script) =>
+              `<br>${escapeHtml(script.url.split(/[?#]/)[0].split("/").pop() || script.url)}: ${formatBytes(
+                script.unusedBytes
+              )} of ${formatBytes(script.totalBytes)} unused (${script.unusedPercent}%)`
+          )
+          .join("")}`;
+        humanReadable.action =
+          "Code-split by route, lazy-load features on interaction and drop unused dependencies.";
+        humanReadable.impact = recommendation.impact;
+        break;
+      case "async_fetchpriority_low":
+        humanReadable.title = "🐢 Lower Non-Critical Script Priority";
+        humanReadable.description = escapeHtml(recommendation.message);
+        humanReadable.action = `Add fetchpriority="low", e.g. <code>${escapeHtml(
+          recommendation.lowPriorityScripts?.[0]?.htmlExample || ""
+        )}</code>`;
+        humanReadable.impact = recommendation.impact;
+        break;
+      case "third_party_main_thread":
+        humanReadable.title = "🌐 Limit Third-Party Script Cost";
+        humanReadable.description = `Third-party origins blocking the main thread: ${(
+          recommendation.thirdPartyOrigins || []
+        )
+          .slice(0, 3)
+          .map((origin) => `${escapeHtml(origin.origin)} (${origin.totalDuration}ms)`)
+          .join(", ")}.`;
+        humanReadable.action =
+          "Delay third-party tags until after load, use facades for embeds, or remove unused vendors.";
+        humanReadable.impact = recommendation.impact || "More main-thread time for your own code";
+        break;
     }
   }
 
@@ -1568,9 +1658,335 @@ function humanizeRecommendation(recommendation, category) {
         humanReadable.action = "Remove duplicate stylesheet references.";
         humanReadable.impact = "Reduced bandwidth and faster parsing";
         break;
+      case "unused-css-coverage":
+        humanReadable.title = "🧹 Remove Unused CSS";
+        humanReadable.description = `${escapeHtml(recommendation.issue)}.${(
+          recommendation.unusedStylesheets || []
+        )
+          .slice(0, 3)
+          .map(
+            (sheet) =>
+              `<br>${escapeHtml(sheet.url.split(/[?#]/)[0].split("/").pop() || sheet.url)}: ${formatBytes(
+                sheet.unusedBytes
+              )} of ${formatBytes(sheet.totalBytes)} unused (${sheet.unusedPercent}%)`
+          )
+          .join("")}`;
+        humanReadable.action = escapeHtml(recommendation.recommendation);
+        humanReadable.impact = recommendation.impact;
+        break;
+      case "unused-css":
+        humanReadable.title = "🧹 Remove Unused CSS";
+        humanReadable.description = `${escapeHtml(recommendation.issue)}.${(
+          recommendation.unusedStylesheets || []
+        )
+          .slice(0, 3)
+          .map(
+            (sheet) =>
+              `<br>${escapeHtml(sheet.href.split("/").pop() || sheet.href)}: ${formatBytes(
+                sheet.unusedBytes
+              )} unused, e.g. <code>${escapeHtml(sheet.unusedSelectors.slice(0, 3).join(", "))}</code>`
+          )
+          .join("")}`;
+        humanReadable.action = escapeHtml(recommendation.recommendation);
+        humanReadable.impact = recommendation.impact;
+        break;
+      case "css-other-media":
+        humanReadable.title = "📱 Split Off CSS for Other Media";
+        humanReadable.description = escapeHtml(recommendation.issue);
+        humanReadable.action = escapeHtml(recommendation.recommendation);
+        humanReadable.impact = recommendation.impact;
+        break;
+    }
+  }
+
+  // LCP recommendations
+  else if (category === "lcp") {
+    switch (recommendation.type) {
+      case "server-side-rendering":
+        humanReadable.title = "🖥️ Server-Render the LCP Element";
+        humanReadable.description = recommendation.description;
+        humanReadable.action =
+          "Include the LCP element in the initial HTML instead of rendering it with JavaScript.";
+        humanReadable.impact = "Earlier discovery and rendering of the largest element";
+        break;
+      case "lcp-fetchpriority":
+        humanReadable.title = "🚀 Raise the LCP Resource's Priority";
+        humanReadable.description = escapeHtml(recommendation.description);
+        humanReadable.action = `Use: <code>${escapeHtml(recommendation.htmlExample)}</code>`;
+        humanReadable.impact = "The LCP resource is requested at high priority from the start";
+        break;
+      case "too-many-high-priority":
+        humanReadable.title = "⚖️ Use fetchpriority=\"high\" Sparingly";
+        humanReadable.description = escapeHtml(recommendation.description);
+        humanReadable.action = `Remove the hint from: <code>${(recommendation.selectors || [])
+          .slice(0, 5)
+          .map(escapeHtml)
+          .join("</code>, <code>")}</code>`;
+        humanReadable.impact = "Less contention with the LCP resource";
+        break;
+      case "carousel-fetchpriority-low":
+        humanReadable.title = "🎠 Lower Hidden Carousel Slides";
+        humanReadable.description = escapeHtml(recommendation.description);
+        humanReadable.action = `For example: <code>${escapeHtml(recommendation.htmlExample)}</code>`;
+        humanReadable.impact = "The visible slide and LCP image get the bandwidth first";
+        break;
+      case "preload-lcp-resource":
+        humanReadable.title = "⚡ Preload the LCP Resource";
+        humanReadable.description = recommendation.description;
+        humanReadable.action = `Add <code>${escapeHtml(
+          '<link rel="preload">'
+        )}</code> with fetchpriority="high" for the LCP image.`;
+        humanReadable.impact = "Shorter resource load delay for LCP";
+        break;
+      case "lcp-ttfb":
+        humanReadable.title = "🕒 Reduce Server Response Time";
+        humanReadable.description = recommendation.description;
+        humanReadable.action =
+          "Cache the HTML at the edge, reduce backend work and avoid redirects.";
+        humanReadable.impact = "Every LCP sub-part starts earlier";
+        break;
+      case "lcp-resource-load-delay":
+        humanReadable.title = "🔎 Start Loading the LCP Resource Sooner";
+        humanReadable.description = recommendation.description;
+        humanReadable.action =
+          "Reference the LCP image directly in the HTML, avoid lazy-loading it, and raise its priority.";
+        humanReadable.impact = "Removes idle time before the LCP request starts";
+        break;
+      case "lcp-resource-load-duration":
+        humanReadable.title = "📦 Shrink the LCP Resource";
+        humanReadable.description = recommendation.description;
+        humanReadable.action =
+          "Serve a correctly sized WebP/AVIF image with long-lived caching from a CDN.";
+        humanReadable.impact = "Faster download of the LCP resource";
+        break;
+      case "lcp-element-render-delay":
+        humanReadable.title = "🎨 Render the LCP Element Sooner";
+        humanReadable.description = recommendation.description;
+        humanReadable.action =
+          "Inline critical CSS, defer non-critical scripts and avoid hiding the element until JavaScript runs.";
+        humanReadable.impact = "LCP paints as soon as its resource arrives";
+        break;
+    }
+  }
+
+  // Render-blocking recommendations
+  else if (category === "renderBlocking" && recommendation.type === "render-blocking-resource") {
+    const fileName = (recommendation.url || "").split("?")[0].split("/").pop() || recommendation.url;
+    const typeLabels = { script: "Script", stylesheet: "Stylesheet" };
+    humanReadable.title = `⛔ Unblock Rendering: ${
+      typeLabels[recommendation.resourceType] || "Resource"
+    }`;
+    humanReadable.description = `<code>${escapeHtml(fileName)}</code> blocked the first paint.`;
+    humanReadable.action = recommendation.recommendation;
+    humanReadable.impact = recommendation.impact;
+  }
+
+  // Image recommendations
+  else if (category === "images" && recommendation.type === "image-optimization") {
+    const fileName = (recommendation.url || "").split(/[?#]/)[0].split("/").pop() || "image";
+    humanReadable.title = "🖼️ Optimize Image";
+    humanReadable.description = `<code>${escapeHtml(fileName)}</code>: ${escapeHtml(
+      recommendation.issue.slice(recommendation.issue.indexOf(":") + 1).trim()
+    )}`;
+    humanReadable.action = recommendation.recommendation;
+    humanReadable.impact = recommendation.impact;
+  }
+
+  // Lazy-loading recommendations
+  else if (category === "lazyLoading") {
+    switch (recommendation.type) {
+      case "lazy-above-fold":
+        humanReadable.title = recommendation.isLCPElement
+          ? "🚨 Don't Lazy-Load the LCP Element"
+          : "💤 Don't Lazy-Load Above the Fold";
+        break;
+      case "eager-below-fold":
+        humanReadable.title = "💤 Lazy-Load Below the Fold";
+        break;
+      case "missing-decoding-async":
+        humanReadable.title = "🧩 Decode Images Asynchronously";
+        break;
+    }
+    if (humanReadable.title) {
+      humanReadable.description = escapeHtml(recommendation.issue);
+      if (recommendation.selectors) {
+        humanReadable.description += `<br><code>${recommendation.selectors
+          .slice(0, 5)
+          .map(escapeHtml)
+          .join("</code>, <code>")}</code>${recommendation.selectors.length > 5 ? ", …" : ""}`;
+      }
+      humanReadable.action = escapeHtml(recommendation.recommendation);
+      humanReadable.impact = recommendation.impact;
+    }
+  }
+
+  // Web font recommendations
+  else if (category === "fonts") {
+    const titles = {
+      "font-preload-crossorigin": "🔁 Add crossorigin to Font Preloads",
+      "font-not-preloaded": "🔤 Preload Above-the-Fold Fonts",
+      "font-display": "👻 Avoid Invisible Text",
+      "font-swap-layout-shift": "📐 Stop Font Swaps Shifting the Layout",
+      "font-format": "🗜️ Serve WOFF2 Fonts",
+    };
+    if (titles[recommendation.type]) {
+      humanReadable.title = titles[recommendation.type];
+      humanReadable.description = escapeHtml(recommendation.issue);
+      humanReadable.action = escapeHtml(recommendation.recommendation);
+      if (recommendation.htmlExample) {
+        humanReadable.action += `<br><code>${escapeHtml(recommendation.htmlExample)}</code>`;
+      }
+      humanReadable.impact = recommendation.impact;
+    }
+  }
+
+  // Third-party entity recommendations
+  else if (category === "thirdParties") {
+    const titles = {
+      "third-party-render-blocking": "🚧 Stop Third Parties Blocking Render",
+      "third-party-main-thread-entity": "🧵 Reduce Third-Party Main-Thread Time",
+      "third-party-layout-shift": "📐 Reserve Space for Third-Party Embeds",
+      "third-party-bytes": "📦 Trim Third-Party Downloads",
+    };
+    if (titles[recommendation.type]) {
+      humanReadable.title = titles[recommendation.type];
+      humanReadable.description = escapeHtml(recommendation.issue);
+      if (recommendation.selectors && recommendation.selectors.length > 0) {
+        humanReadable.description += `<br><code>${recommendation.selectors
+          .slice(0, 5)
+          .map(escapeHtml)
+          .join("</code>, <code>")}</code>`;
+      }
+      humanReadable.action = escapeHtml(recommendation.recommendation);
+      humanReadable.impact = escapeHtml(recommendation.impact);
     }
   }
 
+  // Compression and protocol recommendations
+  else if (category === "compression") {
+    switch (recommendation.type) {
+      case "uncompressed-text":
+        humanReadable.title = "🗜️ Compress Text Responses";
+        humanReadable.description = `${escapeHtml(recommendation.issue)}:${(
+          recommendation.resources || []
+        )
+          .slice(0, 3)
+          .map(
+            (resource) =>
+              `<br>${escapeHtml(
+                resource.url.split(/[?#]/)[0].split("/").pop() || resource.url
+              )} (${formatBytes(resource.encodedBodySize)})`
+          )
+          .join("")}`;
+        break;
+      case "http1-origin":
+        humanReadable.title = "🔌 Upgrade to HTTP/2 or HTTP/3";
+        humanReadable.description = escapeHtml(recommendation.issue);
+        break;
+    }
+    if (humanReadable.title) {
+      humanReadable.action = escapeHtml(recommendation.recommendation);
+      humanReadable.impact = recommendation.impact;
+    }
+  }
+
+  // Cache recommendations (Server-Timing, lifetimes, revalidation and subresource policy)
+  else if (category === "cache") {
+    switch (recommendation.type) {
+      case "server-timing-cache-mismatch":
+        humanReadable.title = "⏱️ Align Cache Status Headers";
+        break;
+      case "server-timing-cache-status":
+        humanReadable.title = "⏱️ Expose the Cache Status Header";
+        break;
+      case "cache-control-syntax":
+        humanReadable.title = "🧾 Fix Cache-Control Syntax";
+        break;
+      case "cdn-cannot-cache":
+        humanReadable.title = "🌐 Let the CDN Cache This Page";
+        break;
+      case "cdn-missing-swr":
+        humanReadable.title = "♻️ Add stale-while-revalidate at the Edge";
+        break;
+      case "browser-ttl-exceeds-cdn":
+        humanReadable.title = "⚖️ Shorten the Browser TTL";
+        break;
+      case "heuristic-freshness":
+        humanReadable.title = "🏷️ Set an Explicit Cache Lifetime";
+        break;
+      case "etag-not-validating":
+        humanReadable.title = "🔁 Fix ETags That Never Return 304";
+        break;
+      case "last-modified-not-validating":
+        humanReadable.title = "📅 Honour If-Modified-Since";
+        break;
+      case "missing-validators":
+        humanReadable.title = "🪪 Add ETag or Last-Modified";
+        break;
+      case "cache-fragmentation-vary-star":
+        humanReadable.title = "✳️ Replace Vary: *";
+        break;
+      case "cache-fragmentation-vary-user-agent":
+        humanReadable.title = "📱 Stop Varying on User-Agent";
+        break;
+      case "cache-fragmentation-vary-cookie":
+        humanReadable.title = "🍪 Stop Varying on Cookie";
+        break;
+      case "cache-fragmentation-set-cookie":
+        humanReadable.title = "🍪 Move Set-Cookie Off Cacheable Pages";
+        break;
+      case "cache-fragmentation-set-cookie-inferred":
+        humanReadable.title = "🍪 Check for Set-Cookie on This Page";
+        break;
+      case "subresource-no-store":
+        humanReadable.title = "🚫 Stop Using no-store on Static Files";
+        break;
+      case "subresource-no-cache-headers":
+        humanReadable.title = "🏷️ Add Cache Headers to Static Files";
+        break;
+      case "subresource-short-max-age":
+        humanReadable.title = "⏳ Cache Static Files for Longer";
+        break;
+      case "subresource-fingerprinted-short-max-age":
+        humanReadable.title = "🔑 Cache Hashed Files for a Year";
+        break;
+      case "subresource-missing-immutable":
+        humanReadable.title = "🧊 Mark Hashed Files as Immutable";
+        break;
+    }
+    if (humanReadable.title) {
+      // Cache policy items list their Cache-Control, revalidation items their validator
+      const resourceDetail = (resource) =>
+        "cacheControl" in resource
+          ? resource.cacheControl || "no Cache-Control"
+          : resource.etag || resource.lastModified || "no ETag or Last-Modified";
+      humanReadable.description = recommendation.resources
+        ? `${escapeHtml(recommendation.issue)}:${recommendation.resources
+            .slice(0, 3)
+            .map(
+              (resource) =>
+                `<br>${escapeHtml(
+                  resource.url.split(/[?#]/)[0].split("/").pop() || resource.url
+                )} (${escapeHtml(resourceDetail(resource))})`
+            )
+            .join("")}`
+        : escapeHtml(recommendation.issue);
+      humanReadable.action = escapeHtml(recommendation.recommendation);
+      humanReadable.impact = recommendation.impact;
+    }
+  }
+
+  // Back/forward cache recommendations (frame URLs and names come from the page)
+  else if (category === "bfcache" && recommendation.type === "bfcache-blocker") {
+    humanReadable.title = "⏪ Unblock the Back/Forward Cache";
+    humanReadable.description = escapeHtml(recommendation.issue);
+    humanReadable.action = escapeHtml(recommendation.recommendation);
+    if (recommendation.reason) {
+      humanReadable.action += `<br>Reason: <code>${escapeHtml(recommendation.reason)}</code>`;
+    }
+    humanReadable.impact = escapeHtml(recommendation.impact);
+  }
+
   // Link recommendations
   else if (category === "links") {
     recommendation.recommendations?.forEach((rec) => {
@@ -1667,6 +2083,15 @@ function createRecommendationCategory(key, title, icon, data) {
     `;
     content.appendChild(noIssues);
   } else {
+    if (key === "images") {
+      const highlightButton = document.createElement("button");
+      highlightButton.className = "control-button secondary image-highlight-button";
+      highlightButton.type = "button";
+      highlightButton.textContent = "Highlight flagged images on page";
+      highlightButton.addEventListener("click", showImageOffenders);
+      content.appendChild(highlightButton);
+    }
+
     recommendations.forEach((recommendation) => {
       const humanized = humanizeRecommendation(recommendation, key);
 
@@ -1712,6 +2137,191 @@ function getScoreDisplayText(score) {
   }
 }
 
+// Resource waterfall state
+const WATERFALL_ZOOM_LEVELS = [1, 2, 4, 8];
+const WATERFALL_MAX_ROWS = 300; // Keep the popup responsive on resource-heavy pages
+const WATERFALL_PHASES = [
+  "redirect",
+  "queueing",
+  "dns",
+  "connect",
+  "tls",
+  "requestWait",
+  "download",
+];
+let waterfallZoomIndex = 0;
+let waterfallData = null;
+
+// Initialize resource waterfall controls
+function initializeWaterfall() {
+  const loadButton = document.getElementById("load-waterfall-btn");
+  const zoomInButton = document.getElementById("waterfall-zoom-in-btn");
+  const zoomOutButton = document.getElementById("waterfall-zoom-out-btn");
+
+  if (loadButton) {
+    loadButton.addEventListener("click", () => {
+      animateButtonClick(loadButton);
+      loadWaterfall();
+    });
+  }
+
+  if (zoomInButton) {
+    zoomInButton.addEventListener("click", () => setWaterfallZoom(waterfallZoomIndex + 1));
+  }
+
+  if (zoomOutButton) {
+    zoomOutButton.addEventListener("click", () => setWaterfallZoom(waterfallZoomIndex - 1));
+  }
+}
+
+// Request resource entries from the content script and render them
+function loadWaterfall() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0]) return;
+
+    const tabId = tabs[0].id;
+    chrome.tabs.sendMessage(tabId, { type: "getResourceWaterfall" }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error("Error loading resource waterfall:", chrome.runtime.lastError);
+        showToast("Could not load the resource waterfall. Try refreshing the page.", "error");
+        return;
+      }
+
+      // FCP/LCP markers come from the metrics already collected for this tab
+      chrome.storage.local.get([`metrics_${tabId}`], (data) => {
+        const metrics = data[`metrics_${tabId}`] || {};
+        const markers = ["FCP", "LCP"]
+          .map((key) => {
+            const value =
+              metrics[key] && typeof metrics[key] === "object" ? metrics[key].value : null;
+            return typeof value === "number" && value > 0
+              ? { key, time: (value + (response.markerOffset || 0)) * 1000 }
+              : null;
+          })
+          .filter(Boolean);
+
+        waterfallData = { entries: response.entries || [], markers };
+        renderWaterfall();
+      });
+    });
+  });
+}
+
+// Change the waterfall zoom level and re-render
+function setWaterfallZoom(index) {
+  waterfallZoomIndex = Math.max(0, Math.min(WATERFALL_ZOOM_LEVELS.length - 1, index));
+
+  const zoom = WATERFALL_ZOOM_LEVELS[waterfallZoomIndex];
+  const zoomLabel = document.getElementById("waterfall-zoom-level");
+  if (zoomLabel) zoomLabel.textContent = `${zoom}x`;
+
+  const chart = document.querySelector(".waterfall-chart");
+  if (chart) chart.style.width = `${zoom * 100}%`;
+}
+
+// Render the waterfall chart from the loaded entries
+function renderWaterfall() {
+  const container = document.getElementById("waterfall-content");
+  if (!container || !waterfallData) return;
+
+  container.style.display = "block";
+
+  const entries = waterfallData.entries.slice(0, WATERFALL_MAX_ROWS);
+  if (entries.length === 0) {
+    container.innerHTML = '<div class="no-issues-text">No resource timing entries recorded</div>';
+    return;
+  }
+
+  // Time axis spans from 0 to the last response or marker
+  const end = Math.max(
+    ...entries.map((entry) => entry.responseEnd || entry.startTime + entry.duration),
+    ...waterfallData.markers.map((marker) => marker.time)
+  );
+  const toPercent = (time) => ((Math.max(0, time) / end) * 100).toFixed(3);
+
+  const rowsHTML = entries
+    .map((entry) => {
+      const fileName = entry.url.split("?")[0].split("/").filter(Boolean).pop() || entry.url;
+      const phaseTotal = WATERFALL_PHASES.reduce((sum, key) => sum + (entry.phases[key] || 0), 0);
+      const segmentsHTML =
+        entry.timingAllowed && phaseTotal > 0
+          ? WATERFALL_PHASES.filter((key) => entry.phases[key] > 0)
+              .map(
+                (key) =>
+                  `<span class="waterfall-phase waterfall-phase-${key}" style="width: ${(
+                    (entry.phases[key] / phaseTotal) *
+                    100
+                  ).toFixed(2)}%;"></span>`
+              )
+              .join("")
+          : '<span class="waterfall-phase waterfall-phase-opaque" style="width: 100%;"></span>';
+      const title = [
+        entry.url,
+        `${entry.initiatorType} · ${entry.nextHopProtocol || "unknown protocol"}`,
+        `Start ${entry.startTime.toFixed(0)}ms · Duration ${entry.duration.toFixed(0)}ms`,
+        `Transfer ${formatBytes(entry.transferSize)} · Decoded ${formatBytes(entry.decodedBodySize)}`,
+        entry.renderBlockingStatus ? `Render blocking: ${entry.renderBlockingStatus}` : "",
+      ]
+        .filter(Boolean)
+        .join("\n");
+      const blockingClass =
+        entry.renderBlockingStatus === "blocking" ? " waterfall-row-blocking" : "";
+
+      const barStyle = `left: ${toPercent(entry.startTime)}%; width: ${Math.max(
+        0.2,
+        toPercent(entry.duration)
+      )}%;`;
+
+      return `
+        <div class="waterfall-row${blockingClass}" title="${escapeHtml(title)}">
+          <span class="waterfall-label">${escapeHtml(fileName)}</span>
+          <span class="waterfall-track">
+            <span class="waterfall-bar" style="${barStyle}">${segmentsHTML}</span>
+          </span>
+        </div>
+      `;
+    })
+    .join("");
+
+  // Markers sit on the track area, to the right of the label column
+  const markersHTML = waterfallData.markers
+    .map((marker) => {
+      const position = toPercent(marker.time) / 100;
+      const left = `calc(var(--waterfall-label-width) + (100% - var(--waterfall-label-width)) * ${position})`;
+      return `
+        <span class="waterfall-marker waterfall-marker-${marker.key.toLowerCase()}"
+              style="left: ${left};" title="${marker.key} ${marker.time.toFixed(0)}ms">
+          <span class="waterfall-marker-label">${marker.key}</span>
+        </span>
+      `;
+    })
+    .join("");
+
+  const legendHTML = WATERFALL_PHASES.map(
+    (key) => `
+      <span class="waterfall-legend-item">
+        <span class="waterfall-phase waterfall-phase-${key}" aria-hidden="true"></span>${key}
+      </span>
+    `
+  ).join("");
+
+  const truncatedNote =
+    waterfallData.entries.length > entries.length
+      ? `<div class="waterfall-note">Showing the first ${entries.length} of ${waterfallData.entries.length} resources</div>`
+      : "";
+
+  container.innerHTML = `
+    <div class="waterfall-scroll">
+      <div class="waterfall-chart">${rowsHTML}${markersHTML}</div>
+    </div>
+    <div class="waterfall-legend">${legendHTML}</div>
+    <div class="waterfall-note">${waterfallData.entries.length} resources · ${end.toFixed(0)}ms</div>
+    ${truncatedNote}
+  `;
+
+  setWaterfallZoom(waterfallZoomIndex);
+}
+
 // Initialize recommendations display functionality
 function initializeRecommendationsDisplay() {
   const copyButton = document.getElementById("copy-recommendations-btn");
@@ -1960,6 +2570,12 @@ document.addEventListener("DOMContentLoaded", () => {
   // Initialize recommendations display functionality
   initializeRecommendationsDisplay();
 
+  // Initialize opt-in code coverage
+  initializeCoverageButton();
+
+  // Initialize resource waterfall
+  initializeWaterfall();
+
   // Initialize accessibility features
   initializeAccessibilityFeatures();
 
@@ -2312,6 +2928,13 @@ document.addEventListener("DOMContentLoaded", () => {
         { key: "scripts", title: "Script Analysis", icon: "📜" },
         { key: "links", title: "Link Tag Analysis", icon: "🔗" },
         { key: "css", title: "CSS Analysis", icon: "🎨" },
+        { key: "renderBlocking", title: "Render-Blocking Resources", icon: "⛔" },
+        { key: "images", title: "Image Optimization", icon: "🖼️" },
+        { key: "lazyLoading", title: "Lazy-Loading", icon: "💤" },
+        { key: "fonts", title: "Web Fonts", icon: "🔤" },
+        { key: "compression", title: "Compression & Protocol", icon: "🗜️" },
+        { key: "thirdParties", title: "Third-Party Impact", icon: "🌐" },
+        { key: "bfcache", title: "Back/Forward Cache", icon: "🔙" },
       ];
 
       categories.forEach((category) => {
@@ -2512,6 +3135,43 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     }
 
+    if (data.effectiveTTL) {
+      const layers = [
+        ["Browser", data.effectiveTTL.browser],
+        ["Shared Cache", data.effectiveTTL.shared],
+        ["CDN", data.effectiveTTL.cdn],
+      ];
+      layers.forEach(([name, layer]) => {
+        if (!layer) return;
+        items.push({
+          label: `${name} TTL`,
+          value: layer.storable
+            ? `${layer.ttl === null ? "unset" : `${layer.ttl} seconds`} (${layer.source})`
+            : `not stored (${layer.source})`,
+          type: layer.storable && layer.ttl > 0 ? "good" : "improvement",
+        });
+      });
+    }
+
+    if (data.revalidation && data.revalidation.checked > 0) {
+      items.push({
+        label: "304 Revalidation",
+        value: `${data.revalidation.validated} of ${data.revalidation.checked} (saves ${formatBytes(
+          data.revalidation.bytesSaved
+        )} transferred)`,
+        type:
+          data.revalidation.validated === data.revalidation.checked ? "good" : "improvement",
+      });
+    }
+
+    if (data.subresources && data.subresources.checked > 0) {
+      items.push({
+        label: "Static Asset Cache Hits",
+        value: `${data.subresources.cacheHits} of ${data.subresources.checked}`,
+        type: data.subresources.cacheHits > 0 ? "good" : "improvement",
+      });
+    }
+
     items.forEach((item) => {
       container.appendChild(createRecommendationItem(item));
     });
@@ -2706,6 +3366,25 @@ document.addEventListener("DOMContentLoaded", () => {
           type: "good",
         });
       }
+
+      if (data.unusedCSS && data.unusedCSS.supported && data.unusedCSS.totalBytes > 0) {
+        const unusedPercent = Math.round(
+          (data.unusedCSS.unusedBytes / data.unusedCSS.totalBytes) * 100
+        );
+        items.push({
+          label: "Unused CSS",
+          value: `${formatBytes(data.unusedCSS.unusedBytes)} (${unusedPercent}%)`,
+          type: unusedPercent >= 25 ? "problems" : "good",
+        });
+      }
+
+      if (data.unusedCSS && data.unusedCSS.nonMatchingMediaBytes > 0) {
+        items.push({
+          label: "CSS for Other Media",
+          value: formatBytes(data.unusedCSS.nonMatchingMediaBytes),
+          type: data.unusedCSS.nonMatchingMediaBytes >= 2048 ? "improvement" : "good",
+        });
+      }
     } else {
       items.push({
         label: "Stylesheets",
@@ -3319,6 +3998,8 @@ function showMetricsTable(metrics, tabUrl) {
     { key: "FCP", name: "First Contentful Paint", hasThreshold: true },
     { key: "LCP", name: "Largest Contentful Paint", hasThreshold: true },
     { key: "CLS", name: "Cumulative Layout Shift", hasThreshold: true },
+    { key: "INP", name: "Interaction to Next Paint", hasThreshold: true },
+    { key: "TBT", name: "Total Blocking Time", hasThreshold: true },
     { key: "DOMLoadTime", name: "DOM Load Time", hasThreshold: false },
     { key: "NavigationTime", name: "Navigation Duration", hasThreshold: false },
   ];
@@ -3341,6 +4022,11 @@ function showMetricsTable(metrics, tabUrl) {
       value = parseFloat(value);
     }
 
+    // INP has no value until the user interacts with the page
+    if (key === "INP" && metricData && metricData.interactionCount === 0) {
+      value = null;
+    }
+
     // Debug logging to help identify issues (only log once per metric to avoid spam)
     if (value !== null && value !== undefined && (typeof value !== "number" || isNaN(value))) {
       if (!window.loggedInvalidMetrics) window.loggedInvalidMetrics = new Set();
@@ -3350,7 +4036,11 @@ function showMetricsTable(metrics, tabUrl) {
       }
     }
 
-    const formattedValue = formatMetricValue(key, value);
+    // A bfcache restore whose first frame hasn't painted yet has no value to show
+    const formattedValue =
+      metricData && metricData.pending === true && (value === null || value === undefined)
+        ? "Not yet measured"
+        : formatMetricValue(key, value);
 
     let statusHTML = "";
     let rowClass = "";
@@ -3394,26 +4084,83 @@ function showMetricsTable(metrics, tabUrl) {
         ? 'data-lcp-row="true" style="cursor: pointer;" title="Click to highlight LCP element in page"'
         : "";
 
+    // Label values that come from a heuristic rather than a browser measurement
+    const estimateBadge =
+      metricData && metricData.estimated === true
+        ? ` <span class="metric-estimate-badge" title="Estimated (${escapeHtml(
+            metricData.source || "heuristic"
+          )})">est.</span>`
+        : "";
+
     tableHTML += `
       <tr class="metric-row ${rowClass}" ${lcpAttributes}>
         <td class="metric-name">${name}${
       key === "LCP" ? ' <span style="font-size: 10px; color: #666;">📍</span>' : ""
-    }</td>
+    }${estimateBadge}</td>
         <td class="metric-value">${formattedValue}</td>
         <td class="metric-status">${statusHTML}</td>
       </tr>
     `;
+
+    if (key === "TTFB" && metricData && metricData.phases) {
+      tableHTML += createTTFBPhasesRow(metricData.phases);
+    }
+
+    if (key === "TTFB" && metricData && Array.isArray(metricData.serverTiming)) {
+      tableHTML += createServerTimingRow(metricData.serverTiming);
+    }
+
+    if (key === "CLS" && metricData && typeof metricData === "object") {
+      tableHTML += createCLSDetailRow(metricData);
+    }
+
+    if (key === "INP" && metricData && typeof metricData === "object") {
+      tableHTML += createINPDetailRow(metricData);
+    }
+
+    if (key === "TBT" && metricData && Array.isArray(metricData.timeline)) {
+      tableHTML += createMainThreadTimelineRow(metricData);
+    }
+
+    if (key === "LCP" && metricData && metricData.breakdown) {
+      tableHTML += createLCPBreakdownRow(metricData.breakdown);
+    }
   });
 
   // Add navigation type row
-  const transitionType = metrics.transitionType === "spa" ? "SPA Navigation" : "Full Page Load";
-  const transitionClass = metrics.transitionType === "spa" ? "spa" : "navigation";
+  const transitionLabels = {
+    spa: "SPA Navigation",
+    bfcache: "Back/Forward Cache Restore",
+    navigation: "Full Page Load",
+  };
+  const transitionClass = transitionLabels[metrics.transitionType]
+    ? metrics.transitionType
+    : "navigation";
+  const transitionType = transitionLabels[transitionClass];
+
+  // For SPA routes, say whether values come from soft navigation entries or heuristics
+  let softNavigationNote = "";
+  if (metrics.transitionType === "spa" && metrics.softNavigation) {
+    const heuristics = metrics.softNavigation.heuristicMetrics || [];
+    softNavigationNote = `
+      <div class="metric-detail-target" title="${escapeHtml(
+        `Measured: ${(metrics.softNavigation.measuredMetrics || []).join(", ")}`
+      )}">
+        ${
+          metrics.softNavigation.measuredWith === "soft-navigation-entries"
+            ? "Soft navigation entries"
+            : "Heuristics"
+        }${heuristics.length > 0 ? ` · estimated: ${escapeHtml(heuristics.join(", "))}` : ""}
+      </div>
+    `;
+  }
 
   tableHTML += `
     <tr class="metric-row info-row">
       <td class="metric-name">Navigation Type</td>
       <td class="metric-value">
         <span class="transition-type ${transitionClass}">${transitionType}</span>
+        ${softNavigationNote}
       </td>
       <td class="metric-status">
         <span class="status-indicator status-info">
@@ -3445,6 +4192,253 @@ function showMetricsTable(metrics, tabUrl) {
     `Metrics updated. ${goodCount} of ${coreMetrics.length} Core Web Vitals are in good range.`
   );
 }
+
+// Build the expandable TTFB phase breakdown shown under the TTFB metric
+function createTTFBPhasesRow(phases) {
+  const networkPhases = [
+    { label: "Redirect", value: phases.redirect },
+    { label: "Worker start", value: phases.workerStart },
+    { label: "DNS", value: phases.dns },
+    { label: "Connect", value: phases.connect },
+    { label: "TLS", value: phases.tls },
+    { label: "Other", value: phases.other },
+  ];
+
+  const networkTotal = networkPhases.reduce((sum, phase) => sum + (phase.value || 0), 0);
+  const phaseHTML = (phase) =>
+    `<span class="metric-detail-phase">${phase.label}: ${formatMetricValue(
+      "TTFB",
+      phase.value || 0
+    )}</span>`;
+
+  // Request wait is mostly server time (plus one round trip), so it answers "network or backend?"
+  const summaryText = `Network ${formatMetricValue(
+    "TTFB",
+    networkTotal
+  )} · Request wait ${formatMetricValue("TTFB", phases.requestWait || 0)}`;
+  const protocolText = phases.nextHopProtocol ? ` · ${escapeHtml(phases.nextHopProtocol)}` : "";
+
+  return `
+    <tr class="metric-detail-row">
+      <td colspan="3" class="metric-detail">
+        <details class="ttfb-phases">
+          <summary>${summaryText}</summary>
+          <div class="metric-detail-phases">${networkPhases.map(phaseHTML).join("")}</div>
+          <div class="metric-detail-phases">
+            ${phaseHTML({ label: "Request wait", value: phases.requestWait })}
+            <span class="metric-detail-phase">Response download: ${formatMetricValue(
+              "TTFB",
+              phases.responseDownload || 0
+            )}</span>
+          </div>
+          <div class="metric-detail-target">${phases.redirectCount || 0} redirect(s)${protocolText}</div>
+        </details>
+      </td>
+    </tr>
+  `;
+}
+
+// Build the Server-Timing row (db, cache, render, ...) shown under the TTFB metric
+function createServerTimingRow(serverTiming) {
+  if (serverTiming.length === 0) return "";
+
+  const entriesHTML = serverTiming
+    .map((timing) => {
+      const description = timing.description ? ` (${escapeHtml(timing.description)})` : "";
+      const duration = timing.duration > 0 ? `: ${formatMetricValue("TTFB", timing.duration)}` : "";
+      return `<span class="metric-detail-phase">${escapeHtml(timing.name)}${description}${duration}</span>`;
+    })
+    .join("");
+
+  return `
+    <tr class="metric-detail-row">
+      <td colspan="3" class="metric-detail">
+        <div class="metric-detail-target">Server-Timing</div>
+        <div class="metric-detail-phases">${entriesHTML}</div>
+      </td>
+    </tr>
+  `;
+}
+
+// Build the stacked LCP sub-part bar shown under the LCP metric
+function createLCPBreakdownRow(breakdown) {
+  const parts = [
+    { key: "ttfb", label: "TTFB", value: breakdown.ttfb },
+    { key: "load-delay", label: "Load delay", value: breakdown.resourceLoadDelay },
+    { key: "load-duration", label: "Load duration", value: breakdown.resourceLoadDuration },
+    { key: "render-delay", label: "Render delay", value: breakdown.elementRenderDelay },
+  ];
+
+  const total = parts.reduce((sum, part) => sum + Math.max(0, part.value || 0), 0);
+  if (total <= 0) return "";
+
+  const segmentsHTML = parts
+    .filter((part) => part.value > 0)
+    .map((part) => {
+      const percent = ((part.value / total) * 100).toFixed(1);
+      const duration = formatMetricValue("LCP", part.value);
+      return `<span class="lcp-breakdown-segment lcp-part-${part.key}" style="width: ${percent}%;" title="${part.label}: ${duration} (${percent}%)"></span>`;
+    })
+    .join("");
+
+  const legendHTML = parts
+    .map(
+      (part) => `
+        <span class="lcp-breakdown-legend-item">
+          <span class="lcp-breakdown-swatch lcp-part-${part.key}" aria-hidden="true"></span>
+          ${part.label}: ${formatMetricValue("LCP", part.value)}
+        </span>
+      `
+    )
+    .join("");
+
+  return `
+    <tr class="metric-detail-row">
+      <td colspan="3" class="metric-detail">
+        <div class="lcp-breakdown-bar" role="img" aria-label="LCP breakdown: ${parts
+          .map((part) => `${part.label} ${formatMetricValue("LCP", part.value)}`)
+          .join(", ")}">${segmentsHTML}</div>
+        <div class="lcp-breakdown-legend">${legendHTML}</div>
+      </td>
+    </tr>
+  `;
+}
+
+// Build the CLS session window row shown under the CLS metric
+function createCLSDetailRow(clsData) {
+  const worstWindow = clsData.worstWindow;
+  if (!worstWindow || typeof clsData.rawTotal !== "number") return "";
+
+  const windowLabel = clsData.sessionWindowCount === 1 ? "window" : "windows";
+  const sourcesHTML =
+    worstWindow.sources && worstWindow.sources.length > 0
+      ? `<div class="metric-detail-target" title="${escapeHtml(
+          worstWindow.sources.join(", ")
+        )}">Sources: <code>${escapeHtml(worstWindow.sources.slice(0, 3).join(", "))}</code>${
+          worstWindow.sources.length > 3 ? ` +${worstWindow.sources.length - 3} more` : ""
+        }</div>`
+      : "";
+
+  return `
+    <tr class="metric-detail-row">
+      <td colspan="3" class="metric-detail">
+        <div class="metric-detail-phases">
+          <span class="metric-detail-phase">Worst window: ${formatMetricValue(
+            "CLS",
+            worstWindow.value
+          )} at ${worstWindow.startTime.toFixed(1)}s-${worstWindow.endTime.toFixed(1)}s (${
+    worstWindow.shiftCount
+  } shifts)</span>
+          <span class="metric-detail-phase">All shifts: ${formatMetricValue(
+            "CLS",
+            clsData.rawTotal
+          )} across ${clsData.sessionWindowCount} ${windowLabel}</span>
+        </div>
+        ${sourcesHTML}
+      </td>
+    </tr>
+  `;
+}
+
+// Build the compact main-thread busy timeline shown under the TBT metric
+function createMainThreadTimelineRow(tbtData) {
+  const tasks = tbtData.timeline;
+  const lastTaskEnd = tasks.reduce((end, task) => Math.max(end, task.start + task.duration), 0);
+  const rangeEnd = Math.max(tbtData.tti || 0, lastTaskEnd, tbtData.fcp || 0) * 1.05;
+  if (rangeEnd <= 0) return "";
+
+  const toPercent = (seconds) => ((seconds / rangeEnd) * 100).toFixed(2);
+
+  const tasksHTML = tasks
+    .map((task) => {
+      const blockingClass = task.blocking > 0 ? "busy-task-blocking" : "";
+      return `<span class="busy-task ${blockingClass}" style="left: ${toPercent(
+        task.start
+      )}%; width: ${Math.max(0.5, toPercent(task.duration))}%;" title="${formatMetricValue(
+        "TBT",
+        task.duration
+      )} task at ${task.start.toFixed(2)}s, ${formatMetricValue(
+        "TBT",
+        task.blocking
+      )} blocking"></span>`;
+    })
+    .join("");
+
+  const markersHTML = [
+    { label: "FCP", value: tbtData.fcp },
+    { label: "TTI", value: tbtData.tti },
+  ]
+    .filter((marker) => typeof marker.value === "number")
+    .map(
+      (marker) =>
+        `<span class="busy-marker" style="left: ${toPercent(marker.value)}%;" title="${
+          marker.label
+        } ${marker.value.toFixed(2)}s"><span class="busy-marker-label">${marker.label}</span></span>`
+    )
+    .join("");
+
+  const ttiNote = tbtData.final ? "" : " (still waiting for a 5s quiet window)";
+
+  return `
+    <tr class="metric-detail-row">
+      <td colspan="3" class="metric-detail">
+        <div class="busy-timeline" role="img" aria-label="Main thread timeline with ${
+          tbtData.longTaskCount
+        } long tasks between FCP and TTI">${tasksHTML}${markersHTML}</div>
+        <div class="metric-detail-phases">
+          <span class="metric-detail-phase">${tbtData.longTaskCount} long tasks</span>
+          <span class="metric-detail-phase">TTI ≈ ${
+            typeof tbtData.tti === "number" ? `${tbtData.tti.toFixed(2)}s` : "N/A"
+          }${ttiNote}</span>
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+// Build the INP attribution row shown under the INP metric
+function createINPDetailRow(inpData) {
+  const attribution = inpData.attribution;
+
+  if (!attribution) {
+    return `
+      <tr class="metric-detail-row">
+        <td colspan="3" class="metric-detail">Interact with the page to measure INP</td>
+      </tr>
+    `;
+  }
+
+  const phases = [
+    { label: "Input delay", value: attribution.inputDelay },
+    { label: "Processing", value: attribution.processingTime },
+    { label: "Presentation", value: attribution.presentationDelay },
+  ];
+
+  const phasesHTML = phases
+    .map(
+      (phase) =>
+        `<span class="metric-detail-phase">${phase.label}: ${formatMetricValue(
+          "INP",
+          phase.value
+        )}</span>`
+    )
+    .join("");
+
+  const interactionLabel = inpData.interactionCount === 1 ? "interaction" : "interactions";
+
+  return `
+    <tr class="metric-detail-row">
+      <td colspan="3" class="metric-detail">
+        <div class="metric-detail-target" title="${escapeHtml(attribution.target || "")}">
+          ${escapeHtml(attribution.eventType || "interaction")} on
+          <code>${escapeHtml(attribution.target || "unknown element")}</code>
+          (${inpData.interactionCount} ${interactionLabel})
+        </div>
+        <div class="metric-detail-phases">${phasesHTML}</div>
+      </td>
+    </tr>
+  `;
+}
 // Export functionality
 function initializeExportButton() {
   const exportButton = document.getElementById("export-json-btn");
@@ -3563,6 +4557,67 @@ function initializeRecommendationsButton() {
   }
 }
 
+// Code coverage: the debugger permission is optional, so it is requested on the first run
+function initializeCoverageButton() {
+  const coverageButton = document.getElementById("run-coverage-btn");
+  if (!coverageButton) {
+    console.error("Coverage button not found!");
+    return;
+  }
+
+  coverageButton.addEventListener("click", () => {
+    animateButtonClick(coverageButton);
+
+    // permissions.request must run directly in the click handler (user gesture)
+    chrome.permissions.request({ permissions: ["debugger"] }, (granted) => {
+      if (chrome.runtime.lastError || !granted) {
+        showToast("Coverage needs the debugger permission", "error");
+        return;
+      }
+
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        const tab = tabs && tabs[0];
+        if (!tab || !isTabSupported(tab)) {
+          showToast("Coverage can't be measured on this page", "error");
+          return;
+        }
+
+        runCoverage(coverageButton, tab.id);
+      });
+    });
+  });
+}
+
+// Ask the background worker to reload the tab with coverage enabled
+function runCoverage(coverageButton, tabId) {
+  const buttonText = coverageButton.querySelector(".button-text");
+  coverageButton.disabled = true;
+  buttonText.textContent = "Measuring Coverage...";
+  announceToScreenReader("Reloading the page to measure code coverage");
+
+  chrome.runtime.sendMessage({ type: "runCoverage", tabId: tabId }, (response) => {
+    coverageButton.disabled = false;
+    buttonText.textContent = "Measure Code Coverage";
+
+    if (chrome.runtime.lastError || !response || !response.success) {
+      const error = chrome.runtime.lastError?.message || response?.error || "Unknown error";
+      console.error("Coverage run failed:", error);
+      showToast(`Coverage failed: ${error}`, "error");
+      return;
+    }
+
+    const unusedBytes = [...response.data.scripts, ...response.data.stylesheets].reduce(
+      (sum, file) => sum + file.unusedBytes,
+      0
+    );
+    showToast(
+      `${formatBytes(unusedBytes)} unused JS/CSS measured. Generate recommendations to see it per file.`,
+      "success"
+    );
+    announceToScreenReader("Code coverage collected");
+  });
+}
+
 // Generate performance recommendations with comprehensive error handling
 function generateRecommendations() {
   try {
@@ -3840,26 +4895,33 @@ async function exportAsJSON() {
                 metrics.TTFB && typeof metrics.TTFB === "object" ? metrics.TTFB.value : metrics.TTFB
               )
             : null,
+          phases: metrics.TTFB && metrics.TTFB.phases ? metrics.TTFB.phases : null,
+          serverTiming: metrics.TTFB && metrics.TTFB.serverTiming ? metrics.TTFB.serverTiming : [],
         },
         FCP: {
           value: metrics.FCP && typeof metrics.FCP === "object" ? metrics.FCP.value : metrics.FCP,
           unit: "seconds",
-          evaluation: metrics.FCP
-            ? evaluateMetric(
-                "FCP",
-                metrics.FCP && typeof metrics.FCP === "object" ? metrics.FCP.value : metrics.FCP
-              )
-            : null,
+          evaluation:
+            metrics.FCP && metrics.FCP.pending !== true
+              ? evaluateMetric(
+                  "FCP",
+                  metrics.FCP && typeof metrics.FCP === "object" ? metrics.FCP.value : metrics.FCP
+                )
+              : null,
+          source: metrics.FCP && metrics.FCP.source ? metrics.FCP.source : "unknown",
+          estimated: metrics.FCP ? metrics.FCP.estimated === true : null,
         },
         LCP: {
           value: metrics.LCP && typeof metrics.LCP === "object" ? metrics.LCP.value : metrics.LCP,
           unit: "seconds",
-          evaluation: metrics.LCP
-            ? evaluateMetric(
-                "LCP",
-                metrics.LCP && typeof metrics.LCP === "object" ? metrics.LCP.value : metrics.LCP
-              )
-            : null,
+          evaluation:
+            metrics.LCP && metrics.LCP.pending !== true
+              ? evaluateMetric(
+                  "LCP",
+                  metrics.LCP && typeof metrics.LCP === "object" ? metrics.LCP.value : metrics.LCP
+                )
+              : null,
+          breakdown: metrics.LCP && metrics.LCP.breakdown ? metrics.LCP.breakdown : null,
         },
         CLS: {
           value: metrics.CLS && typeof metrics.CLS === "object" ? metrics.CLS.value : metrics.CLS,
@@ -3871,6 +4933,31 @@ async function exportAsJSON() {
                   metrics.CLS && typeof metrics.CLS === "object" ? metrics.CLS.value : metrics.CLS
                 )
               : null,
+          rawTotal: metrics.CLS && typeof metrics.CLS === "object" ? metrics.CLS.rawTotal : undefined,
+          sessionWindowCount: metrics.CLS ? metrics.CLS.sessionWindowCount : undefined,
+          worstWindow: metrics.CLS && metrics.CLS.worstWindow ? metrics.CLS.worstWindow : null,
+        },
+        INP: {
+          value: metrics.INP && typeof metrics.INP === "object" ? metrics.INP.value : metrics.INP,
+          unit: "seconds",
+          evaluation:
+            metrics.INP && metrics.INP.interactionCount !== 0
+              ? evaluateMetric(
+                  "INP",
+                  typeof metrics.INP === "object" ? metrics.INP.value : metrics.INP
+                )
+              : null,
+          interactionCount: metrics.INP ? metrics.INP.interactionCount : undefined,
+          attribution: metrics.INP ? metrics.INP.attribution || null : null,
+        },
+        TBT: {
+          value: metrics.TBT && typeof metrics.TBT === "object" ? metrics.TBT.value : null,
+          unit: "seconds",
+          evaluation: metrics.TBT ? evaluateMetric("TBT", metrics.TBT.value) : null,
+          tti: metrics.TBT ? metrics.TBT.tti : null,
+          final: metrics.TBT ? metrics.TBT.final : null,
+          longTaskCount: metrics.TBT ? metrics.TBT.longTaskCount : null,
+          source: metrics.TBT ? metrics.TBT.source : null,
         },
         DOMLoadTime: {
           value:
@@ -3889,6 +4976,8 @@ async function exportAsJSON() {
           evaluation: null,
         },
       },
+      softNavigation: metrics.softNavigation || null,
+      bfcacheRestore: metrics.bfcacheRestore || null,
       collectedAt: metrics.timestamp ? new Date(metrics.timestamp).toISOString() : null,
       extensionVersion: chrome.runtime.getManifest().version,
     };
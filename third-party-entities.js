@@ -0,0 +1,116 @@
+// Third-party entity map: which company owns an origin, and what kind of vendor it is
+// Loaded before content.js (see manifest.json); a hostname matches a domain when it equals it
+// or is a subdomain of it
+const THIRD_PARTY_ENTITIES = [
+  // Tag managers
+  {
+    name: "Google Tag Manager",
+    category: "tag-manager",
+    domains: ["googletagmanager.com"],
+  },
+  { name: "Tealium", category: "tag-manager", domains: ["tiqcdn.com", "tealiumiq.com"] },
+  { name: "Adobe Launch", category: "tag-manager", domains: ["assets.adobedtm.com"] },
+  { name: "Segment", category: "tag-manager", domains: ["segment.com", "segment.io"] },
+
+  // Analytics
+  {
+    name: "Google Analytics",
+    category: "analytics",
+    domains: ["google-analytics.com", "analytics.google.com"],
+  },
+  { name: "Adobe Analytics", category: "analytics", domains: ["omtrdc.net", "2o7.net"] },
+  { name: "Hotjar", category: "analytics", domains: ["hotjar.com", "hotjar.io"] },
+  { name: "Microsoft Clarity", category: "analytics", domains: ["clarity.ms"] },
+  { name: "Mixpanel", category: "analytics", domains: ["mixpanel.com", "mxpnl.com"] },
+  { name: "Amplitude", category: "analytics", domains: ["amplitude.com"] },
+  { name: "Heap", category: "analytics", domains: ["heap.io", "heapanalytics.com"] },
+  { name: "FullStory", category: "analytics", domains: ["fullstory.com"] },
+  { name: "New Relic", category: "analytics", domains: ["nr-data.net", "newrelic.com"] },
+  {
+    name: "Datadog RUM",
+    category: "analytics",
+    domains: ["datadoghq.com", "datadoghq-browser-agent.com"],
+  },
+  { name: "Sentry", category: "analytics", domains: ["sentry.io", "sentry-cdn.com"] },
+  { name: "Quantcast", category: "analytics", domains: ["quantserve.com", "quantcount.com"] },
+
+  // Advertising
+  {
+    name: "Google Ads",
+    category: "ads",
+    domains: [
+      "doubleclick.net",
+      "googlesyndication.com",
+      "googleadservices.com",
+      "googletagservices.com",
+      "adservice.google.com",
+    ],
+  },
+  { name: "Amazon Ads", category: "ads", domains: ["amazon-adsystem.com"] },
+  { name: "Criteo", category: "ads", domains: ["criteo.com", "criteo.net"] },
+  { name: "Taboola", category: "ads", domains: ["taboola.com"] },
+  { name: "Outbrain", category: "ads", domains: ["outbrain.com", "outbrainimg.com"] },
+  { name: "The Trade Desk", category: "ads", domains: ["adsrvr.org"] },
+  { name: "AppNexus", category: "ads", domains: ["adnxs.com"] },
+  { name: "Rubicon Project", category: "ads", domains: ["rubiconproject.com"] },
+  { name: "PubMatic", category: "ads", domains: ["pubmatic.com"] },
+  { name: "Microsoft Advertising", category: "ads", domains: ["bat.bing.com"] },
+  { name: "TikTok Pixel", category: "ads", domains: ["analytics.tiktok.com"] },
+  { name: "LinkedIn Insight", category: "ads", domains: ["snap.licdn.com", "px.ads.linkedin.com"] },
+
+  // Social
+  {
+    name: "Facebook",
+    category: "social",
+    domains: ["facebook.net", "facebook.com", "fbcdn.net"],
+  },
+  { name: "Twitter", category: "social", domains: ["platform.twitter.com", "ads-twitter.com"] },
+  { name: "Pinterest", category: "social", domains: ["pinimg.com", "ct.pinterest.com"] },
+  { name: "AddThis", category: "social", domains: ["addthis.com"] },
+  { name: "ShareThis", category: "social", domains: ["sharethis.com"] },
+
+  // Chat and customer success
+  { name: "Intercom", category: "chat", domains: ["intercom.io", "intercomcdn.com"] },
+  { name: "Drift", category: "chat", domains: ["drift.com", "driftt.com"] },
+  { name: "Zendesk", category: "chat", domains: ["zdassets.com", "zendesk.com", "zopim.com"] },
+  { name: "LiveChat", category: "chat", domains: ["livechatinc.com"] },
+  { name: "HubSpot", category: "chat", domains: ["hs-scripts.com", "hubspot.com", "hsforms.net"] },
+  { name: "Tawk.to", category: "chat", domains: ["tawk.to"] },
+  { name: "Crisp", category: "chat", domains: ["crisp.chat"] },
+
+  // Consent management
+  { name: "OneTrust", category: "consent", domains: ["onetrust.com", "cookielaw.org"] },
+  { name: "Cookiebot", category: "consent", domains: ["cookiebot.com"] },
+  { name: "TrustArc", category: "consent", domains: ["trustarc.com"] },
+
+  // Video and embeds
+  {
+    name: "YouTube",
+    category: "video",
+    domains: ["youtube.com", "ytimg.com", "youtube-nocookie.com"],
+  },
+  { name: "Vimeo", category: "video", domains: ["vimeo.com", "vimeocdn.com"] },
+  { name: "Wistia", category: "video", domains: ["wistia.com", "wistia.net"] },
+  { name: "Google Maps", category: "embed", domains: ["maps.googleapis.com", "maps.gstatic.com"] },
+
+  // Fonts and shared CDNs
+  {
+    name: "Google Fonts",
+    category: "cdn",
+    domains: ["fonts.googleapis.com", "fonts.gstatic.com"],
+  },
+  { name: "Adobe Fonts", category: "cdn", domains: ["use.typekit.net", "p.typekit.net"] },
+  { name: "Font Awesome", category: "cdn", domains: ["fontawesome.com"] },
+  { name: "jsDelivr", category: "cdn", domains: ["jsdelivr.net"] },
+  { name: "cdnjs", category: "cdn", domains: ["cdnjs.cloudflare.com"] },
+  { name: "unpkg", category: "cdn", domains: ["unpkg.com"] },
+  { name: "jQuery CDN", category: "cdn", domains: ["code.jquery.com"] },
+
+  // Payments, marketing and other services
+  { name: "Stripe", category: "payments", domains: ["stripe.com", "stripe.network"] },
+  { name: "PayPal", category: "payments", domains: ["paypal.com", "paypalobjects.com"] },
+  { name: "Klaviyo", category: "marketing", domains: ["klaviyo.com"] },
+  { name: "Optimizely", category: "ab-testing", domains: ["optimizely.com"] },
+  { name: "VWO", category: "ab-testing", domains: ["visualwebsiteoptimizer.com"] },
+  { name: "Google reCAPTCHA", category: "security", domains: ["recaptcha.net"] },
+];